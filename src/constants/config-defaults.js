@@ -45,7 +45,7 @@ const CONFIG_DEFAULTS = {
     maxPlaylistItems: 200, // Nombre maximum d'éléments à télécharger dans une playlist
     formats: {
       defaultAudioFormat: 'mp3', // Format par défaut
-      availableFormats: ['mp3', 'wav', 'flac', 'aiff'],
+      availableFormats: ['mp3', 'wav', 'flac', 'aiff', 'opus', 'm4a', 'ogg', 'alac'],
       qualityPresets: {
         mp3: {
           bitrate: '320k',
@@ -62,18 +62,92 @@ const CONFIG_DEFAULTS = {
         aiff: {
           bitDepth: '16',
           sampleRate: '44.1k'
+        },
+        opus: {
+          bitrate: '160k' // Toujours encodé à 48 kHz
+        },
+        m4a: {
+          bitrate: '256k', // AAC
+          sampleRate: '44.1k'
+        },
+        ogg: {
+          quality: '6', // Vorbis VBR, -1 à 10
+          sampleRate: '44.1k'
+        },
+        alac: {
+          bitDepth: '16', // 16 ou 24
+          sampleRate: '44.1k'
         }
-      }
+      },
+      // Préréglages proposés par la conversion de fichiers locaux ; un format absent
+      // d'un préréglage (formats sans perte) garde sa qualité de qualityPresets
+      conversionPresets: {
+        high: {
+          label: 'Haute qualité',
+          formats: {
+            mp3: { bitrate: '320k' },
+            m4a: { bitrate: '320k' },
+            opus: { bitrate: '256k' },
+            ogg: { quality: '9' }
+          }
+        },
+        compact: {
+          label: 'Compact',
+          formats: {
+            mp3: { bitrate: '128k' },
+            m4a: { bitrate: '128k' },
+            opus: { bitrate: '96k' },
+            ogg: { quality: '3' }
+          }
+        }
+      },
+      loudness: {
+        // 'off', 'normalize' (EBU R128 en deux passes, ré-encode le fichier)
+        // ou 'replaygain' (gains écrits en tags, audio inchangé)
+        mode: 'off',
+        targetLufs: -14, // Intensité intégrée visée
+        truePeak: -1, // Crête vraie maximale (dBTP)
+        lra: 11 // Plage de loudness visée (LU)
+      },
+      // Source avec perte convertie vers flac/wav/aiff/alac : 'warn' (signalée) ou 'block' (refusée)
+      lossyToLossless: 'warn',
+      maxConcurrentConversions: 0 // Conversions simultanées (0 = nombre de processeurs - 1)
     },
     autoRetryCount: 3, // Nombre de tentatives en cas d'échec
     retryDelay: 5000, // Délai entre les tentatives en millisecondes
-    timeout: 120000 // Timeout en millisecondes (2 minutes)
+    timeout: 120000, // Timeout en millisecondes (2 minutes)
+    bandwidth: {
+      limit: 0, // Débit global en octets/s, partagé entre les téléchargements actifs (0 = illimité)
+      // Plages prioritaires sur `limit` (days : 0 = dimanche ; from > to passe minuit), ex. :
+      // { days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', limit: 1048576 }
+      schedule: []
+    },
+    duplicates: {
+      enabled: true, // Vérifie l'historique, la file et la bibliothèque avant d'ajouter une URL
+      libraryPaths: [] // Dossiers de la bibliothèque (vide = dossier de destination)
+    },
+    subscriptions: {
+      enabled: true, // Vérifie périodiquement les chaînes, artistes et playlists suivis
+      defaultInterval: 1440, // Intervalle de vérification par défaut, en minutes (15 minimum)
+      maxItems: 50 // Éléments les plus récents relus à chaque vérification
+    },
+    archive: {
+      enabled: true // Consulte l'archive des éléments déjà téléchargés (toutes plateformes)
+    },
+    matching: {
+      enabled: true, // Cherche l'audio des titres Spotify sur les plateformes ci-dessous
+      sources: ['youtube', 'soundcloud', 'bandcamp'],
+      resultsPerSource: 5,
+      maxMatches: 5, // Résultats proposés dans l'élément de la file
+      autoAccept: 0 // Confiance (0-100) retenue sans confirmation ; 0 = toujours demander
+    }
   },
 
   /**
    * Configuration des adaptateurs par plateforme
    */
   adapters: {
+    pluginsDir: '', // Dossier des plugins d'adaptateurs (vide = <paths.configDir>/plugins)
     youtube: {
       enabled: true,
       priority: 1, // Priorité de l'adaptateur (plus petit = plus prioritaire)
@@ -84,7 +158,8 @@ const CONFIG_DEFAULTS = {
         audioQuality: 0, // 0 = meilleure qualité
         addMetadata: true,
         embedThumbnail: true,
-        preferFreeFormats: true
+        preferFreeFormats: true,
+        splitChapters: false // Une piste par chapitre pour les vidéos découpées (mix, album)
       }
     },
     soundcloud: {
@@ -126,7 +201,19 @@ const CONFIG_DEFAULTS = {
       maxConnections: 2,
       authEndpoint: 'https://auth.tidal.com/v1/oauth2',
       maxTokenAge: 3600000, // 1 heure en millisecondes
+      // Connexion par autorisation d'appareil (OAuth 2.0, RFC 8628) menée par auth-manager
+      deviceAuth: {
+        deviceAuthorizationUrl: 'https://auth.tidal.com/v1/oauth2/device_authorization',
+        tokenUrl: 'https://auth.tidal.com/v1/oauth2/token',
+        // Identifiant client de l'application déclarée auprès de Tidal, à renseigner pour
+        // connecter le compte (sinon le téléchargement échoue avec INVALID_CONFIG)
+        clientId: '',
+        scope: 'r_usr w_usr w_sub'
+      },
       preferredQuality: 'HIGH', // Options: NORMAL, HIGH, LOSSLESS, HI_RES
+      // Qualités essayées dans l'ordre, ex. ['HI_RES', 'LOSSLESS', 'HIGH']
+      // (vide = preferredQuality puis les qualités inférieures)
+      qualityFallback: [],
       options: {
         extractAudio: true,
         audioFormat: 'flac', // Par défaut en FLAC pour Tidal
@@ -153,6 +240,7 @@ const CONFIG_DEFAULTS = {
       soundcloud: '#FF7700', // Orange
       spotify: '#1DB954', // Vert
       tidal: '#000000', // Noir
+      direct: '#888888', // Gris (liens directs vers un fichier audio)
       default: '#888888' // Gris pour les autres services
     }
   },
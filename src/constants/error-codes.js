@@ -157,6 +157,13 @@ const NETWORK = {
     message: 'Contenu bloqué ou géo-restreint',
     severity: SEVERITY.ERROR,
     category: CATEGORY.NETWORK
+  },
+  ACCESS_FORBIDDEN: {
+    code: 108,
+    name: 'ACCESS_FORBIDDEN',
+    message: 'Accès refusé par le serveur (HTTP 403)',
+    severity: SEVERITY.WARNING,
+    category: CATEGORY.NETWORK
   }
 };
 
@@ -459,6 +466,13 @@ const PLATFORM = {
     message: "Échec de l'intégration système",
     severity: SEVERITY.ERROR,
     category: CATEGORY.PLATFORM
+  },
+  ADAPTER_PLUGIN_INVALID: {
+    code: 704,
+    name: 'ADAPTER_PLUGIN_INVALID',
+    message: "Plugin d'adaptateur invalide",
+    severity: SEVERITY.WARNING,
+    category: CATEGORY.PLATFORM
   }
 };
 
@@ -60,6 +60,14 @@ const EVENT_TYPES = {
     URL_ADD_REQUEST: 'DOWNLOAD:URL_ADD_REQUEST',
     /** URL ajoutée à la file d'attente */
     URL_ADDED: 'DOWNLOAD:URL_ADDED',
+    /** Doublon trouvé dans l'historique, la file ou la bibliothèque ({ downloadId, url, duplicates }) */
+    DUPLICATE_DETECTED: 'DOWNLOAD:DUPLICATE_DETECTED',
+    /** Choix de l'utilisateur pour un doublon ({ downloadId, decision: 'skip' | 'replace' | 'keep' }) */
+    DUPLICATE_DECISION: 'DOWNLOAD:DUPLICATE_DECISION',
+    /** Sources proposées pour un titre Spotify ({ downloadId, url, metadata, matches }) */
+    MATCHES_FOUND: 'DOWNLOAD:MATCHES_FOUND',
+    /** Source retenue par l'utilisateur : résultat proposé ou autre adresse ({ downloadId, url }) */
+    MATCH_DECISION: 'DOWNLOAD:MATCH_DECISION',
     /** URL invalide ou non prise en charge */
     URL_INVALID: 'DOWNLOAD:URL_INVALID',
     /** Analyse d'URL commencée */
@@ -76,14 +84,30 @@ const EVENT_TYPES = {
     ITEM_STARTED: 'DOWNLOAD:ITEM_STARTED',
     /** Progression du téléchargement mise à jour */
     ITEM_PROGRESS: 'DOWNLOAD:ITEM_PROGRESS',
+    /** Lot de progressions regroupées par event-throttler pour l'interface */
+    ITEM_PROGRESS_THROTTLED: 'DOWNLOAD:ITEM_PROGRESS_THROTTLED',
     /** Téléchargement d'un élément terminé */
     ITEM_COMPLETED: 'DOWNLOAD:ITEM_COMPLETED',
+    /** Métadonnées d'un élément terminé complétées (intensité sonore) */
+    METADATA_UPDATED: 'DOWNLOAD:METADATA_UPDATED',
     /** Erreur lors du téléchargement d'un élément */
     ITEM_ERROR: 'DOWNLOAD:ITEM_ERROR',
+    /** Nouvelle tentative programmée après une erreur passagère */
+    ITEM_RETRY_SCHEDULED: 'DOWNLOAD:ITEM_RETRY_SCHEDULED',
     /** Demande d'annulation d'un téléchargement */
     ITEM_CANCEL_REQUEST: 'DOWNLOAD:ITEM_CANCEL_REQUEST',
     /** Téléchargement annulé */
     ITEM_CANCELLED: 'DOWNLOAD:ITEM_CANCELLED',
+    /** Demande de mise en pause d'un téléchargement ({ downloadId }) */
+    ITEM_PAUSE_REQUEST: 'DOWNLOAD:ITEM_PAUSE_REQUEST',
+    /** Téléchargement mis en pause, fichier partiel conservé ({ downloadId, progress }) */
+    ITEM_PAUSED: 'DOWNLOAD:ITEM_PAUSED',
+    /** Demande de reprise d'un téléchargement en pause ({ downloadId }) */
+    ITEM_RESUME_REQUEST: 'DOWNLOAD:ITEM_RESUME_REQUEST',
+    /** Téléchargement repris ({ downloadId, status }), 'ready' tant qu'il attend une place */
+    ITEM_RESUMED: 'DOWNLOAD:ITEM_RESUMED',
+    /** Plafond de débit global modifié, par la configuration ou une plage horaire ({ limit }) */
+    BANDWIDTH_CHANGED: 'DOWNLOAD:BANDWIDTH_CHANGED',
     /** Tous les téléchargements terminés */
     ALL_COMPLETED: 'DOWNLOAD:ALL_COMPLETED',
     /** Demande de démarrage de tous les téléchargements */
@@ -106,6 +130,10 @@ const EVENT_TYPES = {
     READY: 'ADAPTER:READY',
     /** Erreur d'adaptateur */
     ERROR: 'ADAPTER:ERROR',
+    /** Demande de l'instantané du registre des plateformes */
+    REGISTRY_REQUEST: 'ADAPTER:REGISTRY_REQUEST',
+    /** Registre des plateformes mis à jour (plugins chargés) */
+    REGISTRY_UPDATED: 'ADAPTER:REGISTRY_UPDATED',
     /** Adaptateur YouTube spécifique */
     YOUTUBE: {
       /** Analyse YouTube commencée */
@@ -170,7 +198,25 @@ const EVENT_TYPES = {
     /** Tokens mis à jour */
     TOKENS_UPDATED: 'AUTH:TOKENS_UPDATED',
     /** Tokens expirés */
-    TOKENS_EXPIRED: 'AUTH:TOKENS_EXPIRED'
+    TOKENS_EXPIRED: 'AUTH:TOKENS_EXPIRED',
+    /** Demande de stockage d'un token */
+    STORE_TOKEN: 'AUTH:STORE_TOKEN',
+    /** Token stocké (réponse à STORE_TOKEN et IMPORT_COOKIES) */
+    TOKEN_STORED: 'AUTH:TOKEN_STORED',
+    /** Demande de récupération d'un token */
+    RETRIEVE_TOKEN: 'AUTH:RETRIEVE_TOKEN',
+    /** Token récupéré (réponse à RETRIEVE_TOKEN) */
+    TOKEN_RETRIEVED: 'AUTH:TOKEN_RETRIEVED',
+    /** Import d'un fichier de cookies du navigateur (format Netscape) */
+    IMPORT_COOKIES: 'AUTH:IMPORT_COOKIES',
+    /** Connexion d'un service par autorisation d'appareil (OAuth 2.0, RFC 8628) */
+    DEVICE_FLOW_START: 'AUTH:DEVICE_FLOW_START',
+    /** Code utilisateur et adresse de vérification à afficher */
+    DEVICE_CODE_ISSUED: 'AUTH:DEVICE_CODE_ISSUED',
+    /** Abandon d'une autorisation d'appareil */
+    DEVICE_FLOW_CANCEL: 'AUTH:DEVICE_FLOW_CANCEL',
+    /** Renouvellement d'un token expiré (refresh token) */
+    REFRESH_TOKEN: 'AUTH:REFRESH_TOKEN'
   },
 
   /**
@@ -258,7 +304,17 @@ const EVENT_TYPES = {
     /** Erreur de conversion */
     CONVERT_ERROR: 'FORMAT:CONVERT_ERROR',
     /** Formats disponibles mis à jour */
-    AVAILABLE_UPDATED: 'FORMAT:AVAILABLE_UPDATED'
+    AVAILABLE_UPDATED: 'FORMAT:AVAILABLE_UPDATED',
+    /** Conversion par lots de fichiers et dossiers locaux */
+    BATCH_REQUEST: 'FORMAT:BATCH_REQUEST',
+    /** Progression d'un lot */
+    BATCH_PROGRESS: 'FORMAT:BATCH_PROGRESS',
+    /** Lot terminé (bilan des fichiers convertis et en échec) */
+    BATCH_COMPLETED: 'FORMAT:BATCH_COMPLETED',
+    /** Lot refusé (demande invalide ou aucun fichier audio) */
+    BATCH_FAILED: 'FORMAT:BATCH_FAILED',
+    /** Annulation des fichiers restants d'un lot */
+    BATCH_CANCEL: 'FORMAT:BATCH_CANCEL'
   },
 
   /**
@@ -310,7 +366,71 @@ const EVENT_TYPES = {
     /** Erreur de traitement de playlist */
     PROCESSING_ERROR: 'PLAYLIST:PROCESSING_ERROR',
     /** Limite de playlist dépassée (plus de 200 éléments) */
-    LIMIT_EXCEEDED: 'PLAYLIST:LIMIT_EXCEEDED'
+    LIMIT_EXCEEDED: 'PLAYLIST:LIMIT_EXCEEDED',
+    /** Demande de génération d'un fichier de playlist (M3U, PLS) */
+    GENERATE_FILE_REQUEST: 'PLAYLIST:GENERATE_FILE_REQUEST',
+    /** Fichier de playlist généré */
+    FILE_GENERATED: 'PLAYLIST:FILE_GENERATED',
+    /** Erreur lors de la génération d'un fichier de playlist */
+    FILE_ERROR: 'PLAYLIST:FILE_ERROR',
+    /** Demande d'import des métadonnées seules d'un lien Spotify ou Tidal */
+    TRACKLIST_IMPORT_REQUEST: 'PLAYLIST:TRACKLIST_IMPORT_REQUEST',
+    /** Liste des titres importée (titre, artistes, album, ISRC, durée, pochette) */
+    TRACKLIST_IMPORTED: 'PLAYLIST:TRACKLIST_IMPORTED',
+    /** Échec de l'import des métadonnées */
+    TRACKLIST_IMPORT_ERROR: 'PLAYLIST:TRACKLIST_IMPORT_ERROR',
+    /** Demande de recherche des titres importés dans la bibliothèque locale */
+    TRACKLIST_MATCH_REQUEST: 'PLAYLIST:TRACKLIST_MATCH_REQUEST',
+    /** Titres importés complétés du fichier trouvé dans la bibliothèque */
+    TRACKLIST_MATCHED: 'PLAYLIST:TRACKLIST_MATCHED',
+    /** Demande d'export d'une liste de titres (CSV, JSON, M3U) */
+    TRACKLIST_EXPORT_REQUEST: 'PLAYLIST:TRACKLIST_EXPORT_REQUEST'
+  },
+
+  /**
+   * Événements liés aux abonnements (chaînes, artistes, labels, playlists surveillés)
+   */
+  SUBSCRIPTION: {
+    /** Demande d'ajout d'un abonnement */
+    ADD: 'SUBSCRIPTION:ADD',
+    /** Demande de modification d'un abonnement (intervalle, format, activation) */
+    UPDATE: 'SUBSCRIPTION:UPDATE',
+    /** Demande de suppression d'un abonnement */
+    REMOVE: 'SUBSCRIPTION:REMOVE',
+    /** Demande de vérification immédiate d'un ou de tous les abonnements */
+    CHECK_REQUEST: 'SUBSCRIPTION:CHECK_REQUEST',
+    /** Vérification d'un abonnement terminée */
+    CHECKED: 'SUBSCRIPTION:CHECKED',
+    /** Échec de la vérification d'un abonnement */
+    ERROR: 'SUBSCRIPTION:ERROR',
+    /** Demande de la liste des abonnements */
+    LIST_REQUEST: 'SUBSCRIPTION:LIST_REQUEST',
+    /** Liste des abonnements (publiée après chaque changement) */
+    LIST: 'SUBSCRIPTION:LIST'
+  },
+
+  /**
+   * Événements liés à l'archive des téléchargements (éléments déjà récupérés)
+   */
+  ARCHIVE: {
+    /** Demande d'inscription d'un fichier obtenu hors du gestionnaire de téléchargement */
+    RECORD: 'ARCHIVE:RECORD',
+    /** Élément ajouté à l'archive */
+    RECORDED: 'ARCHIVE:RECORDED',
+    /** Demande de consultation de l'archive pour une liste d'URL */
+    LOOKUP_REQUEST: 'ARCHIVE:LOOKUP_REQUEST',
+    /** Résultat de la consultation (déjà téléchargé ou non, pour chaque URL) */
+    LOOKUP_RESULT: 'ARCHIVE:LOOKUP_RESULT',
+    /** Demande d'export de l'archive vers un fichier */
+    EXPORT_REQUEST: 'ARCHIVE:EXPORT_REQUEST',
+    /** Archive exportée */
+    EXPORTED: 'ARCHIVE:EXPORTED',
+    /** Demande d'import d'une archive (export de l'application ou archive yt-dlp) */
+    IMPORT_REQUEST: 'ARCHIVE:IMPORT_REQUEST',
+    /** Archive importée */
+    IMPORTED: 'ARCHIVE:IMPORTED',
+    /** Échec d'une opération sur l'archive */
+    ERROR: 'ARCHIVE:ERROR'
   },
 
   /**
@@ -335,6 +455,14 @@ const EVENT_TYPES = {
     CHANGED: 'STATE:CHANGED',
     /** Erreur de gestion d'état */
     ERROR: 'STATE:ERROR'
+  },
+
+  /**
+   * Événements système
+   */
+  SYSTEM: {
+    /** Vérification périodique (expiration des tokens du stockage sécurisé) */
+    PERIODIC_CHECK: 'SYSTEM:PERIODIC_CHECK'
   }
 };
 
@@ -79,12 +79,16 @@ function initialize(eventBus) {
     // Options de téléchargement
     maxConcurrentDownloads: 3,
     defaultAudioFormat: 'mp3',
-    availableFormats: ['mp3', 'flac', 'wav', 'aiff'],
+    availableFormats: ['mp3', 'flac', 'wav', 'aiff', 'opus', 'm4a', 'ogg', 'alac'],
     audioQuality: {
       mp3: '320k',
       flac: 'best',
       wav: '44100:s16',
-      aiff: '44100:s16'
+      aiff: '44100:s16',
+      opus: '160k',
+      m4a: '256k',
+      ogg: 'q6',
+      alac: '44100:s16'
     },
 
     // Options d'interface
@@ -8,28 +8,124 @@
  * sans dépendance directe avec Electron ou d'autres modules. Toute communication
  * s'effectue exclusivement via le bus d'événements.
  *
+ * Les services sans navigateur intégré (Tidal…) se connectent par le flux d'autorisation
+ * d'appareil OAuth 2.0 (RFC 8628) : le code utilisateur et l'adresse de vérification sont
+ * publiés pour être affichés, puis le serveur de tokens est interrogé jusqu'à la validation
+ * (intervalle allongé sur `slow_down` et après une erreur réseau). Les tokens obtenus sont
+ * confiés à secure-token-store par AUTH:TOKENS_UPDATED. Les adresses du serveur
+ * d'autorisation viennent de `adapters.<service>.deviceAuth` ou de la demande elle-même ;
+ * un réglage manquant (identifiant client…) est signalé comme erreur de configuration avant
+ * tout appel réseau. Un token expiré est renouvelé par AUTH:REFRESH_TOKEN auprès du même
+ * serveur de tokens.
+ *
  * @module auth/auth-manager.core
  *
  * @events
  * ÉCOUTE:
  * - AUTH:REQUEST: Demande d'authentification pour un service
  * - AUTH:LOGOUT: Demande de déconnexion
+ * - AUTH:DEVICE_FLOW_START: Connexion d'un service par autorisation d'appareil
+ *   ({ service, requestId?, deviceAuthorizationUrl?, tokenUrl?, clientId?, clientSecret?, scope? })
+ * - AUTH:DEVICE_FLOW_CANCEL: Abandon d'une autorisation d'appareil ({ requestId })
+ * - AUTH:REFRESH_TOKEN: Renouvellement d'un token expiré
+ *   ({ service, refreshToken, requestId?, userId? })
+ * - CONFIG:LOADED | CONFIG:UPDATED: Serveurs d'autorisation (adapters.<service>.deviceAuth)
  *
  * ÉMET:
- * - AUTH:SUCCESS: Authentification réussie
- * - AUTH:FAILURE: Échec d'authentification
+ * - AUTH:SUCCESS: Authentification ou renouvellement réussi
+ * - AUTH:FAILURE: Échec d'authentification ou de renouvellement
  * - AUTH:TOKENS_UPDATED: Tokens valides mis à jour
+ * - AUTH:DEVICE_CODE_ISSUED: Code à saisir sur la page de vérification
+ *   ({ requestId, service, userCode, verificationUri, verificationUriComplete, expiresAt })
  * - ERROR:NON_CRITICAL: Erreurs non fatales
  * - LOG:INFO | LOG:ERROR: Journalisation
  */
 
 'use strict';
 
+const http = require('http');
+const https = require('https');
+
+// Type d'autorisation demandé au serveur de tokens (RFC 8628)
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+// Réglages requis pour chaque étape
+const DEVICE_FLOW_KEYS = ['deviceAuthorizationUrl', 'tokenUrl', 'clientId'];
+const REFRESH_KEYS = ['tokenUrl', 'clientId'];
+// Réglages d'un serveur d'autorisation d'appareil, surchargeables par la demande
+const DEVICE_PROVIDER_KEYS = [
+  'deviceAuthorizationUrl',
+  'tokenUrl',
+  'clientId',
+  'clientSecret',
+  'scope'
+];
+// Intervalle d'interrogation (s) lorsque le serveur n'en indique pas
+const DEFAULT_POLL_INTERVAL = 5;
+// Allongement de l'intervalle demandé par `slow_down` (s)
+const SLOW_DOWN_INCREMENT = 5;
+// Intervalle maximal après des erreurs réseau successives (s)
+const MAX_POLL_INTERVAL = 60;
+// Durée de validité du code (s) lorsque le serveur ne l'indique pas
+const DEFAULT_CODE_LIFETIME = 600;
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Envoie un formulaire au serveur d'autorisation et lit sa réponse JSON
+ * @param {string} url - Adresse du serveur
+ * @param {Object} params - Champs du formulaire (les valeurs vides sont omises)
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+function postForm(url, params) {
+  const form = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) form.append(key, value);
+  });
+  const payload = form.toString();
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: 'POST',
+        timeout: REQUEST_TIMEOUT,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(payload),
+          Accept: 'application/json'
+        }
+      },
+      (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => (raw += chunk));
+        response.on('end', () => {
+          let body = {};
+          try {
+            body = raw ? JSON.parse(raw) : {};
+          } catch (error) {
+            // Réponse non JSON (page d'erreur d'un proxy) : seul le statut compte
+          }
+          resolve({ statusCode: response.statusCode, body });
+        });
+      }
+    );
+    request.on('timeout', () => request.destroy(new Error('Délai de réponse dépassé')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
 function createAuthManagerCore() {
   let eventBus = null;
   let EVENT_TYPES = null;
   let ERROR_CODES = null;
 
+  // Serveurs d'autorisation d'appareil par service (adapters.<service>.deviceAuth)
+  const deviceProviders = {};
+  // Autorisations d'appareil en cours (requestId -> { service, cancelled, timer, wake })
+  const deviceFlows = new Map();
+
   /**
    * Initialise le gestionnaire d'authentification
    * @param {Object} injectedEventBus - Bus d'événements
@@ -57,6 +153,21 @@ function createAuthManagerCore() {
   function registerEventListeners() {
     eventBus.subscribe(EVENT_TYPES.AUTH.REQUEST, handleAuthRequest);
     eventBus.subscribe(EVENT_TYPES.AUTH.LOGOUT, handleLogout);
+    eventBus.subscribe(EVENT_TYPES.AUTH.DEVICE_FLOW_START, startDeviceFlow);
+    eventBus.subscribe(EVENT_TYPES.AUTH.DEVICE_FLOW_CANCEL, cancelDeviceFlow);
+    eventBus.subscribe(EVENT_TYPES.AUTH.REFRESH_TOKEN, refreshToken);
+    eventBus.subscribe(EVENT_TYPES.CONFIG.LOADED, handleConfig);
+    eventBus.subscribe(EVENT_TYPES.CONFIG.UPDATED, handleConfig);
+  }
+
+  /**
+   * Retient les serveurs d'autorisation d'appareil déclarés par les adaptateurs
+   * @param {Object} config - Configuration complète ou partielle
+   */
+  function handleConfig(config) {
+    Object.entries(config?.adapters || {}).forEach(([service, settings]) => {
+      if (settings?.deviceAuth) deviceProviders[service] = settings.deviceAuth;
+    });
   }
 
   /**
@@ -109,6 +220,237 @@ function createAuthManagerCore() {
     }
   }
 
+  /**
+   * Connecte un service par autorisation d'appareil : demande un code, le publie pour
+   * l'interface puis attend que l'utilisateur l'ait validé sur la page de vérification.
+   * Une nouvelle demande pour le même service remplace celle en cours.
+   * @param {Object} payload - { service, requestId?, …réglages de DEVICE_PROVIDER_KEYS }
+   */
+  async function startDeviceFlow(payload = {}) {
+    const { service } = payload;
+    const requestId = payload.requestId || `${service}-device-${Date.now()}`;
+    const provider = { ...deviceProviders[service] };
+    DEVICE_PROVIDER_KEYS.forEach((key) => {
+      if (payload[key]) provider[key] = payload[key];
+    });
+
+    deviceFlows.forEach((flow, id) => {
+      if (flow.service === service) cancelDeviceFlow({ requestId: id });
+    });
+    const flow = { service, cancelled: false, timer: null, wake: null };
+    deviceFlows.set(requestId, flow);
+
+    try {
+      assertProviderConfigured(service, provider, DEVICE_FLOW_KEYS);
+
+      const { statusCode, body } = await postForm(provider.deviceAuthorizationUrl, {
+        client_id: provider.clientId,
+        scope: provider.scope
+      });
+      if (statusCode !== 200 || !body.device_code || !body.user_code) {
+        throw ERROR_CODES.createError(
+          'OAUTH_ERROR',
+          body.error_description || body.error || `Code d’appareil refusé (HTTP ${statusCode})`
+        );
+      }
+      if (flow.cancelled) return;
+
+      const expiresAt = Date.now() + (body.expires_in || DEFAULT_CODE_LIFETIME) * 1000;
+      eventBus.publish(EVENT_TYPES.AUTH.DEVICE_CODE_ISSUED, {
+        requestId,
+        service,
+        userCode: body.user_code,
+        verificationUri: body.verification_uri || body.verification_url,
+        verificationUriComplete: body.verification_uri_complete || null,
+        expiresAt
+      });
+
+      const tokens = await pollDeviceToken(flow, provider, body, expiresAt);
+      if (!tokens) return;
+
+      publishTokens(service, tokens);
+      eventBus.publish(EVENT_TYPES.AUTH.SUCCESS, { service, requestId });
+      logInfo(`Appareil autorisé pour ${service}`);
+    } catch (err) {
+      if (flow.cancelled) return;
+      publishAuthFailure(service, requestId, err);
+    } finally {
+      if (deviceFlows.get(requestId) === flow) deviceFlows.delete(requestId);
+    }
+  }
+
+  /**
+   * Renouvelle un token expiré auprès du serveur de tokens du service (grant `refresh_token`).
+   * Les nouveaux tokens remplacent les anciens dans le stockage sécurisé ; le token de
+   * renouvellement est conservé si le serveur n'en fournit pas de nouveau.
+   * @param {Object} payload - { service, refreshToken, requestId?, userId? }
+   */
+  async function refreshToken(payload = {}) {
+    const { service } = payload;
+    const requestId = payload.requestId || `${service}-refresh-${Date.now()}`;
+    const provider = { ...deviceProviders[service] };
+
+    try {
+      assertProviderConfigured(service, provider, REFRESH_KEYS);
+      if (!payload.refreshToken) {
+        throw ERROR_CODES.createError('INVALID_PARAMETER', 'Token de renouvellement manquant');
+      }
+
+      const { statusCode, body } = await postForm(provider.tokenUrl, {
+        grant_type: 'refresh_token',
+        refresh_token: payload.refreshToken,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        scope: provider.scope
+      });
+      if (statusCode !== 200 || !body.access_token) {
+        // invalid_grant : token de renouvellement révoqué ou expiré, une reconnexion s'impose
+        throw ERROR_CODES.createError(
+          body.error === 'invalid_grant' ? 'SESSION_EXPIRED' : 'OAUTH_ERROR',
+          body.error_description || body.error || `Renouvellement refusé (HTTP ${statusCode})`
+        );
+      }
+
+      publishTokens(service, body, payload);
+      eventBus.publish(EVENT_TYPES.AUTH.SUCCESS, { service, requestId });
+      logInfo(`Token renouvelé pour ${service}`);
+    } catch (err) {
+      publishAuthFailure(service, requestId, err);
+    }
+  }
+
+  /**
+   * Vérifie qu'un serveur d'autorisation fournit les réglages d'une étape
+   * @param {string} service - Service concerné
+   * @param {Object} provider - Réglages du serveur d'autorisation
+   * @param {string[]} keys - Réglages requis
+   * @throws {Error} INVALID_CONFIG désignant le réglage à renseigner
+   */
+  function assertProviderConfigured(service, provider, keys) {
+    const missing = keys.find((key) => !provider[key]);
+    if (!service || missing) {
+      throw ERROR_CODES.createError(
+        'INVALID_CONFIG',
+        `Autorisation d’appareil non configurée pour ${service} : ` +
+          `renseignez adapters.${service}.deviceAuth.${missing || 'clientId'}`
+      );
+    }
+  }
+
+  /**
+   * Confie au stockage sécurisé les tokens renvoyés par le serveur de tokens
+   * @param {string} service - Service concerné
+   * @param {Object} tokens - Réponse du serveur (access_token, refresh_token, expires_in…)
+   * @param {Object} [previous] - Valeurs conservées à défaut ({ refreshToken, userId })
+   */
+  function publishTokens(service, tokens, previous = {}) {
+    eventBus.publish(EVENT_TYPES.AUTH.TOKENS_UPDATED, {
+      service,
+      tokens: {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || previous.refreshToken || null,
+        tokenType: tokens.token_type || 'Bearer',
+        scope: tokens.scope || '',
+        expiresIn: tokens.expires_in
+      },
+      userId: tokens.user_id || tokens.user?.userId || previous.userId
+    });
+  }
+
+  /**
+   * Publie l'échec d'une autorisation ou d'un renouvellement
+   * @param {string} service - Service concerné
+   * @param {string} requestId - Identifiant de la demande
+   * @param {Error} err - Erreur survenue
+   */
+  function publishAuthFailure(service, requestId, err) {
+    const formattedError = ERROR_CODES.createError(
+      err.name && err.category ? err.name : 'AUTH_FAILED',
+      `Échec d’authentification pour ${service} : ${err.message}`,
+      { service, requestId }
+    );
+    eventBus.publish(EVENT_TYPES.AUTH.FAILURE, { ...formattedError, service, requestId });
+    publishNonCriticalError(formattedError);
+  }
+
+  /**
+   * Interroge le serveur de tokens jusqu'à la validation du code par l'utilisateur
+   * @param {Object} flow - Autorisation en cours
+   * @param {Object} provider - Serveur d'autorisation
+   * @param {Object} deviceCode - Réponse de la demande de code (device_code, interval)
+   * @param {number} expiresAt - Expiration du code (ms)
+   * @returns {Promise<Object|null>} Réponse du serveur de tokens, null si l'autorisation a été
+   *   abandonnée
+   */
+  async function pollDeviceToken(flow, provider, deviceCode, expiresAt) {
+    let interval = deviceCode.interval > 0 ? deviceCode.interval : DEFAULT_POLL_INTERVAL;
+
+    for (;;) {
+      await new Promise((resolve) => {
+        flow.wake = resolve;
+        flow.timer = setTimeout(resolve, interval * 1000);
+      });
+      if (flow.cancelled) return null;
+      if (Date.now() >= expiresAt) {
+        throw ERROR_CODES.createError('SESSION_EXPIRED', 'Code expiré avant sa validation');
+      }
+
+      let response;
+      try {
+        response = await postForm(provider.tokenUrl, {
+          grant_type: DEVICE_CODE_GRANT,
+          device_code: deviceCode.device_code,
+          client_id: provider.clientId,
+          client_secret: provider.clientSecret,
+          scope: provider.scope
+        });
+      } catch (error) {
+        // Serveur injoignable : nouvel essai, de plus en plus espacé
+        interval = Math.min(interval * 2, MAX_POLL_INTERVAL);
+        continue;
+      }
+      if (flow.cancelled) return null;
+
+      const { statusCode, body } = response;
+      if (statusCode === 200 && body.access_token) return body;
+      if (body.error === 'authorization_pending') continue;
+      if (body.error === 'slow_down') {
+        interval += SLOW_DOWN_INCREMENT;
+        continue;
+      }
+      if (statusCode >= 500) {
+        interval = Math.min(interval * 2, MAX_POLL_INTERVAL);
+        continue;
+      }
+
+      throw ERROR_CODES.createError(
+        body.error === 'expired_token' ? 'SESSION_EXPIRED' : 'OAUTH_ERROR',
+        body.error_description || body.error || `Token refusé (HTTP ${statusCode})`
+      );
+    }
+  }
+
+  /**
+   * Abandonne une autorisation d'appareil (fermeture de la fenêtre du code)
+   * @param {Object} payload - { requestId }
+   */
+  function cancelDeviceFlow(payload) {
+    const flow = deviceFlows.get(payload?.requestId);
+    if (!flow) return;
+
+    flow.cancelled = true;
+    clearTimeout(flow.timer);
+    if (flow.wake) flow.wake();
+    deviceFlows.delete(payload.requestId);
+
+    eventBus.publish(EVENT_TYPES.AUTH.FAILURE, {
+      ...ERROR_CODES.createError('AUTH_FAILED', 'Authentification annulée par l’utilisateur'),
+      service: flow.service,
+      requestId: payload.requestId,
+      cancelled: true
+    });
+  }
+
   /**
    * Gère une demande de déconnexion
    * @param {Object} payload - Données de déconnexion (facultatif)
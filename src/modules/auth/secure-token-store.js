@@ -20,13 +20,14 @@
  * - AUTH:TOKENS_UPDATED: Enregistre de nouveaux tokens
  * - AUTH:STORE_TOKEN: Demande de stockage d'un token
  * - AUTH:RETRIEVE_TOKEN: Demande de récupération d'un token
+ * - AUTH:IMPORT_COOKIES: Import d'un fichier de cookies du navigateur (format Netscape)
  * - AUTH:DELETE_TOKEN: Demande de suppression d'un token
  * - AUTH:CHECK_TOKEN_VALIDITY: Vérifie si un token est toujours valide
  * - AUTH:VERIFY_TOKEN: Vérifie si un token est présent et valide
  * - SYSTEM:PERIODIC_CHECK: Vérifie périodiquement les tokens expirés
  *
  * ÉMET:
- * - AUTH:TOKEN_STORED: Un token a été stocké avec succès
+ * - AUTH:TOKEN_STORED: Un token (ou un jeu de cookies importé) a été stocké avec succès
  * - AUTH:TOKEN_RETRIEVED: Un token a été récupéré avec succès
  * - AUTH:TOKEN_DELETED: Un token a été supprimé avec succès
  * - AUTH:TOKEN_EXPIRED: Un token a expiré
@@ -130,6 +131,7 @@ function SecureTokenStore() {
     eventBus.subscribe(EVENT_TYPES.AUTH.TOKENS_UPDATED, onTokensUpdated);
     eventBus.subscribe(EVENT_TYPES.AUTH.STORE_TOKEN, onStoreToken);
     eventBus.subscribe(EVENT_TYPES.AUTH.RETRIEVE_TOKEN, onRetrieveToken);
+    eventBus.subscribe(EVENT_TYPES.AUTH.IMPORT_COOKIES, onImportCookies);
     eventBus.subscribe(EVENT_TYPES.AUTH.DELETE_TOKEN, onDeleteToken);
     eventBus.subscribe(EVENT_TYPES.AUTH.CHECK_TOKEN_VALIDITY, onCheckTokenValidity);
     eventBus.subscribe(EVENT_TYPES.AUTH.VERIFY_TOKEN, onVerifyToken);
@@ -453,6 +455,104 @@ function SecureTokenStore() {
     }
   }
 
+  /**
+   * Gère l'import d'un fichier de cookies exporté depuis un navigateur (format Netscape,
+   * celui de `cookies.txt` et de yt-dlp). Les cookies sont stockés chiffrés comme un token
+   * de type « Cookie » ; le fichier d'origine, en clair, est ensuite effacé de manière sécurisée
+   * sauf si l'appelant passe `deleteSource: false`.
+   * @param {Object} data - { requestId?, serviceId, filePath, domain?, deleteSource? }
+   */
+  function onImportCookies(data) {
+    if (!data || !data.serviceId || !data.filePath) {
+      publishError('INVALID_IMPORT_REQUEST', "Données invalides pour l'import de cookies");
+
+      if (data && data.requestId) {
+        eventBus.publish(EVENT_TYPES.AUTH.TOKEN_STORED, {
+          requestId: data.requestId,
+          success: false,
+          error: "Données invalides pour l'import de cookies"
+        });
+      }
+
+      return;
+    }
+
+    try {
+      const serviceId = data.serviceId;
+      // Seuls les cookies du domaine demandé (et de ses sous-domaines) sont conservés
+      const domain = (data.domain || '').replace(/^\./, '').toLowerCase();
+      const cookies = parseNetscapeCookies(fs.readFileSync(data.filePath, 'utf8')).filter(
+        (cookie) => !domain || cookie.domain === domain || cookie.domain.endsWith(`.${domain}`)
+      );
+
+      if (cookies.length === 0) {
+        throw new Error(`Aucun cookie${domain ? ` pour ${domain}` : ''} dans le fichier`);
+      }
+
+      // L'ensemble reste utilisable tant que le cookie le plus durable n'a pas expiré ;
+      // des cookies de session seuls prennent la durée par défaut du service
+      const now = Date.now();
+      const latestExpiry = Math.max(...cookies.map((cookie) => cookie.expiresAt || 0));
+      if (latestExpiry > 0 && latestExpiry <= now) {
+        throw new Error('Tous les cookies du fichier ont expiré');
+      }
+
+      const defaultLifetime =
+        config.tokenLifetimeDefaults[serviceId.toLowerCase()] || 24 * 3600 * 1000; // 24h par défaut
+      const tokenData = {
+        accessToken: null,
+        refreshToken: null,
+        tokenType: 'Cookie',
+        scope: '',
+        cookies,
+        storedAt: now,
+        expiresAt: latestExpiry || now + defaultLifetime,
+        metadata: {
+          service: serviceId,
+          userId: 'unknown',
+          createdAt: now,
+          source: 'cookies',
+          domain: domain || null,
+          cookieCount: cookies.length
+        }
+      };
+
+      storeTokenData(serviceId, tokenData);
+
+      if (data.deleteSource !== false) {
+        secureDelete(data.filePath);
+      } else {
+        logWarning(`Le fichier de cookies reste en clair sur le disque: ${data.filePath}`);
+      }
+
+      if (data.requestId) {
+        eventBus.publish(EVENT_TYPES.AUTH.TOKEN_STORED, {
+          requestId: data.requestId,
+          success: true,
+          serviceId,
+          expiresAt: tokenData.expiresAt,
+          cookieCount: cookies.length
+        });
+      }
+
+      // Les valeurs des cookies ne sont jamais journalisées
+      logInfo(`Cookies importés pour le service: ${serviceId}`, {
+        cookieCount: cookies.length,
+        expiresAt: new Date(tokenData.expiresAt).toISOString()
+      });
+    } catch (error) {
+      publishError('COOKIE_IMPORT_FAILED', 'Import des cookies échoué', error);
+
+      if (data.requestId) {
+        eventBus.publish(EVENT_TYPES.AUTH.TOKEN_STORED, {
+          requestId: data.requestId,
+          success: false,
+          error: `Import des cookies échoué: ${error.message}`
+        });
+      }
+    }
+  }
+
   /**
    * Gère une demande de récupération de token
    * @param {Object} data - Données de la demande
@@ -505,13 +605,16 @@ function SecureTokenStore() {
           expiresAt: tokenData.expiresAt
         });
 
+        // Le token de renouvellement permet au demandeur d'obtenir un nouveau token
+        // (AUTH:REFRESH_TOKEN) sans reconnecter le compte
         if (data.requestId) {
           eventBus.publish(EVENT_TYPES.AUTH.TOKEN_RETRIEVED, {
             requestId: data.requestId,
             success: false,
             error: `Token expiré pour le service: ${serviceId}`,
             expired: true,
-            expiresAt: tokenData.expiresAt
+            expiresAt: tokenData.expiresAt,
+            refreshToken: tokenData.refreshToken || null
           });
         }
 
@@ -532,7 +635,8 @@ function SecureTokenStore() {
             accessToken: tokenData.accessToken,
             refreshToken: tokenData.refreshToken,
             tokenType: tokenData.tokenType,
-            expiresAt: tokenData.expiresAt
+            expiresAt: tokenData.expiresAt,
+            ...(tokenData.cookies ? { cookies: tokenData.cookies } : {})
           },
           metadata: tokenData.metadata
         });
@@ -971,6 +1075,47 @@ function SecureTokenStore() {
     }
   }
 
+  /**
+   * Lit un fichier de cookies au format Netscape : une ligne par cookie, champs séparés par
+   * des tabulations (domaine, sous-domaines, chemin, secure, expiration, nom, valeur).
+   * Le préfixe `#HttpOnly_` marque un cookie HttpOnly ; les autres commentaires sont ignorés.
+   * @param {string} content - Contenu du fichier
+   * @returns {Array<Object>} Cookies { domain, includeSubdomains, path, secure, httpOnly,
+   *   expiresAt (ms, 0 pour un cookie de session), name, value }
+   */
+  function parseNetscapeCookies(content) {
+    const cookies = [];
+
+    content.split(/\r?\n/).forEach((rawLine) => {
+      const httpOnly = rawLine.startsWith('#HttpOnly_');
+      const line = httpOnly ? rawLine.slice('#HttpOnly_'.length) : rawLine;
+      if (!line.trim() || line.startsWith('#')) {
+        return;
+      }
+
+      const fields = line.split('\t');
+      if (fields.length < 7) {
+        return;
+      }
+
+      const [domain, includeSubdomains, cookiePath, secure, expires, name] = fields;
+      const expiresAt = parseInt(expires, 10) * 1000;
+      cookies.push({
+        domain: domain.replace(/^\./, '').toLowerCase(),
+        includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE' || domain.startsWith('.'),
+        path: cookiePath || '/',
+        secure: secure.toUpperCase() === 'TRUE',
+        httpOnly,
+        expiresAt: Number.isFinite(expiresAt) && expiresAt > 0 ? expiresAt : 0,
+        name,
+        // Une valeur peut contenir une tabulation
+        value: fields.slice(6).join('\t')
+      });
+    });
+
+    return cookies;
+  }
+
   /**
    * S'assure qu'un répertoire existe, le crée si nécessaire
    * @param {string} dirPath - Chemin du répertoire
@@ -1201,6 +1346,15 @@ module.exports = secureTokenStore;
  *   }
  * });
  *
+ * // Importer les cookies de bandcamp.com exportés depuis le navigateur (cookies.txt)
+ * eventBus.publish(EVENT_TYPES.AUTH.IMPORT_COOKIES, {
+ *   requestId: 'cookies-1',
+ *   serviceId: 'bandcamp',
+ *   filePath: '/chemin/vers/cookies.txt',
+ *   domain: 'bandcamp.com',
+ *   deleteSource: false // Conserver le fichier en clair (effacé par défaut après import)
+ * });
+ *
  * // Supprimer un token
  * eventBus.publish(EVENT_TYPES.AUTH.DELETE_TOKEN, {
  *   requestId: 'delete-1',
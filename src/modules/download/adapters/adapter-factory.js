@@ -1,8 +1,10 @@
 /**
  * @fileoverview Module adapter-factory.js - Factory pattern implementation for creating download adapters
  * @description Ce module fournit une fabrique pour créer des adaptateurs de téléchargement pour
- * différentes plateformes (YouTube, SoundCloud, Bandcamp, Spotify, Tidal) sans dépendances directes.
- * Il suit le pattern Factory et communique exclusivement via le bus d'événements.
+ * différentes plateformes (YouTube, SoundCloud, Bandcamp, Spotify, Tidal).
+ * Il suit le pattern Factory : les adaptateurs créés respectent tous le contrat de BaseAdapter
+ * (analyze, download, cancel, getCapabilities). Les hôtes inconnus sont servis par un
+ * adaptateur générique (BaseAdapter seul, basé sur yt-dlp).
  *
  * @module modules/download/adapters/adapter-factory
  * @requires electron
@@ -23,9 +25,13 @@
  * - ERROR: Émis quand une erreur se produit lors de la création d'un adaptateur
  */
 
-const { app } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const BaseAdapter = require('./base-adapter');
+const { adapterRegistry } = require('./adapter-registry');
+
+/** Plateforme utilisée pour les hôtes sans adaptateur dédié */
+const GENERIC_PLATFORM = 'generic';
 
 /**
  * Classe Factory pour créer des adaptateurs de téléchargement
@@ -33,16 +39,14 @@ const fs = require('fs');
 class AdapterFactory {
   /**
    * Initialise la fabrique d'adaptateurs
+   * @param {Object} [eventBus] - Bus transmis aux adaptateurs créés
+   * @param {AdapterRegistry} [registry] - Registre des plateformes (registre partagé par défaut)
    */
-  constructor() {
-    // Stocke les mappages d'URL pour la détection des plateformes
-    this.platformPatterns = {
-      youtube: /(youtube\.com|youtu\.be)/i,
-      soundcloud: /soundcloud\.com/i,
-      bandcamp: /bandcamp\.com/i,
-      spotify: /spotify\.com/i,
-      tidal: /tidal\.com/i
-    };
+  constructor(eventBus = null, registry = adapterRegistry) {
+    this.eventBus = eventBus;
+
+    // Détection des plateformes et classes d'adaptateurs (intégrés et plugins)
+    this.registry = registry;
 
     // Configuration par défaut - sera mise à jour via les événements CONFIG_UPDATED
     this.config = {
@@ -98,6 +102,8 @@ class AdapterFactory {
    */
   checkExternalDependencies() {
     try {
+      // Chargé ici pour que la fabrique reste utilisable hors du processus Electron
+      const { app } = require('electron');
       // Déterminer les chemins en fonction de la plateforme
       const appPath = app.getAppPath();
       const binFolder = path.join(appPath, 'bin');
@@ -149,86 +155,37 @@ class AdapterFactory {
    * @private
    */
   detectPlatform(url) {
-    if (!url || typeof url !== 'string') {
-      return null;
-    }
-
-    for (const [platform, pattern] of Object.entries(this.platformPatterns)) {
-      if (pattern.test(url)) {
-        return platform;
-      }
-    }
-
-    return null;
+    return this.registry.detectPlatform(url);
   }
 
   /**
    * Crée un adaptateur pour la plateforme spécifiée
-   * @param {string} platform - La plateforme pour laquelle créer l'adaptateur
+   * @param {string} platform - La plateforme ('generic' pour un hôte sans adaptateur dédié)
    * @param {Object} options - Options de configuration spécifiques à l'adaptateur
-   * @returns {Object} - Un objet représentant l'adaptateur de téléchargement
-   * @private
+   * @returns {BaseAdapter} - Un adaptateur configuré, prêt à être utilisé via son contrat
    */
   createAdapter(platform, options = {}) {
     // Vérifier si la plateforme est supportée
-    if (!this.getSupportedPlatforms().includes(platform)) {
+    if (platform !== GENERIC_PLATFORM && !this.getSupportedPlatforms().includes(platform)) {
       throw new Error(`Platform '${platform}' is not supported`);
     }
 
-    // Créer une configuration spécifique à l'adaptateur en combinant la config globale et les options
-    const adapterConfig = {
-      ...this.config,
-      ...options,
-      platform
-    };
-
-    // Créer un adaptateur sous forme d'objet avec les méthodes nécessaires
-    // mais sans dépendance directe sur une classe d'adaptateur
-    const adapter = {
+    const AdapterClass =
+      platform === GENERIC_PLATFORM ? BaseAdapter : this.registry.getAdapterClass(platform);
+    const adapter = new AdapterClass({
       platform,
-      config: adapterConfig,
-
-      // Structure commune à tous les adaptateurs sans dépendance sur une classe de base
-      downloadInfo: {
-        progress: 0,
-        status: 'ready',
-        message: '',
-        metadata: {},
-        errors: []
-      },
-
-      // Méthodes qui seront transformées en événements
-      download: (url, options) => {
-        this.eventBus.publish(`ADAPTER_${platform.toUpperCase()}_DOWNLOAD`, {
-          url,
-          options,
-          adapterId: adapter.id
-        });
-      },
-
-      pause: () => {
-        this.eventBus.publish(`ADAPTER_${platform.toUpperCase()}_PAUSE`, {
-          adapterId: adapter.id
-        });
-      },
-
-      resume: () => {
-        this.eventBus.publish(`ADAPTER_${platform.toUpperCase()}_RESUME`, {
-          adapterId: adapter.id
-        });
-      },
+      capabilities: this.registry.getCapabilities(platform)
+    });
 
-      cancel: () => {
-        this.eventBus.publish(`ADAPTER_${platform.toUpperCase()}_CANCEL`, {
-          adapterId: adapter.id
-        });
+    // Combiner la config globale (noms de l'API des adaptateurs) et les options
+    return adapter.configure(
+      {
+        ytDlpPath: this.config.yt_dlp_path,
+        tidalDownloaderPath: this.config.tidal_downloader_path,
+        ...options
       },
-
-      // Identifiant unique pour cet adaptateur
-      id: `${platform}_adapter_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    };
-
-    return adapter;
+      this.eventBus
+    );
   }
 
   /**
@@ -237,7 +194,7 @@ class AdapterFactory {
    * @private
    */
   getSupportedPlatforms() {
-    return Object.keys(this.platformPatterns);
+    return this.registry.getPlatforms();
   }
 
   /**
@@ -378,7 +335,7 @@ function initializeAdapterFactory(eventBus) {
     return;
   }
 
-  const factory = new AdapterFactory();
+  const factory = new AdapterFactory(eventBus);
   factory.initialize(eventBus);
 
   // Indiquer que le module est prêt
@@ -386,11 +343,13 @@ function initializeAdapterFactory(eventBus) {
     module: 'adapter-factory',
     version: '1.0.0'
   });
+
+  return factory;
 }
 
-// Export de la fonction d'initialisation uniquement
 module.exports = {
-  initializeAdapterFactory
+  initializeAdapterFactory,
+  AdapterFactory
 };
 
 /**
@@ -429,13 +388,13 @@ module.exports = {
  *    });
  *
  *    // Écouter la réponse
- *    eventBus.subscribe('ADAPTER_FACTORY_ADAPTER_CREATED', (data) => {
+ *    eventBus.subscribe('ADAPTER_FACTORY_ADAPTER_CREATED', async (data) => {
  *      if (data.requestId === 'request-456') {
- *        const adapter = data.adapter;
- *        // Utiliser l'adaptateur
- *        adapter.download('https://www.youtube.com/watch?v=dQw4w9WgXcQ', {
- *          format: 'mp3',
- *          outputPath: '/downloads'
+ *        const item = { id: 'dl-1', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', format: 'mp3' };
+ *        const { metadata } = await data.adapter.analyze(item);
+ *        const { filePath } = await data.adapter.download(item, {
+ *          tempDir: '/tmp/21byts/dl-1',
+ *          onProgress: (progress) => console.log(progress.percent)
  *        });
  *      }
  *    });
@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Registre des adaptateurs de plateforme de 21 BYTS
+ * @description Source unique de la détection de plateforme : chaque adaptateur (intégré ou
+ * plugin) y déclare ses motifs d'URL, ses capacités et sa couleur. La fabrique d'adaptateurs,
+ * le gestionnaire de téléchargement, les playlists et les métadonnées interrogent ce registre ;
+ * l'interface en reçoit un instantané via le bus d'événements.
+ *
+ * Un plugin est un fichier `.js` du dossier de plugins (`<paths.configDir>/plugins` ou
+ * `adapters.pluginsDir`) exportant une définition, ou une fonction qui la renvoie :
+ *
+ *   module.exports = ({ BaseAdapter }) => ({
+ *     platform: 'mixcloud',
+ *     name: 'Mixcloud',
+ *     matchers: [/mixcloud\.com\//i],
+ *     color: '#5000FF',
+ *     capabilities: { supportsPlaylists: true },
+ *     Adapter: class MixcloudAdapter extends BaseAdapter {} // optionnel : yt-dlp générique
+ *   });
+ *
+ * @module modules/download/adapters/adapter-registry
+ * @requires fs
+ * @requires path
+ *
+ * @events
+ * Écoutés:
+ * - CONFIG:LOADED - Charge les plugins du dossier configuré
+ * - ADAPTER:REGISTRY_REQUEST - Republie l'instantané du registre
+ *
+ * Émis:
+ * - ADAPTER:REGISTRY_UPDATED - Instantané sérialisable des plateformes enregistrées
+ * - CONFIG_SET - Enregistre la couleur d'un plugin sous `ui.colorCoding.<plateforme>`
+ * - ERROR:NON_CRITICAL - Plugin invalide ou impossible à charger
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseAdapter = require('./base-adapter');
+const ERROR_CODES = require('../../../constants/error-codes');
+
+// Identifiant de plateforme : utilisé dans les classes CSS et les clés de configuration
+const PLATFORM_ID_REGEX = /^[a-z][a-z0-9-]*$/;
+// Couleur au format hexadécimal (#RGB ou #RRGGBB)
+const COLOR_REGEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Nom du dossier de plugins sous paths.configDir
+const PLUGINS_DIRNAME = 'plugins';
+
+/**
+ * Adaptateurs fournis avec l'application, chargés à la demande
+ */
+const BUILTIN_ADAPTERS = [
+  {
+    platform: 'youtube',
+    name: 'YouTube',
+    matchers: [/(youtube\.com|youtu\.be)/i],
+    color: '#ee0000',
+    load: () => require('./youtube-adapter').YouTubeAdapter
+  },
+  {
+    platform: 'soundcloud',
+    name: 'SoundCloud',
+    matchers: [/soundcloud\.com/i],
+    color: '#FF7700',
+    load: () => require('./soundcloud-adapter').SoundCloudDownloadAdapter
+  },
+  {
+    platform: 'bandcamp',
+    name: 'Bandcamp',
+    matchers: [/bandcamp\.com/i],
+    color: '#1DA0C3',
+    load: () => require('./bandcamp-adapter').BandcampAdapter
+  },
+  {
+    platform: 'spotify',
+    name: 'Spotify',
+    matchers: [/spotify\.com/i, /^spotify:/i],
+    color: '#1DB954',
+    load: () => require('./spotify-adapter').SpotifyAdapter
+  },
+  {
+    platform: 'tidal',
+    name: 'Tidal',
+    matchers: [/tidal\.com/i],
+    color: '#000000',
+    load: () => require('./tidal-adapter').TidalAdapter
+  },
+  {
+    // Dernier : un lien de fichier sur un hôte connu reste servi par son adaptateur
+    platform: 'direct',
+    name: 'Lien direct',
+    matchers: [/^https?:\/\/[^?#]+\.(?:mp3|flac|wav|aiff?|m4a|aac|ogg|oga|opus)(?:[?#]|$)/i],
+    color: '#888888',
+    load: () => require('./direct-http-adapter').DirectHttpAdapter
+  }
+];
+
+/**
+ * Registre des plateformes et de leurs adaptateurs
+ */
+class AdapterRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.eventBus = null;
+    // Fichiers de plugins déjà traités : un rechargement de la configuration ne les reprend pas
+    this.pluginFiles = new Set();
+  }
+
+  /**
+   * Enregistre une plateforme
+   * @param {Object} definition - Définition de l'adaptateur
+   * @param {string} definition.platform - Identifiant (minuscules, chiffres, tirets)
+   * @param {string} [definition.name] - Nom affiché
+   * @param {Array<RegExp|string>} definition.matchers - Motifs d'URL reconnus
+   * @param {string} [definition.color] - Couleur de l'interface (#RRGGBB)
+   * @param {Object} [definition.capabilities] - Capacités déclarées (surchargent celles de la classe)
+   * @param {Function} [definition.Adapter] - Classe dérivée de BaseAdapter
+   * @param {Function} [definition.load] - Chargement différé de la classe
+   * @param {Object} [options]
+   * @param {boolean} [options.plugin=false] - Définition issue d'un plugin
+   * @returns {Object} Entrée enregistrée
+   * @throws {Error} Si la définition est invalide ou la plateforme déjà enregistrée
+   */
+  register(definition, { plugin = false } = {}) {
+    const entry = this._validate(definition);
+    if (this.entries.has(entry.platform)) {
+      throw new Error(`Plateforme déjà enregistrée: ${entry.platform}`);
+    }
+
+    entry.plugin = plugin;
+    this.entries.set(entry.platform, entry);
+    return entry;
+  }
+
+  /**
+   * Détecte la plateforme d'une URL ; les adaptateurs intégrés sont testés en premier
+   * @param {string} url - URL à analyser
+   * @returns {string|null} Identifiant de la plateforme ou null si aucune ne correspond
+   */
+  detectPlatform(url) {
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+
+    for (const entry of this.entries.values()) {
+      if (entry.matchers.some((matcher) => matcher.test(url))) {
+        return entry.platform;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Indique si une plateforme est enregistrée
+   * @param {string} platform - Identifiant de la plateforme
+   * @returns {boolean}
+   */
+  has(platform) {
+    return this.entries.has(platform);
+  }
+
+  /**
+   * @returns {string[]} Identifiants des plateformes enregistrées
+   */
+  getPlatforms() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Renvoie la classe d'adaptateur d'une plateforme (BaseAdapter si aucune n'est fournie)
+   * @param {string} platform - Identifiant de la plateforme
+   * @returns {Function} Classe d'adaptateur
+   */
+  getAdapterClass(platform) {
+    const entry = this.entries.get(platform);
+    if (!entry) {
+      throw new Error(`Platform '${platform}' is not supported`);
+    }
+    if (!entry.Adapter && entry.load) {
+      entry.Adapter = entry.load();
+    }
+    return entry.Adapter || BaseAdapter;
+  }
+
+  /**
+   * Renvoie les capacités déclarées lors de l'enregistrement
+   * @param {string} platform - Identifiant de la plateforme
+   * @returns {Object} Capacités (vide si aucune n'a été déclarée)
+   */
+  getCapabilities(platform) {
+    const entry = this.entries.get(platform);
+    return entry ? { ...entry.capabilities } : {};
+  }
+
+  /**
+   * @returns {Object} Couleurs par plateforme, au format de `ui.colorCoding`
+   */
+  getColorCoding() {
+    const colors = {};
+    this.entries.forEach((entry) => {
+      if (entry.color) colors[entry.platform] = entry.color;
+    });
+    return colors;
+  }
+
+  /**
+   * Instantané sérialisable du registre, transmis à l'interface via le bus
+   * @returns {Object[]} [{ platform, name, color, capabilities, plugin, matchers: [{ source, flags }] }]
+   */
+  describe() {
+    return Array.from(this.entries.values()).map((entry) => ({
+      platform: entry.platform,
+      name: entry.name,
+      color: entry.color,
+      capabilities: { ...entry.capabilities },
+      plugin: entry.plugin,
+      matchers: entry.matchers.map((matcher) => ({
+        source: matcher.source,
+        flags: matcher.flags
+      }))
+    }));
+  }
+
+  /**
+   * Charge les plugins d'un dossier. Un plugin invalide est ignoré sans bloquer les autres ;
+   * un fichier déjà traité (chargé ou refusé) n'est pas repris.
+   * @param {string} pluginsDir - Dossier contenant les fichiers `.js`
+   * @returns {Object} { loaded: string[], failed: [{ file, error }] }
+   */
+  loadPlugins(pluginsDir) {
+    const result = { loaded: [], failed: [] };
+    if (!pluginsDir || !fs.existsSync(pluginsDir)) {
+      return result;
+    }
+
+    const files = fs
+      .readdirSync(pluginsDir)
+      .filter((file) => file.endsWith('.js'))
+      .sort();
+
+    files.forEach((file) => {
+      const filePath = path.join(pluginsDir, file);
+      if (this.pluginFiles.has(filePath)) return;
+      this.pluginFiles.add(filePath);
+
+      try {
+        const exported = require(filePath);
+        const definition =
+          typeof exported === 'function'
+            ? exported({ BaseAdapter, parseYtDlpProgressLine: BaseAdapter.parseYtDlpProgressLine })
+            : exported;
+        const entry = this.register(definition, { plugin: true });
+        result.loaded.push(entry.platform);
+      } catch (error) {
+        result.failed.push({ file: filePath, error: error.message });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Vérifie et normalise une définition
+   * @param {Object} definition - Définition brute
+   * @returns {Object} Entrée normalisée
+   * @private
+   */
+  _validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error("Définition d'adaptateur manquante");
+    }
+
+    const { platform, matchers, color, Adapter } = definition;
+    if (!PLATFORM_ID_REGEX.test(platform || '')) {
+      throw new Error(`Identifiant de plateforme invalide: ${platform}`);
+    }
+    if (!Array.isArray(matchers) || matchers.length === 0) {
+      throw new Error(`Aucun motif d'URL pour la plateforme ${platform}`);
+    }
+    if (color && !COLOR_REGEX.test(color)) {
+      throw new Error(`Couleur invalide pour la plateforme ${platform}: ${color}`);
+    }
+    if (Adapter && !(Adapter.prototype instanceof BaseAdapter)) {
+      throw new Error(`L'adaptateur ${platform} doit étendre BaseAdapter`);
+    }
+
+    return {
+      platform,
+      name: definition.name || platform,
+      matchers: matchers.map((matcher) =>
+        matcher instanceof RegExp ? matcher : new RegExp(matcher, 'i')
+      ),
+      color: color || null,
+      capabilities: { ...definition.capabilities },
+      Adapter: Adapter || null,
+      load: definition.load || null
+    };
+  }
+}
+
+/**
+ * Crée un registre contenant les adaptateurs intégrés
+ * @returns {AdapterRegistry}
+ */
+function createAdapterRegistry() {
+  const registry = new AdapterRegistry();
+  BUILTIN_ADAPTERS.forEach((definition) => registry.register(definition));
+  return registry;
+}
+
+// Registre partagé par tous les modules du processus
+const adapterRegistry = createAdapterRegistry();
+
+/**
+ * Relie le registre au bus : chargement des plugins à la réception de la configuration
+ * et diffusion de l'instantané des plateformes
+ * @param {Object} eventBus - Bus d'événements
+ * @param {AdapterRegistry} [registry] - Registre à relier (registre partagé par défaut)
+ * @returns {AdapterRegistry} Le registre
+ */
+function initializeAdapterRegistry(eventBus, registry = adapterRegistry) {
+  if (!eventBus || registry.eventBus === eventBus) {
+    return registry;
+  }
+  registry.eventBus = eventBus;
+
+  const publishSnapshot = () =>
+    eventBus.publish('ADAPTER:REGISTRY_UPDATED', { platforms: registry.describe() });
+
+  eventBus.subscribe('ADAPTER:REGISTRY_REQUEST', publishSnapshot);
+  eventBus.subscribe('CONFIG:LOADED', (config = {}) => {
+    const pluginsDir =
+      (config.adapters && config.adapters.pluginsDir) ||
+      (config.paths && config.paths.configDir
+        ? path.join(config.paths.configDir, PLUGINS_DIRNAME)
+        : null);
+    const { loaded, failed } = registry.loadPlugins(pluginsDir);
+
+    failed.forEach(({ file, error }) => {
+      eventBus.publish('ERROR:NON_CRITICAL', {
+        module: 'adapter-registry',
+        error: ERROR_CODES.createError('ADAPTER_PLUGIN_INVALID', error, { file })
+      });
+    });
+
+    // Les couleurs des plugins rejoignent ui.colorCoding sans écraser un choix existant
+    const colorCoding = (config.ui && config.ui.colorCoding) || {};
+    loaded.forEach((platform) => {
+      const { color } = registry.entries.get(platform);
+      if (color && !colorCoding[platform]) {
+        eventBus.publish('CONFIG_SET', { key: `ui.colorCoding.${platform}`, value: color });
+      }
+    });
+
+    publishSnapshot();
+  });
+
+  publishSnapshot();
+  return registry;
+}
+
+module.exports = {
+  AdapterRegistry,
+  adapterRegistry,
+  createAdapterRegistry,
+  initializeAdapterRegistry
+};
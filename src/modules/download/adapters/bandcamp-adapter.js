@@ -5,10 +5,19 @@
  * Ce module fonctionne de manière totalement autonome et communique exclusivement
  * via le bus d'événements central.
  *
+ * Achats : avec les cookies de bandcamp.com importés dans le stockage sécurisé
+ * (AUTH:IMPORT_COOKIES), BandcampAdapter liste la collection du fan connecté (page
+ * `https://bandcamp.com/<fan>`) et télécharge les achats en pleine qualité (FLAC ou MP3 320)
+ * depuis leur page de téléchargement, au lieu de l'extrait public lu par yt-dlp. Un album
+ * acheté arrive en archive ZIP, extraite dans un dossier. L'adresse de bandcamp.com est
+ * configurable (`bandcampOptions.baseUrl`) pour les tests contre un serveur local.
+ *
  * @module modules/download/adapters/bandcamp-adapter
  * @requires electron
  * @requires child_process
  * @requires fs
+ * @requires http
+ * @requires https
  * @requires path
  *
  * @events
@@ -36,9 +45,14 @@
 // Imports des modules standards Node.js/Electron
 const { exec, spawn } = require('child_process');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const path = require('path');
 const { shell } = require('electron');
 const crypto = require('crypto');
+const BaseAdapter = require('./base-adapter');
+const { DirectHttpAdapter } = require('./direct-http-adapter');
+const { extractZip } = require('../../../utils/file-operations');
 
 // Configuration par défaut (sera mise à jour via les événements CONFIG_UPDATED)
 let config = {
@@ -50,14 +64,67 @@ let config = {
   concurrentDownloads: 2,
   bandcampOptions: {
     highQuality: true,
-    includeArtwork: true
+    includeArtwork: true,
+    baseUrl: 'https://bandcamp.com' // API de la collection et pages de téléchargement des achats
   }
 };
 
+// Collection du fan : taille des pages de l'API et durée pendant laquelle elle reste en cache
+const COLLECTION_PAGE_SIZE = 100;
+const COLLECTION_CACHE_MS = 10 * 60 * 1000;
+// Délai de réponse du stockage sécurisé aux demandes de cookies
+const COOKIE_REQUEST_TIMEOUT = 2000;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; 21BYTS)';
+// Encodage Bandcamp d'un achat selon le format demandé ; FLAC puis MP3 320 à défaut
+const PURCHASE_ENCODINGS = {
+  flac: 'flac',
+  mp3: 'mp3-320',
+  wav: 'wav',
+  aiff: 'aiff-lossless',
+  ogg: 'vorbis',
+  m4a: 'aac-hi'
+};
+const FALLBACK_ENCODINGS = ['flac', 'mp3-320'];
+// Pages de bandcamp.com dont le chemin n'est pas un nom de fan
+const RESERVED_PATHS = [
+  'about',
+  'api',
+  'artists',
+  'discover',
+  'download',
+  'fans',
+  'gift_cards',
+  'help',
+  'labels',
+  'login',
+  'search',
+  'settings',
+  'signup',
+  'tag',
+  'terms_of_use'
+];
+
 // Variables de suivi des téléchargements
 const activeDownloads = new Map();
 let eventBus = null;
 
+/**
+ * Associe les informations JSON de yt-dlp aux métadonnées d'un titre Bandcamp
+ * @param {Object} metadataObj - Informations renvoyées par `yt-dlp --dump-json`
+ * @returns {Object} Métadonnées
+ */
+function mapBandcampMetadata(metadataObj) {
+  return {
+    title: metadataObj.title || 'Titre inconnu',
+    artist: metadataObj.artist || metadataObj.uploader || 'Artiste inconnu',
+    album: metadataObj.album || '',
+    thumbnail: metadataObj.thumbnail || '',
+    duration: metadataObj.duration || 0
+  };
+}
+
 /**
  * Initialise l'adaptateur Bandcamp.
  * Cette fonction est appelée automatiquement lorsque le module est chargé.
@@ -224,13 +291,7 @@ function extractMetadata(downloadInfo) {
       if (code === 0 && outputData) {
         try {
           const metadataObj = JSON.parse(outputData);
-          downloadInfo.metadata = {
-            title: metadataObj.title || 'Titre inconnu',
-            artist: metadataObj.artist || metadataObj.uploader || 'Artiste inconnu',
-            album: metadataObj.album || '',
-            thumbnail: metadataObj.thumbnail || '',
-            duration: metadataObj.duration || 0
-          };
+          downloadInfo.metadata = mapBandcampMetadata(metadataObj);
 
           // Émettre un événement avec les métadonnées extraites
           eventBus.emit('METADATA_EXTRACTED', {
@@ -586,10 +647,570 @@ function cleanup() {
   activeDownloads.clear();
 }
 
-// Exposer uniquement la fonction d'initialisation
+/**
+ * Nom du fan d'une page de collection (`https://bandcamp.com/<fan>`)
+ * @param {string} url - URL à examiner
+ * @returns {string|null} Nom du fan, null pour toute autre page
+ */
+function getFanName(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const segments = pathname.split('/').filter(Boolean);
+    if (!/^(www\.)?bandcamp\.com$/i.test(hostname) || segments.length !== 1) return null;
+    return RESERVED_PATHS.includes(segments[0].toLowerCase()) ? null : segments[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Clé d'une page d'album ou de titre, sans paramètres ni barre finale
+ * @param {string} url - URL de la page
+ * @returns {string|null}
+ */
+function getItemKey(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return `${hostname.toLowerCase()}${pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Décode les entités HTML présentes dans les pages de bandcamp.com
+ * @param {string} text - Texte extrait d'une page
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Lit les données de la page de téléchargement d'un achat (`<div id="pagedata" data-blob="…">`)
+ * @param {string} html - Page HTML
+ * @returns {Object|null} Données ({ digital_items: [{ downloads: { <encodage>: { url } } }] })
+ */
+function parsePageData(html) {
+  const match = /id="pagedata"[^>]*\sdata-blob="([^"]*)"/.exec(html || '');
+  if (!match) return null;
+
+  try {
+    return JSON.parse(decodeEntities(match[1]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lit les titres d'une page de recherche (`/search?item_type=t`) : chaque résultat porte son
+ * titre (`.heading`), son adresse (`.itemurl`) et son artiste (« by … » dans `.subhead`)
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} [{ url, title, artist }]
+ */
+function parseSearchResults(html) {
+  const text = (pattern, chunk) => {
+    const match = pattern.exec(chunk);
+    return match ? decodeEntities(match[1].replace(/<[^>]*>/g, '')).trim() : '';
+  };
+
+  return String(html || '')
+    .split(/<li class="searchresult/)
+    .slice(1)
+    .map((chunk) => {
+      const subhead = text(/class="subhead">([\s\S]*?)<\/div>/, chunk);
+      const artist = /(?:^|\s)by\s+(.+)$/.exec(subhead);
+      return {
+        url: text(/class="itemurl">([\s\S]*?)<\/div>/, chunk),
+        title: text(/class="heading">([\s\S]*?)<\/div>/, chunk),
+        artist: artist ? artist[1].trim() : ''
+      };
+    })
+    .filter((result) => result.url && result.title);
+}
+
+/**
+ * Choisit l'encodage à télécharger parmi ceux proposés pour un achat
+ * @param {Object} downloads - Encodages disponibles ({ flac: { url }, 'mp3-320': { url }, … })
+ * @param {string} format - Format demandé
+ * @returns {string|null} Encodage retenu
+ */
+function selectEncoding(downloads, format) {
+  return (
+    [PURCHASE_ENCODINGS[format], ...FALLBACK_ENCODINGS].find(
+      (encoding) => encoding && downloads[encoding] && downloads[encoding].url
+    ) || null
+  );
+}
+
+/**
+ * En-tête Cookie à partir des cookies importés (les cookies expirés sont écartés)
+ * @param {Array<Object>} cookies - Cookies du stockage sécurisé ({ name, value, expiresAt })
+ * @returns {string}
+ */
+function formatCookieHeader(cookies) {
+  const now = Date.now();
+  return (cookies || [])
+    .filter((cookie) => !cookie.expiresAt || cookie.expiresAt > now)
+    .map((cookie) => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+/**
+ * Requête vers bandcamp.com (API de la collection, page de téléchargement). Les cookies ne
+ * sont envoyés qu'à l'origine indiquée, y compris après une redirection.
+ * @param {string} url - Adresse à interroger
+ * @param {Object} options - { method, body, cookieHeader, origin, timeoutMs }
+ * @param {number} [redirectCount=0] - Redirections déjà suivies
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+function requestPage(url, options, redirectCount = 0) {
+  const { method = 'GET', body = null, cookieHeader, origin, timeoutMs } = options;
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const headers = { 'User-Agent': USER_AGENT };
+    if (cookieHeader && target.origin === origin) {
+      headers.Cookie = cookieHeader;
+    }
+    if (body !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    const request = client.request(target, { method, headers }, (response) => {
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirectCount >= MAX_REDIRECTS) {
+          reject(
+            Object.assign(new Error(`Plus de ${MAX_REDIRECTS} redirections`), {
+              code: 'TOO_MANY_REDIRECTS'
+            })
+          );
+          return;
+        }
+        const next = new URL(response.headers.location, target).toString();
+        resolve(requestPage(next, { ...options, method: 'GET', body: null }, redirectCount + 1));
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () =>
+        resolve({ statusCode: response.statusCode, body: Buffer.concat(chunks).toString('utf8') })
+      );
+      response.on('error', reject);
+    });
+
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(
+        Object.assign(new Error('Délai de connexion dépassé'), { code: 'ETIMEDOUT' })
+      );
+    });
+    request.on('error', reject);
+    request.end(body === null ? undefined : body);
+  });
+}
+
+/**
+ * Transfert des fichiers achetés, servis par des liens signés : un titre arrive tel quel,
+ * un album sous forme d'archive ZIP
+ */
+class PurchaseTransfer extends DirectHttpAdapter {
+  _assertAudioContentType(response, fileName) {
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType === 'application/zip' || /\.zip$/i.test(fileName)) {
+      return contentType;
+    }
+    return super._assertAudioContentType(response, fileName);
+  }
+}
+
+/**
+ * Adaptateur Bandcamp pour le contrat BaseAdapter (utilisé par le gestionnaire de
+ * téléchargement via la fabrique d'adaptateurs)
+ */
+class BandcampAdapter extends BaseAdapter {
+  constructor(params = {}) {
+    super({ ...params, platform: 'bandcamp' });
+    this.config = { ...this.config, bandcampOptions: { ...config.bandcampOptions } };
+
+    // Achats de la collection, indexés par page d'album ou de titre
+    this.purchases = new Map();
+    this.collectionLoadedAt = 0;
+    // Cookies du stockage sécurisé : undefined tant qu'ils n'ont pas été demandés
+    this.cookies = undefined;
+    this.cookieRequests = new Map();
+    this.listeningForCookies = false;
+    this.transfer = new PurchaseTransfer();
+  }
+
+  /**
+   * Liste la collection du fan connecté, les achats les plus récents en premier
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Nombre maximal d'achats à lire
+   * @param {string} [options.fan] - Fan attendu : refuse la collection d'un autre compte
+   * @returns {Promise<Object>} { fan, purchases: [{ id, url, title, artist, type,
+   *   redownloadUrl }] }
+   */
+  async listCollection({ limit, fan } = {}) {
+    const cookies = await this._getCookies();
+    if (!cookies) {
+      throw this._createError(
+        'AUTH_REQUIRED',
+        'Importez les cookies de bandcamp.com pour accéder à la collection'
+      );
+    }
+
+    const summary = await this._fetchJson('/api/fan/2/collection_summary', { cookies });
+    const details = summary.collection_summary || {};
+    const fanId = summary.fan_id || details.fan_id;
+    if (!fanId) {
+      throw this._createError(
+        'SESSION_EXPIRED',
+        'Session Bandcamp expirée : importez de nouveaux cookies'
+      );
+    }
+    if (fan && details.username && details.username.toLowerCase() !== fan.toLowerCase()) {
+      throw this._createError(
+        'ACCESS_FORBIDDEN',
+        `La collection de ${fan} n'est pas celle du compte connecté (${details.username})`
+      );
+    }
+
+    const purchases = [];
+    let olderThan = `${Math.floor(Date.now() / 1000)}::a::`;
+    let more = true;
+    while (more && !(limit > 0 && purchases.length >= limit)) {
+      const page = await this._fetchJson('/api/fancollection/1/collection_items', {
+        method: 'POST',
+        body: { fan_id: fanId, older_than_token: olderThan, count: COLLECTION_PAGE_SIZE },
+        cookies
+      });
+      const items = page.items || [];
+      const redownloadUrls = page.redownload_urls || {};
+
+      items.forEach((entry) => {
+        // Seuls les achats numériques ont une page de téléchargement
+        const redownloadUrl = redownloadUrls[`${entry.sale_item_type}${entry.sale_item_id}`];
+        if (!redownloadUrl || !entry.item_url) return;
+
+        const purchase = {
+          id: String(entry.tralbum_id),
+          url: entry.item_url,
+          title: entry.item_title || '',
+          artist: entry.band_name || '',
+          type: entry.tralbum_type === 't' ? 'track' : 'album',
+          redownloadUrl
+        };
+        this.purchases.set(getItemKey(purchase.url), purchase);
+        purchases.push(purchase);
+      });
+
+      more = Boolean(page.more_available && page.last_token) && items.length > 0;
+      olderThan = page.last_token;
+    }
+
+    if (!more) {
+      this.collectionLoadedAt = Date.now();
+    }
+    return {
+      fan: details.username || fan || null,
+      purchases: limit > 0 ? purchases.slice(0, limit) : purchases
+    };
+  }
+
+  /**
+   * Une page de fan liste les achats de sa collection ; les autres pages (artiste, label,
+   * album) passent par yt-dlp
+   * @param {Object} item - Élément ({ id, url })
+   * @param {Object} [options] - { newest }
+   * @returns {Promise<Object>} { title, entries: [{ id, url, title, archived }] }
+   */
+  async listEntries(item, options = {}) {
+    const fan = getFanName(item.url);
+    if (!fan) {
+      return super.listEntries(item, options);
+    }
+
+    const collection = await this.listCollection({ limit: options.newest, fan });
+    return {
+      title: `Collection Bandcamp de ${collection.fan}`,
+      entries: collection.purchases.map((purchase) => ({
+        id: purchase.id,
+        url: purchase.url,
+        title: purchase.artist ? `${purchase.artist} - ${purchase.title}` : purchase.title,
+        archived: Boolean(this.findInArchive(purchase.url))
+      }))
+    };
+  }
+
+  /**
+   * Recherche parmi les titres de bandcamp.com ; la page de recherche n'indique pas la durée
+   * @param {string} query - Texte recherché
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array<Object>>} Voir BaseAdapter#search
+   */
+  async search(query, { limit = 5 } = {}) {
+    const url = new URL('search', this.config.bandcampOptions.baseUrl);
+    url.searchParams.set('q', query);
+    url.searchParams.set('item_type', 't');
+
+    const results = parseSearchResults(await this._fetchPage(url.toString()));
+    return results.slice(0, limit).map((result) => ({
+      platform: this.platform,
+      url: result.url,
+      title: result.title,
+      artist: result.artist,
+      // La page d'un titre appartient au compte de l'artiste ou de son label
+      channel: result.artist,
+      duration: null,
+      verified: false
+    }));
+  }
+
+  /**
+   * Télécharge un achat de la collection en pleine qualité, sinon l'extrait public via yt-dlp
+   * @param {Object} item - Élément de la file ({ id, url, format })
+   * @param {Object} [options] - { tempDir, onProgress, rateLimit }
+   * @returns {Promise<Object>} { filePath } : fichier audio, ou dossier pour un album
+   */
+  async download(item, options = {}) {
+    const purchase = await this._findPurchase(item);
+    return purchase
+      ? this._downloadPurchase(item, purchase, options)
+      : super.download(item, options);
+  }
+
+  /**
+   * @param {string} downloadId - Identifiant de l'élément
+   * @returns {boolean} true si un transfert ou un processus a été arrêté
+   */
+  cancel(downloadId) {
+    return this.transfer.cancel(downloadId) || super.cancel(downloadId);
+  }
+
+  /**
+   * Retrouve l'achat correspondant à un élément. La collection est relue si l'élément n'y
+   * figure pas et qu'elle n'a pas été lue récemment ; sans cookies valides, null.
+   * @param {Object} item - Élément de la file
+   * @returns {Promise<Object|null>} Achat ou null
+   * @private
+   */
+  async _findPurchase(item) {
+    const key = getItemKey(item.url);
+    if (!key || getFanName(item.url)) return null;
+
+    if (!this.purchases.has(key) && Date.now() - this.collectionLoadedAt > COLLECTION_CACHE_MS) {
+      try {
+        await this.listCollection();
+      } catch (error) {
+        if (error.code !== 'AUTH_REQUIRED') {
+          this.eventBus.publish('LOG:WARNING', {
+            module: 'bandcamp-adapter',
+            message: "Collection Bandcamp inaccessible, téléchargement de l'extrait public",
+            error: error.message
+          });
+        }
+        return null;
+      }
+    }
+    return this.purchases.get(key) || null;
+  }
+
+  /**
+   * Télécharge un achat depuis sa page de téléchargement. Le fichier est servi par un lien
+   * signé : les cookies de la session ne quittent pas bandcamp.com.
+   * @param {Object} item - Élément de la file
+   * @param {Object} purchase - Achat (voir listCollection)
+   * @param {Object} options - { tempDir, onProgress, rateLimit }
+   * @returns {Promise<Object>} { filePath }
+   * @private
+   */
+  async _downloadPurchase(item, purchase, { tempDir, onProgress, rateLimit } = {}) {
+    if (onProgress) onProgress({ phase: 'extracting', percent: 0 });
+
+    const cookies = await this._getCookies();
+    const pageData = parsePageData(await this._fetchPage(purchase.redownloadUrl, { cookies }));
+    const digitalItem = pageData && (pageData.digital_items || [])[0];
+    if (!digitalItem || !digitalItem.downloads) {
+      throw this._createError(
+        'RESOURCE_UNAVAILABLE',
+        `Page de téléchargement illisible pour ${purchase.url}`
+      );
+    }
+
+    const encoding = selectEncoding(digitalItem.downloads, item.format);
+    if (!encoding) {
+      throw this._createError(
+        'QUALITY_NOT_AVAILABLE',
+        `Aucun fichier FLAC ou MP3 320 proposé pour ${purchase.url}`
+      );
+    }
+
+    const workDir = tempDir || this._getDownloadTempDir(item);
+    const { filePath } = await this.transfer.download(
+      { id: item.id, url: digitalItem.downloads[encoding].url },
+      { tempDir: workDir, onProgress, rateLimit }
+    );
+    if (path.extname(filePath).toLowerCase() !== '.zip') {
+      return { filePath };
+    }
+
+    if (onProgress) onProgress({ phase: 'post-processing', percent: 100 });
+    const albumName = [purchase.artist, purchase.title].filter(Boolean).join(' - ');
+    const albumDir = path.join(
+      workDir,
+      albumName.replace(/[<>:"/\\|?*]/g, '_').trim() || path.parse(filePath).name
+    );
+    try {
+      await extractZip(filePath, albumDir);
+    } catch (error) {
+      throw this._createError('CORRUPTED_FILE', `Archive de l'album illisible: ${error.message}`);
+    }
+    fs.rmSync(filePath, { force: true });
+    return { filePath: albumDir };
+  }
+
+  /**
+   * Demande les cookies de bandcamp.com au stockage sécurisé (AUTH:RETRIEVE_TOKEN). La réponse
+   * est conservée jusqu'au prochain import de cookies.
+   * @returns {Promise<Array<Object>|null>} Cookies, null s'il n'y en a pas
+   * @private
+   */
+  _getCookies() {
+    if (this.cookies !== undefined || !this.eventBus) {
+      return Promise.resolve(this.cookies || null);
+    }
+
+    if (!this.listeningForCookies) {
+      this.listeningForCookies = true;
+      this.eventBus.subscribe('AUTH:TOKEN_RETRIEVED', (data) => {
+        const settle = data && this.cookieRequests.get(data.requestId);
+        if (settle) {
+          settle(data.success && data.token && data.token.cookies ? data.token.cookies : null);
+        }
+      });
+      // Nouveaux cookies : session et collection sont relues
+      this.eventBus.subscribe('AUTH:TOKEN_STORED', (data) => {
+        if (data && data.success && data.serviceId === 'bandcamp') {
+          this.cookies = undefined;
+          this.purchases.clear();
+          this.collectionLoadedAt = 0;
+        }
+      });
+    }
+
+    return new Promise((resolve) => {
+      const requestId = `bandcamp-cookies-${crypto.randomUUID()}`;
+      const settle = (cookies, remember = true) => {
+        clearTimeout(timer);
+        this.cookieRequests.delete(requestId);
+        if (remember) this.cookies = cookies;
+        resolve(cookies);
+      };
+      // Stockage sécurisé muet : pas de cookies pour cette fois, la prochaine demande le réinterroge
+      const timer = setTimeout(() => settle(null, false), COOKIE_REQUEST_TIMEOUT);
+      this.cookieRequests.set(requestId, settle);
+      this.eventBus.publish('AUTH:RETRIEVE_TOKEN', { requestId, serviceId: 'bandcamp' });
+    });
+  }
+
+  /**
+   * Interroge bandcamp.com avec les cookies de la session
+   * @param {string} url - Adresse à interroger
+   * @param {Object} [options] - { method, body (objet JSON), cookies }
+   * @returns {Promise<string>} Corps de la réponse
+   * @private
+   */
+  async _fetchPage(url, { method = 'GET', body, cookies } = {}) {
+    let response;
+    try {
+      response = await requestPage(url, {
+        method,
+        body: body ? JSON.stringify(body) : null,
+        cookieHeader: formatCookieHeader(cookies),
+        origin: new URL(this.config.bandcampOptions.baseUrl).origin,
+        timeoutMs: this.config.timeoutSeconds * 1000
+      });
+    } catch (error) {
+      const code =
+        { ETIMEDOUT: 'CONNECTION_TIMEOUT', TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS' }[error.code] ||
+        'CONNECTION_FAILED';
+      throw this._createError(code, error.message);
+    }
+
+    if (response.statusCode === 401 || response.statusCode === 403) {
+      throw this._createError(
+        'SESSION_EXPIRED',
+        'Session Bandcamp refusée : importez de nouveaux cookies'
+      );
+    }
+    if (response.statusCode >= 400) {
+      throw this._createError('DOWNLOAD_FAILED', `Bandcamp a répondu HTTP ${response.statusCode}`);
+    }
+    return response.body;
+  }
+
+  /**
+   * @param {string} apiPath - Chemin de l'API, relatif à bandcampOptions.baseUrl
+   * @param {Object} [options] - Voir _fetchPage
+   * @returns {Promise<Object>} Réponse JSON
+   * @private
+   */
+  async _fetchJson(apiPath, options) {
+    const body = await this._fetchPage(
+      new URL(apiPath, this.config.bandcampOptions.baseUrl).toString(),
+      options
+    );
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw this._createError('DOWNLOAD_FAILED', "Réponse de l'API Bandcamp illisible");
+    }
+  }
+
+  /**
+   * @param {Object} info - Informations renvoyées par yt-dlp
+   * @returns {Object} Métadonnées Bandcamp
+   * @protected
+   */
+  _mapMetadata(info) {
+    return mapBandcampMetadata(info);
+  }
+
+  /**
+   * Mêmes options que performDownload : meilleure qualité, pochette et métadonnées
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments yt-dlp
+   * @protected
+   */
+  _getPlatformArgs(item) {
+    const args = [
+      '--no-playlist',
+      '--audio-quality=0',
+      ...this._getThumbnailArgs(item.format),
+      '--add-metadata'
+    ];
+    if (this.config.bandcampOptions.highQuality) {
+      args.push('--prefer-free-formats');
+    }
+    return args;
+  }
+}
+
+// Exposer la fonction d'initialisation (et la classe, pour la fabrique d'adaptateurs)
 module.exports = {
   initialize,
-  cleanup
+  cleanup,
+  BandcampAdapter,
+  parseSearchResults
 };
 
 /**
@@ -11,6 +11,8 @@
  * - ADAPTER_INIT:{PLATFORM} - Initialise l'adaptateur pour une plateforme spécifique
  * - DOWNLOAD_REQUEST:{PLATFORM} - Démarre un téléchargement pour une URL donnée
  * - DOWNLOAD_CANCEL:{PLATFORM} - Annule un téléchargement en cours
+ * - DOWNLOAD_PAUSE:{PLATFORM} - Met en pause un téléchargement (fichier partiel conservé)
+ * - DOWNLOAD_RESUME:{PLATFORM} - Reprend un téléchargement en pause
  * - CONFIG_UPDATED - Réagit aux changements de configuration
  * - APP_SHUTDOWN - Nettoie les ressources avant la fermeture de l'application
  *
@@ -21,9 +23,23 @@
  * - DOWNLOAD_COMPLETED - Signale qu'un téléchargement est terminé
  * - DOWNLOAD_FAILED - Indique qu'un téléchargement a échoué
  * - DOWNLOAD_CANCELLED - Confirme l'annulation d'un téléchargement
+ * - DOWNLOAD_PAUSED - Confirme la mise en pause d'un téléchargement
+ * - DOWNLOAD_RESUMED - Confirme la reprise d'un téléchargement
  * - METADATA_EXTRACTED - Publie les métadonnées extraites d'un fichier
  * - ERROR - Signale une erreur survenue pendant le traitement
  *
+ * CONTRAT DIRECT (utilisé par le gestionnaire de téléchargement):
+ * - analyze(item) - Résout { metadata } pour l'URL de l'élément
+ * - download(item, { tempDir, onProgress }) - Télécharge dans tempDir et résout { filePath }
+ * - search(query, { limit }) - Cherche des titres sur la plateforme (rapprochement de sources)
+ * - cancel(downloadId) - Arrête le processus en cours (les fichiers partiels sont conservés)
+ * - getCapabilities() - Décrit ce que l'adaptateur sait faire (pause, formats, auth…)
+ *
+ * L'implémentation par défaut de ce contrat repose sur yt-dlp : utilisée telle quelle,
+ * la classe sert d'adaptateur générique pour les hôtes sans adaptateur dédié. Les
+ * adaptateurs de plateforme surchargent les points d'extension (_getAnalyzeArgs,
+ * _parseAnalysis, _mapMetadata, _getPlatformArgs, _getSearchUrl) ou le contrat lui-même.
+ *
  * @module adapters/base-adapter
  */
 
@@ -34,14 +50,99 @@ const fs = require('fs');
 const crypto = require('crypto');
 const os = require('os');
 
+// Quantité de sortie d'erreur conservée pour diagnostiquer un échec (fin du flux)
+const MAX_ERROR_OUTPUT = 4096;
+// Formats dans lesquels yt-dlp sait intégrer une pochette
+const THUMBNAIL_FORMATS = ['mp3', 'flac', 'm4a', 'opus', 'ogg', 'alac'];
+// Formats de l'application nommés autrement par yt-dlp (--audio-format)
+const YTDLP_AUDIO_FORMATS = { ogg: 'vorbis' };
+// Extension du fichier produit lorsqu'elle diffère du format (ALAC est encapsulé en MP4)
+const OUTPUT_EXTENSIONS = { alac: 'm4a' };
+
+// Ligne de progression yt-dlp (--newline), ex. :
+// [download]  45.2% of ~  3.45MiB at  512.34KiB/s ETA 00:04 (frag 3/10)
+const YTDLP_PROGRESS_REGEX =
+  /^\[download\]\s+([\d.]+)%\s+of\s+~?\s*([\d.]+\s*[KMGT]?i?B)(?:\s+at\s+(\S+(?:\s*[KMGT]?i?B\/s)?))?(?:\s+ETA\s+(\S+))?/;
+// Préfixes annonçant le post-traitement (conversion, métadonnées, miniature)
+const POST_PROCESSING_PREFIXES = [
+  '[ExtractAudio]',
+  '[ffmpeg]',
+  '[Metadata]',
+  '[EmbedThumbnail]',
+  '[FixupM4a]',
+  '[FixupM3u8]',
+  '[MoveFiles]'
+];
+
+const SIZE_UNITS = { B: 1, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12 };
+
+/**
+ * Convertit une taille yt-dlp ("3.45MiB", "512.34KiB") en octets
+ * @param {string} value - Taille textuelle
+ * @returns {number|null} Taille en octets ou null si inconnue
+ */
+function parseSize(value) {
+  const match = /^([\d.]+)\s*([KMGT]?)(i?)B/.exec(value || '');
+  if (!match) return null;
+  const [, amount, prefix, binary] = match;
+  const factor = binary ? Math.pow(1024, ' KMGT'.indexOf(prefix || ' ')) : SIZE_UNITS[`${prefix}B`];
+  return Math.round(parseFloat(amount) * factor);
+}
+
 /**
- * Classe de base abstraite pour tous les adaptateurs de téléchargement
+ * Convertit une durée "HH:MM:SS" ou "MM:SS" en secondes
+ * @param {string} value - Durée textuelle
+ * @returns {number|null} Durée en secondes ou null si inconnue
+ */
+function parseDuration(value) {
+  if (!value || !/^[\d:]+$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Analyse une ligne de sortie yt-dlp et en extrait la progression
+ * @param {string} line - Ligne de sortie standard
+ * @returns {Object|null} { phase, percent, downloadedBytes, totalBytes, speed, eta } ou null
+ */
+function parseYtDlpProgressLine(line) {
+  const text = (line || '').trim();
+  if (!text) return null;
+
+  const match = YTDLP_PROGRESS_REGEX.exec(text);
+  if (match) {
+    const percent = Math.min(100, parseFloat(match[1]));
+    const totalBytes = parseSize(match[2]);
+    return {
+      phase: 'downloading',
+      percent,
+      downloadedBytes: totalBytes !== null ? Math.round((totalBytes * percent) / 100) : null,
+      totalBytes,
+      speed: parseSize(match[3]),
+      eta: parseDuration(match[4])
+    };
+  }
+
+  if (POST_PROCESSING_PREFIXES.some((prefix) => text.startsWith(prefix))) {
+    return { phase: 'post-processing', percent: 100 };
+  }
+
+  // Toute autre étiquette hors [download] correspond à l'extraction des informations
+  if (/^\[(?!download\])[\w:]+\]/.test(text)) {
+    return { phase: 'extracting', percent: 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Classe de base pour tous les adaptateurs de téléchargement
  */
 class BaseAdapter {
   /**
    * @constructor
    * @param {Object} params - Paramètres d'initialisation
    * @param {string} params.platform - Nom de la plateforme (youtube, soundcloud, etc.)
+   * @param {Object} [params.capabilities] - Capacités déclarées dans le registre d'adaptateurs
    */
   constructor(params = {}) {
     // Identifiant unique de l'adaptateur
@@ -50,9 +151,16 @@ class BaseAdapter {
     // Nom de la plateforme que cet adaptateur gère
     this.platform = params.platform || 'unknown';
 
+    // Capacités déclarées lors de l'enregistrement, prioritaires sur celles de la classe
+    this.declaredCapabilities = params.capabilities || {};
+
     // Files d'attente de téléchargements actifs et en attente
     this.activeDownloads = new Map();
     this.queuedDownloads = [];
+    this.pausedDownloads = new Map();
+
+    // Processus lancés via le contrat direct, indexés par identifiant d'élément
+    this.processes = new Map();
 
     // État d'initialisation
     this.initialized = false;
@@ -69,11 +177,16 @@ class BaseAdapter {
       },
       timeoutSeconds: 300,
       retryAttempts: 3,
-      tempDir: path.join(os.tmpdir(), '21byts', this.platform)
+      tempDir: path.join(os.tmpdir(), '21byts', this.platform),
+      ytDlpPath: '',
+      ffmpegPath: ''
     };
 
     // Référence au bus d'événements (sera définie lors de l'initialisation)
     this.eventBus = null;
+
+    // Archive des téléchargements partagée, fournie par le gestionnaire via configure()
+    this.archive = null;
   }
 
   /**
@@ -122,6 +235,8 @@ class BaseAdapter {
       [`ADAPTER_INIT:${this.platform}`]: this._handleInit.bind(this),
       [`DOWNLOAD_REQUEST:${this.platform}`]: this._handleDownloadRequest.bind(this),
       [`DOWNLOAD_CANCEL:${this.platform}`]: this._handleCancelRequest.bind(this),
+      [`DOWNLOAD_PAUSE:${this.platform}`]: this._handlePauseRequest.bind(this),
+      [`DOWNLOAD_RESUME:${this.platform}`]: this._handleResumeRequest.bind(this),
       CONFIG_UPDATED: this._handleConfigUpdate.bind(this),
       APP_SHUTDOWN: this._handleShutdown.bind(this)
     };
@@ -246,7 +361,12 @@ class BaseAdapter {
       }
 
       this.activeDownloads.delete(downloadId);
+      this._removeTempDir(download);
 
+      this._emitEvent('DOWNLOAD_CANCELLED', { downloadId });
+    } else if (this.pausedDownloads.has(downloadId)) {
+      this._removeTempDir(this.pausedDownloads.get(downloadId));
+      this.pausedDownloads.delete(downloadId);
       this._emitEvent('DOWNLOAD_CANCELLED', { downloadId });
     } else {
       // Vérifier si le téléchargement est en file d'attente
@@ -260,6 +380,491 @@ class BaseAdapter {
     }
   }
 
+  /**
+   * Traite une demande de mise en pause.
+   * Le processus est arrêté mais le dossier temporaire (et le fichier partiel) est conservé
+   * pour que la reprise reparte de là où le téléchargement s'était arrêté.
+   * @param {Object} data - Données de la demande
+   * @private
+   */
+  _handlePauseRequest(data) {
+    if (!data || !data.downloadId) {
+      this._emitError('INVALID_REQUEST', 'Missing downloadId in pause request');
+      return;
+    }
+
+    const { downloadId } = data;
+    const download = this.activeDownloads.get(downloadId);
+
+    if (!download || !this._getCapabilities().supportsPause) {
+      this._emitError('PAUSE_NOT_AVAILABLE', `Download with ID ${downloadId} cannot be paused`);
+      return;
+    }
+
+    download.status = 'paused';
+    if (download.process && typeof download.process.kill === 'function') {
+      download.process.kill();
+    }
+    download.process = null;
+
+    this.activeDownloads.delete(downloadId);
+    this.pausedDownloads.set(downloadId, download);
+
+    this._emitEvent('DOWNLOAD_PAUSED', { downloadId, progress: download.progress });
+
+    // Libérer le créneau pour le téléchargement suivant
+    this._processQueue();
+  }
+
+  /**
+   * Traite une demande de reprise d'un téléchargement en pause
+   * @param {Object} data - Données de la demande
+   * @private
+   */
+  _handleResumeRequest(data) {
+    if (!data || !data.downloadId) {
+      this._emitError('INVALID_REQUEST', 'Missing downloadId in resume request');
+      return;
+    }
+
+    const { downloadId } = data;
+    const download = this.pausedDownloads.get(downloadId);
+
+    if (!download) {
+      this._emitError('DOWNLOAD_NOT_FOUND', `Paused download with ID ${downloadId} not found`);
+      return;
+    }
+
+    this.pausedDownloads.delete(downloadId);
+    download.status = 'queued';
+    download.resumed = true;
+
+    // Prioritaire sur les téléchargements jamais démarrés
+    this.queuedDownloads.unshift(download);
+
+    this._emitEvent('DOWNLOAD_RESUMED', { downloadId });
+    this._processQueue();
+  }
+
+  /**
+   * Configure l'adaptateur pour une utilisation via le contrat direct,
+   * sans s'abonner aux événements de la plateforme
+   * @param {Object} [config={}] - Configuration (chemins des binaires, qualité…) ; `archive`
+   *   désigne l'archive des téléchargements à consulter
+   * @param {Object} [eventBus] - Bus d'événements pour les notifications annexes
+   * @returns {BaseAdapter} L'adaptateur lui-même
+   */
+  configure(config = {}, eventBus = null) {
+    const { archive, ...options } = config;
+    this.config = { ...this.config, ...options };
+    if (archive) {
+      this.archive = archive;
+    }
+    if (eventBus) {
+      this.eventBus = eventBus;
+    }
+    return this;
+  }
+
+  /**
+   * Recherche un élément dans l'archive des téléchargements
+   * @param {string} url - URL de l'élément
+   * @returns {Object|null} Entrée de l'archive ({ platform, sourceId, filePath, … }) ou null
+   */
+  findInArchive(url) {
+    return this.archive && url ? this.archive.lookup(url) : null;
+  }
+
+  /**
+   * Renvoie les capacités de l'adaptateur
+   * @returns {Object} Capacités de l'adaptateur
+   */
+  getCapabilities() {
+    return { ...this._getCapabilities(), ...this.declaredCapabilities };
+  }
+
+  /**
+   * Analyse l'URL d'un élément et en extrait les métadonnées
+   * @param {Object} item - Élément de la file ({ id, url, format })
+   * @returns {Promise<Object>} { metadata }
+   */
+  async analyze(item) {
+    this._assertBinary(this.config.ytDlpPath, 'yt-dlp');
+
+    const { stdout } = await this._runProcess(
+      item.id,
+      this.config.ytDlpPath,
+      this._getAnalyzeArgs(item)
+    );
+
+    try {
+      return { metadata: this._parseAnalysis(stdout, item) };
+    } catch (error) {
+      throw this._createError('YTDLP_ERROR', `Réponse de yt-dlp illisible: ${error.message}`);
+    }
+  }
+
+  /**
+   * Télécharge l'audio d'un élément dans un dossier de travail.
+   * Le nom de fichier est stable afin que `--continue` reprenne un fichier partiel.
+   * @param {Object} item - Élément de la file ({ id, url, format })
+   * @param {Object} [options]
+   * @param {string} [options.tempDir] - Dossier de travail (par défaut propre à l'adaptateur)
+   * @param {Function} [options.onProgress] - Reçoit { phase, percent, speed, eta, … }
+   * @param {number} [options.rateLimit] - Débit maximal en octets/s (0 ou absent = illimité)
+   * @returns {Promise<Object>} { filePath } du fichier produit dans le dossier de travail
+   */
+  async download(item, { tempDir, onProgress, rateLimit } = {}) {
+    this._assertBinary(this.config.ytDlpPath, 'yt-dlp');
+
+    const workDir = tempDir || this._getDownloadTempDir(item);
+    const args = [
+      '-f',
+      'bestaudio',
+      '--extract-audio',
+      ...this._getAudioFormatArgs(item.format),
+      ...this._getResumableYtDlpArgs(item, workDir),
+      ...(rateLimit > 0 ? ['--limit-rate', String(rateLimit)] : []),
+      ...this._getPlatformArgs(item),
+      item.url
+    ];
+
+    await this._runProcess(item.id, this.config.ytDlpPath, args, {
+      onLine: (line) => {
+        const progress = parseYtDlpProgressLine(line);
+        if (progress && onProgress) onProgress(progress);
+      }
+    });
+
+    return { filePath: this._findOutputFile(item, workDir) };
+  }
+
+  /**
+   * Liste les éléments d'une page de chaîne, d'artiste, de label ou de playlist sans les
+   * télécharger (`yt-dlp --flat-playlist`). Une URL de titre seul renvoie un élément.
+   * @param {Object} item - Élément ({ id, url })
+   * @param {Object} [options]
+   * @param {number} [options.newest] - Ne lire que les N premiers éléments, les plus récents
+   *   sur les pages d'artiste et de label
+   * @returns {Promise<Object>} { title, entries: [{ id, url, title, archived }] }, `archived`
+   *   signalant les éléments déjà présents dans l'archive des téléchargements
+   */
+  async listEntries(item, { newest } = {}) {
+    this._assertBinary(this.config.ytDlpPath, 'yt-dlp');
+
+    const args = [
+      '--flat-playlist',
+      '--dump-json',
+      ...(newest > 0 ? ['--playlist-items', `1:${newest}`] : []),
+      item.url
+    ];
+    const { stdout } = await this._runProcess(item.id, this.config.ytDlpPath, args);
+
+    let title = '';
+    const entries = [];
+    stdout.split(/\r?\n/).forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        title = title || entry.playlist_title || entry.playlist || '';
+        const url = entry.webpage_url || entry.url;
+        if (url) {
+          entries.push({
+            id: entry.id,
+            url,
+            title: entry.title,
+            archived: Boolean(this.findInArchive(url))
+          });
+        }
+      } catch (error) {
+        // Ligne qui n'est pas du JSON (avertissement de yt-dlp)
+      }
+    });
+
+    return { title, entries };
+  }
+
+  /**
+   * Recherche des titres sur la plateforme (`yt-dlp --flat-playlist` sur la requête de
+   * recherche fournie par _getSearchUrl)
+   * @param {string} query - Texte recherché (artiste et titre, ISRC…)
+   * @param {Object} [options]
+   * @param {number} [options.limit=5] - Nombre maximal de résultats
+   * @returns {Promise<Array<Object>>} [{ platform, url, title, artist, channel, duration,
+   *   verified }], vide si la plateforme ne propose pas de recherche
+   */
+  async search(query, { limit = 5 } = {}) {
+    const searchUrl = this._getSearchUrl(query, limit);
+    if (!searchUrl) return [];
+    this._assertBinary(this.config.ytDlpPath, 'yt-dlp');
+
+    const { stdout } = await this._runProcess(
+      `search-${crypto.randomUUID()}`,
+      this.config.ytDlpPath,
+      ['--flat-playlist', '--dump-json', searchUrl]
+    );
+
+    const results = [];
+    stdout.split(/\r?\n/).forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const result = this._mapSearchResult(JSON.parse(line));
+        if (result.url) results.push(result);
+      } catch (error) {
+        // Ligne qui n'est pas du JSON (avertissement de yt-dlp)
+      }
+    });
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Arrête le processus associé à un élément
+   * @param {string} downloadId - Identifiant de l'élément
+   * @returns {boolean} true si un processus a été arrêté
+   */
+  cancel(downloadId) {
+    const proc = this.processes.get(downloadId);
+    if (!proc) return false;
+
+    proc.cancelled = true;
+    this.processes.delete(downloadId);
+    try {
+      proc.kill();
+    } catch (error) {
+      this._emitError('PROCESS_KILL_FAILED', error.message, { downloadId });
+    }
+    return true;
+  }
+
+  /**
+   * Arguments yt-dlp d'analyse d'une URL
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments
+   * @protected
+   */
+  _getAnalyzeArgs(item) {
+    return ['--dump-json', '--no-playlist', item.url];
+  }
+
+  /**
+   * Transforme la sortie de l'analyse en métadonnées
+   * @param {string} stdout - Sortie standard de l'outil d'analyse
+   * @param {Object} item - Élément de la file
+   * @returns {Object} Métadonnées
+   * @protected
+   */
+  _parseAnalysis(stdout, item) {
+    return this._mapMetadata(JSON.parse(stdout), item);
+  }
+
+  /**
+   * Associe les informations JSON de yt-dlp aux métadonnées de l'application
+   * Les sous-classes reçoivent aussi l'élément de la file en second argument.
+   * @param {Object} info - Informations renvoyées par yt-dlp
+   * @returns {Object} Métadonnées
+   * @protected
+   */
+  _mapMetadata(info) {
+    return {
+      title: info.title,
+      artist: info.artist || info.uploader,
+      duration: info.duration
+    };
+  }
+
+  /**
+   * Arguments yt-dlp propres à la plateforme, ajoutés avant l'URL lors du téléchargement.
+   * Les sous-classes reçoivent l'élément de la file (format, URL…).
+   * @returns {string[]} Arguments
+   * @protected
+   */
+  _getPlatformArgs() {
+    return [];
+  }
+
+  /**
+   * Requête de recherche yt-dlp (ex. `ytsearch5:…`) ; les plateformes sans recherche
+   * renvoient null
+   * @returns {string|null}
+   * @protected
+   */
+  _getSearchUrl() {
+    return null;
+  }
+
+  /**
+   * Associe un résultat de recherche yt-dlp à un candidat
+   * @param {Object} entry - Entrée renvoyée par yt-dlp
+   * @returns {Object} { platform, url, title, artist, channel, duration, verified }
+   * @protected
+   */
+  _mapSearchResult(entry) {
+    return {
+      platform: this.platform,
+      url: entry.webpage_url || entry.url,
+      title: entry.title || '',
+      artist: entry.artist || entry.uploader || entry.channel || '',
+      channel: entry.channel || entry.uploader || '',
+      duration: entry.duration || null,
+      verified: Boolean(entry.channel_is_verified)
+    };
+  }
+
+  /**
+   * Format de conversion demandé à yt-dlp
+   * @param {string} format - Format de sortie
+   * @returns {string[]} Arguments
+   * @protected
+   */
+  _getAudioFormatArgs(format) {
+    return ['--audio-format', YTDLP_AUDIO_FORMATS[format] || format];
+  }
+
+  /**
+   * Argument d'intégration de la pochette, lorsque le format cible le permet
+   * @param {string} format - Format de sortie
+   * @returns {string[]} Arguments
+   * @protected
+   */
+  _getThumbnailArgs(format) {
+    return THUMBNAIL_FORMATS.includes(format) ? ['--embed-thumbnail'] : [];
+  }
+
+  /**
+   * Retrouve le fichier produit dans le dossier de travail
+   * @param {Object} item - Élément de la file
+   * @param {string} workDir - Dossier de travail
+   * @returns {string} Chemin du fichier
+   * @protected
+   */
+  _findOutputFile(item, workDir) {
+    const format = String(item.format).toLowerCase();
+    const extension = `.${OUTPUT_EXTENSIONS[format] || format}`;
+    const file = fs.readdirSync(workDir).find((f) => f.toLowerCase().endsWith(extension));
+    if (!file) {
+      throw this._createError('FILE_NOT_FOUND', `Aucun fichier ${extension} produit`);
+    }
+    return path.join(workDir, file);
+  }
+
+  /**
+   * Lance un processus externe suivi par l'adaptateur (annulable via cancel)
+   * @param {string} downloadId - Identifiant de l'élément
+   * @param {string} binary - Chemin du binaire
+   * @param {string[]} args - Arguments
+   * @param {Object} [options]
+   * @param {Function} [options.onLine] - Appelée pour chaque ligne de la sortie standard
+   * @returns {Promise<Object>} { stdout, stderr } si le processus se termine avec le code 0
+   * @protected
+   */
+  _runProcess(downloadId, binary, args, { onLine } = {}) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(binary, args);
+      this.processes.set(downloadId, proc);
+
+      let stdout = '';
+      let stderr = '';
+      let pendingLine = '';
+
+      proc.stdout.on('data', (chunk) => {
+        const text = chunk.toString();
+        stdout += text;
+        if (!onLine) return;
+        const lines = (pendingLine + text).split(/\r?\n|\r/);
+        pendingLine = lines.pop();
+        lines.forEach(onLine);
+      });
+
+      proc.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk.toString()).slice(-MAX_ERROR_OUTPUT);
+      });
+
+      proc.on('close', (code) => {
+        if (this.processes.get(downloadId) === proc) {
+          this.processes.delete(downloadId);
+        }
+        if (code === 0) {
+          return resolve({ stdout, stderr });
+        }
+
+        const error = this._createError(null, `Le processus s'est terminé avec le code ${code}`);
+        error.exitCode = code;
+        error.output = stderr;
+        error.cancelled = Boolean(proc.cancelled);
+        reject(error);
+      });
+
+      proc.on('error', (err) => {
+        this.processes.delete(downloadId);
+        reject(this._createError('TOOL_EXECUTION_FAILED', err.message));
+      });
+    });
+  }
+
+  /**
+   * Vérifie qu'un binaire requis est configuré
+   * @param {string} binaryPath - Chemin configuré
+   * @param {string} name - Nom du binaire (pour le message)
+   * @protected
+   */
+  _assertBinary(binaryPath, name) {
+    if (!binaryPath) {
+      throw this._createError('TOOL_NOT_FOUND', `${name} non disponible`);
+    }
+  }
+
+  /**
+   * Crée une erreur portant un code ERROR_CODES exploitable par l'appelant
+   * @param {string|null} code - Nom du code d'erreur (ERROR_CODES) ou null si inconnu
+   * @param {string} message - Message d'erreur
+   * @returns {Error} Erreur enrichie
+   * @protected
+   */
+  _createError(code, message) {
+    const error = new Error(message);
+    if (code) {
+      error.code = code;
+    }
+    return error;
+  }
+
+  /**
+   * Renvoie le dossier temporaire propre à un téléchargement.
+   * Les adaptateurs basés sur yt-dlp doivent y écrire avec un nom stable
+   * afin que `--continue` retrouve le fichier partiel lors d'une reprise.
+   * @param {Object} downloadData - Données du téléchargement
+   * @returns {string} Chemin du dossier temporaire
+   * @protected
+   */
+  _getDownloadTempDir(downloadData) {
+    return path.join(this.config.tempDir, downloadData.id);
+  }
+
+  /**
+   * Arguments yt-dlp communs permettant la reprise d'un fichier partiel
+   * @param {Object} downloadData - Données du téléchargement
+   * @param {string} [tempDir] - Dossier de travail (par défaut celui du téléchargement)
+   * @returns {string[]} Arguments à ajouter à la ligne de commande
+   * @protected
+   */
+  _getResumableYtDlpArgs(downloadData, tempDir = this._getDownloadTempDir(downloadData)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+    return ['--continue', '--newline', '-o', path.join(tempDir, `${downloadData.id}.%(ext)s`)];
+  }
+
+  /**
+   * Supprime le dossier temporaire d'un téléchargement (annulation ou fin)
+   * @param {Object} downloadData - Données du téléchargement
+   * @protected
+   */
+  _removeTempDir(downloadData) {
+    try {
+      fs.rmSync(this._getDownloadTempDir(downloadData), { recursive: true, force: true });
+    } catch (error) {
+      this._emitError('TEMP_DIR_CLEANUP_FAILED', error.message, { downloadId: downloadData.id });
+    }
+  }
+
   /**
    * Traite une mise à jour de la configuration
    * @param {Object} data - Données de configuration
@@ -286,6 +891,7 @@ class BaseAdapter {
 
     this.activeDownloads.clear();
     this.queuedDownloads = [];
+    this.pausedDownloads.clear();
   }
 
   /**
@@ -331,6 +937,7 @@ class BaseAdapter {
       supportsPlaylists: false,
       supportsChannels: false,
       requiresAuthentication: false,
+      supportsPause: true,
       maxPlaylistItems: 0
     };
   }
@@ -360,8 +967,9 @@ class BaseAdapter {
   }
 }
 
-// Exporter la classe
+// Exporter la classe (et l'analyse de progression yt-dlp, partagée avec les sous-classes)
 module.exports = BaseAdapter;
+module.exports.parseYtDlpProgressLine = parseYtDlpProgressLine;
 
 /**
  * Exemple d'utilisation:
@@ -391,5 +999,9 @@ module.exports = BaseAdapter;
  * eventBus.publish('DOWNLOAD_CANCEL:youtube', {
  *   downloadId: '123e4567-e89b-12d3-a456-426614174000'
  * });
+ *
+ * // Mettre en pause puis reprendre (le fichier partiel est repris avec --continue)
+ * eventBus.publish('DOWNLOAD_PAUSE:youtube', { downloadId: '123e4567-...' });
+ * eventBus.publish('DOWNLOAD_RESUME:youtube', { downloadId: '123e4567-...' });
  */ // Classe de base pour tous les adaptateurs
 // Créé automatiquement le 2025-05-02
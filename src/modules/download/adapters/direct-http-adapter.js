@@ -0,0 +1,598 @@
+/**
+ * @fileoverview Adaptateur de liens directs (HTTP/HTTPS) pour 21 BYTS
+ * @description Télécharge un fichier audio servi tel quel (`https://…/track.flac`) sans passer
+ * par yt-dlp : flux Node `http`/`https`, reprise par en-tête `Range`, nom de fichier issu de
+ * `Content-Disposition`, contrôle du `Content-Type` et vérification facultative d'une somme de
+ * contrôle (`item.checksum = { algorithm, value }`) via file-operations.
+ *
+ * Le fichier est livré dans son format d'origine : aucune conversion n'est faite ici.
+ * Le fichier partiel (`<id>.part`) et son état (`<id>.part.json` : validateur ETag/Last-Modified,
+ * nom, taille) restent dans le dossier de travail, ce qui permet la pause et la reprise.
+ *
+ * @module modules/download/adapters/direct-http-adapter
+ * @requires http
+ * @requires https
+ * @requires fs
+ * @requires path
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const BaseAdapter = require('./base-adapter');
+const { verifyFileChecksum } = require('../../../utils/file-operations');
+
+// Extensions reconnues comme audio (liens directs et noms de fichiers)
+const AUDIO_EXTENSIONS = ['mp3', 'flac', 'wav', 'aif', 'aiff', 'm4a', 'aac', 'ogg', 'oga', 'opus'];
+// Types MIME audio et extension associée (lorsque le nom de fichier n'en a pas)
+const CONTENT_TYPE_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/aiff': 'aiff',
+  'audio/x-aiff': 'aiff',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/ogg': 'ogg',
+  'application/ogg': 'ogg',
+  'audio/opus': 'opus'
+};
+// Types génériques acceptés seulement si le nom de fichier porte une extension audio
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+// Intervalle minimal entre deux notifications de progression
+const PROGRESS_INTERVAL_MS = 250;
+const PARTIAL_SUFFIX = '.part';
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; 21BYTS)';
+
+// Erreurs système Node (réseau, disque) associées à un code ERROR_CODES
+const SYSTEM_ERROR_CODES = {
+  ENOTFOUND: 'DNS_RESOLUTION_FAILED',
+  EAI_AGAIN: 'DNS_RESOLUTION_FAILED',
+  ETIMEDOUT: 'CONNECTION_TIMEOUT',
+  ECONNRESET: 'CONNECTION_FAILED',
+  ECONNREFUSED: 'CONNECTION_FAILED',
+  EPIPE: 'CONNECTION_FAILED',
+  EHOSTUNREACH: 'HOST_UNREACHABLE',
+  ENETUNREACH: 'HOST_UNREACHABLE',
+  ENOSPC: 'DISK_FULL',
+  EACCES: 'PERMISSION_DENIED'
+};
+
+/**
+ * Extrait le nom de fichier d'un en-tête Content-Disposition.
+ * `filename*` (RFC 5987, encodé) est prioritaire sur `filename`.
+ * @param {string} header - Valeur de l'en-tête
+ * @returns {string|null} Nom de fichier brut ou null
+ */
+function parseContentDisposition(header) {
+  if (!header) return null;
+
+  const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+    } catch (error) {
+      // Encodage non UTF-8 : se rabattre sur le paramètre filename
+    }
+  }
+
+  const plain = /filename\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]+))/i.exec(header);
+  if (!plain) return null;
+
+  const name = plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2];
+  return name.trim() || null;
+}
+
+/**
+ * Rend un nom de fichier sûr : sans dossier, caractères réservés ni caractères de contrôle
+ * @param {string} name - Nom proposé par le serveur ou l'URL
+ * @returns {string|null} Nom utilisable ou null
+ */
+function sanitizeFileName(name) {
+  if (!name) return null;
+
+  const base = path.basename(String(name).replace(/\\/g, '/'));
+  const cleaned = Array.from(base)
+    .filter((char) => char.charCodeAt(0) >= 32)
+    .join('')
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+
+  return cleaned || null;
+}
+
+/**
+ * Indique si un nom de fichier porte une extension audio
+ * @param {string} fileName - Nom de fichier
+ * @returns {boolean}
+ */
+function hasAudioExtension(fileName) {
+  const extension = path
+    .extname(fileName || '')
+    .slice(1)
+    .toLowerCase();
+  return AUDIO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Adaptateur de téléchargement direct par HTTP/HTTPS
+ */
+class DirectHttpAdapter extends BaseAdapter {
+  constructor(params = {}) {
+    super({ ...params, platform: 'direct' });
+  }
+
+  /**
+   * Interroge le serveur (HEAD, ou GET interrompu si HEAD est refusé) sans télécharger
+   * @param {Object} item - Élément de la file ({ id, url })
+   * @returns {Promise<Object>} { metadata }
+   */
+  async analyze(item) {
+    let { response, handle, url } = await this._request(item, item.url, { method: 'HEAD' });
+    response.resume();
+
+    if (response.statusCode === 405 || response.statusCode === 501) {
+      ({ response, handle, url } = await this._request(item, item.url));
+      response.destroy();
+    }
+    this._release(item.id, handle);
+
+    this._assertSuccess(response);
+
+    const fileName = this._resolveFileName(response, url, item.id);
+    const contentType = this._assertAudioContentType(response, fileName);
+    const fileSize = parseInt(response.headers['content-length'], 10);
+
+    return {
+      metadata: {
+        title: path.parse(fileName).name,
+        fileName,
+        fileSize: Number.isFinite(fileSize) ? fileSize : null,
+        contentType,
+        sourceFormat: path.extname(fileName).slice(1).toLowerCase()
+      }
+    };
+  }
+
+  /**
+   * Télécharge le fichier dans le dossier de travail, en reprenant un fichier partiel existant
+   * @param {Object} item - Élément de la file ({ id, url, checksum })
+   * @param {Object} [options]
+   * @param {string} [options.tempDir] - Dossier de travail (par défaut propre à l'adaptateur)
+   * @param {Function} [options.onProgress] - Reçoit { phase, percent, downloadedBytes, … }
+   * @param {number} [options.rateLimit] - Débit maximal en octets/s (0 ou absent = illimité)
+   * @returns {Promise<Object>} { filePath } du fichier complet
+   */
+  async download(item, { tempDir, onProgress, rateLimit } = {}) {
+    const workDir = tempDir || this._getDownloadTempDir(item);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const partPath = path.join(workDir, `${item.id}${PARTIAL_SUFFIX}`);
+    const statePath = `${partPath}.json`;
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const partialState = offset > 0 ? this._readPartialState(statePath) : {};
+
+    const headers = {};
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+      if (partialState.validator) headers['If-Range'] = partialState.validator;
+    }
+
+    const { response, handle, url } = await this._request(item, item.url, { headers });
+    try {
+      const fileName = await this._writeResponse(item, response, handle, {
+        url,
+        partPath,
+        statePath,
+        offset,
+        partialState,
+        onProgress,
+        rateLimit
+      });
+      return await this._finalize(item, workDir, partPath, statePath, fileName, onProgress);
+    } catch (error) {
+      response.destroy();
+      throw error;
+    } finally {
+      this._release(item.id, handle);
+    }
+  }
+
+  /**
+   * Écrit la réponse dans le fichier partiel selon son statut : 206 (reprise), 200 (fichier
+   * complet, la plage est ignorée ou le fichier a changé) ou 416 (partiel déjà complet)
+   * @param {Object} item - Élément de la file
+   * @param {http.IncomingMessage} response - Réponse reçue
+   * @param {Object} handle - Poignée d'annulation de la requête
+   * @param {Object} options - { url, partPath, statePath, offset, partialState, onProgress,
+   *   rateLimit }
+   * @returns {Promise<string>} Nom du fichier final
+   * @private
+   */
+  async _writeResponse(item, response, handle, options) {
+    const { url, partPath, statePath, offset, partialState, onProgress, rateLimit } = options;
+
+    if (response.statusCode === 416) {
+      const total = /\*\/(\d+)/.exec(response.headers['content-range'] || '');
+      if (!total || parseInt(total[1], 10) !== offset || !partialState.fileName) {
+        this._discardPartial(partPath, statePath);
+        throw this._createError(
+          'DOWNLOAD_INTERRUPTED',
+          'Fichier partiel incohérent, reprise à zéro'
+        );
+      }
+      return partialState.fileName;
+    }
+
+    this._assertSuccess(response);
+
+    let start = 0;
+    if (response.statusCode === 206) {
+      const range = /bytes\s+(\d+)-\d+\/(\d+|\*)/.exec(response.headers['content-range'] || '');
+      if (!range || parseInt(range[1], 10) !== offset) {
+        this._discardPartial(partPath, statePath);
+        throw this._createError('DOWNLOAD_INTERRUPTED', 'Plage reçue inattendue, reprise à zéro');
+      }
+      start = offset;
+    }
+
+    const fileName =
+      (start > 0 && partialState.fileName) || this._resolveFileName(response, url, item.id);
+    this._assertAudioContentType(response, fileName);
+
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    const totalBytes = Number.isFinite(contentLength) ? start + contentLength : null;
+    this._writePartialState(statePath, {
+      validator: response.headers.etag || response.headers['last-modified'] || null,
+      fileName,
+      totalBytes
+    });
+
+    await this._receive(response, handle, { partPath, start, totalBytes, onProgress, rateLimit });
+    return fileName;
+  }
+
+  /**
+   * Écrit le corps de la réponse dans le fichier partiel en rapportant la progression.
+   * Avec un débit maximal, chaque morceau est retenu le temps nécessaire : la contre-pression
+   * ralentit alors la lecture du socket.
+   * @param {http.IncomingMessage} response - Réponse en cours
+   * @param {Object} handle - Poignée d'annulation de la requête
+   * @param {Object} options - { partPath, start, totalBytes, onProgress, rateLimit }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _receive(response, handle, { partPath, start, totalBytes, onProgress, rateLimit }) {
+    const startedAt = Date.now();
+    let received = 0;
+    let lastReport = 0;
+
+    const report = () => {
+      if (!onProgress) return;
+      const downloadedBytes = start + received;
+      const elapsed = (Date.now() - startedAt) / 1000;
+      const speed = elapsed > 0 ? Math.round(received / elapsed) : null;
+      onProgress({
+        phase: 'downloading',
+        percent: totalBytes ? Math.min(100, (downloadedBytes / totalBytes) * 100) : 0,
+        downloadedBytes,
+        totalBytes,
+        speed,
+        eta: totalBytes && speed ? Math.round((totalBytes - downloadedBytes) / speed) : null
+      });
+    };
+
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        const now = Date.now();
+        if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+          lastReport = now;
+          report();
+        }
+
+        const delay = rateLimit > 0 ? (received / rateLimit) * 1000 - (now - startedAt) : 0;
+        if (delay > 0) {
+          setTimeout(() => callback(null, chunk), delay);
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+
+    try {
+      await pipeline(
+        response,
+        meter,
+        fs.createWriteStream(partPath, { flags: start > 0 ? 'a' : 'w' })
+      );
+    } catch (error) {
+      throw this._toSystemError(error, handle);
+    }
+
+    if (handle.cancelled) {
+      throw this._toSystemError(new Error('Téléchargement annulé'), handle);
+    }
+    if (totalBytes !== null && start + received < totalBytes) {
+      throw this._createError(
+        'DOWNLOAD_INTERRUPTED',
+        `Transfert incomplet (${start + received}/${totalBytes} octets)`
+      );
+    }
+    report();
+  }
+
+  /**
+   * Renomme le fichier partiel complet et vérifie sa somme de contrôle
+   * @param {Object} item - Élément de la file ({ id, checksum })
+   * @param {string} workDir - Dossier de travail
+   * @param {string} partPath - Fichier partiel complet
+   * @param {string} statePath - État du fichier partiel, supprimé
+   * @param {string} fileName - Nom du fichier final
+   * @param {Function} [onProgress] - Notifiée pendant la vérification
+   * @returns {Promise<Object>} { filePath }
+   * @private
+   */
+  async _finalize(item, workDir, partPath, statePath, fileName, onProgress) {
+    const filePath = path.join(workDir, fileName);
+    fs.renameSync(partPath, filePath);
+    fs.rmSync(statePath, { force: true });
+
+    if (item.checksum && item.checksum.value) {
+      if (onProgress) onProgress({ phase: 'post-processing', percent: 100 });
+
+      const algorithm = item.checksum.algorithm || 'sha256';
+      const result = await verifyFileChecksum({
+        requestId: item.id,
+        filePath,
+        algorithm,
+        expectedChecksum: String(item.checksum.value).toLowerCase()
+      });
+
+      if (result.error) {
+        throw this._createError('IO_ERROR', `Vérification impossible: ${result.error}`);
+      }
+      if (!result.verified) {
+        // Fichier corrompu : inutile de le conserver pour une reprise
+        fs.rmSync(filePath, { force: true });
+        throw this._createError(
+          'CORRUPTED_FILE',
+          `Somme de contrôle ${algorithm} invalide (obtenue: ${result.checksum})`
+        );
+      }
+    }
+
+    return { filePath };
+  }
+
+  /**
+   * Envoie une requête en suivant les redirections. La requête est annulable via cancel().
+   * @param {Object} item - Élément de la file
+   * @param {string} url - URL à interroger
+   * @param {Object} [options]
+   * @param {string} [options.method='GET'] - Méthode HTTP
+   * @param {Object} [options.headers] - En-têtes supplémentaires
+   * @param {number} [redirectCount=0] - Redirections déjà suivies
+   * @returns {Promise<Object>} { response, handle, url } (url : adresse finale après redirections)
+   * @private
+   */
+  _request(item, url, { method = 'GET', headers = {} } = {}, redirectCount = 0) {
+    return new Promise((resolve, reject) => {
+      let target;
+      try {
+        target = new URL(url);
+      } catch (error) {
+        reject(this._createError('INVALID_URL', `URL invalide: ${url}`));
+        return;
+      }
+
+      const client = { 'http:': http, 'https:': https }[target.protocol];
+      if (!client) {
+        reject(this._createError('INVALID_URL', `Protocole non supporté: ${target.protocol}`));
+        return;
+      }
+
+      const handle = { cancelled: false, kill: () => request.destroy() };
+      const request = client.request(
+        target,
+        { method, headers: { 'User-Agent': DEFAULT_USER_AGENT, ...headers } },
+        (response) => {
+          if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+            response.resume();
+            if (redirectCount >= MAX_REDIRECTS) {
+              reject(
+                this._createError('TOO_MANY_REDIRECTS', `Plus de ${MAX_REDIRECTS} redirections`)
+              );
+              return;
+            }
+            const next = new URL(response.headers.location, target).toString();
+            resolve(this._request(item, next, { method, headers }, redirectCount + 1));
+            return;
+          }
+          resolve({ response, handle, url: target.toString() });
+        }
+      );
+
+      this.processes.set(item.id, handle);
+      request.setTimeout(this.config.timeoutSeconds * 1000, () => {
+        request.destroy(
+          Object.assign(new Error('Délai de connexion dépassé'), { code: 'ETIMEDOUT' })
+        );
+      });
+      request.on('error', (error) => {
+        this._release(item.id, handle);
+        reject(this._toSystemError(error, handle));
+      });
+      request.end();
+    });
+  }
+
+  /**
+   * Oublie la requête d'un élément une fois terminée (cancel() n'a alors plus d'effet)
+   * @param {string} downloadId - Identifiant de l'élément
+   * @param {Object} handle - Poignée de la requête
+   * @private
+   */
+  _release(downloadId, handle) {
+    if (this.processes.get(downloadId) === handle) {
+      this.processes.delete(downloadId);
+    }
+  }
+
+  /**
+   * Vérifie le statut HTTP d'une réponse
+   * @param {http.IncomingMessage} response - Réponse reçue
+   * @throws {Error} Erreur portant le code ERROR_CODES correspondant au statut
+   * @private
+   */
+  _assertSuccess(response) {
+    const status = response.statusCode;
+    if (status >= 200 && status < 300) return;
+
+    response.resume();
+    let code = 'DOWNLOAD_FAILED';
+    if (status === 401 || status === 403) code = 'ACCESS_FORBIDDEN';
+    else if (status === 404 || status === 410) code = 'RESOURCE_UNAVAILABLE';
+    else if (status === 429) code = 'RATE_LIMITED';
+
+    const error = this._createError(code, `Le serveur a répondu HTTP ${status}`);
+    error.output = `HTTP Error ${status}`;
+    throw error;
+  }
+
+  /**
+   * Refuse une réponse qui n'est pas un fichier audio (page HTML, JSON…)
+   * @param {http.IncomingMessage} response - Réponse reçue
+   * @param {string} fileName - Nom de fichier retenu
+   * @returns {string} Type MIME de la réponse
+   * @private
+   */
+  _assertAudioContentType(response, fileName) {
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const isAudio =
+      contentType.startsWith('audio/') ||
+      Boolean(CONTENT_TYPE_EXTENSIONS[contentType]) ||
+      ((!contentType || GENERIC_CONTENT_TYPES.includes(contentType)) &&
+        hasAudioExtension(fileName));
+
+    if (!isAudio) {
+      throw this._createError(
+        'UNSUPPORTED_FORMAT',
+        `Le lien ne pointe pas vers un fichier audio (${contentType || 'type inconnu'})`
+      );
+    }
+    return contentType;
+  }
+
+  /**
+   * Détermine le nom du fichier : Content-Disposition, puis URL, puis identifiant de l'élément.
+   * Une extension est ajoutée d'après le Content-Type si le nom n'en porte pas.
+   * @param {http.IncomingMessage} response - Réponse reçue
+   * @param {string} url - Adresse finale (après redirections)
+   * @param {string} fallbackName - Nom utilisé à défaut (identifiant de l'élément)
+   * @returns {string} Nom de fichier sûr
+   * @private
+   */
+  _resolveFileName(response, url, fallbackName) {
+    let fromUrl = null;
+    try {
+      fromUrl = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+    } catch (error) {
+      // URL mal encodée : le nom sera dérivé de l'identifiant
+    }
+
+    const fileName =
+      sanitizeFileName(parseContentDisposition(response.headers['content-disposition'])) ||
+      sanitizeFileName(fromUrl) ||
+      fallbackName;
+
+    if (hasAudioExtension(fileName)) return fileName;
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const extension = CONTENT_TYPE_EXTENSIONS[contentType];
+    return extension ? `${fileName}.${extension}` : fileName;
+  }
+
+  /**
+   * Lit l'état du fichier partiel (validateur, nom, taille attendue)
+   * @param {string} statePath - Chemin du fichier d'état
+   * @returns {Object} État, vide s'il est absent ou illisible
+   * @private
+   */
+  _readPartialState(statePath) {
+    try {
+      return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Enregistre l'état du fichier partiel pour une reprise ultérieure
+   * @param {string} statePath - Chemin du fichier d'état
+   * @param {Object} state - { validator, fileName, totalBytes }
+   * @private
+   */
+  _writePartialState(statePath, state) {
+    fs.writeFileSync(statePath, JSON.stringify(state));
+  }
+
+  /**
+   * Supprime un fichier partiel inutilisable et son état
+   * @param {string} partPath - Fichier partiel
+   * @param {string} statePath - État du fichier partiel
+   * @private
+   */
+  _discardPartial(partPath, statePath) {
+    fs.rmSync(partPath, { force: true });
+    fs.rmSync(statePath, { force: true });
+  }
+
+  /**
+   * Associe une erreur système Node (réseau, disque) à un code ERROR_CODES
+   * @param {Error} error - Erreur d'origine
+   * @param {Object} handle - Poignée de la requête (annulation)
+   * @returns {Error} Erreur enrichie ({ code, output, cancelled })
+   * @private
+   */
+  _toSystemError(error, handle) {
+    const tlsError = /CERT|TLS|SSL/.test(error.code || '');
+    const wrapped = this._createError(
+      SYSTEM_ERROR_CODES[error.code] || (tlsError ? 'SSL_ERROR' : 'CONNECTION_FAILED'),
+      error.message
+    );
+    wrapped.output = error.code || '';
+    wrapped.cancelled = Boolean(handle && handle.cancelled);
+    return wrapped;
+  }
+
+  /**
+   * @returns {Object} Capacités de l'adaptateur
+   * @protected
+   */
+  _getCapabilities() {
+    return {
+      ...super._getCapabilities(),
+      formats: AUDIO_EXTENSIONS,
+      supportsPause: true,
+      keepsSourceFormat: true
+    };
+  }
+}
+
+module.exports = {
+  DirectHttpAdapter,
+  parseContentDisposition,
+  AUDIO_EXTENSIONS
+};
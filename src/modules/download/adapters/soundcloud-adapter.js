@@ -13,6 +13,7 @@
  * @events
  * Écoutés:
  * - DOWNLOAD_REQUEST_SOUNDCLOUD: Déclenche le téléchargement d'une URL SoundCloud
+ * - ADAPTER:SOUNDCLOUD:ANALYSIS_START: Liste les titres d'un set ou d'une page d'artiste
  * - DOWNLOAD_CANCEL: Annule un téléchargement en cours
  * - APP_SHUTDOWN: Nettoie les ressources avant la fermeture
  * - CONFIG_UPDATED: Reçoit les mises à jour de configuration
@@ -23,6 +24,8 @@
  * - DOWNLOAD_COMPLETED: Signale la fin d'un téléchargement réussi
  * - DOWNLOAD_ERROR: Signale une erreur lors du téléchargement
  * - METADATA_EXTRACTED: Envoie les métadonnées extraites du fichier
+ * - ADAPTER:SOUNDCLOUD:ANALYSIS_COMPLETE: Titres d'un set ou d'une section d'artiste
+ * - PLAYLIST:PROCESS_REQUEST: Confie un set ou une page d'artiste au gestionnaire de playlists
  * - LOG_INFO: Informations de journalisation
  * - LOG_ERROR: Erreurs de journalisation
  */
@@ -32,6 +35,159 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const BaseAdapter = require('./base-adapter');
+
+// User-Agent transmis à yt-dlp pour les requêtes SoundCloud
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Sections d'une page d'artiste. La page seule mêle reposts et titres publiés :
+// « tracks » (les titres de l'artiste) est donc la section par défaut.
+const USER_SECTIONS = ['tracks', 'albums', 'sets', 'reposts', 'likes'];
+const DEFAULT_USER_SECTION = 'tracks';
+
+// Premiers segments de chemin qui ne désignent pas un utilisateur
+const RESERVED_PATHS = [
+  'charts',
+  'discover',
+  'messages',
+  'mobile',
+  'notifications',
+  'pages',
+  'search',
+  'settings',
+  'stream',
+  'tags',
+  'terms-of-use',
+  'upload',
+  'you'
+];
+
+// Format yt-dlp du fichier original, présent quand l'artiste a activé le bouton « Download »
+const ORIGINAL_FORMAT_ID = 'download';
+
+// Tags d'album d'un set : titre du set et position du titre dans le set
+const SET_TAG_ARGS = [
+  '--parse-metadata',
+  'playlist_title:%(album)s',
+  '--parse-metadata',
+  'playlist_index:%(track_number)s'
+];
+
+// Sortie de yt-dlp annonçant le titre suivant d'un set
+const SET_ITEM_REGEX = /^\[download\] Downloading item (\d+) of (\d+)/;
+
+/**
+ * Identifie le type de page SoundCloud désigné par une URL
+ * @param {string} url - URL SoundCloud
+ * @returns {Object|null} { type: 'track'|'set'|'user', user, section, slug }, null si l'URL
+ *   n'est pas une page d'utilisateur SoundCloud
+ */
+function parseSoundCloudUrl(url) {
+  let parts;
+  try {
+    const urlObj = new URL(url);
+    if (!/^(?:www\.|m\.)?soundcloud\.com$/i.test(urlObj.hostname)) {
+      return null;
+    }
+    parts = urlObj.pathname.split('/').filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+
+  const [user, second, third] = parts;
+  if (!user || RESERVED_PATHS.includes(user.toLowerCase())) {
+    return null;
+  }
+
+  if (!second) {
+    return { type: 'user', user, section: null };
+  }
+  if (second === 'sets' && third) {
+    return { type: 'set', user, slug: third };
+  }
+  if (USER_SECTIONS.includes(second)) {
+    return { type: 'user', user, section: second };
+  }
+  return { type: 'track', user, slug: second };
+}
+
+/**
+ * Détermine ce qu'une URL doit faire télécharger : un titre, un set (album ou playlist)
+ * ou une section d'une page d'artiste
+ * @param {string} url - URL SoundCloud
+ * @param {string} [section] - Section choisie sur une page d'artiste
+ *   ('tracks', 'albums', 'sets', 'reposts' ou 'likes')
+ * @returns {Object} { kind: 'track'|'set'|'user', url, section } ; pour une page d'artiste,
+ *   `url` est celle de la section (section de l'URL, puis 'tracks' à défaut de choix)
+ */
+function resolveSoundCloudTarget(url, section) {
+  const parsed = parseSoundCloudUrl(url);
+
+  if (!parsed || parsed.type === 'track') {
+    return { kind: 'track', url, section: null };
+  }
+  if (parsed.type === 'set') {
+    return { kind: 'set', url, section: null };
+  }
+
+  const chosen = USER_SECTIONS.includes(section) ? section : parsed.section || DEFAULT_USER_SECTION;
+  return {
+    kind: 'user',
+    url: `https://soundcloud.com/${parsed.user}/${chosen}`,
+    section: chosen
+  };
+}
+
+/**
+ * Sélection de format yt-dlp : le fichier original lorsque l'artiste le propose au
+ * téléchargement, sinon le meilleur flux audio
+ * @param {boolean} preferOriginal - Utiliser le fichier original s'il est disponible
+ * @returns {string[]} Arguments
+ */
+function getFormatArgs(preferOriginal) {
+  return ['-f', preferOriginal ? `${ORIGINAL_FORMAT_ID}/bestaudio` : 'bestaudio'];
+}
+
+/**
+ * Lit la sortie de `yt-dlp --flat-playlist --dump-json` d'un set ou d'une page d'artiste
+ * @param {string} stdout - Une entrée JSON par ligne
+ * @param {boolean} isSet - Les entrées forment un album : elles reçoivent album et numéro
+ * @returns {Object} { title, items: [{ id, url, title, artist, album, trackNumber, totalTracks }] }
+ */
+function parseFlatPlaylist(stdout, isSet) {
+  let title = '';
+  const entries = [];
+
+  stdout.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      title = title || entry.playlist_title || entry.playlist || '';
+      if (entry.webpage_url || entry.url) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      // Ligne qui n'est pas du JSON (avertissement de yt-dlp)
+    }
+  });
+
+  const items = entries.map((entry, position) => ({
+    id: entry.id,
+    url: entry.webpage_url || entry.url,
+    title: entry.title || '',
+    artist: entry.uploader || '',
+    // Hors set (titres, reposts, j'aime), le nom de la section n'est pas un album
+    album: isSet ? title : '',
+    ...(isSet
+      ? {
+          trackNumber: entry.playlist_index || position + 1,
+          totalTracks: entry.playlist_count || entries.length
+        }
+      : {})
+  }));
+
+  return { title, items };
+}
 
 /**
  * Adaptateur pour le téléchargement depuis SoundCloud
@@ -49,7 +205,8 @@ class SoundCloudAdapter {
       maxRetries: 3,
       ytDlpPath: '', // Sera mis à jour via les événements de configuration
       ffmpegPath: '', // Sera mis à jour via les événements de configuration
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      userAgent: DEFAULT_USER_AGENT,
+      preferOriginal: true // Fichier original quand l'artiste autorise son téléchargement
     };
 
     this.eventBus = null; // Sera défini lors de l'initialisation
@@ -61,7 +218,7 @@ class SoundCloudAdapter {
    */
   initialize(eventBus) {
     if (!eventBus) {
-      throw new Error('SoundCloudAdapter: eventBus est requis pour l'initialisation');
+      throw new Error("SoundCloudAdapter: eventBus est requis pour l'initialisation");
     }
 
     this.eventBus = eventBus;
@@ -88,6 +245,12 @@ class SoundCloudAdapter {
     // Écouter les demandes de téléchargement SoundCloud
     this.eventBus.subscribe('DOWNLOAD_REQUEST_SOUNDCLOUD', this._handleDownloadRequest.bind(this));
 
+    // Lister les titres d'un set ou d'une page d'artiste pour le gestionnaire de playlists
+    this.eventBus.subscribe(
+      'ADAPTER:SOUNDCLOUD:ANALYSIS_START',
+      this._handleAnalysisRequest.bind(this)
+    );
+
     // Écouter les demandes d'annulation
     this.eventBus.subscribe('DOWNLOAD_CANCEL', this._handleCancelRequest.bind(this));
 
@@ -104,6 +267,8 @@ class SoundCloudAdapter {
    * @param {string} data.url - URL SoundCloud à télécharger
    * @param {string} data.format - Format de sortie (mp3, flac, etc.)
    * @param {string} data.requestId - Identifiant unique de la demande
+   * @param {string} [data.section] - Sur une page d'artiste : 'tracks' (par défaut), 'albums',
+   *   'sets', 'reposts' ou 'likes'
    * @private
    */
   _handleDownloadRequest(data) {
@@ -118,6 +283,19 @@ class SoundCloudAdapter {
       return;
     }
 
+    // Un set ou une page d'artiste se télécharge titre par titre via le gestionnaire de playlists
+    const target = resolveSoundCloudTarget(data.url, data.section);
+    if (target.kind !== 'track') {
+      this.eventBus.publish('PLAYLIST:PROCESS_REQUEST', {
+        id: data.requestId,
+        url: target.url,
+        sourceType: 'soundcloud',
+        section: target.section,
+        maxItems: data.maxItems
+      });
+      return;
+    }
+
     // Générer un ID unique pour ce téléchargement si non fourni
     const downloadId = data.downloadId || crypto.randomUUID();
 
@@ -157,6 +335,81 @@ class SoundCloudAdapter {
     this._startDownload(downloadId);
   }
 
+  /**
+   * Liste les titres d'un set ou d'une section d'artiste pour le gestionnaire de playlists.
+   * Les titres d'un set portent l'album et leur numéro de piste.
+   * @param {Object} data - Demande de playlist-handler
+   * @param {string} data.playlistId - Identifiant de la playlist
+   * @param {string} data.url - URL du set ou de la page d'artiste
+   * @param {string} [data.section] - Section de la page d'artiste
+   * @param {number} [data.maxItems] - Nombre maximal de titres lus
+   * @private
+   */
+  _handleAnalysisRequest(data) {
+    if (!data || !data.url || !data.playlistId) {
+      return;
+    }
+
+    const target = resolveSoundCloudTarget(data.url, data.section);
+    const reply = (result) => {
+      this.eventBus.publish('ADAPTER:SOUNDCLOUD:ANALYSIS_COMPLETE', {
+        playlistId: data.playlistId,
+        url: target.url,
+        kind: target.kind,
+        section: target.section,
+        ...result
+      });
+    };
+
+    if (!this.config.ytDlpPath) {
+      reply({ error: 'Chemin vers yt-dlp non configuré' });
+      return;
+    }
+
+    const args = [
+      '--flat-playlist',
+      '--dump-json',
+      ...(data.maxItems > 0 ? ['--playlist-items', `1:${data.maxItems}`] : []),
+      '--user-agent',
+      this.config.userAgent,
+      target.url
+    ];
+
+    const process = spawn(this.config.ytDlpPath, args, {
+      windowsHide: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    process.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+
+    process.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    process.on('close', (code) => {
+      const { title, items } = parseFlatPlaylist(stdout, target.kind === 'set');
+
+      // yt-dlp peut signaler des titres indisponibles tout en listant les autres
+      if (code !== 0 && items.length === 0) {
+        this._logError(`Lecture impossible de ${target.url}: ${stderr}`);
+        reply({ error: `Lecture de la page SoundCloud impossible (code ${code})` });
+        return;
+      }
+
+      this._logInfo(`${items.length} titres SoundCloud listés: ${target.url}`);
+      reply({ title, items });
+    });
+
+    process.on('error', (error) => {
+      reply({ error: error.message });
+    });
+  }
+
   /**
    * Démarre le processus de téléchargement
    * @param {string} downloadId - Identifiant du téléchargement
@@ -205,14 +458,19 @@ class SoundCloudAdapter {
     // Préparer les arguments pour yt-dlp
     const outputTemplate = path.join(downloadInfo.outputPath, '%(title)s.%(ext)s');
     const args = [
+      ...getFormatArgs(this.config.preferOriginal),
       '--extract-audio',
-      '--audio-format', downloadInfo.format,
-      '--audio-quality', this.config.quality,
+      '--audio-format',
+      downloadInfo.format,
+      '--audio-quality',
+      this.config.quality,
       '--add-metadata',
       '--embed-thumbnail',
       '--no-playlist', // Télécharger uniquement la piste, pas la playlist entière
-      '--output', outputTemplate,
-      '--user-agent', this.config.userAgent,
+      '--output',
+      outputTemplate,
+      '--user-agent',
+      this.config.userAgent,
       '--write-info-json', // Écrire les métadonnées dans un fichier JSON
       downloadInfo.url
     ];
@@ -275,7 +533,9 @@ class SoundCloudAdapter {
    */
   _parseYtDlpOutput(downloadInfo, output) {
     // Rechercher les informations de progression
-    const progressMatch = output.match(/(\d+\.?\d*)% of ~?(\d+\.?\d*)(\w+) at\s+(\d+\.?\d*)(\w+)\/s/);
+    const progressMatch = output.match(
+      /(\d+\.?\d*)% of ~?(\d+\.?\d*)(\w+) at\s+(\d+\.?\d*)(\w+)\/s/
+    );
 
     if (progressMatch) {
       const percentage = parseFloat(progressMatch[1]);
@@ -324,7 +584,9 @@ class SoundCloudAdapter {
       // Vérifier s'il faut réessayer
       if (downloadInfo.retryCount < this.config.maxRetries) {
         downloadInfo.retryCount++;
-        this._logInfo(`Nouvelle tentative de téléchargement (${downloadInfo.retryCount}/${this.config.maxRetries}): ${downloadInfo.url}`);
+        this._logInfo(
+          `Nouvelle tentative de téléchargement (${downloadInfo.retryCount}/${this.config.maxRetries}): ${downloadInfo.url}`
+        );
 
         // Attendre un peu avant de réessayer
         setTimeout(() => {
@@ -336,7 +598,9 @@ class SoundCloudAdapter {
       // Plus de tentatives possibles
       this._handleDownloadError(
         downloadInfo,
-        new Error(`Le téléchargement a échoué après ${this.config.maxRetries} tentatives. Code: ${code}`)
+        new Error(
+          `Le téléchargement a échoué après ${this.config.maxRetries} tentatives. Code: ${code}`
+        )
       );
       return;
     }
@@ -346,7 +610,7 @@ class SoundCloudAdapter {
 
     // Rechercher le fichier téléchargé
     this._findDownloadedFile(downloadInfo)
-      .then(filePath => {
+      .then((filePath) => {
         if (!filePath) {
           throw new Error('Impossible de trouver le fichier téléchargé');
         }
@@ -378,7 +642,7 @@ class SoundCloudAdapter {
         // Nettoyage des fichiers temporaires
         this._cleanupTempFiles(downloadInfo);
       })
-      .catch(error => {
+      .catch((error) => {
         this._handleDownloadError(downloadInfo, error);
       });
   }
@@ -405,7 +669,7 @@ class SoundCloudAdapter {
         }
 
         // Filtrer pour trouver des fichiers audio correspondant au format demandé
-        const audioFiles = files.filter(file => {
+        const audioFiles = files.filter((file) => {
           const ext = path.extname(file).toLowerCase().substring(1);
           return ext === downloadInfo.format;
         });
@@ -428,10 +692,11 @@ class SoundCloudAdapter {
    * @private
    */
   _extractMetadata(downloadInfo) {
-    return new Promise((resolve, reject) => {
+    return new Promise((resolve) => {
       const jsonFilePath = path.join(
         downloadInfo.outputPath,
-        path.basename(downloadInfo.finalFilePath, path.extname(downloadInfo.finalFilePath)) + '.info.json'
+        path.basename(downloadInfo.finalFilePath, path.extname(downloadInfo.finalFilePath)) +
+          '.info.json'
       );
 
       // Vérifier si le fichier JSON existe
@@ -441,17 +706,7 @@ class SoundCloudAdapter {
           const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
 
           // Extraire les métadonnées pertinentes
-          downloadInfo.metadata = {
-            title: jsonData.title || '',
-            artist: jsonData.uploader || jsonData.artist || '',
-            album: jsonData.album || '',
-            genre: jsonData.genre || '',
-            description: jsonData.description || '',
-            uploadDate: jsonData.upload_date || '',
-            thumbnailUrl: jsonData.thumbnail || '',
-            duration: jsonData.duration || 0,
-            webpage_url: jsonData.webpage_url || downloadInfo.url
-          };
+          downloadInfo.metadata = mapSoundCloudMetadata(jsonData, downloadInfo.url);
 
           // Publier les métadonnées extraites
           this.eventBus.publish('METADATA_EXTRACTED', {
@@ -469,7 +724,10 @@ class SoundCloudAdapter {
         }
       } else {
         // Si le fichier JSON n'existe pas, essayer d'extraire les métadonnées du nom de fichier
-        const fileName = path.basename(downloadInfo.finalFilePath, path.extname(downloadInfo.finalFilePath));
+        const fileName = path.basename(
+          downloadInfo.finalFilePath,
+          path.extname(downloadInfo.finalFilePath)
+        );
 
         downloadInfo.metadata = {
           title: fileName,
@@ -552,7 +810,7 @@ class SoundCloudAdapter {
    */
   _handleCancelRequest(data) {
     if (!data || !data.downloadId) {
-      this._logError('Demande d\'annulation invalide: ID de téléchargement manquant');
+      this._logError("Demande d'annulation invalide: ID de téléchargement manquant");
       return;
     }
 
@@ -625,6 +883,10 @@ class SoundCloudAdapter {
       this.config.ffmpegPath = config.ffmpegPath;
     }
 
+    if (config.preferOriginal !== undefined) {
+      this.config.preferOriginal = !!config.preferOriginal;
+    }
+
     this._logInfo('Configuration SoundCloud mise à jour');
   }
 
@@ -639,9 +901,11 @@ class SoundCloudAdapter {
 
     try {
       const urlObj = new URL(url);
-      return urlObj.hostname === 'soundcloud.com' ||
-             urlObj.hostname === 'www.soundcloud.com' ||
-             urlObj.hostname === 'm.soundcloud.com';
+      return (
+        urlObj.hostname === 'soundcloud.com' ||
+        urlObj.hostname === 'www.soundcloud.com' ||
+        urlObj.hostname === 'm.soundcloud.com'
+      );
     } catch (error) {
       return false;
     }
@@ -733,7 +997,7 @@ class SoundCloudAdapter {
    */
   _cleanup() {
     // Annuler tous les téléchargements en cours
-    for (const [downloadId, downloadInfo] of this.downloads.entries()) {
+    for (const downloadInfo of this.downloads.values()) {
       if (downloadInfo.status === 'downloading' && downloadInfo.process) {
         try {
           downloadInfo.process.kill('SIGTERM');
@@ -747,6 +1011,232 @@ class SoundCloudAdapter {
   }
 }
 
+/**
+ * Associe les informations JSON de yt-dlp aux métadonnées d'un titre SoundCloud
+ * @param {Object} jsonData - Informations renvoyées par yt-dlp
+ * @param {string} url - URL du titre
+ * @returns {Object} Métadonnées ; `originalDownload` signale le fichier original proposé
+ *   par l'artiste (bouton « Download »)
+ */
+function mapSoundCloudMetadata(jsonData, url) {
+  return {
+    title: jsonData.title || '',
+    artist: jsonData.uploader || jsonData.artist || '',
+    album: jsonData.album || '',
+    genre: jsonData.genre || '',
+    description: jsonData.description || '',
+    uploadDate: jsonData.upload_date || '',
+    thumbnailUrl: jsonData.thumbnail || '',
+    duration: jsonData.duration || 0,
+    originalDownload: (jsonData.formats || []).some(
+      (format) => format.format_id === ORIGINAL_FORMAT_ID
+    ),
+    webpage_url: jsonData.webpage_url || url
+  };
+}
+
+/**
+ * Adaptateur SoundCloud pour le contrat BaseAdapter (utilisé par le gestionnaire de
+ * téléchargement via la fabrique d'adaptateurs)
+ */
+class SoundCloudDownloadAdapter extends BaseAdapter {
+  constructor(params = {}) {
+    super({ ...params, platform: 'soundcloud' });
+    this.config = {
+      ...this.config,
+      quality: '320k',
+      userAgent: DEFAULT_USER_AGENT,
+      preferOriginal: true
+    };
+  }
+
+  /**
+   * Un set s'analyse d'un bloc, sans lire chacun de ses titres
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments yt-dlp
+   * @protected
+   */
+  _getAnalyzeArgs(item) {
+    return resolveSoundCloudTarget(item.url).kind === 'set'
+      ? ['--dump-single-json', '--flat-playlist', item.url]
+      : super._getAnalyzeArgs(item);
+  }
+
+  /**
+   * @param {Object} info - Informations renvoyées par yt-dlp
+   * @param {Object} item - Élément de la file
+   * @returns {Object} Métadonnées SoundCloud ; celles d'un set décrivent l'album
+   * @protected
+   */
+  _mapMetadata(info, item) {
+    if (info._type === 'playlist') {
+      return {
+        title: info.title || '',
+        artist: info.uploader || '',
+        album: info.title || '',
+        trackCount: info.playlist_count || (info.entries || []).length,
+        isPlaylist: true,
+        webpage_url: info.webpage_url || item.url
+      };
+    }
+
+    // Titre d'un set mis en file par playlist-handler : album et numéro de piste conservés
+    const { album, trackNumber, totalTracks } = item.metadata || {};
+    return {
+      ...mapSoundCloudMetadata(info, item.url),
+      ...(trackNumber ? { album, trackNumber, totalTracks } : {})
+    };
+  }
+
+  /**
+   * Mêmes options que _downloadWithYtDlp : fichier original, qualité, métadonnées,
+   * pochette et User-Agent
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments yt-dlp
+   * @protected
+   */
+  _getPlatformArgs(item) {
+    return [
+      // Remplace le « -f bestaudio » du contrat : yt-dlp retient la dernière sélection
+      ...getFormatArgs(this.config.preferOriginal),
+      '--audio-quality',
+      this.config.quality,
+      '--add-metadata',
+      ...this._getThumbnailArgs(item.format),
+      '--user-agent',
+      this.config.userAgent
+    ];
+  }
+
+  /**
+   * Télécharge un titre, tagué avec son album et son numéro s'il provient d'un set,
+   * ou un set entier dans un dossier d'album
+   * @param {Object} item - Élément de la file ({ id, url, format, metadata })
+   * @param {Object} [options] - Voir BaseAdapter#download
+   * @returns {Promise<Object>} { filePath } du titre, ou du dossier d'album pour un set
+   */
+  async download(item, options = {}) {
+    if (resolveSoundCloudTarget(item.url).kind === 'set') {
+      return this._downloadSet(item, options);
+    }
+
+    const result = await super.download(item, options);
+
+    const { album, trackNumber, totalTracks } = item.metadata || {};
+    if (trackNumber && this.config.ffmpegPath) {
+      await this._tagTrack(item, result.filePath, {
+        album,
+        track: totalTracks ? `${trackNumber}/${totalTracks}` : String(trackNumber)
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Liste un set ou une section de page d'artiste (`item.section`, 'tracks' par défaut :
+   * les reposts d'une page d'artiste ne sont pas suivis par les abonnements)
+   * @param {Object} item - Élément ({ id, url, section })
+   * @param {Object} [options] - Voir BaseAdapter#listEntries
+   * @returns {Promise<Object>} { title, entries }
+   */
+  async listEntries(item, options = {}) {
+    const target = resolveSoundCloudTarget(item.url, item.section);
+    return super.listEntries({ ...item, url: target.url }, options);
+  }
+
+  /**
+   * Recherche parmi les titres SoundCloud
+   * @param {string} query - Texte recherché
+   * @param {number} limit - Nombre de résultats
+   * @returns {string} Requête yt-dlp
+   * @protected
+   */
+  _getSearchUrl(query, limit) {
+    return `scsearch${limit}:${query}`;
+  }
+
+  /**
+   * Télécharge les titres d'un set dans `<dossier de travail>/<titre du set>`, numérotés
+   * et tagués (album, numéro de piste) par yt-dlp
+   * @param {Object} item - Élément de la file
+   * @param {Object} [options] - Voir BaseAdapter#download
+   * @returns {Promise<Object>} { filePath } du dossier d'album
+   * @private
+   */
+  async _downloadSet(item, { tempDir, onProgress, rateLimit } = {}) {
+    this._assertBinary(this.config.ytDlpPath, 'yt-dlp');
+
+    const workDir = tempDir || this._getDownloadTempDir(item);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const args = [
+      '--extract-audio',
+      ...this._getAudioFormatArgs(item.format),
+      '--yes-playlist',
+      '--continue',
+      '--newline',
+      '-o',
+      path.join(workDir, '%(playlist_title)s', '%(playlist_index)02d - %(title)s.%(ext)s'),
+      ...(rateLimit > 0 ? ['--limit-rate', String(rateLimit)] : []),
+      ...this._getPlatformArgs(item),
+      ...SET_TAG_ARGS,
+      item.url
+    ];
+
+    let position = { index: 1, count: 1 };
+    await this._runProcess(item.id, this.config.ytDlpPath, args, {
+      onLine: (line) => {
+        const match = SET_ITEM_REGEX.exec(line.trim());
+        if (match) {
+          position = { index: Number(match[1]), count: Number(match[2]) };
+          return;
+        }
+
+        const progress = BaseAdapter.parseYtDlpProgressLine(line);
+        if (progress && onProgress) {
+          // Avancement du set entier : titres terminés plus titre en cours
+          onProgress({
+            ...progress,
+            percent: ((position.index - 1) * 100 + progress.percent) / position.count,
+            track: position.index,
+            trackCount: position.count
+          });
+        }
+      }
+    });
+
+    const albumDir = fs
+      .readdirSync(workDir, { withFileTypes: true })
+      .find((entry) => entry.isDirectory());
+    if (!albumDir) {
+      throw this._createError('FILE_NOT_FOUND', 'Aucun titre produit pour ce set');
+    }
+    return { filePath: path.join(workDir, albumDir.name) };
+  }
+
+  /**
+   * Écrit l'album et le numéro de piste dans un titre téléchargé, sans réencodage
+   * @param {Object} item - Élément de la file
+   * @param {string} filePath - Fichier du titre, remplacé par sa version taguée
+   * @param {Object} tags - Tags ffmpeg (album, track)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _tagTrack(item, filePath, tags) {
+    const taggedPath = path.join(path.dirname(filePath), `tagged-${path.basename(filePath)}`);
+    const args = ['-y', '-i', filePath, '-map', '0', '-c', 'copy'];
+    Object.entries(tags).forEach(([key, value]) => {
+      if (value) {
+        args.push('-metadata', `${key}=${value}`);
+      }
+    });
+    args.push(taggedPath);
+
+    await this._runProcess(item.id, this.config.ffmpegPath, args);
+    fs.renameSync(taggedPath, filePath);
+  }
+}
+
 /**
  * Crée et initialise l'adaptateur SoundCloud
  * @param {Object} eventBus - Le bus d'événements central
@@ -765,15 +1255,20 @@ function createSoundCloudAdapter(eventBus) {
  */
 function initialize(eventBus) {
   if (!eventBus) {
-    console.error('SoundCloudAdapter: eventBus est requis pour l\'initialisation');
+    console.error("SoundCloudAdapter: eventBus est requis pour l'initialisation");
     return;
   }
 
   createSoundCloudAdapter(eventBus);
 }
 
-// Exporter uniquement la fonction d'initialisation
-module.exports = { initialize };
+// Exporter la fonction d'initialisation (et la classe du contrat, pour la fabrique d'adaptateurs)
+module.exports = {
+  initialize,
+  SoundCloudDownloadAdapter,
+  resolveSoundCloudTarget,
+  parseFlatPlaylist
+};
 
 /**
  * Exemples d'utilisation:
@@ -789,10 +1284,16 @@ module.exports = { initialize };
  *   format: 'mp3'
  * });
  *
+ * // Page d'artiste : choisir la section (tracks, albums, sets, reposts ou likes)
+ * eventBus.publish('DOWNLOAD_REQUEST_SOUNDCLOUD', {
+ *   requestId: 'req-124',
+ *   url: 'https://soundcloud.com/artist',
+ *   section: 'albums'
+ * });
+ *
  * // 3. Annulation d'un téléchargement:
  * eventBus.publish('DOWNLOAD_CANCEL', {
  *   downloadId: 'download-123'
  * });
- */// Adaptateur pour SoundCloud
+ */ // Adaptateur pour SoundCloud
 // Créé automatiquement le 2025-05-02
-
@@ -29,6 +29,8 @@
  * @emits ERROR - Émis en cas d'erreur générale
  */
 
+const BaseAdapter = require('./base-adapter');
+
 // Constantes pour les codes d'erreur
 const ERROR_CODES = {
   INITIALIZATION_FAILED: 'SPT001',
@@ -56,11 +58,14 @@ const SPOTIFY_COLOR = '#1DB954';
 /**
  * Adaptateur pour les téléchargements depuis Spotify
  */
-class SpotifyAdapter {
-  constructor() {
+class SpotifyAdapter extends BaseAdapter {
+  constructor(params = {}) {
+    super({ ...params, platform: 'spotify' });
+
     this.initialized = false;
     this.eventBus = null;
     this.config = {
+      ...this.config,
       ytDlpPath: '',
       downloadPath: '',
       audioFormat: 'mp3',
@@ -246,91 +251,160 @@ class SpotifyAdapter {
    * @param {string} resourceType - Le type de ressource
    * @param {string} resourceId - L'ID de la ressource
    * @param {string} requestId - L'ID de la requête
+   * @param {Object} [options]
+   * @param {boolean} [options.metadataOnly=false] - Import des métadonnées seules : la liste des
+   *   titres est renvoyée (voir buildTracklist) au lieu d'être publiée pour téléchargement, et
+   *   les erreurs sont transmises à l'appelant
+   * @returns {Promise<Object|null>} Métadonnées, liste des titres en mode métadonnées seules,
+   *   null en cas d'erreur publiée
    */
-  async extractMetadata(url, resourceType, resourceId, requestId) {
-    if (!this.config.ytDlpPath) {
-      this.handleError(ERROR_CODES.YTDLP_NOT_FOUND, 'Chemin vers yt-dlp non configuré');
-      return;
-    }
+  extractMetadata(url, resourceType, resourceId, requestId, { metadataOnly = false } = {}) {
+    return new Promise((resolve, reject) => {
+      // 'close' suit 'error' quand yt-dlp ne démarre pas : l'erreur n'est signalée qu'une fois
+      let failed = false;
+      const fail = (code, message) => {
+        if (failed) return;
+        failed = true;
+        if (metadataOnly) {
+          reject(this._createError(code, message));
+          return;
+        }
+        this.handleError(code, message);
+        resolve(null);
+      };
 
-    const { spawn } = require('node:child_process');
-    const args = ['--dump-json', '--no-playlist', url];
+      if (!this.config.ytDlpPath) {
+        fail(ERROR_CODES.YTDLP_NOT_FOUND, 'Chemin vers yt-dlp non configuré');
+        return;
+      }
 
-    // Si c'est une playlist, inclure les détails de la playlist
-    if (resourceType === RESOURCE_TYPES.PLAYLIST) {
-      args.splice(1, 1); // Enlever --no-playlist
-      args.push('--flat-playlist'); // Obtenir les infos de base
-    }
+      const { spawn } = require('node:child_process');
+      const args = ['--dump-json', '--no-playlist', url];
 
-    try {
-      const ytDlpProcess = spawn(this.config.ytDlpPath, args);
-      let outputData = '';
-      let errorData = '';
+      // Si c'est une playlist, inclure les détails de la playlist
+      if (resourceType === RESOURCE_TYPES.PLAYLIST) {
+        args.splice(1, 1); // Enlever --no-playlist
+        args.push('--flat-playlist'); // Obtenir les infos de base
+      }
 
-      ytDlpProcess.stdout.on('data', (data) => {
-        outputData += data.toString();
-      });
+      try {
+        const ytDlpProcess = spawn(this.config.ytDlpPath, args);
+        let outputData = '';
+        let errorData = '';
 
-      ytDlpProcess.stderr.on('data', (data) => {
-        errorData += data.toString();
-      });
+        ytDlpProcess.stdout.on('data', (data) => {
+          outputData += data.toString();
+        });
 
-      ytDlpProcess.on('close', (code) => {
-        if (code !== 0) {
-          this.handleError(
+        ytDlpProcess.stderr.on('data', (data) => {
+          errorData += data.toString();
+        });
+
+        ytDlpProcess.on('error', (error) => {
+          fail(
             ERROR_CODES.METADATA_EXTRACTION_FAILED,
-            `yt-dlp a échoué avec le code ${code}: ${errorData}`
+            `Erreur lors de l'extraction des métadonnées: ${error.message}`
           );
-          return;
-        }
+        });
+
+        ytDlpProcess.on('close', (code) => {
+          if (failed) return;
+          if (code !== 0) {
+            fail(
+              ERROR_CODES.METADATA_EXTRACTION_FAILED,
+              `yt-dlp a échoué avec le code ${code}: ${errorData}`
+            );
+            return;
+          }
+
+          try {
+            const metadata = this.parseMetadata(outputData, resourceType);
+
+            // Vérifier si la playlist est trop grande
+            if (
+              resourceType === RESOURCE_TYPES.PLAYLIST &&
+              metadata.entries &&
+              metadata.entries.length > this.config.maxPlaylistItems
+            ) {
+              // Tronquer la playlist et avertir
+              metadata.entries = metadata.entries.slice(0, this.config.maxPlaylistItems);
+              metadata.truncated = true;
+              metadata.originalCount = metadata.entries.length;
+
+              this.eventBus.publish('EVENT_LOG', {
+                module: 'spotify-adapter',
+                type: 'warning',
+                message: `Playlist tronquée à ${this.config.maxPlaylistItems} éléments (original: ${metadata.originalCount})`
+              });
+            }
+
+            if (metadataOnly) {
+              resolve(this.buildTracklist(metadata));
+              return;
+            }
+
+            this.eventBus.publish('SPOTIFY_URL_PROCESSED', {
+              url,
+              resourceType,
+              resourceId,
+              metadata,
+              requestId,
+              color: SPOTIFY_COLOR
+            });
 
-        try {
-          const metadata = this.parseMetadata(outputData, resourceType);
-
-          // Vérifier si la playlist est trop grande
-          if (
-            resourceType === RESOURCE_TYPES.PLAYLIST &&
-            metadata.entries &&
-            metadata.entries.length > this.config.maxPlaylistItems
-          ) {
-            // Tronquer la playlist et avertir
-            metadata.entries = metadata.entries.slice(0, this.config.maxPlaylistItems);
-            metadata.truncated = true;
-            metadata.originalCount = metadata.entries.length;
-
-            this.eventBus.publish('EVENT_LOG', {
-              module: 'spotify-adapter',
-              type: 'warning',
-              message: `Playlist tronquée à ${this.config.maxPlaylistItems} éléments (original: ${metadata.originalCount})`
+            this.eventBus.publish('SPOTIFY_METADATA_EXTRACTED', {
+              requestId,
+              metadata
             });
+            resolve(metadata);
+          } catch (parseError) {
+            fail(
+              ERROR_CODES.METADATA_EXTRACTION_FAILED,
+              `Erreur lors de l'analyse des métadonnées: ${parseError.message}`
+            );
           }
+        });
+      } catch (error) {
+        fail(
+          ERROR_CODES.METADATA_EXTRACTION_FAILED,
+          `Erreur lors de l'extraction des métadonnées: ${error.message}`
+        );
+      }
+    });
+  }
 
-          this.eventBus.publish('SPOTIFY_URL_PROCESSED', {
-            url,
-            resourceType,
-            resourceId,
-            metadata,
-            requestId,
-            color: SPOTIFY_COLOR
-          });
+  /**
+   * Importe les métadonnées d'un titre, d'un album ou d'une playlist sans rien télécharger
+   * @param {string} url - L'URL Spotify
+   * @param {string} [requestId] - L'ID de la requête
+   * @returns {Promise<Object>} Liste des titres ({ title, tracks })
+   */
+  async importTracklist(url, requestId) {
+    const { resourceType, resourceId } = this.extractResourceInfo(url);
+    return this.extractMetadata(url, resourceType, resourceId, requestId, { metadataOnly: true });
+  }
 
-          this.eventBus.publish('SPOTIFY_METADATA_EXTRACTED', {
-            requestId,
-            metadata
-          });
-        } catch (parseError) {
-          this.handleError(
-            ERROR_CODES.METADATA_EXTRACTION_FAILED,
-            `Erreur lors de l'analyse des métadonnées: ${parseError.message}`
-          );
-        }
-      });
-    } catch (error) {
-      this.handleError(
-        ERROR_CODES.METADATA_EXTRACTION_FAILED,
-        `Erreur lors de l'extraction des métadonnées: ${error.message}`
-      );
-    }
+  /**
+   * Met en forme les métadonnées analysées en liste de titres exportable
+   * @param {Object} metadata - Métadonnées issues de parseMetadata
+   * @returns {Object} { title, tracks: [{ title, artists, album, isrc, duration, coverUrl }] }
+   */
+  buildTracklist(metadata) {
+    const entries = metadata.type === RESOURCE_TYPES.TRACK ? [metadata] : metadata.entries || [];
+    // Les titres d'un album n'indiquent pas leur album
+    const album = metadata.type === RESOURCE_TYPES.ALBUM ? metadata.title : '';
+
+    return {
+      title: metadata.title,
+      tracks: entries.map((entry) => ({
+        title: entry.title,
+        artists: entry.artists && entry.artists.length ? entry.artists : [entry.artist],
+        album: entry.album || album,
+        isrc: entry.isrc || '',
+        duration: entry.duration || 0,
+        coverUrl: entry.thumbnail || metadata.thumbnail || ''
+      }))
+    };
   }
 
   /**
@@ -355,6 +429,9 @@ class SpotifyAdapter {
             id: entry.id || `track-${index}`,
             title: entry.title || 'Titre inconnu',
             artist: entry.artist || entry.uploader || 'Artiste inconnu',
+            artists: entry.artists || [],
+            album: entry.album || '',
+            isrc: entry.isrc || '',
             thumbnail: entry.thumbnail || '',
             duration: entry.duration || 0,
             index: index
@@ -365,11 +442,15 @@ class SpotifyAdapter {
         const parsedData = JSON.parse(data);
 
         if (resourceType === RESOURCE_TYPES.TRACK) {
+          const artist = parsedData.artist || parsedData.uploader || 'Artiste inconnu';
           return {
             type: RESOURCE_TYPES.TRACK,
             id: parsedData.id || 'unknown',
             title: parsedData.title || 'Titre inconnu',
-            artist: parsedData.artist || parsedData.uploader || 'Artiste inconnu',
+            artist,
+            // Artistes crédités et ISRC : critères du rapprochement avec une source audio
+            artists: parsedData.artists || [artist],
+            isrc: parsedData.isrc || '',
             album: parsedData.album || '',
             thumbnail: parsedData.thumbnail || '',
             duration: parsedData.duration || 0
@@ -386,6 +467,8 @@ class SpotifyAdapter {
               id: entry.id || `track-${index}`,
               title: entry.title || 'Titre inconnu',
               artist: entry.artist || parsedData.artist || 'Artiste inconnu',
+              artists: entry.artists || [],
+              isrc: entry.isrc || '',
               thumbnail: entry.thumbnail || parsedData.thumbnail || '',
               duration: entry.duration || 0,
               index: index
@@ -719,6 +802,67 @@ class SpotifyAdapter {
     this.activeDownloads.clear();
   }
 
+  /**
+   * Arguments d'analyse pour le contrat BaseAdapter : mêmes options que extractMetadata
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments yt-dlp
+   * @protected
+   */
+  _getAnalyzeArgs(item) {
+    const { resourceType } = this.extractResourceInfo(item.url);
+    return resourceType === RESOURCE_TYPES.PLAYLIST
+      ? ['--dump-json', '--flat-playlist', item.url]
+      : ['--dump-json', '--no-playlist', item.url];
+  }
+
+  /**
+   * Métadonnées pour le contrat BaseAdapter, selon le type de ressource Spotify
+   * @param {string} stdout - Sortie de yt-dlp
+   * @param {Object} item - Élément de la file
+   * @returns {Object} Métadonnées
+   * @protected
+   */
+  _parseAnalysis(stdout, item) {
+    const { resourceType } = this.extractResourceInfo(item.url);
+    return this.parseMetadata(stdout, resourceType);
+  }
+
+  /**
+   * Arguments yt-dlp propres à Spotify (mêmes options que startDownload)
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments
+   * @protected
+   */
+  _getPlatformArgs(item) {
+    return [
+      '--audio-quality',
+      this.config.audioQuality,
+      ...this._getThumbnailArgs(item.format),
+      '--add-metadata',
+      '--convert-thumbnails',
+      'jpg',
+      '--parse-metadata',
+      '%(artist)s:%(meta_artist)s',
+      '--parse-metadata',
+      '%(title)s:%(meta_title)s',
+      '--parse-metadata',
+      '%(album)s:%(meta_album)s'
+    ];
+  }
+
+  /**
+   * Capacités de l'adaptateur Spotify
+   * @returns {Object} Capacités
+   * @protected
+   */
+  _getCapabilities() {
+    return {
+      ...super._getCapabilities(),
+      supportsPlaylists: true,
+      maxPlaylistItems: this.config.maxPlaylistItems
+    };
+  }
+
   /**
    * Gère les erreurs et les publie sur le bus d'événements
    * @param {string} code - Le code d'erreur
@@ -807,6 +951,9 @@ module.exports = function initializeSpotifyAdapter(container) {
   }
 };
 
+// Classe exposée pour la fabrique d'adaptateurs
+module.exports.SpotifyAdapter = SpotifyAdapter;
+
 /**
  * Exemples d'utilisation:
  *
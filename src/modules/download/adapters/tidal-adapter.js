@@ -5,9 +5,10 @@
  * @description
  * Ce module gère l'intégration avec Tidal via OAuth et Tidal-Media-Downloader-PRO.
  * Il permet l'authentification, la récupération des métadonnées et le téléchargement
- * de fichiers audio depuis la plateforme Tidal.
+ * de fichiers audio depuis la plateforme Tidal. La connexion passe par l'autorisation
+ * d'appareil de auth-manager (code à saisir sur tidal.com) ; le token obtenu est relu
+ * auprès du stockage sécurisé, puis renouvelé par auth-manager une fois expiré.
  *
- * @requires electron
  * @requires child_process
  * @requires crypto
  * @requires path
@@ -20,6 +21,8 @@
  * - AUTH_TOKEN_REQUEST_TIDAL: Demande de récupération du token d'authentification
  * - AUTH_LOGOUT_TIDAL: Demande de déconnexion
  * - CONFIG_UPDATED: Mise à jour de la configuration
+ * - AUTH:SUCCESS | AUTH:FAILURE: Fin de l'autorisation d'appareil ou du renouvellement
+ * - AUTH:TOKEN_RETRIEVED | AUTH:TOKENS_UPDATED: Token Tidal du stockage sécurisé
  *
  * ÉMET:
  * - ADAPTER_REGISTERED: Confirmation de l'enregistrement de l'adaptateur
@@ -30,8 +33,9 @@
  * - METADATA_EXTRACTED: Métadonnées extraites
  * - AUTH_TOKEN_READY: Token d'authentification prêt
  * - AUTH_REQUIRED: Authentification requise
- * - AUTH_SUCCESS: Authentification réussie
- * - AUTH_FAILURE: Échec de l'authentification
+ * - AUTH:DEVICE_FLOW_START: Connexion par autorisation d'appareil
+ * - AUTH:RETRIEVE_TOKEN: Lecture du token Tidal dans le stockage sécurisé
+ * - AUTH:REFRESH_TOKEN: Renouvellement du token Tidal expiré
  * - ERROR: Erreur générale
  *
  * @example
@@ -45,29 +49,50 @@
  * // });
  */
 
-// Dépendances externes (Node.js/Electron)
-const { BrowserWindow, shell } = require('electron');
+// Dépendances externes (Node.js)
 const { execFile } = require('child_process');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const BaseAdapter = require('./base-adapter');
+
+// Qualités Tidal, de la meilleure à la moins bonne, et valeur --quality du downloader
+const QUALITY_LEVELS = ['HI_RES', 'LOSSLESS', 'HIGH', 'NORMAL'];
+const QUALITY_ARGS = { HI_RES: 'Master', LOSSLESS: 'HiFi', HIGH: 'High', NORMAL: 'Normal' };
+// Qualité visée lorsque adapters.tidal.preferredQuality est absente ou inconnue
+const DEFAULT_QUALITY = 'LOSSLESS';
+// Refus d'une qualité par l'abonnement ou pour ce titre : la qualité suivante est essayée
+const QUALITY_UNAVAILABLE_REGEX =
+  /quality\b.*\b(not available|unavailable|not allowed|not supported)|subscription/i;
+// Délai de réponse du stockage sécurisé aux demandes de token
+const TOKEN_REQUEST_TIMEOUT = 2000;
+// Délai de renouvellement d'un token expiré (appel au serveur de tokens de Tidal)
+const TOKEN_REFRESH_TIMEOUT = 20000;
+// Qualité effectivement servie, annoncée par le downloader (« Quality: HiFi »)
+const QUALITY_OUTPUT_REGEX = /^\s*Quality\s*:\s*(\w+)/i;
 
 /**
  * Adaptateur Tidal qui gère les téléchargements via Tidal-Media-Downloader-PRO
  */
-class TidalAdapter {
+class TidalAdapter extends BaseAdapter {
   /**
    * Crée une instance de TidalAdapter.
    */
-  constructor() {
-    this.authWindow = null;
+  constructor(params = {}) {
+    super({ ...params, platform: 'tidal' });
+
     this.authInProgress = false;
+    this.authRequestId = null;
     this.tidalDownloaderPath = null;
     this.tidalConfig = null;
     this.downloadQueue = new Map();
     this.tokenData = null;
     this.encryptionKey = null;
+    // Token obtenu par autorisation d'appareil, relu auprès du stockage sécurisé
+    this.storedToken = undefined;
+    this.tokenRequests = new Map();
+    this.listeningForTokens = false;
     this.tempDir = path.join(os.tmpdir(), '21byts-tidal');
   }
 
@@ -414,9 +439,12 @@ class TidalAdapter {
    * Extrait les métadonnées d'une ressource Tidal
    * @param {string} tidalId - ID de la ressource Tidal
    * @param {string} tidalType - Type de ressource (track, album, playlist)
+   * @param {Object} [options]
+   * @param {boolean} [options.metadataOnly=false] - Import des métadonnées seules : renvoie la
+   *   liste des titres de la ressource (voir parseTracklistOutput)
    * @returns {Promise<Object>} Métadonnées extraites
    */
-  extractMetadata(tidalId, tidalType) {
+  extractMetadata(tidalId, tidalType, { metadataOnly = false } = {}) {
     return new Promise((resolve, reject) => {
       // Préparation des arguments pour l'extraction des métadonnées
       const args = [
@@ -448,7 +476,9 @@ class TidalAdapter {
       process.on('close', (code) => {
         if (code === 0) {
           // Analyse des métadonnées depuis la sortie
-          const metadata = this.parseMetadataOutput(stdoutData);
+          const metadata = metadataOnly
+            ? this.parseTracklistOutput(stdoutData, tidalType)
+            : this.parseMetadataOutput(stdoutData);
           resolve(metadata);
         } else {
           reject(new Error(stderrData || `Erreur d'extraction des métadonnées (code ${code})`));
@@ -474,7 +504,8 @@ class TidalAdapter {
       releaseDate: '',
       duration: 0,
       coverUrl: '',
-      quality: ''
+      quality: '',
+      isrc: ''
     };
 
     // Extraction du titre
@@ -522,9 +553,44 @@ class TidalAdapter {
       metadata.quality = qualityMatch[1].trim();
     }
 
+    // Extraction de l'ISRC
+    const isrcMatch = output.match(/ISRC\s*:\s*([A-Z0-9-]+)/i);
+    if (isrcMatch && isrcMatch[1]) {
+      metadata.isrc = isrcMatch[1].trim();
+    }
+
     return metadata;
   }
 
+  /**
+   * Analyse la liste des titres d'une ressource. Le downloader décrit chaque titre dans un bloc
+   * séparé par une ligne vide ; un album ou une playlist est décrit dans un premier bloc, sans
+   * durée.
+   * @param {string} output - Sortie du processus (--info-only)
+   * @param {string} tidalType - Type de ressource (track, album, playlist)
+   * @returns {Object} { title, tracks: [{ title, artists, album, isrc, duration, coverUrl }] }
+   */
+  parseTracklistOutput(output, tidalType) {
+    const blocks = output
+      .split(/\r?\n\s*\r?\n/)
+      .map((block) => this.parseMetadataOutput(block))
+      .filter((block) => block.title);
+    const tracks = blocks.filter((block) => block.duration > 0);
+    const header = blocks.find((block) => !(block.duration > 0)) || tracks[0] || {};
+
+    return {
+      title: header.title || '',
+      tracks: tracks.map((track) => ({
+        title: track.title,
+        artists: track.artist ? [track.artist] : [],
+        album: track.album || (tidalType === 'album' ? header.title : ''),
+        isrc: track.isrc,
+        duration: track.duration,
+        coverUrl: track.coverUrl || header.coverUrl || ''
+      }))
+    };
+  }
+
   /**
    * Gère une demande de récupération du token d'authentification
    */
@@ -685,190 +751,30 @@ class TidalAdapter {
   }
 
   /**
-   * Initie le processus d'authentification OAuth
+   * Connecte le compte Tidal par autorisation d'appareil (AUTH:DEVICE_FLOW_START) : le code à
+   * saisir sur tidal.com est affiché par l'interface et les tokens obtenus sont conservés par
+   * le stockage sécurisé, où l'adaptateur les relit avant chaque opération.
    */
   initiateOAuthAuthentication() {
-    if (this.authInProgress) {
+    if (this.authInProgress || !this.eventBus) {
       return;
     }
 
-    this.authInProgress = true;
-
-    // Création d'une fenêtre pour l'authentification
-    this.authWindow = new BrowserWindow({
-      width: 800,
-      height: 600,
-      webPreferences: {
-        nodeIntegration: false,
-        contextIsolation: true
-      }
-    });
-
-    // Préparation des arguments pour générer le code de vérification
-    const args = ['--auth-url-only'];
-
-    // Exécution du downloader pour obtenir l'URL d'authentification
-    const process = execFile(this.tidalDownloaderPath, args);
-
-    let stdoutData = '';
-    let authUrl = '';
-    let verificationCode = '';
-
-    process.stdout.on('data', (data) => {
-      stdoutData += data.toString();
-
-      // Extraction de l'URL d'authentification
-      const urlMatch = stdoutData.match(/URL\s*:\s*(https?:\/\/[^\s]+)/i);
-      if (urlMatch && urlMatch[1] && !authUrl) {
-        authUrl = urlMatch[1].trim();
-
-        // Extraction du code de vérification
-        const codeMatch = stdoutData.match(/Code\s*:\s*([A-Z0-9]+)/i);
-        if (codeMatch && codeMatch[1]) {
-          verificationCode = codeMatch[1].trim();
-
-          // Ouverture de l'URL d'authentification
-          this.authWindow.loadURL(authUrl);
-
-          // Attendre que la page soit chargée pour insérer le code
-          this.authWindow.webContents.on('did-finish-load', () => {
-            // Injection de script pour remplir automatiquement le champ de code
-            this.authWindow.webContents.executeJavaScript(`
-              setTimeout(() => {
-                const codeInput = document.querySelector('input[name="code"]');
-                if (codeInput) {
-                  codeInput.value = "${verificationCode}";
-
-                  // Simuler un clic sur le bouton de soumission
-                  const submitButton = document.querySelector('button[type="submit"]');
-                  if (submitButton) {
-                    submitButton.click();
-                  }
-                }
-              }, 1000);
-            `);
-          });
-
-          // Surveiller les redirections pour détecter la fin de l'authentification
-          this.authWindow.webContents.on('will-navigate', (event, url) => {
-            if (url.includes('tidal.com/success') || url.includes('tidal://login/success')) {
-              // L'authentification a réussi, récupérer le token
-              this.retrieveToken();
-            }
-          });
-        }
-      }
-    });
-
-    process.on('error', (error) => {
-      this.authInProgress = false;
-
-      if (this.authWindow) {
-        this.authWindow.close();
-        this.authWindow = null;
-      }
-
-      this.eventBus.emit('AUTH_FAILURE', {
-        platform: 'tidal',
-        error: error.message
-      });
-    });
-
-    // Gestion de la fermeture de la fenêtre
-    this.authWindow.on('closed', () => {
-      this.authWindow = null;
-
-      if (this.authInProgress) {
+    if (!this.authRequestId) {
+      const settle = (data) => {
+        if (!data || !this.authInProgress || data.requestId !== this.authRequestId) return;
         this.authInProgress = false;
-        this.eventBus.emit('AUTH_FAILURE', {
-          platform: 'tidal',
-          error: "Authentification annulée par l'utilisateur"
-        });
-      }
-    });
-  }
-
-  /**
-   * Récupère le token après une authentification réussie
-   */
-  retrieveToken() {
-    if (this.authWindow) {
-      this.authWindow.close();
-      this.authWindow = null;
+        this.storedToken = undefined;
+      };
+      this.eventBus.subscribe('AUTH:SUCCESS', settle);
+      this.eventBus.subscribe('AUTH:FAILURE', settle);
     }
 
-    // Exécution du downloader pour récupérer le token
-    const args = ['--check-auth'];
-
-    const process = execFile(this.tidalDownloaderPath, args);
-
-    let stdoutData = '';
-    let stderrData = '';
-
-    process.stdout.on('data', (data) => {
-      stdoutData += data.toString();
-    });
-
-    process.stderr.on('data', (data) => {
-      stderrData += data.toString();
-    });
-
-    process.on('close', (code) => {
-      this.authInProgress = false;
-
-      if (code === 0) {
-        // Extraction du token et de sa durée de validité
-        try {
-          const tokenMatch = stdoutData.match(/Token\s*:\s*([^\s]+)/i);
-          const refreshMatch = stdoutData.match(/Refresh\s*:\s*([^\s]+)/i);
-          const expiryMatch = stdoutData.match(/Expires\s*:\s*(\d+)/i);
-
-          if (tokenMatch && tokenMatch[1] && expiryMatch && expiryMatch[1]) {
-            const token = tokenMatch[1].trim();
-            const refreshToken = refreshMatch && refreshMatch[1] ? refreshMatch[1].trim() : null;
-            const expiresIn = parseInt(expiryMatch[1], 10);
-
-            const expiresAt = new Date();
-            expiresAt.setSeconds(expiresAt.getSeconds() + expiresIn);
-
-            this.tokenData = {
-              accessToken: this.encryptToken(token),
-              refreshToken: refreshToken ? this.encryptToken(refreshToken) : null,
-              expiresAt: expiresAt.toISOString()
-            };
-
-            // Sauvegarder le token
-            this.saveTokenToConfig();
-
-            this.eventBus.emit('AUTH_SUCCESS', {
-              platform: 'tidal'
-            });
-          } else {
-            this.eventBus.emit('AUTH_FAILURE', {
-              platform: 'tidal',
-              error: 'Token non trouvé dans la réponse'
-            });
-          }
-        } catch (error) {
-          this.eventBus.emit('AUTH_FAILURE', {
-            platform: 'tidal',
-            error: `Erreur de traitement du token: ${error.message}`
-          });
-        }
-      } else {
-        this.eventBus.emit('AUTH_FAILURE', {
-          platform: 'tidal',
-          error: stderrData || `Erreur de récupération du token (code ${code})`
-        });
-      }
-    });
-
-    process.on('error', (error) => {
-      this.authInProgress = false;
-      this.eventBus.emit('AUTH_FAILURE', {
-        platform: 'tidal',
-        error: `Erreur d'exécution: ${error.message}`
-      });
+    this.authInProgress = true;
+    this.authRequestId = `tidal-auth-${crypto.randomUUID()}`;
+    this.eventBus.publish('AUTH:DEVICE_FLOW_START', {
+      requestId: this.authRequestId,
+      service: 'tidal'
     });
   }
 
@@ -1012,6 +918,10 @@ class TidalAdapter {
    * @returns {string} Token d'accès déchiffré
    */
   getDecryptedToken() {
+    if (this.storedToken) {
+      return this.storedToken.accessToken;
+    }
+
     if (!this.tokenData || !this.tokenData.accessToken) {
       return null;
     }
@@ -1078,6 +988,282 @@ class TidalAdapter {
     return 'track';
   }
 
+  /**
+   * Configure l'adaptateur pour le contrat BaseAdapter.
+   * Le token et la clé de chiffrement sont ceux sauvegardés dans la configuration.
+   * @param {Object} [config={}] - Configuration (tidalDownloaderPath, tidalTokenData…)
+   * @param {Object} [eventBus] - Bus d'événements
+   * @returns {TidalAdapter} L'adaptateur lui-même
+   */
+  configure(config = {}, eventBus = null) {
+    super.configure(config, eventBus);
+
+    if (config.tidalDownloaderPath) this.tidalDownloaderPath = config.tidalDownloaderPath;
+    if (config.tidalTokenData) this.tokenData = config.tidalTokenData;
+    if (config.tidalEncryptionKey) this.encryptionKey = config.tidalEncryptionKey;
+
+    return this;
+  }
+
+  /**
+   * Analyse une URL Tidal via le downloader (--info-only)
+   * @param {Object} item - Élément de la file
+   * @returns {Promise<Object>} { metadata }
+   */
+  async analyze(item) {
+    await this._assertReady(item);
+
+    const { stdout } = await this._runProcess(
+      item.id,
+      this.tidalDownloaderPath,
+      this._getDownloaderArgs(item, ['--info-only'])
+    );
+
+    return { metadata: this.parseMetadataOutput(stdout) };
+  }
+
+  /**
+   * Télécharge une ressource Tidal dans le dossier de travail. Les qualités de la chaîne de
+   * repli sont essayées dans l'ordre tant que Tidal refuse la précédente.
+   * @param {Object} item - Élément de la file (`qualities` : chaîne propre à l'élément)
+   * @param {Object} [options]
+   * @param {string} [options.tempDir] - Dossier de travail
+   * @param {Function} [options.onProgress] - Reçoit { phase, percent }
+   * @returns {Promise<Object>} { filePath, metadata: { quality, requestedQuality,
+   *   qualityDowngraded } }
+   */
+  async download(item, { tempDir, onProgress } = {}) {
+    await this._assertReady(item);
+
+    const workDir = tempDir || this._getDownloadTempDir(item);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const qualities = this.getQualityChain(item);
+    for (const [index, requested] of qualities.entries()) {
+      let quality = requested;
+      const args = this._getDownloaderArgs(item, [
+        '--format',
+        String(item.format).toUpperCase(),
+        '--output',
+        workDir,
+        '--quality',
+        QUALITY_ARGS[requested]
+      ]);
+
+      try {
+        await this._runProcess(item.id, this.tidalDownloaderPath, args, {
+          onLine: (line) => {
+            const match = line.match(/Downloading:\s+(\d+)%/);
+            if (match && onProgress) {
+              onProgress({ phase: 'downloading', percent: parseInt(match[1], 10) });
+            }
+            const served = line.match(QUALITY_OUTPUT_REGEX);
+            if (served) quality = this._parseQuality(served[1]) || quality;
+          }
+        });
+      } catch (err) {
+        const unavailable = QUALITY_UNAVAILABLE_REGEX.test(`${err.output || ''}\n${err.message}`);
+        if (err.cancelled || !unavailable || index === qualities.length - 1) throw err;
+        continue;
+      }
+
+      return {
+        filePath: this._findOutputFile(item, workDir),
+        metadata: {
+          quality,
+          requestedQuality: qualities[0],
+          qualityDowngraded: QUALITY_LEVELS.indexOf(quality) > QUALITY_LEVELS.indexOf(qualities[0])
+        }
+      };
+    }
+  }
+
+  /**
+   * Chaîne de qualités à essayer pour un élément : celle de l'élément, sinon
+   * adapters.tidal.qualityFallback, sinon preferredQuality suivie des qualités inférieures
+   * @param {Object} [item] - Élément de la file
+   * @returns {string[]} Qualités (HI_RES, LOSSLESS, HIGH, NORMAL), de la plus à la moins voulue
+   */
+  getQualityChain(item = {}) {
+    const settings = this.config.platformSettings || {};
+    const chain = [item.qualities, settings.qualityFallback].find(
+      (qualities) => Array.isArray(qualities) && qualities.length
+    );
+    if (chain) {
+      const valid = chain.map((quality) => this._parseQuality(quality)).filter(Boolean);
+      if (valid.length) return [...new Set(valid)];
+    }
+
+    const preferred = this._parseQuality(settings.preferredQuality) || DEFAULT_QUALITY;
+    return QUALITY_LEVELS.slice(QUALITY_LEVELS.indexOf(preferred));
+  }
+
+  /**
+   * Importe les métadonnées d'un titre, d'un album ou d'une playlist sans rien télécharger
+   * @param {string} url - URL Tidal
+   * @returns {Promise<Object>} Liste des titres ({ title, tracks })
+   */
+  async importTracklist(url) {
+    await this._assertReady({ url });
+    return this.extractMetadata(this.extractTidalId(url), this.getTidalResourceType(url), {
+      metadataOnly: true
+    });
+  }
+
+  /**
+   * Reconnaît une qualité, sous son nom Tidal (LOSSLESS) ou celui du downloader (HiFi)
+   * @param {string} value - Qualité
+   * @returns {string|null} Niveau de QUALITY_LEVELS, null si inconnu
+   * @private
+   */
+  _parseQuality(value) {
+    const name = String(value || '').toUpperCase();
+    if (QUALITY_LEVELS.includes(name)) return name;
+    return QUALITY_LEVELS.find((level) => QUALITY_ARGS[level].toUpperCase() === name) || null;
+  }
+
+  /**
+   * Vérifie que le downloader et un token valide sont disponibles : celui de l'autorisation
+   * d'appareil, sinon celui de l'ancienne configuration (tidalTokenData). Sans token, la
+   * connexion par autorisation d'appareil est lancée.
+   * @param {Object} item - Élément de la file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _assertReady(item) {
+    this._assertBinary(this.tidalDownloaderPath, 'Tidal downloader');
+    if (await this._getStoredToken()) return;
+
+    const expired = this.tokenData && new Date(this.tokenData.expiresAt) <= new Date();
+    if (!this.tokenData || expired || !this.encryptionKey || !this.getDecryptedToken()) {
+      // Sans identifiant client, l'autorisation d'appareil ne peut pas aboutir
+      const { deviceAuth } = this.config.platformSettings || {};
+      if (deviceAuth && !deviceAuth.clientId) {
+        throw this._createError(
+          'INVALID_CONFIG',
+          'Identifiant client Tidal manquant : renseignez adapters.tidal.deviceAuth.clientId ' +
+            'pour connecter le compte'
+        );
+      }
+      if (this.eventBus) {
+        this.eventBus.publish('ADAPTER:TIDAL:AUTH_REQUIRED', { downloadId: item.id });
+      }
+      // Le code de connexion s'affiche ; l'élément pourra être relancé une fois connecté
+      this.initiateOAuthAuthentication();
+      throw this._createError('AUTH_REQUIRED', 'Connexion à Tidal requise');
+    }
+  }
+
+  /**
+   * Demande le token Tidal au stockage sécurisé (AUTH:RETRIEVE_TOKEN). Un token valide est
+   * conservé jusqu'à son expiration ou la prochaine mise à jour des tokens ; un token expiré
+   * est renouvelé par auth-manager (AUTH:REFRESH_TOKEN) puis relu. L'absence de token n'est
+   * pas retenue : la demande suivante interroge à nouveau le stockage.
+   * @returns {Promise<Object|null>} { accessToken, expiresAt }, null s'il n'y en a pas de valide
+   * @private
+   */
+  async _getStoredToken() {
+    if (this.storedToken && this.storedToken.expiresAt > Date.now()) {
+      return this.storedToken;
+    }
+    this.storedToken = undefined;
+    if (!this.eventBus) return null;
+
+    if (!this.listeningForTokens) {
+      this.listeningForTokens = true;
+      const answer = (data, response) => {
+        const settle = data && this.tokenRequests.get(data.requestId);
+        if (settle) settle(response);
+      };
+      this.eventBus.subscribe('AUTH:TOKEN_RETRIEVED', (data) => answer(data, data));
+      // Fin d'un renouvellement : le token renouvelé est relu auprès du stockage
+      this.eventBus.subscribe('AUTH:SUCCESS', (data) => answer(data, { success: true }));
+      this.eventBus.subscribe('AUTH:FAILURE', (data) => answer(data, null));
+      this.eventBus.subscribe('AUTH:TOKENS_UPDATED', (data) => {
+        if (data && data.service === 'tidal') this.storedToken = undefined;
+      });
+    }
+
+    let response = await this._requestToken('AUTH:RETRIEVE_TOKEN', { serviceId: 'tidal' });
+    let token = response && response.success ? response.token : null;
+    const refreshToken = (token && token.refreshToken) || (response && response.refreshToken);
+    const expired = (response && response.expired) || (token && token.expiresAt <= Date.now());
+    if (expired) {
+      token = null;
+      const refreshed =
+        refreshToken &&
+        (await this._requestToken(
+          'AUTH:REFRESH_TOKEN',
+          { service: 'tidal', refreshToken },
+          TOKEN_REFRESH_TIMEOUT
+        ));
+      if (refreshed) {
+        response = await this._requestToken('AUTH:RETRIEVE_TOKEN', { serviceId: 'tidal' });
+        token = response && response.success ? response.token : null;
+      }
+    }
+
+    if (token) this.storedToken = token;
+    return token || null;
+  }
+
+  /**
+   * Publie une demande d'authentification et attend sa réponse (même requestId)
+   * @param {string} event - AUTH:RETRIEVE_TOKEN ou AUTH:REFRESH_TOKEN
+   * @param {Object} payload - Données de la demande
+   * @param {number} [timeout] - Délai de réponse (ms)
+   * @returns {Promise<Object|null>} Réponse, null sans réponse dans le délai ou en cas d'échec
+   * @private
+   */
+  _requestToken(event, payload, timeout = TOKEN_REQUEST_TIMEOUT) {
+    return new Promise((resolve) => {
+      const requestId = `tidal-token-${crypto.randomUUID()}`;
+      const settle = (response) => {
+        clearTimeout(timer);
+        this.tokenRequests.delete(requestId);
+        resolve(response);
+      };
+      // Stockage sécurisé ou gestionnaire d'authentification absent : pas de réponse
+      const timer = setTimeout(() => settle(null), timeout);
+      this.tokenRequests.set(requestId, settle);
+      this.eventBus.publish(event, { ...payload, requestId });
+    });
+  }
+
+  /**
+   * Arguments communs du downloader pour un élément
+   * @param {Object} item - Élément de la file
+   * @param {string[]} extraArgs - Arguments supplémentaires
+   * @returns {string[]} Arguments
+   * @private
+   */
+  _getDownloaderArgs(item, extraArgs) {
+    return [
+      '--id',
+      this.extractTidalId(item.url),
+      '--type',
+      this.getTidalResourceType(item.url),
+      ...extraArgs,
+      '--token',
+      this.getDecryptedToken()
+    ];
+  }
+
+  /**
+   * Capacités de l'adaptateur Tidal : le downloader ne sait pas reprendre un fichier partiel
+   * @returns {Object} Capacités
+   * @protected
+   */
+  _getCapabilities() {
+    return {
+      ...super._getCapabilities(),
+      formats: ['flac', 'm4a', 'mp3'],
+      supportsPlaylists: true,
+      requiresAuthentication: true,
+      supportsPause: false
+    };
+  }
+
   /**
    * Obtient le chemin de sortie par défaut
    * @returns {string} Chemin de sortie par défaut
@@ -1137,8 +1323,9 @@ function initializeTidalAdapter(eventBus) {
   }
 }
 
-// Export de la fonction d'initialisation
+// Export de la fonction d'initialisation (et de la classe, pour la fabrique d'adaptateurs)
 module.exports = {
-  initialize: initializeTidalAdapter
+  initialize: initializeTidalAdapter,
+  TidalAdapter
 }; // Adaptateur pour Tidal
 // Créé automatiquement le 2025-05-02
@@ -17,6 +17,7 @@
  * - CONFIG_UPDATED: Met à jour les configurations locales
  * - YOUTUBE_GET_INFO: Demande d'informations sur une vidéo YouTube
  * - YOUTUBE_VALIDATE_URL: Vérifie si une URL est valide pour YouTube
+ * - UI:PLAYLIST_DECISION: Choix de l'utilisateur pour une playlist détectée
  *
  * Émet:
  * - ADAPTER_REGISTERED: Notifie que l'adaptateur YouTube est enregistré
@@ -26,6 +27,9 @@
  * - DOWNLOAD_ERROR: Une erreur s'est produite pendant le téléchargement
  * - DOWNLOAD_CANCELLED: Le téléchargement a été annulé
  * - METADATA_EXTRACTED: Les métadonnées ont été extraites
+ * - PLAYLIST:DETECTED: Une playlist a été détectée (page d'éléments lue)
+ * - PLAYLIST:PROCESSING_PROGRESS: Éléments de playlist reçus au fil de l'eau
+ * - PLAYLIST:GENERATE_FILE_REQUEST: Playlist d'album des chapitres découpés
  * - ERROR: Erreur générale de l'adaptateur
  */
 
@@ -34,28 +38,200 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const BaseAdapter = require('./base-adapter');
+const EVENT_TYPES = require('../../../constants/event-types');
+
+// Sortie de yt-dlp indiquant le fichier produit (l'extraction audio remplace le téléchargement)
+const DESTINATION_REGEX = /\[(?:download|ExtractAudio)\] Destination: (.+)/g;
+
+// Page ou onglet de chaîne (@nom, /channel/, /c/, /user/), listé du plus récent au plus ancien
+const CHANNEL_URL_REGEX =
+  /\/(?:@|channel\/|c\/|user\/)[^/?#]+(?:\/(?:videos|streams|shorts))?\/?(?:[?#]|$)/;
+
+/**
+ * Normalise les chapitres renvoyés par yt-dlp ({ start_time, end_time, title })
+ * @param {Array} [chapters] - Chapitres de la vidéo
+ * @param {number} [duration] - Durée de la vidéo, fin du dernier chapitre à défaut de end_time
+ * @returns {Object[]} Chapitres { index, title, start, end } ; end vaut null si inconnue
+ */
+function mapChapters(chapters, duration) {
+  if (!Array.isArray(chapters)) {
+    return [];
+  }
+
+  const valid = chapters.filter((chapter) => chapter && Number.isFinite(chapter.start_time));
+
+  return valid
+    .map((chapter, i) => {
+      const next = valid[i + 1];
+      let end = chapter.end_time;
+      if (!Number.isFinite(end)) {
+        end = next ? next.start_time : duration;
+      }
+
+      return {
+        title: chapter.title,
+        start: chapter.start_time,
+        end: Number.isFinite(end) ? end : null
+      };
+    })
+    .filter((chapter) => chapter.end === null || chapter.end > chapter.start)
+    .map((chapter, i) => ({
+      ...chapter,
+      index: i + 1,
+      title: chapter.title || `Chapitre ${i + 1}`
+    }));
+}
+
+/**
+ * Associe les informations JSON de yt-dlp aux métadonnées d'une vidéo YouTube
+ * @param {Object} videoInfo - Informations renvoyées par `yt-dlp --dump-json`
+ * @param {string} url - URL de la vidéo
+ * @returns {Object} Métadonnées
+ */
+function mapYouTubeMetadata(videoInfo, url) {
+  return {
+    title: videoInfo.title,
+    artist: videoInfo.uploader,
+    album: videoInfo.playlist || 'YouTube',
+    duration: videoInfo.duration,
+    thumbnail: videoInfo.thumbnail,
+    uploadDate: videoInfo.upload_date,
+    chapters: mapChapters(videoInfo.chapters, videoInfo.duration),
+    isPlaylist: false,
+    url
+  };
+}
+
+/**
+ * Vrai si la playlist liste ses vidéos de la plus récente à la plus ancienne
+ * (onglets d'une chaîne, playlist « uploads » UU…) ; les autres ajoutent à la fin
+ * @param {string} url - URL de la playlist
+ * @returns {boolean}
+ */
+function isNewestFirst(url) {
+  return CHANNEL_URL_REGEX.test(url) || /[?&]list=UU/.test(url);
+}
+
+/**
+ * Traduit une plage de playlist en valeur de `--playlist-items`
+ * @param {string|Object} range - "201:400", "1,4,7", { start, end } ou { newest }
+ * @param {string} url - URL de la playlist (sens de l'ordre pour newest)
+ * @returns {Object|null} { spec, expected } ; expected est null si le nombre est inconnu
+ */
+function getPlaylistItems(range, url) {
+  if (typeof range === 'string') {
+    return /^[\d\s:,-]+$/.test(range) && /\d/.test(range)
+      ? { spec: range.replace(/\s+/g, ''), expected: null }
+      : null;
+  }
+
+  if (!range || typeof range !== 'object') {
+    return null;
+  }
+
+  const newest = parseInt(range.newest, 10);
+  if (newest > 0) {
+    return { spec: isNewestFirst(url) ? `1:${newest}` : `-${newest}:`, expected: newest };
+  }
+
+  const start = parseInt(range.start, 10) || 1;
+  const end = parseInt(range.end, 10);
+  if (start < 1 || (end && end < start)) {
+    return null;
+  }
+
+  return end
+    ? { spec: `${start}:${end}`, expected: end - start + 1 }
+    : { spec: `${start}:`, expected: null };
+}
+
+/**
+ * Réduit une entrée de `--flat-playlist` aux champs utiles à l'interface
+ * @param {Object} entry - Entrée JSON de yt-dlp
+ * @param {number} position - Position dans la page lue (à défaut de playlist_index)
+ * @returns {Object} { id, title, url, index, duration }
+ */
+function mapPlaylistEntry(entry, position) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    url: `https://www.youtube.com/watch?v=${entry.id}`,
+    index: entry.playlist_index || position + 1,
+    duration: entry.duration
+  };
+}
+
+/**
+ * Remplace les caractères interdits dans un nom de fichier
+ * @param {string} name - Nom à nettoyer
+ * @returns {string} Nom utilisable sur tous les systèmes
+ */
+function sanitizeFileName(name) {
+  return (
+    String(name || '')
+      .replace(/[\\/:*?"<>|]/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim() || 'Sans titre'
+  );
+}
+
+/**
+ * Arguments ffmpeg extrayant un chapitre sans réencodage.
+ * La pochette intégrée par yt-dlp (flux vidéo attaché) est recopiée dans la piste.
+ * @param {string} sourcePath - Fichier audio complet
+ * @param {string} trackPath - Fichier de la piste à produire
+ * @param {Object} chapter - Chapitre ({ start, end })
+ * @param {Object} tags - Tags de la piste (title, artist, album, track…)
+ * @param {boolean} withArtwork - Le format accepte une pochette intégrée
+ * @returns {string[]} Arguments
+ */
+function getChapterArgs(sourcePath, trackPath, chapter, tags, withArtwork) {
+  const args = ['-y', '-ss', String(chapter.start), '-i', sourcePath];
+
+  if (chapter.end !== null) {
+    args.push('-t', String(chapter.end - chapter.start));
+  }
+
+  args.push('-map', '0:a', ...(withArtwork ? ['-map', '0:v?'] : []), '-c', 'copy');
+  args.push('-map_chapters', '-1');
+
+  Object.entries(tags).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      args.push('-metadata', `${key}=${value}`);
+    }
+  });
+
+  args.push(trackPath);
+  return args;
+}
 
 /**
  * Adaptateur YouTube pour le téléchargement de contenu audio
  */
-class YouTubeAdapter {
+class YouTubeAdapter extends BaseAdapter {
   /**
    * Crée une nouvelle instance de l'adaptateur YouTube
    */
-  constructor() {
+  constructor(params = {}) {
+    super({ ...params, platform: 'youtube' });
+
     // Configuration locale
     this.config = {
+      ...this.config,
       ytDlpPath: '', // Chemin vers yt-dlp, sera défini par CONFIG_UPDATED
       ffmpegPath: '', // Chemin vers ffmpeg, sera défini par CONFIG_UPDATED
       outputDir: os.homedir(), // Répertoire de sortie par défaut
       defaultFormat: 'mp3', // Format audio par défaut
       maxQuality: '320k', // Qualité audio maximale
       concurrentDownloads: 2, // Nombre maximum de téléchargements simultanés
-      playlistLimit: 200 // Limite de 200 éléments par playlist
+      playlistLimit: 200, // Limite de 200 éléments par playlist
+      splitChapters: false // Découper les vidéos à chapitres en une piste par chapitre
     };
 
     // État interne
     this.activeDownloads = new Map(); // Map des téléchargements actifs
+    this.pendingPlaylists = new Map(); // Playlists détectées en attente de décision
     this.eventBus = null; // Référence au bus d'événements, définie dans init()
 
     // Regex pour identifier les URL YouTube
@@ -81,6 +257,7 @@ class YouTubeAdapter {
     this.eventBus.subscribe('YOUTUBE_GET_INFO', this.getVideoInfo.bind(this));
     this.eventBus.subscribe('YOUTUBE_VALIDATE_URL', this.validateUrl.bind(this));
     this.eventBus.subscribe('DOWNLOAD_CANCEL', this.cancelDownload.bind(this));
+    this.eventBus.subscribe('UI:PLAYLIST_DECISION', this.handlePlaylistDecision.bind(this));
 
     // Annoncer que l'adaptateur est initialisé
     this.eventBus.publish('ADAPTER_REGISTERED', {
@@ -116,6 +293,7 @@ class YouTubeAdapter {
     if (config.maxQuality) this.config.maxQuality = config.maxQuality;
     if (config.concurrentDownloads) this.config.concurrentDownloads = config.concurrentDownloads;
     if (config.playlistLimit) this.config.playlistLimit = config.playlistLimit;
+    if (config.splitChapters !== undefined) this.config.splitChapters = !!config.splitChapters;
   }
 
   /**
@@ -180,47 +358,10 @@ class YouTubeAdapter {
       return;
     }
 
-    // Utiliser yt-dlp pour obtenir les informations
-    const ytDlpProcess = spawn(this.config.ytDlpPath, ['--dump-json', '--no-playlist', data.url]);
-
-    let stdout = '';
-    let stderr = '';
-
-    ytDlpProcess.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    ytDlpProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    ytDlpProcess.on('close', (code) => {
-      if (code !== 0) {
-        this.eventBus.publish('ERROR', {
-          source: 'youtube-adapter',
-          message: `Erreur lors de l'extraction des informations: ${stderr}`,
-          code: 'INFO_EXTRACTION_FAILED',
-          url: data.url,
-          requestId: data.requestId
-        });
-        return;
-      }
-
-      try {
-        // Analyser les informations JSON
-        const videoInfo = JSON.parse(stdout);
-
-        // Extraire les métadonnées pertinentes
-        const metadata = {
-          title: videoInfo.title,
-          artist: videoInfo.uploader,
-          album: videoInfo.playlist || 'YouTube',
-          duration: videoInfo.duration,
-          thumbnail: videoInfo.thumbnail,
-          uploadDate: videoInfo.upload_date,
-          isPlaylist: false,
-          url: data.url
-        };
+    this.fetchVideoInfo(data.url)
+      .then((videoInfo) => {
+        // Extraire les métadonnées pertinentes (dont les chapitres)
+        const metadata = mapYouTubeMetadata(videoInfo, data.url);
 
         // Publier les métadonnées extraites
         this.eventBus.publish('METADATA_EXTRACTED', {
@@ -228,15 +369,55 @@ class YouTubeAdapter {
           metadata: metadata,
           requestId: data.requestId
         });
-      } catch (error) {
+      })
+      .catch((error) => {
         this.eventBus.publish('ERROR', {
           source: 'youtube-adapter',
-          message: `Erreur lors de l'analyse des informations: ${error.message}`,
-          code: 'INFO_PARSING_FAILED',
+          message: error.message,
+          code: error.code,
           url: data.url,
           requestId: data.requestId
         });
-      }
+      });
+  }
+
+  /**
+   * Lit les informations d'une vidéo avec `yt-dlp --dump-json`
+   * @param {string} url - URL de la vidéo
+   * @returns {Promise<Object>} Informations JSON de yt-dlp
+   */
+  fetchVideoInfo(url) {
+    return new Promise((resolve, reject) => {
+      const ytDlpProcess = spawn(this.config.ytDlpPath, ['--dump-json', '--no-playlist', url]);
+
+      let stdout = '';
+      let stderr = '';
+
+      ytDlpProcess.stdout.on('data', (chunk) => {
+        stdout += chunk.toString();
+      });
+
+      ytDlpProcess.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+
+      ytDlpProcess.on('close', (code) => {
+        if (code !== 0) {
+          const error = new Error(`Erreur lors de l'extraction des informations: ${stderr}`);
+          error.code = 'INFO_EXTRACTION_FAILED';
+          return reject(error);
+        }
+
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (parseError) {
+          const error = new Error(
+            `Erreur lors de l'analyse des informations: ${parseError.message}`
+          );
+          error.code = 'INFO_PARSING_FAILED';
+          reject(error);
+        }
+      });
     });
   }
 
@@ -278,70 +459,223 @@ class YouTubeAdapter {
   }
 
   /**
-   * Vérifie si l'URL est une playlist et agit en conséquence
+   * Vérifie si l'URL est une playlist et agit en conséquence.
+   * Seule une page de la playlist est lue (`data.playlistItems`, ou les `playlistLimit`
+   * premiers éléments) ; les pages suivantes se demandent par plage via UI:PLAYLIST_DECISION.
    * @param {Object} data - Données de la demande de téléchargement
    */
   checkIfPlaylist(data) {
-    // Commande pour vérifier s'il s'agit d'une playlist et compter les éléments
-    const ytDlpProcess = spawn(this.config.ytDlpPath, ['--flat-playlist', '--dump-json', data.url]);
+    const requestId = data.requestId || `youtube_playlist_${Date.now()}`;
+
+    this.expandPlaylist({ ...data, requestId })
+      .then(({ entries, total, title }) => {
+        // Un seul élément : c'est une vidéo, on procède au téléchargement
+        if (entries.length <= 1 && total <= 1) {
+          this.downloadSingleVideo(data);
+          return;
+        }
+
+        // Si l'utilisateur a déjà choisi de télécharger la playlist, on procède
+        if (data.downloadPlaylist) {
+          this.downloadPlaylist(data, entries);
+          return;
+        }
 
-    let stdout = '';
-    let playlistItems = [];
+        // Conserver la demande jusqu'à la décision de l'utilisateur
+        this.pendingPlaylists.set(requestId, { data, entries });
 
-    ytDlpProcess.stdout.on('data', (chunk) => {
-      stdout += chunk.toString();
+        this.eventBus.publish(EVENT_TYPES.PLAYLIST.DETECTED, {
+          id: requestId,
+          source: 'youtube',
+          sourceType: 'youtube',
+          url: data.url,
+          playlistName: title,
+          count: total,
+          trackCount: total,
+          itemCount: entries.length,
+          limited: entries.length < total,
+          maxItems: this.config.playlistLimit,
+          items: entries,
+          requestId: requestId
+        });
+      })
+      .catch((error) => {
+        this.eventBus.publish('ERROR', {
+          source: 'youtube-adapter',
+          message: error.message,
+          code: error.code || 'PLAYLIST_EXPANSION_FAILED',
+          url: data.url,
+          requestId: data.requestId
+        });
+      });
+  }
 
-      // Traiter chaque ligne comme un élément JSON indépendant
-      const lines = stdout.split('\n');
-      stdout = lines.pop(); // Garder la dernière ligne potentiellement incomplète
+  /**
+   * Lit les éléments d'une playlist au fil de la sortie de `yt-dlp --flat-playlist`
+   * et publie PLAYLIST:PROCESSING_PROGRESS à chaque lot reçu
+   * @param {Object} data - Demande ({ url, requestId, playlistItems })
+   * @param {string|Object} [data.playlistItems] - Plage : "201:400", { start, end } ou { newest }
+   * @returns {Promise<Object>} { entries: [{ id, title, url, index, duration }], total, title }
+   */
+  expandPlaylist(data) {
+    return new Promise((resolve, reject) => {
+      const range = getPlaylistItems(
+        data.playlistItems || { start: 1, end: this.config.playlistLimit },
+        data.url
+      );
+      if (!range) {
+        const error = new Error(
+          `Plage de playlist invalide: ${JSON.stringify(data.playlistItems)}`
+        );
+        error.code = 'INVALID_PLAYLIST_RANGE';
+        reject(error);
+        return;
+      }
+
+      const ytDlpProcess = spawn(this.config.ytDlpPath, [
+        '--flat-playlist',
+        '--dump-json',
+        '--playlist-items',
+        range.spec,
+        data.url
+      ]);
+
+      const entries = [];
+      let total = 0;
+      let title = '';
+      let pending = '';
+      let stderr = '';
+
+      ytDlpProcess.stdout.on('data', (chunk) => {
+        const lines = (pending + chunk.toString()).split('\n');
+        pending = lines.pop(); // Garder la dernière ligne potentiellement incomplète
 
-      for (const line of lines) {
-        if (line.trim()) {
+        const received = [];
+        for (const line of lines) {
+          if (!line.trim()) continue;
           try {
-            const item = JSON.parse(line);
-            playlistItems.push(item);
-
-            // Si on dépasse la limite de playlist, arrêter le processus
-            if (playlistItems.length > this.config.playlistLimit) {
-              ytDlpProcess.kill();
-              break;
-            }
+            const entry = JSON.parse(line);
+            total = Math.max(total, entry.playlist_count || 0);
+            title = title || entry.playlist_title || entry.playlist || '';
+            const item = mapPlaylistEntry(entry, entries.length + received.length);
+            // Déjà téléchargée : décochée dans la boîte de dialogue, ignorée par les abonnements
+            item.archived = Boolean(this.findInArchive(item.url));
+            received.push(item);
           } catch (e) {
             // Ignorer les lignes qui ne sont pas du JSON valide
           }
         }
-      }
-    });
 
-    ytDlpProcess.on('close', () => {
-      // Si nous avons plus d'un élément, c'est une playlist
-      if (playlistItems.length > 1) {
-        // Notifier l'utilisateur que c'est une playlist
-        this.eventBus.publish('PLAYLIST_DETECTED', {
-          source: 'youtube',
+        if (received.length === 0) return;
+        entries.push(...received);
+
+        // Adaptateur configuré sans bus (contrat direct) : pas de progression à publier
+        if (!this.eventBus) return;
+
+        const expected = Math.min(range.expected || total, total || Infinity);
+        this.eventBus.publish(EVENT_TYPES.PLAYLIST.PROCESSING_PROGRESS, {
+          playlistId: data.requestId,
           url: data.url,
-          count: playlistItems.length,
-          limited: playlistItems.length > this.config.playlistLimit,
-          maxItems: this.config.playlistLimit,
-          items: playlistItems.slice(0, this.config.playlistLimit).map((item) => ({
-            id: item.id,
-            title: item.title,
-            url: `https://www.youtube.com/watch?v=${item.id}`
-          })),
-          requestId: data.requestId
+          processedItems: entries.length,
+          totalItems: total,
+          progress: expected > 0 && expected < Infinity ? (entries.length / expected) * 100 : 0,
+          items: received
         });
+      });
 
-        // Si l'utilisateur a choisi de télécharger toute la playlist, on procède
-        if (data.downloadPlaylist) {
-          this.downloadPlaylist(data, playlistItems.slice(0, this.config.playlistLimit));
+      ytDlpProcess.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+
+      ytDlpProcess.on('close', (code) => {
+        // yt-dlp peut signaler des éléments indisponibles tout en listant les autres
+        if (code !== 0 && entries.length === 0) {
+          const error = new Error(`Erreur lors de la lecture de la playlist: ${stderr}`);
+          error.code = 'PLAYLIST_EXPANSION_FAILED';
+          reject(error);
+          return;
         }
-      } else {
-        // C'est une seule vidéo, on procède au téléchargement
-        this.downloadSingleVideo(data);
-      }
+
+        resolve({ entries, total: Math.max(total, entries.length), title });
+      });
+
+      // yt-dlp introuvable ou non exécutable : 'close' ne suffit pas à régler la promesse
+      ytDlpProcess.on('error', (err) => {
+        const error = new Error(`Impossible de lancer yt-dlp: ${err.message}`);
+        error.code = 'PLAYLIST_EXPANSION_FAILED';
+        reject(error);
+      });
     });
   }
 
+  /**
+   * Liste les vidéos d'une playlist ou d'une chaîne pour le contrat BaseAdapter,
+   * avec la même lecture progressive que la détection de playlist
+   * @param {Object} item - Élément ({ id, url })
+   * @param {Object} [options]
+   * @param {number} [options.newest] - Ne lire que les N vidéos les plus récentes
+   * @returns {Promise<Object>} { title, entries: [{ id, url, title, index, duration, archived }] }
+   */
+  async listEntries(item, { newest } = {}) {
+    this._assertBinary(this.config.ytDlpPath, 'yt-dlp');
+
+    const { title, entries } = await this.expandPlaylist({
+      url: item.url,
+      requestId: item.id,
+      playlistItems: newest > 0 ? { newest } : '1:'
+    });
+    return { title, entries };
+  }
+
+  /**
+   * Applique le choix de l'utilisateur pour une playlist détectée
+   * @param {Object} decision - Décision publiée par l'interface
+   * @param {string} decision.id - Identifiant de la demande (celui de PLAYLIST:DETECTED)
+   * @param {string} decision.decision - 'all', 'selection', 'range', 'single' ou 'cancel'
+   * @param {string[]} [decision.items] - Identifiants des vidéos choisies ('selection')
+   * @param {string|Object} [decision.playlistItems] - Plage à télécharger ('range')
+   */
+  handlePlaylistDecision(decision) {
+    const pending = decision && this.pendingPlaylists.get(decision.id);
+    if (!pending) return;
+
+    this.pendingPlaylists.delete(decision.id);
+    const { data, entries } = pending;
+
+    switch (decision.decision) {
+      case 'all':
+        this.downloadPlaylist(data, entries);
+        break;
+      case 'selection': {
+        const selected = new Set(decision.items || []);
+        this.downloadPlaylist(
+          data,
+          entries.filter((entry) => selected.has(entry.id))
+        );
+        break;
+      }
+      case 'range':
+        this.expandPlaylist({ ...data, playlistItems: decision.playlistItems })
+          .then((result) => this.downloadPlaylist(data, result.entries))
+          .catch((error) => {
+            this.eventBus.publish('ERROR', {
+              source: 'youtube-adapter',
+              message: error.message,
+              code: error.code,
+              url: data.url,
+              requestId: data.requestId
+            });
+          });
+        break;
+      case 'single':
+        this.downloadSingleVideo(data);
+        break;
+      default:
+        // Annulation : rien à télécharger
+        break;
+    }
+  }
+
   /**
    * Télécharge une playlist YouTube
    * @param {Object} data - Données de la demande de téléchargement
@@ -352,10 +686,10 @@ class YouTubeAdapter {
     items.forEach((item, index) => {
       const videoData = {
         ...data,
-        url: `https://www.youtube.com/watch?v=${item.id}`,
+        url: item.url || `https://www.youtube.com/watch?v=${item.id}`,
         title: item.title,
         requestId: `${data.requestId}_${index}`,
-        playlistIndex: index,
+        playlistIndex: item.index || index,
         playlistTotal: items.length
       };
 
@@ -435,10 +769,9 @@ class YouTubeAdapter {
         });
       }
 
-      // Capturer le chemin du fichier de sortie
-      const destMatch = output.match(/\[download\] Destination: (.+)/);
-      if (destMatch) {
-        filePath = destMatch[1];
+      // Capturer le chemin du fichier de sortie (le dernier annoncé est le fichier audio final)
+      for (const destMatch of output.matchAll(DESTINATION_REGEX)) {
+        filePath = destMatch[1].trim();
       }
     });
 
@@ -451,22 +784,33 @@ class YouTubeAdapter {
       this.activeDownloads.delete(downloadId);
 
       if (code === 0) {
-        // Téléchargement réussi
-        this.eventBus.publish('DOWNLOAD_COMPLETED', {
-          id: downloadId,
-          filePath: filePath,
-          format: format,
-          source: 'youtube',
-          url: data.url,
-          requestId: data.requestId
-        });
+        const splitChapters =
+          data.splitChapters !== undefined ? data.splitChapters : this.config.splitChapters;
 
-        // Demander l'extraction des métadonnées pour mise à jour
-        this.eventBus.publish('METADATA_REQUEST', {
-          filePath: filePath,
-          source: 'youtube',
-          requestId: data.requestId
-        });
+        if (!splitChapters) {
+          this.completeSingleVideo(downloadId, data, format, [filePath]);
+          return;
+        }
+
+        // Découper en une piste par chapitre ; sans chapitres, le fichier reste entier
+        this.splitChapters(downloadId, filePath, data)
+          .then((tracks) => {
+            const files = tracks ? tracks.map((track) => track.filePath) : [filePath];
+            this.completeSingleVideo(downloadId, data, format, files);
+          })
+          .catch((error) => {
+            // Une annulation a déjà été notifiée par cancelDownload
+            if (error.cancelled) return;
+
+            this.eventBus.publish('DOWNLOAD_ERROR', {
+              id: downloadId,
+              url: data.url,
+              error: `Découpage en chapitres impossible: ${error.message}`,
+              code: error.code,
+              source: 'youtube',
+              requestId: data.requestId
+            });
+          });
       } else {
         // Erreur de téléchargement
         this.eventBus.publish('DOWNLOAD_ERROR', {
@@ -481,6 +825,144 @@ class YouTubeAdapter {
     });
   }
 
+  /**
+   * Publie la fin d'un téléchargement et demande la relecture des tags des fichiers produits
+   * @param {string} downloadId - Identifiant du téléchargement
+   * @param {Object} data - Données de la demande de téléchargement
+   * @param {string} format - Format audio
+   * @param {string[]} files - Fichiers produits (une piste par chapitre après découpage)
+   */
+  completeSingleVideo(downloadId, data, format, files) {
+    this.eventBus.publish('DOWNLOAD_COMPLETED', {
+      id: downloadId,
+      filePath: files[0],
+      files: files,
+      format: format,
+      source: 'youtube',
+      url: data.url,
+      requestId: data.requestId
+    });
+
+    // Demander l'extraction des métadonnées pour mise à jour
+    files.forEach((filePath) => {
+      this.eventBus.publish('METADATA_REQUEST', {
+        filePath: filePath,
+        source: 'youtube',
+        requestId: data.requestId
+      });
+    });
+  }
+
+  /**
+   * Découpe l'audio d'une vidéo en une piste par chapitre, dans un dossier portant
+   * le titre de la vidéo, puis demande à playlist-handler la playlist de l'album.
+   * Les chapitres viennent de `data.chapters` (YOUTUBE_GET_INFO) ou d'une nouvelle analyse.
+   * @param {string} downloadId - Identifiant du téléchargement
+   * @param {string} sourcePath - Fichier audio complet, supprimé après découpage
+   * @param {Object} data - Données de la demande de téléchargement
+   * @returns {Promise<Object[]|null>} Pistes { filePath, metadata }, null sans chapitres
+   */
+  async splitChapters(downloadId, sourcePath, data) {
+    const video = data.chapters
+      ? { title: data.title, artist: data.artist, chapters: data.chapters }
+      : mapYouTubeMetadata(await this.fetchVideoInfo(data.url), data.url);
+
+    if (!video.chapters || video.chapters.length < 2) {
+      return null;
+    }
+
+    const extension = path.extname(sourcePath);
+    const album = video.title || path.basename(sourcePath, extension);
+    const albumDir = path.join(path.dirname(sourcePath), sanitizeFileName(album));
+    const withArtwork = this._getThumbnailArgs(extension.slice(1).toLowerCase()).length > 0;
+    const total = video.chapters.length;
+    const tracks = [];
+
+    fs.mkdirSync(albumDir, { recursive: true });
+
+    for (const chapter of video.chapters) {
+      const number = String(chapter.index).padStart(Math.max(2, String(total).length), '0');
+      const trackPath = path.join(
+        albumDir,
+        `${number} - ${sanitizeFileName(chapter.title)}${extension}`
+      );
+      const tags = {
+        title: chapter.title,
+        artist: video.artist,
+        album_artist: video.artist,
+        album: album,
+        track: `${chapter.index}/${total}`
+      };
+
+      await this.runFfmpeg(
+        downloadId,
+        getChapterArgs(sourcePath, trackPath, chapter, tags, withArtwork)
+      );
+
+      tracks.push({
+        filePath: trackPath,
+        metadata: {
+          title: chapter.title,
+          artist: video.artist,
+          album: album,
+          trackNumber: chapter.index,
+          totalTracks: total,
+          duration: chapter.end !== null ? Math.round(chapter.end - chapter.start) : undefined
+        }
+      });
+    }
+
+    fs.unlinkSync(sourcePath);
+
+    this.eventBus.publish(EVENT_TYPES.PLAYLIST.GENERATE_FILE_REQUEST, {
+      playlistId: downloadId,
+      name: album,
+      outputDir: albumDir,
+      format: 'm3u',
+      items: tracks
+    });
+
+    return tracks;
+  }
+
+  /**
+   * Lance ffmpeg ; le processus est annulable via cancelDownload
+   * @param {string} downloadId - Identifiant du téléchargement
+   * @param {string[]} args - Arguments ffmpeg
+   * @returns {Promise<void>}
+   */
+  runFfmpeg(downloadId, args) {
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn(this.config.ffmpegPath, args);
+      this.activeDownloads.set(downloadId, ffmpegProcess);
+
+      let stderr = '';
+
+      ffmpegProcess.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk.toString()).slice(-4096);
+      });
+
+      ffmpegProcess.on('close', (code) => {
+        const cancelled = this.activeDownloads.get(downloadId) !== ffmpegProcess;
+        this.activeDownloads.delete(downloadId);
+
+        if (code === 0) {
+          return resolve();
+        }
+
+        const error = new Error(stderr || `ffmpeg s'est terminé avec le code ${code}`);
+        error.code = 'FFMPEG_ERROR';
+        error.cancelled = cancelled;
+        reject(error);
+      });
+
+      ffmpegProcess.on('error', (err) => {
+        this.activeDownloads.delete(downloadId);
+        reject(err);
+      });
+    });
+  }
+
   /**
    * Annule un téléchargement en cours
    * @param {Object} data - Données de la demande d'annulation
@@ -512,6 +994,58 @@ class YouTubeAdapter {
       });
     }
   }
+
+  /**
+   * Métadonnées pour le contrat BaseAdapter (mêmes champs que YOUTUBE_GET_INFO)
+   * @param {Object} info - Informations renvoyées par yt-dlp
+   * @param {Object} item - Élément de la file
+   * @returns {Object} Métadonnées
+   * @protected
+   */
+  _mapMetadata(info, item) {
+    return mapYouTubeMetadata(info, item.url);
+  }
+
+  /**
+   * Arguments yt-dlp propres à YouTube (qualité, pochette, métadonnées)
+   * @param {Object} item - Élément de la file
+   * @returns {string[]} Arguments
+   * @protected
+   */
+  _getPlatformArgs(item) {
+    return [
+      '--audio-quality',
+      this.config.maxQuality,
+      ...this._getThumbnailArgs(item.format),
+      '--add-metadata',
+      '--no-playlist'
+    ];
+  }
+
+  /**
+   * Recherche YouTube ; les sorties de YouTube Music y figurent sous les chaînes « - Topic »
+   * @param {string} query - Texte recherché
+   * @param {number} limit - Nombre de résultats
+   * @returns {string} Requête yt-dlp
+   * @protected
+   */
+  _getSearchUrl(query, limit) {
+    return `ytsearch${limit}:${query}`;
+  }
+
+  /**
+   * Capacités de l'adaptateur YouTube
+   * @returns {Object} Capacités
+   * @protected
+   */
+  _getCapabilities() {
+    return {
+      ...super._getCapabilities(),
+      formats: ['mp3', 'wav', 'flac', 'aiff', 'm4a'],
+      supportsPlaylists: true,
+      maxPlaylistItems: this.config.playlistLimit
+    };
+  }
 }
 
 /**
@@ -525,8 +1059,11 @@ function initializeYouTubeAdapter(eventBus) {
   return adapter;
 }
 
-// Exposer uniquement la fonction d'initialisation
+// Exposer la fonction d'initialisation (et la classe, utilisée par la fabrique d'adaptateurs)
 module.exports = initializeYouTubeAdapter;
+module.exports.YouTubeAdapter = YouTubeAdapter;
+module.exports.mapChapters = mapChapters;
+module.exports.getPlaylistItems = getPlaylistItems;
 
 /**
  * Exemples d'utilisation:
@@ -543,6 +1080,22 @@ module.exports = initializeYouTubeAdapter;
  *   requestId: 'request_123'
  * });
  *
+ * // Pour télécharger les éléments 201 à 400 d'une grande playlist:
+ * eventBus.publish('DOWNLOAD_REQUEST', {
+ *   url: 'https://www.youtube.com/playlist?list=PLxxx',
+ *   playlistItems: { start: 201, end: 400 }, // ou '201:400', ou { newest: 50 }
+ *   downloadPlaylist: true,
+ *   requestId: 'request_125'
+ * });
+ *
+ * // Pour découper une vidéo à chapitres (mix, album complet) en pistes:
+ * eventBus.publish('DOWNLOAD_REQUEST', {
+ *   url: 'https://www.youtube.com/watch?v=xxxxxxxxxxx',
+ *   format: 'mp3',
+ *   splitChapters: true,
+ *   requestId: 'request_124'
+ * });
+ *
  * // Pour obtenir des informations sur une vidéo:
  * eventBus.publish('YOUTUBE_GET_INFO', {
  *   url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Archive des téléchargements partagée entre les adaptateurs
+ * @description Mémorise chaque élément récupéré, quelle que soit la plateforme, sous la clé
+ * « <plateforme> <identifiant de source> » — la forme des lignes de `yt-dlp --download-archive`.
+ * Une entrée conserve la date, le format, le chemin final et la somme de contrôle du fichier.
+ *
+ * Les adaptateurs reçoivent l'archive du gestionnaire de téléchargement (`configure`) et
+ * signalent les éléments déjà récupérés lorsqu'ils listent une playlist ou une page d'artiste ;
+ * le détecteur de doublons la consulte avant chaque ajout. Les modules qui ne communiquent que
+ * par le bus (playlist-handler) passent par ARCHIVE:LOOKUP_REQUEST.
+ *
+ * L'archive s'exporte en JSON (format de l'application) ou au format texte de yt-dlp, et
+ * s'importe depuis l'un ou l'autre. Les identifiants de yt-dlp ne coïncident avec ceux de
+ * l'application que pour YouTube (identifiant de la vidéo) ; les autres lignes importées sont
+ * conservées telles quelles. L'archive est enregistrée dans `<paths.configDir>/download-archive.json`.
+ *
+ * @module modules/download/download-archive
+ * @requires fs
+ * @requires path
+ *
+ * @events
+ * Écoutés:
+ * - DOWNLOAD:COMPLETED - Archive le fichier produit par le gestionnaire de téléchargement
+ * - ARCHIVE:RECORD - Archive un fichier obtenu autrement ({ url, filePath?, format?, title? })
+ * - ARCHIVE:LOOKUP_REQUEST - Consulte l'archive ({ requestId, urls })
+ * - ARCHIVE:EXPORT_REQUEST - Exporte l'archive ({ requestId?, filePath, format? })
+ * - ARCHIVE:IMPORT_REQUEST - Importe une archive ({ requestId?, filePath })
+ *
+ * Émis:
+ * - ARCHIVE:RECORDED - Élément archivé ({ entry })
+ * - ARCHIVE:LOOKUP_RESULT - { requestId, results: [{ url, archived, entry }] }
+ * - ARCHIVE:EXPORTED - { requestId, filePath, format, count }
+ * - ARCHIVE:IMPORTED - { requestId, filePath, added, skipped }
+ * - ARCHIVE:ERROR - Échec d'un export ou d'un import
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { adapterRegistry } = require('./adapters/adapter-registry');
+const { getSourceId } = require('./duplicate-detector');
+const { calculateFileChecksum } = require('../../utils/file-operations');
+
+const STORE_VERSION = 1;
+const CHECKSUM_ALGORITHM = 'sha256';
+// Formats d'export : JSON complet, ou une ligne « <plateforme> <identifiant> » comme yt-dlp
+const EXPORT_FORMATS = ['json', 'yt-dlp'];
+const YTDLP_ARCHIVE_LINE = /^(\S+)\s+(\S+)$/;
+
+/**
+ * Clé d'archive d'une URL : plateforme et identifiant de source
+ * @param {string} url - URL d'un élément
+ * @param {Object} [registry=adapterRegistry] - Registre des plateformes
+ * @returns {Object|null} { platform, sourceId, key } ou null si l'URL est invalide
+ */
+function getArchiveKey(url, registry = adapterRegistry) {
+  const sourceId = url && getSourceId(url, registry);
+  if (!sourceId) return null;
+
+  const platform = registry.detectPlatform(url) || 'generic';
+  // Les identifiants YouTube, Spotify et Tidal portent déjà le nom de leur plateforme
+  const id = sourceId.startsWith(`${platform}:`) ? sourceId.slice(platform.length + 1) : sourceId;
+  return { platform, sourceId: id, key: `${platform} ${id}` };
+}
+
+class DownloadArchive {
+  /**
+   * @param {Object} eventBus - Bus d'événements
+   * @param {Object} [registry=adapterRegistry] - Registre des plateformes
+   */
+  constructor(eventBus, registry = adapterRegistry) {
+    this.eventBus = eventBus;
+    this.registry = registry;
+    this.enabled = true;
+    this.storePath = null;
+    this.entries = new Map(); // "<plateforme> <identifiant>" -> entrée
+
+    eventBus.subscribe('DOWNLOAD:COMPLETED', (data) => this._handleCompleted(data));
+    eventBus.subscribe('ARCHIVE:RECORD', (data) => this.record(data));
+    eventBus.subscribe('ARCHIVE:LOOKUP_REQUEST', (data) => this._handleLookupRequest(data));
+    eventBus.subscribe('ARCHIVE:EXPORT_REQUEST', (data) => this._handleExportRequest(data));
+    eventBus.subscribe('ARCHIVE:IMPORT_REQUEST', (data) => this._handleImportRequest(data));
+  }
+
+  /**
+   * Applique la configuration downloads.archive et charge l'archive enregistrée.
+   * Désactivée, l'archive continue d'enregistrer les téléchargements mais n'est plus consultée.
+   * @param {Object} [options] - { enabled, storePath }
+   */
+  configure({ enabled, storePath } = {}) {
+    if (typeof enabled === 'boolean') this.enabled = enabled;
+
+    if (storePath && storePath !== this.storePath) {
+      this.storePath = storePath;
+      this._load();
+    }
+  }
+
+  /**
+   * Recherche un élément déjà téléchargé
+   * @param {string} url - URL de l'élément
+   * @returns {Object|null} Entrée de l'archive ou null
+   */
+  lookup(url) {
+    if (!this.enabled) return null;
+
+    const archiveKey = getArchiveKey(url, this.registry);
+    return (archiveKey && this.entries.get(archiveKey.key)) || null;
+  }
+
+  /**
+   * Archive un élément téléchargé ; la somme de contrôle est calculée sur le fichier final
+   * @param {Object} data - { url, filePath?, format?, title?, downloadedAt? }
+   * @returns {Promise<Object|null>} Entrée archivée, null si l'URL est invalide
+   */
+  async record({ url, filePath, format, title, downloadedAt } = {}) {
+    const archiveKey = getArchiveKey(url, this.registry);
+    if (!archiveKey) return null;
+
+    let checksum = null;
+    if (filePath) {
+      try {
+        // Un album livré en dossier n'a pas de somme de contrôle propre
+        if ((await fs.promises.stat(filePath)).isFile()) {
+          checksum = {
+            algorithm: CHECKSUM_ALGORITHM,
+            value: await calculateFileChecksum(filePath, CHECKSUM_ALGORITHM)
+          };
+        }
+      } catch (err) {
+        this.eventBus.publish('LOG:WARNING', {
+          module: 'download-archive',
+          message: 'Somme de contrôle impossible à calculer',
+          path: filePath,
+          error: err.message
+        });
+      }
+    }
+
+    const entry = {
+      platform: archiveKey.platform,
+      sourceId: archiveKey.sourceId,
+      url,
+      title: title || null,
+      format: format || null,
+      filePath: filePath || null,
+      checksum,
+      downloadedAt: downloadedAt ? new Date(downloadedAt).toISOString() : new Date().toISOString()
+    };
+
+    this.entries.set(archiveKey.key, entry);
+    this._save();
+    this.eventBus.publish('ARCHIVE:RECORDED', { entry });
+    return entry;
+  }
+
+  /**
+   * Exporte l'archive
+   * @param {string} filePath - Fichier de destination
+   * @param {string} [format='json'] - 'json' ou 'yt-dlp'
+   * @returns {Promise<number>} Nombre d'éléments exportés
+   */
+  async export(filePath, format = 'json') {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Format d'export inconnu : ${format}`);
+    }
+
+    const content =
+      format === 'json'
+        ? JSON.stringify(
+            {
+              version: STORE_VERSION,
+              exportedAt: new Date().toISOString(),
+              entries: [...this.entries.values()]
+            },
+            null,
+            2
+          )
+        : [...this.entries.keys()].map((key) => `${key}\n`).join('');
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content, 'utf8');
+    return this.entries.size;
+  }
+
+  /**
+   * Importe une archive exportée par l'application (JSON) ou une archive texte de yt-dlp.
+   * Les éléments déjà présents sont conservés tels quels.
+   * @param {string} filePath - Fichier à importer
+   * @returns {Promise<Object>} { added, skipped }
+   */
+  async import(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    let entries;
+    if (content.trimStart().startsWith('{')) {
+      const store = JSON.parse(content);
+      if (!store || store.version !== STORE_VERSION || !Array.isArray(store.entries)) {
+        throw new Error('Archive JSON non reconnue');
+      }
+      entries = store.entries.filter((entry) => entry && entry.platform && entry.sourceId);
+    } else {
+      entries = content
+        .split(/\r?\n/)
+        .map((line) => YTDLP_ARCHIVE_LINE.exec(line.trim()))
+        .filter(Boolean)
+        .map(([, platform, sourceId]) => ({
+          platform,
+          sourceId,
+          url: null,
+          title: null,
+          format: null,
+          filePath: null,
+          checksum: null,
+          downloadedAt: null
+        }));
+    }
+
+    let added = 0;
+    entries.forEach((entry) => {
+      const key = `${entry.platform} ${entry.sourceId}`;
+      if (this.entries.has(key)) return;
+      this.entries.set(key, entry);
+      added++;
+    });
+
+    if (added > 0) this._save();
+    return { added, skipped: entries.length - added };
+  }
+
+  /**
+   * Archive le fichier d'un téléchargement terminé par le gestionnaire
+   * @param {Object} data - DOWNLOAD:COMPLETED ({ download, filePath })
+   * @private
+   */
+  _handleCompleted(data) {
+    const download = data && data.download;
+    if (!download) return;
+
+    this.record({
+      url: download.url,
+      filePath: data.filePath,
+      format: download.format,
+      title: download.metadata && download.metadata.title,
+      downloadedAt: download.completedAt
+    });
+  }
+
+  _handleLookupRequest({ requestId, urls = [] } = {}) {
+    this.eventBus.publish('ARCHIVE:LOOKUP_RESULT', {
+      requestId,
+      results: urls.map((url) => {
+        const entry = this.lookup(url);
+        return { url, archived: Boolean(entry), entry };
+      })
+    });
+  }
+
+  _handleExportRequest({ requestId, filePath, format = 'json' } = {}) {
+    return this.export(filePath, format)
+      .then((count) =>
+        this.eventBus.publish('ARCHIVE:EXPORTED', { requestId, filePath, format, count })
+      )
+      .catch((err) => this._publishError(requestId, 'export', filePath, err));
+  }
+
+  _handleImportRequest({ requestId, filePath } = {}) {
+    return this.import(filePath)
+      .then((result) =>
+        this.eventBus.publish('ARCHIVE:IMPORTED', { requestId, filePath, ...result })
+      )
+      .catch((err) => this._publishError(requestId, 'import', filePath, err));
+  }
+
+  _publishError(requestId, operation, filePath, err) {
+    this.eventBus.publish('ARCHIVE:ERROR', {
+      requestId,
+      operation,
+      filePath,
+      error: err.message
+    });
+  }
+
+  _load() {
+    let store;
+    try {
+      if (!fs.existsSync(this.storePath)) return;
+      store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    } catch (err) {
+      this.eventBus.publish('LOG:WARNING', {
+        module: 'download-archive',
+        message: 'Archive des téléchargements illisible, ignorée',
+        path: this.storePath,
+        error: err.message
+      });
+      return;
+    }
+
+    if (!store || store.version !== STORE_VERSION) return;
+
+    (store.entries || []).forEach((entry) => {
+      if (entry && entry.platform && entry.sourceId) {
+        this.entries.set(`${entry.platform} ${entry.sourceId}`, entry);
+      }
+    });
+  }
+
+  /**
+   * Enregistre l'archive (écriture atomique)
+   */
+  _save() {
+    if (!this.storePath) return;
+
+    const tmpPath = `${this.storePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({ version: STORE_VERSION, entries: [...this.entries.values()] }, null, 2)
+      );
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (err) {
+      this.eventBus.publish('LOG:WARNING', {
+        module: 'download-archive',
+        message: "Impossible d'enregistrer l'archive des téléchargements",
+        path: this.storePath,
+        error: err.message
+      });
+    }
+  }
+}
+
+module.exports = { DownloadArchive, getArchiveKey };
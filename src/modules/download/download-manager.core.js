@@ -8,9 +8,155 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const os = require('os');
+const ERROR_CODES = require('../../constants/error-codes');
+const { AdapterFactory } = require('./adapters/adapter-factory');
+const { initializeAdapterRegistry } = require('./adapters/adapter-registry');
+const { DuplicateDetector } = require('./duplicate-detector');
+const { SubscriptionManager } = require('./subscription-manager');
+const { DownloadArchive } = require('./download-archive');
+const { SourceMatcher } = require('./source-matcher');
+const { TracklistImporter } = require('./tracklist-importer');
+const { LoudnessProcessor } = require('./loudness-processor');
 
 let eventBus = null;
 
+// Nom du journal de la file d'attente (stocké sous paths.configDir)
+const JOURNAL_FILENAME = 'download-queue.json';
+// Nom du fichier des abonnements (stocké sous paths.configDir)
+const SUBSCRIPTIONS_FILENAME = 'subscriptions.json';
+// Nom de l'archive des téléchargements (stockée sous paths.configDir)
+const ARCHIVE_FILENAME = 'download-archive.json';
+const JOURNAL_VERSION = 1;
+// Délai de regroupement des écritures du journal lors des changements de statut
+const JOURNAL_SAVE_DELAY = 1000;
+// Nombre maximal d'entrées conservées dans l'historique
+const MAX_HISTORY_ENTRIES = 500;
+// Statuts considérés comme interrompus lors d'un redémarrage
+const INTERRUPTED_STATUSES = [
+  'pending',
+  'analyzing',
+  'matching',
+  'ready',
+  'downloading',
+  'retrying'
+];
+// Fréquence maximale des mises à jour de progression transmises à l'interface
+const PROGRESS_BATCH_INTERVAL = 250;
+// Plateforme servie par l'adaptateur générique (yt-dlp) pour les hôtes inconnus
+const GENERIC_PLATFORM = 'generic';
+// Choix proposés lorsqu'un doublon est détecté
+const DUPLICATE_DECISIONS = ['skip', 'replace', 'keep'];
+// Plateformes qui ne fournissent que des métadonnées : l'audio vient d'une source rapprochée
+const METADATA_ONLY_PLATFORMS = ['spotify'];
+// Statuts des éléments qui n'attendent plus leur tour (ni déplaçables, ni repriorisables)
+const SETTLED_STATUSES = ['downloading', 'completed', 'error'];
+
+// Intervalle de réévaluation du plafond de débit (plages horaires)
+const BANDWIDTH_CHECK_INTERVAL = 60 * 1000;
+// Heure au format HH:MM des plages horaires de débit
+const TIME_OF_DAY_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Délai maximal entre deux tentatives, quel que soit le nombre d'échecs
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Motifs de la sortie d'erreur yt-dlp, testés dans l'ordre, associés à un code ERROR_CODES
+const ERROR_PATTERNS = [
+  { code: 'RATE_LIMITED', pattern: /HTTP Error 429|Too Many Requests/i },
+  {
+    code: 'CONTENT_BLOCKED',
+    pattern: /geo.?restrict|not available in your country|blocked it in your country/i
+  },
+  {
+    code: 'RESOURCE_UNAVAILABLE',
+    pattern: /Video unavailable|has been removed|is private|been terminated|HTTP Error 4(?:04|10)/i
+  },
+  { code: 'ACCESS_FORBIDDEN', pattern: /HTTP Error 403|Forbidden/i },
+  { code: 'INVALID_URL', pattern: /Unsupported URL|is not a valid URL/i },
+  { code: 'CONNECTION_TIMEOUT', pattern: /timed out|ETIMEDOUT/i },
+  {
+    code: 'DNS_RESOLUTION_FAILED',
+    pattern: /getaddrinfo|ENOTFOUND|Name or service not known|Temporary failure in name resolution/i
+  },
+  {
+    code: 'CONNECTION_FAILED',
+    pattern: /Connection reset|ECONNRESET|ECONNREFUSED|Connection aborted|Network is unreachable/i
+  },
+  { code: 'DOWNLOAD_INTERRUPTED', pattern: /IncompleteRead|Did not get any data blocks/i }
+];
+
+// Erreurs passagères : une nouvelle tentative a des chances d'aboutir.
+// Les codes absents de cette liste (géo-blocage, vidéo supprimée…) sont définitifs.
+const TRANSIENT_ERROR_CODES = [
+  'RATE_LIMITED',
+  'ACCESS_FORBIDDEN',
+  'CONNECTION_TIMEOUT',
+  'DNS_RESOLUTION_FAILED',
+  'CONNECTION_FAILED',
+  'DOWNLOAD_INTERRUPTED',
+  'DOWNLOAD_FAILED'
+];
+
+/**
+ * Associe la sortie d'erreur de yt-dlp à un code d'erreur standardisé
+ * @param {string} output - Sortie d'erreur (stderr) ou message d'échec
+ * @returns {string} Nom du code d'erreur (ERROR_CODES)
+ */
+function classifyDownloadError(output) {
+  const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(output || ''));
+  return match ? match.code : 'DOWNLOAD_FAILED';
+}
+
+/**
+ * Calcule le délai avant une nouvelle tentative (backoff exponentiel avec gigue)
+ * La moitié du délai est fixe, l'autre aléatoire, pour étaler les reprises simultanées
+ * @param {number} baseDelay - Délai de la première tentative (ms)
+ * @param {number} retryCount - Numéro de la tentative (à partir de 1)
+ * @param {Function} [random=Math.random] - Générateur aléatoire (injectable pour les tests)
+ * @returns {number} Délai en millisecondes
+ */
+function computeRetryDelay(baseDelay, retryCount, random = Math.random) {
+  const delay = Math.min(MAX_RETRY_DELAY, baseDelay * Math.pow(2, retryCount - 1));
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Convertit une heure "HH:MM" en minutes depuis minuit
+ * @param {string} value - Heure textuelle
+ * @returns {number|null} Minutes ou null si le format est invalide
+ */
+function parseTimeOfDay(value) {
+  const match = TIME_OF_DAY_REGEX.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Détermine le plafond de débit global en vigueur à une date donnée.
+ * La première plage horaire correspondante l'emporte sur la limite par défaut ; une plage
+ * dont l'heure de fin précède l'heure de début passe minuit (ses jours sont ceux du début).
+ * @param {Object} [bandwidth] - Configuration downloads.bandwidth
+ * @param {number} [bandwidth.limit] - Limite par défaut en octets/s (0 = illimité)
+ * @param {Array<Object>} [bandwidth.schedule] - Plages { days, from, to, limit }
+ * @param {Date} [date=new Date()] - Instant évalué (injectable pour les tests)
+ * @returns {number} Débit maximal en octets/s, 0 si illimité
+ */
+function resolveBandwidthLimit(bandwidth = {}, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const onDay = (entry, weekday) => !Array.isArray(entry.days) || entry.days.includes(weekday);
+
+  const slot = (bandwidth.schedule || []).find((entry) => {
+    const from = parseTimeOfDay(entry.from);
+    const to = parseTimeOfDay(entry.to);
+    if (from === null || to === null) return false;
+    if (from <= to) return onDay(entry, day) && minutes >= from && minutes < to;
+    if (minutes >= from) return onDay(entry, day);
+    return minutes < to && onDay(entry, (day + 6) % 7);
+  });
+
+  const limit = slot ? slot.limit : bandwidth.limit;
+  return limit > 0 ? limit : 0;
+}
+
 class DownloadManager {
   constructor(bus) {
     eventBus = bus;
@@ -20,10 +166,42 @@ class DownloadManager {
     this.downloadHistory = [];
     this.maxConcurrentDownloads = 3;
     this.defaultOutputFormat = 'mp3';
+    this.autoRetryCount = 3;
+    this.retryDelay = 5000;
+    this.retryTimers = {};
+    this.platformLimits = {};
+    // Réglages adapters.<plateforme> transmis aux adaptateurs (qualité Tidal…)
+    this.adapterSettings = {};
+    this.bandwidth = { limit: 0, schedule: [] };
+    this.bandwidthLimit = 0;
+    this.bandwidthTimer = null;
     this.defaultOutputPath = os.homedir();
     this.downloadPaths = {};
-    this.activeProcesses = {};
+    this.adapterRegistry = initializeAdapterRegistry(bus);
+    this.adapterFactory = new AdapterFactory(bus, this.adapterRegistry);
+    this.duplicateDetector = new DuplicateDetector(bus, this.adapterRegistry);
+    this.archive = new DownloadArchive(bus, this.adapterRegistry);
+    this.sourceMatcher = new SourceMatcher(bus, {
+      getAdapter: (platform) => this._getAdapter({ platform })
+    });
+    this.subscriptions = new SubscriptionManager(bus, {
+      registry: this.adapterRegistry,
+      getAdapter: (url) => this._getAdapter({ url })
+    });
+    this.tracklistImporter = new TracklistImporter(bus, {
+      getAdapter: (url) => this._getAdapter({ url }),
+      library: this.duplicateDetector
+    });
+    this.loudnessProcessor = new LoudnessProcessor(bus, {
+      onResult: (downloadId, metadata) => this._applyProcessingMetadata(downloadId, metadata)
+    });
+    this.adapters = {};
+    this.activeAdapters = {};
     this.binariesPath = this._resolveBinariesPath();
+    this.journalPath = null;
+    this.journalTimer = null;
+    this.isShuttingDown = false;
+    this.binariesReady = Promise.resolve();
 
     this.binaries = {
       ytdlp: null,
@@ -32,6 +210,7 @@ class DownloadManager {
     };
 
     this._registerEventListeners();
+    this._registerProgressThrottling();
     this._validateBinaries();
   }
 
@@ -45,32 +224,55 @@ class DownloadManager {
   _registerEventListeners() {
     eventBus.subscribe('CONFIG:LOADED', this._handleConfigLoaded.bind(this));
     eventBus.subscribe('DOWNLOAD:ADD', this._handleDownloadAdd.bind(this));
+    eventBus.subscribe('DOWNLOAD:URL_ADD_REQUEST', this._handleUrlAddRequest.bind(this));
+    eventBus.subscribe('DOWNLOAD:DUPLICATE_DECISION', this._handleDuplicateDecision.bind(this));
+    eventBus.subscribe('DOWNLOAD:MATCH_DECISION', this._handleMatchDecision.bind(this));
     eventBus.subscribe('DOWNLOAD:START_ALL', this._handleStartAll.bind(this));
+    eventBus.subscribe('DOWNLOAD:ITEM_PAUSE_REQUEST', this._handlePauseRequest.bind(this));
+    eventBus.subscribe('DOWNLOAD:ITEM_RESUME_REQUEST', this._handleResumeRequest.bind(this));
+    eventBus.subscribe('QUEUE_MOVE_ITEM', this._handleMoveItem.bind(this));
+    eventBus.subscribe('QUEUE_SET_PRIORITY', this._handleSetPriority.bind(this));
     eventBus.subscribe('APP:WILL_CLOSE', this._handleAppWillClose.bind(this));
   }
 
+  /**
+   * Regroupe les DOWNLOAD:ITEM_PROGRESS via event-throttler ; un lot conserve la
+   * progression de chaque téléchargement, contrairement à un simple throttle
+   */
+  _registerProgressThrottling() {
+    eventBus.publish('THROTTLER:REGISTER', {
+      sourceEvent: 'DOWNLOAD:ITEM_PROGRESS',
+      targetEvent: 'DOWNLOAD:ITEM_PROGRESS_THROTTLED',
+      strategy: 'batch',
+      options: { maxInterval: PROGRESS_BATCH_INTERVAL, maxSize: 50 }
+    });
+  }
+
   _validateBinaries() {
     const ext = process.platform === 'win32' ? '.exe' : '';
 
     const binariesToCheck = {
       ytdlp: path.join(this.binariesPath, `yt-dlp${ext}`),
       ffmpeg: path.join(this.binariesPath, `ffmpeg${ext}`),
-      tidal: path.join(this.binariesPath, `tidal-downloader${ext}`)
+      tidalDownloader: path.join(this.binariesPath, `tidal-downloader${ext}`)
     };
 
-    Object.entries(binariesToCheck).forEach(([key, binaryPath]) => {
+    const checks = Object.entries(binariesToCheck).map(([key, binaryPath]) =>
       this._checkBinary(binaryPath, '--version')
         .then(() => (this.binaries[key] = binaryPath))
         .catch((err) => {
-          const level = key === 'tidal' ? 'LOG:WARNING' : 'ERROR:BINARY_MISSING';
+          const level = key === 'tidalDownloader' ? 'LOG:WARNING' : 'ERROR:BINARY_MISSING';
           eventBus.publish(level, {
             module: 'download-manager',
             binary: key,
             path: binaryPath,
             error: err.message
           });
-        });
-    });
+        })
+    );
+
+    // Permet de différer les analyses (ex. reprise du journal) jusqu'à la vérification
+    this.binariesReady = Promise.all(checks);
   }
 
   _checkBinary(binaryPath, versionFlag) {
@@ -95,91 +297,688 @@ class DownloadManager {
       this.maxConcurrentDownloads = config.downloads.maxConcurrent || this.maxConcurrentDownloads;
       this.defaultOutputFormat = config.downloads.defaultFormat || this.defaultOutputFormat;
       this.defaultOutputPath = config.downloads.outputPath || this.defaultOutputPath;
+      if (typeof config.downloads.autoRetryCount === 'number') {
+        this.autoRetryCount = config.downloads.autoRetryCount;
+      }
+      this.retryDelay = config.downloads.retryDelay || this.retryDelay;
+      if (config.downloads.bandwidth) {
+        this.bandwidth = config.downloads.bandwidth;
+      }
+      // Bibliothèque comparée aux nouvelles demandes : par défaut, le dossier de destination
+      const duplicates = config.downloads.duplicates || {};
+      const libraryPaths = (duplicates.libraryPaths || []).length
+        ? duplicates.libraryPaths
+        : [config.downloads.outputPath].filter(Boolean);
+      this.duplicateDetector.configure({ enabled: duplicates.enabled, libraryPaths });
+      this.subscriptions.configure(config.downloads.subscriptions);
+      this.archive.configure(config.downloads.archive);
+      this.sourceMatcher.configure(config.downloads.matching);
+      this.loudnessProcessor.configure(config.downloads.formats);
+    }
+
+    // adapters.<plateforme>.maxConnections : plafond de téléchargements simultanés par plateforme
+    if (config.adapters) {
+      this.adapterSettings = config.adapters;
+      this.platformLimits = {};
+      Object.entries(config.adapters).forEach(([platform, settings]) => {
+        if (settings && settings.maxConnections > 0) {
+          this.platformLimits[platform] = settings.maxConnections;
+        }
+      });
+    }
+
+    this._applyBandwidthLimit();
+    if (!this.bandwidthTimer && (this.bandwidth.schedule || []).length > 0) {
+      this.bandwidthTimer = setInterval(
+        () => this._applyBandwidthLimit(),
+        BANDWIDTH_CHECK_INTERVAL
+      );
+      if (this.bandwidthTimer.unref) this.bandwidthTimer.unref();
+    }
+
+    if (config.paths && config.paths.configDir) {
+      this.journalPath = path.join(config.paths.configDir, JOURNAL_FILENAME);
+      this._restoreJournal();
+      this.subscriptions.configure({
+        storePath: path.join(config.paths.configDir, SUBSCRIPTIONS_FILENAME)
+      });
+      this.archive.configure({ storePath: path.join(config.paths.configDir, ARCHIVE_FILENAME) });
     }
+
+    // Les vérifications d'abonnements relisent les pages avec yt-dlp
+    this.binariesReady.then(() => this.subscriptions.start());
   }
 
-  _handleDownloadAdd({ url, format, outputPath }) {
+  /**
+   * Recharge la file d'attente et l'historique depuis le journal sur disque.
+   * Les éléments interrompus sont remis à zéro puis ré-analysés.
+   */
+  _restoreJournal() {
+    let journal;
+    try {
+      if (!fs.existsSync(this.journalPath)) return;
+      journal = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+    } catch (err) {
+      return eventBus.publish('LOG:WARNING', {
+        module: 'download-manager',
+        message: 'Journal de file illisible, ignoré',
+        path: this.journalPath,
+        error: err.message
+      });
+    }
+
+    if (!journal || journal.version !== JOURNAL_VERSION) return;
+
+    const knownIds = new Set(this.downloadQueue.map((d) => d.id));
+    const historyIds = new Set(this.downloadHistory.map((d) => d.id));
+    const toAnalyze = [];
+
+    (journal.history || []).forEach((entry) => {
+      if (!historyIds.has(entry.id)) this.downloadHistory.push(entry);
+    });
+
+    (journal.queue || []).forEach((item) => {
+      if (!item || !item.id || !item.url || knownIds.has(item.id)) return;
+      // Journaux antérieurs aux priorités
+      item.priority = normalizePriority(item.priority, 0);
+
+      if (item.status === 'completed') {
+        if (!historyIds.has(item.id)) this.downloadHistory.push(item);
+        return;
+      }
+
+      if (INTERRUPTED_STATUSES.includes(item.status)) {
+        item.status = 'pending';
+        item.progress = 0;
+        item.restoredAt = new Date();
+        delete item.nextRetryAt;
+        toAnalyze.push(item);
+      }
+
+      this.downloadQueue.push(item);
+      eventBus.publish('DOWNLOAD:ADDED', { downloadId: item.id, download: item, restored: true });
+      // Une décision attendue avant l'arrêt est proposée à nouveau à l'utilisateur
+      this._publishPendingDecision(item);
+    });
+
+    this._trimHistory();
+
+    if (toAnalyze.length > 0) {
+      eventBus.publish('LOG:INFO', {
+        module: 'download-manager',
+        message: `${toAnalyze.length} téléchargement(s) interrompu(s) restauré(s)`
+      });
+
+      this.binariesReady.then(() => {
+        toAnalyze.forEach((item) => {
+          if (item.status === 'pending') this._analyzeDownload(item);
+        });
+      });
+    }
+  }
+
+  /**
+   * Programme l'écriture du journal : les changements de statut rapprochés (analyse,
+   * démarrage, tentatives) ne donnent lieu qu'à une écriture
+   */
+  _scheduleJournalSave() {
+    if (!this.journalPath || this.journalTimer) return;
+
+    this.journalTimer = setTimeout(() => this._saveJournal(), JOURNAL_SAVE_DELAY);
+    if (this.journalTimer.unref) this.journalTimer.unref();
+  }
+
+  /**
+   * Écrit l'état de la file d'attente dans le journal (écriture atomique)
+   */
+  _saveJournal() {
+    clearTimeout(this.journalTimer);
+    this.journalTimer = null;
+    if (!this.journalPath) return;
+
+    const journal = {
+      version: JOURNAL_VERSION,
+      savedAt: new Date().toISOString(),
+      queue: this.downloadQueue,
+      history: this.downloadHistory
+    };
+
+    const tmpPath = `${this.journalPath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(journal, null, 2));
+      fs.renameSync(tmpPath, this.journalPath);
+    } catch (err) {
+      eventBus.publish('LOG:WARNING', {
+        module: 'download-manager',
+        message: "Impossible d'écrire le journal de file",
+        path: this.journalPath,
+        error: err.message
+      });
+    }
+  }
+
+  _trimHistory() {
+    if (this.downloadHistory.length > MAX_HISTORY_ENTRIES) {
+      this.downloadHistory.splice(0, this.downloadHistory.length - MAX_HISTORY_ENTRIES);
+    }
+  }
+
+  _handleDownloadAdd(data) {
+    const downloadItem = this._createDownloadItem(data, 'handleDownloadAdd');
+    if (downloadItem) this._enqueue(downloadItem);
+  }
+
+  /**
+   * Ajoute une URL après vérification des doublons (historique, file, bibliothèque).
+   * Un doublon reste en attente de la décision de l'utilisateur (DOWNLOAD:DUPLICATE_DECISION) ;
+   * sans correspondance d'URL, les métadonnées sont comparées à nouveau après l'analyse.
+   * @param {Object} data - { url, downloadId?, format?, outputPath?, metadata? }
+   */
+  _handleUrlAddRequest(data) {
+    const downloadItem = this._createDownloadItem(data, 'handleUrlAddRequest');
+    if (!downloadItem) return;
+
+    downloadItem.duplicateCheck = true;
+    this._enqueue(downloadItem, this._findDuplicates(downloadItem));
+  }
+
+  /**
+   * Construit un élément de la file à partir d'une demande d'ajout
+   * @param {Object} data - { url, downloadId?, format?, outputPath?, checksum?, qualities?,
+   *   priority?, metadata? }
+   * @param {string} caller - Fonction appelante (signalée si l'URL manque)
+   * @returns {Object|null} Élément, null si la demande est invalide
+   */
+  _createDownloadItem(
+    { url, downloadId, format, outputPath, checksum, qualities, priority, metadata } = {},
+    caller
+  ) {
     if (!url) {
-      return eventBus.publish('ERROR:INVALID_PARAMS', {
+      eventBus.publish('ERROR:INVALID_PARAMS', {
         module: 'download-manager',
-        function: 'handleDownloadAdd',
+        function: caller,
         message: 'URL manquante'
       });
+      return null;
     }
 
-    const downloadId = crypto.randomUUID();
     const downloadItem = {
-      id: downloadId,
+      id: downloadId || crypto.randomUUID(),
       url,
       status: 'pending',
       progress: 0,
+      platform: this.adapterFactory.detectPlatform(url) || GENERIC_PLATFORM,
       format: format || this.defaultOutputFormat,
       outputPath: outputPath || this.defaultOutputPath,
-      metadata: {},
+      // La priorité la plus haute démarre en premier ; à égalité, l'ordre d'ajout
+      priority: normalizePriority(priority, 0),
+      metadata: metadata || {},
       createdAt: new Date()
     };
+    // Somme de contrôle attendue ({ algorithm, value }), vérifiée par les adaptateurs qui le peuvent
+    if (checksum) downloadItem.checksum = checksum;
+    // Qualités à essayer dans l'ordre (Tidal), à la place de celles de la configuration
+    if (Array.isArray(qualities) && qualities.length) downloadItem.qualities = qualities;
+
+    return downloadItem;
+  }
+
+  /**
+   * Place un élément dans la file puis lance son analyse, ou le met en attente de décision
+   * lorsqu'il a des doublons
+   * @param {Object} downloadItem - Élément à ajouter
+   * @param {Array<Object>} [duplicates=[]] - Correspondances trouvées par le détecteur
+   */
+  _enqueue(downloadItem, duplicates = []) {
+    this._insertByPriority(downloadItem);
+
+    if (duplicates.length > 0) {
+      this._flagDuplicate(downloadItem, duplicates, false);
+      return;
+    }
 
-    this.downloadQueue.push(downloadItem);
-    eventBus.publish('DOWNLOAD:ADDED', { downloadId, download: downloadItem });
+    eventBus.publish('DOWNLOAD:ADDED', { downloadId: downloadItem.id, download: downloadItem });
+    this._saveJournal();
 
     this._analyzeDownload(downloadItem);
     this._processQueue();
   }
 
-  _detectPlatformFromUrl(url) {
-    const lower = url.toLowerCase();
-    if (lower.includes('youtube.com') || lower.includes('youtu.be')) return 'youtube';
-    if (lower.includes('soundcloud.com')) return 'soundcloud';
-    if (lower.includes('bandcamp.com')) return 'bandcamp';
-    if (lower.includes('spotify.com')) return 'spotify';
-    if (lower.includes('tidal.com')) return 'tidal';
-    return 'unknown';
+  /**
+   * Recherche les doublons d'un élément parmi l'historique, l'archive, la file et la bibliothèque
+   * @param {Object} downloadItem - Élément concerné
+   * @returns {Array<Object>} Correspondances
+   */
+  _findDuplicates(downloadItem) {
+    return this.duplicateDetector.findDuplicates(downloadItem, {
+      history: this.downloadHistory,
+      queue: this.downloadQueue,
+      archive: this.archive
+    });
   }
 
-  _analyzeDownload(downloadItem) {
-    downloadItem.status = 'analyzing';
+  /**
+   * Suspend un élément jusqu'à la décision de l'utilisateur
+   * @param {Object} downloadItem - Élément concerné (déjà dans la file)
+   * @param {Array<Object>} duplicates - Correspondances trouvées
+   * @param {boolean} analyzed - Vrai si le doublon a été détecté après l'analyse
+   */
+  _flagDuplicate(downloadItem, duplicates, analyzed) {
+    downloadItem.status = 'duplicate';
+    downloadItem.duplicates = duplicates;
+
+    if (analyzed) {
+      this._updateDownloadStatus(downloadItem, 'Doublon détecté');
+    } else {
+      eventBus.publish('DOWNLOAD:ADDED', { downloadId: downloadItem.id, download: downloadItem });
+      this._saveJournal();
+    }
+
+    this._publishPendingDecision(downloadItem);
+  }
+
+  /**
+   * Demande à l'utilisateur la décision qu'attend un élément : doublon à traiter
+   * (DOWNLOAD:DUPLICATE_DETECTED) ou source à choisir (DOWNLOAD:MATCHES_FOUND)
+   * @param {Object} downloadItem - Élément de la file
+   */
+  _publishPendingDecision(downloadItem) {
+    const { id: downloadId, url, metadata } = downloadItem;
+    if (downloadItem.status === 'duplicate') {
+      eventBus.publish('DOWNLOAD:DUPLICATE_DETECTED', {
+        downloadId,
+        url,
+        metadata,
+        duplicates: downloadItem.duplicates || []
+      });
+    } else if (downloadItem.status === 'match') {
+      eventBus.publish('DOWNLOAD:MATCHES_FOUND', {
+        downloadId,
+        url,
+        metadata,
+        matches: downloadItem.matches || []
+      });
+    }
+  }
+
+  /**
+   * Applique le choix de l'utilisateur pour un doublon :
+   * - skip : l'élément est retiré de la file ;
+   * - replace : les fichiers existants (historique, bibliothèque) sont supprimés une fois le
+   *   nouveau téléchargement terminé ;
+   * - keep : le nouveau fichier est enregistré sous un nom distinct.
+   * @param {Object} data - { downloadId, decision }
+   */
+  _handleDuplicateDecision({ downloadId, decision } = {}) {
+    const item = this.downloadQueue.find((d) => d.id === downloadId);
+    if (!item || item.status !== 'duplicate') return;
+
+    if (!DUPLICATE_DECISIONS.includes(decision)) {
+      return eventBus.publish('ERROR:INVALID_PARAMS', {
+        module: 'download-manager',
+        function: 'handleDuplicateDecision',
+        message: `Décision inconnue : ${decision}`
+      });
+    }
+
+    delete item.duplicateCheck;
+
+    if (decision === 'skip') {
+      this.downloadQueue.splice(this.downloadQueue.indexOf(item), 1);
+      this._saveJournal();
+      eventBus.publish('DOWNLOAD:ITEM_CANCELLED', { downloadId, reason: 'duplicate' });
+      return;
+    }
+
+    item.duplicateDecision = decision;
+    if (decision === 'replace') {
+      item.replaces = item.duplicates.filter((d) => d.filePath).map((d) => d.filePath);
+    }
+
+    // Un doublon détecté avant l'analyse n'a pas encore été analysé
+    if (item.analyzedAt) {
+      this._prepareDownload(item);
+      this._processQueue();
+    } else {
+      this._analyzeDownload(item);
+    }
+  }
+
+  /**
+   * Indique si l'audio d'un élément doit être cherché sur une autre plateforme
+   * (titre Spotify dont aucune source n'a encore été retenue)
+   * @param {Object} downloadItem - Élément analysé
+   * @returns {boolean}
+   */
+  _needsSource(downloadItem) {
+    return (
+      this.sourceMatcher.enabled &&
+      METADATA_ONLY_PLATFORMS.includes(downloadItem.platform) &&
+      downloadItem.metadata.type === 'track' &&
+      !downloadItem.source
+    );
+  }
+
+  /**
+   * Rend un élément analysé prêt au téléchargement, après le rapprochement de sources s'il
+   * en a besoin
+   * @param {Object} downloadItem - Élément analysé
+   * @returns {Promise<void>|undefined}
+   */
+  _prepareDownload(downloadItem) {
+    if (this._needsSource(downloadItem)) {
+      return this._matchSources(downloadItem);
+    }
+
+    downloadItem.status = 'ready';
     this._updateDownloadStatus(downloadItem);
+  }
+
+  /**
+   * Recherche les sources d'un titre et les propose à l'utilisateur (DOWNLOAD:MATCHES_FOUND),
+   * sauf si la meilleure atteint la confiance d'acceptation automatique
+   * @param {Object} downloadItem - Élément analysé
+   * @returns {Promise<void>}
+   */
+  _matchSources(downloadItem) {
+    downloadItem.status = 'matching';
+    this._updateDownloadStatus(downloadItem, 'Recherche de sources');
+
+    return this.sourceMatcher
+      .findMatches(downloadItem.metadata)
+      .then((matches) => {
+        downloadItem.matches = matches;
+        if (this.sourceMatcher.isAutoAccepted(matches[0])) {
+          return this._selectSource(downloadItem, matches[0]);
+        }
+
+        downloadItem.status = 'match';
+        this._updateDownloadStatus(
+          downloadItem,
+          matches.length > 0 ? 'Choisir une source' : 'Aucune source trouvée'
+        );
+        this._publishPendingDecision(downloadItem);
+      })
+      .catch((err) =>
+        this._handleAdapterError(downloadItem, err, 'Erreur de recherche de sources')
+      );
+  }
+
+  /**
+   * Retient la source choisie par l'utilisateur : l'un des résultats proposés ou une autre
+   * adresse. Le choix peut être modifié tant que le téléchargement n'a pas commencé.
+   * @param {Object} data - { downloadId, url }
+   */
+  _handleMatchDecision({ downloadId, url } = {}) {
+    const item = this.downloadQueue.find((d) => d.id === downloadId);
+    if (!item || !item.matches || !['match', 'ready'].includes(item.status)) return;
 
-    if (!this.binaries.ytdlp) {
-      return this._handleDownloadError(downloadItem, 'yt-dlp non disponible');
+    const platform = url && (this.adapterFactory.detectPlatform(url) || GENERIC_PLATFORM);
+    if (!platform || METADATA_ONLY_PLATFORMS.includes(platform)) {
+      return eventBus.publish('ERROR:INVALID_PARAMS', {
+        module: 'download-manager',
+        function: 'handleMatchDecision',
+        message: `Source invalide : ${url}`
+      });
     }
 
-    const args = ['--no-playlist', '--dump-json', downloadItem.url];
-    const proc = spawn(this.binaries.ytdlp, args);
-    let output = '',
-      error = '';
+    const match = item.matches.find((m) => m.url === url) || { platform, url, confidence: null };
+    this._selectSource(item, match);
+    this._processQueue();
+  }
 
-    proc.stdout.on('data', (d) => (output += d.toString()));
-    proc.stderr.on('data', (d) => (error += d.toString()));
+  /**
+   * @param {Object} downloadItem - Élément en attente de source
+   * @param {Object} match - Résultat retenu ({ platform, url, title, confidence })
+   * @private
+   */
+  _selectSource(downloadItem, { platform, url, title, confidence }) {
+    downloadItem.source = { platform, url, title: title || '', confidence };
+    downloadItem.status = 'ready';
+    this._updateDownloadStatus(downloadItem);
+  }
 
-    proc.on('close', (code) => {
-      if (code !== 0) return this._handleDownloadError(downloadItem, `Erreur d’analyse: ${error}`);
+  /**
+   * Élément transmis à l'adaptateur : un titre Spotify est téléchargé depuis sa source
+   * @param {Object} downloadItem - Élément de la file
+   * @returns {Object}
+   */
+  _getDownloadTarget(downloadItem) {
+    if (!downloadItem.source) return downloadItem;
+    return {
+      ...downloadItem,
+      url: downloadItem.source.url,
+      platform: downloadItem.source.platform
+    };
+  }
 
+  /**
+   * Renvoie l'adaptateur de la plateforme d'un élément, configuré avec les binaires validés.
+   * Les hôtes sans adaptateur dédié (ou dont l'adaptateur ne peut être créé) passent par
+   * l'adaptateur générique yt-dlp.
+   * @param {Object} downloadItem - Téléchargement concerné
+   * @returns {Object} Adaptateur respectant le contrat BaseAdapter
+   */
+  _getAdapter(downloadItem) {
+    const platform =
+      downloadItem.platform ||
+      this.adapterFactory.detectPlatform(downloadItem.url) ||
+      GENERIC_PLATFORM;
+
+    if (!this.adapters[platform]) {
       try {
-        const data = JSON.parse(output);
-        downloadItem.metadata = {
-          title: data.title,
-          artist: data.artist || data.uploader,
-          duration: data.duration
-        };
-        downloadItem.status = 'ready';
-        this._updateDownloadStatus(downloadItem);
+        this.adapters[platform] = this.adapterFactory.createAdapter(platform);
       } catch (err) {
-        this._handleDownloadError(downloadItem, 'Erreur parsing JSON');
+        eventBus.publish('LOG:WARNING', {
+          module: 'download-manager',
+          message: `Adaptateur ${platform} indisponible, utilisation de yt-dlp générique`,
+          error: err.message
+        });
+        return this._getAdapter({ platform: GENERIC_PLATFORM });
       }
+    }
+
+    // Les binaires peuvent être validés après la création de l'adaptateur
+    return this.adapters[platform].configure({
+      ytDlpPath: this.binaries.ytdlp,
+      ffmpegPath: this.binaries.ffmpeg,
+      tidalDownloaderPath: this.binaries.tidalDownloader,
+      platformSettings: this.adapterSettings[platform] || {},
+      archive: this.archive
     });
+  }
 
-    proc.on('error', (err) => this._handleDownloadError(downloadItem, err.message));
+  /**
+   * Transmet l'échec d'un adaptateur à la logique de nouvelles tentatives.
+   * Le code porté par l'erreur est repris s'il existe dans ERROR_CODES ; sinon la
+   * sortie d'erreur de l'outil sert à le déterminer.
+   * @param {Object} downloadItem - Téléchargement concerné
+   * @param {Error} err - Erreur de l'adaptateur ({ code, output })
+   * @param {string} prefix - Préfixe du message (étape en échec)
+   */
+  _handleAdapterError(downloadItem, err, prefix) {
+    const errorCode = err.code && ERROR_CODES.getByName(err.code) ? err.code : undefined;
+    this._handleDownloadError(downloadItem, `${prefix}: ${err.message}`, {
+      output: err.output,
+      errorCode
+    });
   }
 
+  _analyzeDownload(downloadItem) {
+    downloadItem.status = 'analyzing';
+    this._updateDownloadStatus(downloadItem);
+
+    return this._getAdapter(downloadItem)
+      .analyze(downloadItem)
+      .then(({ metadata }) => {
+        downloadItem.metadata = metadata;
+        downloadItem.analyzedAt = new Date();
+
+        // Les métadonnées permettent de reconnaître un morceau déjà présent sous une autre URL
+        const duplicates = downloadItem.duplicateCheck ? this._findDuplicates(downloadItem) : [];
+        delete downloadItem.duplicateCheck;
+        if (duplicates.length > 0) {
+          return this._flagDuplicate(downloadItem, duplicates, true);
+        }
+
+        return this._prepareDownload(downloadItem);
+      })
+      .catch((err) => this._handleAdapterError(downloadItem, err, 'Erreur d’analyse'));
+  }
+
+  /**
+   * Démarre, dans l'ordre de la file (priorité, puis ordre d'ajout ou déplacement manuel),
+   * autant d'éléments prêts que le permettent la limite globale et celle de leur plateforme ;
+   * un élément dont la plateforme est saturée est sauté
+   */
   _processQueue() {
-    const activeCount = Object.keys(this.activeDownloads).length;
-    if (activeCount >= this.maxConcurrentDownloads) return;
+    for (const item of this.downloadQueue) {
+      if (Object.keys(this.activeDownloads).length >= this.maxConcurrentDownloads) return;
+      if (item.status === 'ready' && this._canStart(item)) {
+        this._startDownload(item);
+      }
+    }
+  }
+
+  /**
+   * Insère un élément dans la file après les éléments en attente de priorité supérieure ou
+   * égale : l'ordre de la file reste celui dans lequel _processQueue démarre les éléments
+   * @param {Object} downloadItem - Élément absent de la file
+   */
+  _insertByPriority(downloadItem) {
+    const index = this.downloadQueue.findIndex(
+      (item) => isWaiting(item) && (item.priority || 0) < downloadItem.priority
+    );
+    if (index >= 0) {
+      this.downloadQueue.splice(index, 0, downloadItem);
+    } else {
+      this.downloadQueue.push(downloadItem);
+    }
+  }
+
+  /**
+   * Change la priorité d'un élément en attente et le replace dans la file
+   * @param {Object} data - { id, priority }
+   */
+  _handleSetPriority({ id, priority } = {}) {
+    const item = this.downloadQueue.find((d) => d.id === id);
+    const value = normalizePriority(priority, null);
+    if (!item || !isWaiting(item) || value === null) return;
+
+    item.priority = value;
+    this.downloadQueue.splice(this.downloadQueue.indexOf(item), 1);
+    this._insertByPriority(item);
+    this._applyQueueOrder();
+  }
+
+  /**
+   * Déplace un élément en attente : en tête (« télécharger ensuite »), en fin de file ou
+   * devant un autre élément. L'élément adopte la priorité de sa nouvelle position, celle de
+   * l'élément devant lequel il est placé ou du dernier élément en attente.
+   * @param {Object} data - { id, position: 'next' | 'bottom' } ou { id, beforeId }
+   */
+  _handleMoveItem({ id, position, beforeId } = {}) {
+    const item = this.downloadQueue.find((d) => d.id === id);
+    if (!item || !isWaiting(item) || beforeId === id) return;
+
+    this.downloadQueue.splice(this.downloadQueue.indexOf(item), 1);
+    const waiting = this.downloadQueue.filter(isWaiting);
+    let before = null;
+
+    if (position === 'next') {
+      before = waiting[0] || null;
+    } else if (position !== 'bottom' && beforeId) {
+      // Un élément déjà démarré cède la place au premier élément en attente qui le suit
+      const anchor = this.downloadQueue.findIndex((d) => d.id === beforeId);
+      before = anchor >= 0 ? this.downloadQueue.slice(anchor).find(isWaiting) || null : null;
+    }
 
-    const next = this.downloadQueue.find((d) => d.status === 'ready');
-    if (next) {
-      this._startDownload(next);
+    if (before) {
+      item.priority = before.priority || 0;
+      this.downloadQueue.splice(this.downloadQueue.indexOf(before), 0, item);
+    } else {
+      if (waiting.length > 0) item.priority = waiting[waiting.length - 1].priority || 0;
+      this.downloadQueue.push(item);
     }
+    this._applyQueueOrder();
+  }
+
+  /**
+   * Enregistre et publie le nouvel ordre de la file (QUEUE_STATUS), puis démarre les
+   * éléments prêts selon cet ordre
+   */
+  _applyQueueOrder() {
+    this._saveJournal();
+    eventBus.publish('QUEUE_STATUS', {
+      order: this.downloadQueue.filter(isWaiting).map((item) => item.id),
+      items: this.downloadQueue.map(({ id, url, status, priority }) => ({
+        id,
+        url,
+        status,
+        priority: priority || 0
+      }))
+    });
+    this._processQueue();
+  }
+
+  /**
+   * Indique si un élément peut démarrer sans dépasser la limite globale ni celle de sa plateforme
+   * @param {Object} downloadItem - Téléchargement concerné
+   * @returns {boolean}
+   */
+  _canStart(downloadItem) {
+    const active = Object.values(this.activeDownloads);
+    if (active.length >= this.maxConcurrentDownloads) return false;
+
+    const limit = this.platformLimits[downloadItem.platform];
+    return !limit || active.filter((d) => d.platform === downloadItem.platform).length < limit;
+  }
+
+  /**
+   * Part du plafond de débit attribuée à chaque téléchargement actif
+   * @returns {number} Débit en octets/s, 0 si illimité
+   */
+  _getRateShare() {
+    if (!this.bandwidthLimit) return 0;
+    const activeCount = Math.max(1, Object.keys(this.activeDownloads).length);
+    return Math.max(1, Math.floor(this.bandwidthLimit / activeCount));
+  }
+
+  /**
+   * Réévalue le plafond de débit (plages horaires) et l'applique aux téléchargements en cours
+   */
+  _applyBandwidthLimit() {
+    const limit = resolveBandwidthLimit(this.bandwidth);
+    if (limit === this.bandwidthLimit) return;
+
+    this.bandwidthLimit = limit;
+    eventBus.publish('DOWNLOAD:BANDWIDTH_CHANGED', { limit });
+    this._rebalanceBandwidth(true);
+  }
+
+  /**
+   * Relance les téléchargements dont le débit ne correspond plus à leur part du plafond.
+   * Le débit d'un outil est fixé à son lancement : l'adaptateur est arrêté puis relancé
+   * depuis le fichier partiel, ce qui n'est possible que s'il sait reprendre (supportsPause).
+   * @param {boolean} [force=false] - Relancer dès que la part change (nouveau plafond) et pas
+   *   seulement lorsqu'elle est dépassée (nouveau téléchargement actif)
+   */
+  _rebalanceBandwidth(force = false) {
+    const share = this._getRateShare();
+
+    Object.values(this.activeDownloads).forEach((item) => {
+      const current = item.rateLimit || 0;
+      const outdated = force ? current !== share : share > 0 && (!current || current > share);
+      const adapter = this.activeAdapters[item.id];
+      if (!outdated || item.restarting || !adapter || !adapter.getCapabilities().supportsPause) {
+        return;
+      }
+
+      // L'emplacement reste réservé ; le téléchargement repart à l'échec de l'adaptateur
+      item.restarting = true;
+      adapter.cancel(item.id);
+    });
   }
 
   _startDownload(downloadItem) {
@@ -188,48 +987,240 @@ class DownloadManager {
     this._updateDownloadStatus(downloadItem);
     this.activeDownloads[downloadItem.id] = downloadItem;
 
-    const tempDir = path.join(os.tmpdir(), '21byts', downloadItem.id);
+    // Dossier stable : l'adaptateur y retrouve le fichier partiel lors d'une reprise
+    const tempDir = this._getTempDir(downloadItem);
     fs.mkdirSync(tempDir, { recursive: true });
-    const outputTemplate = path.join(tempDir, `${crypto.randomUUID()}.%(ext)s`);
-
-    const args = [
-      '--newline',
-      '-f',
-      'bestaudio',
-      '--extract-audio',
-      '--audio-format',
-      downloadItem.format,
-      '-o',
-      outputTemplate,
-      downloadItem.url
-    ];
-
-    const proc = spawn(this.binaries.ytdlp, args);
-    this.activeProcesses[downloadItem.id] = proc;
-
-    proc.on('close', (code) => {
-      delete this.activeProcesses[downloadItem.id];
-      if (code !== 0) {
-        return this._handleDownloadError(downloadItem, 'Erreur code ' + code);
-      }
 
-      const files = fs.readdirSync(tempDir);
-      const final = files.find((f) => f.endsWith(`.${downloadItem.format}`));
-      const outputPath = path.join(downloadItem.outputPath, final);
-      fs.copyFileSync(path.join(tempDir, final), outputPath);
-
-      downloadItem.status = 'completed';
-      downloadItem.completedAt = new Date();
-      eventBus.publish('DOWNLOAD:COMPLETED', {
-        downloadId: downloadItem.id,
-        download: downloadItem,
-        filePath: outputPath
+    const target = this._getDownloadTarget(downloadItem);
+    const adapter = this._getAdapter(target);
+    this.activeAdapters[downloadItem.id] = adapter;
+    // Part du plafond de débit global, fixée pour toute la durée du processus
+    downloadItem.rateLimit = this._getRateShare();
+
+    const run = adapter
+      .download(target, {
+        tempDir,
+        rateLimit: downloadItem.rateLimit,
+        onProgress: (progress) => this._handleProgress(downloadItem, progress)
+      })
+      .then(({ filePath, metadata }) => {
+        delete this.activeAdapters[downloadItem.id];
+        delete downloadItem.restarting;
+        if (metadata) this._applyDownloadMetadata(downloadItem, metadata);
+        this._completeDownload(downloadItem, filePath, tempDir);
+      })
+      .catch((err) => {
+        delete this.activeAdapters[downloadItem.id];
+        const restarting = downloadItem.restarting;
+        delete downloadItem.restarting;
+        // Arrêt de l'application : l'élément reste "downloading" dans le journal pour être repris
+        if (this.isShuttingDown) return;
+        // Mise en pause : le processus a été arrêté volontairement, le fichier partiel est conservé
+        if (downloadItem.status === 'paused') return;
+        // Nouvelle part de débit : relance depuis le fichier partiel
+        if (restarting) return this._startDownload(downloadItem);
+        this._handleAdapterError(downloadItem, err, 'Erreur de téléchargement');
       });
-      delete this.activeDownloads[downloadItem.id];
-      this._processQueue();
+
+    // Les téléchargements déjà actifs cèdent une part du débit au nouveau venu
+    this._rebalanceBandwidth();
+    return run;
+  }
+
+  /**
+   * Reporte sur l'élément les métadonnées connues seulement après le téléchargement (qualité
+   * obtenue) et prévient l'utilisateur lorsque la qualité demandée n'était pas disponible
+   * @param {Object} downloadItem - Téléchargement concerné
+   * @param {Object} metadata - { quality?, requestedQuality?, qualityDowngraded? }
+   */
+  _applyDownloadMetadata(downloadItem, metadata) {
+    downloadItem.metadata = { ...downloadItem.metadata, ...metadata };
+    if (!metadata.qualityDowngraded) return;
+
+    const message = `Qualité ${metadata.requestedQuality} indisponible, téléchargé en ${metadata.quality}`;
+    eventBus.publish('LOG:WARNING', {
+      module: 'download-manager',
+      message,
+      downloadId: downloadItem.id
+    });
+    eventBus.publish('UI:NOTIFICATION_SHOW', {
+      message: `${downloadItem.metadata.title || downloadItem.url} : ${message}`,
+      type: 'warning'
+    });
+  }
+
+  /**
+   * Ajoute aux métadonnées d'un élément terminé le résultat d'un traitement ultérieur
+   * (normalisation, gains ReplayGain) et le transmet à l'interface
+   * @param {string} downloadId - Téléchargement concerné
+   * @param {Object} metadata - { loudness } ou { replayGain }
+   */
+  _applyProcessingMetadata(downloadId, metadata) {
+    const item = this.downloadQueue.find((d) => d.id === downloadId);
+    const entry = this.downloadHistory.find((d) => d.id === downloadId);
+    [item, entry].forEach((target) => {
+      if (target) target.metadata = { ...target.metadata, ...metadata };
+    });
+    this._saveJournal();
+    eventBus.publish('DOWNLOAD:METADATA_UPDATED', { downloadId, metadata });
+  }
+
+  /**
+   * Copie le fichier produit par l'adaptateur vers sa destination et clôt l'élément
+   * @param {Object} downloadItem - Téléchargement concerné
+   * @param {string} filePath - Fichier produit dans le dossier de travail, ou dossier d'album
+   *   (achat Bandcamp livré en archive, set SoundCloud)
+   * @param {string} tempDir - Dossier de travail, supprimé ensuite
+   */
+  _completeDownload(downloadItem, filePath, tempDir) {
+    let outputPath = path.join(downloadItem.outputPath, path.basename(filePath));
+    // « Garder les deux » : ne pas écraser une version existante
+    if (downloadItem.duplicateDecision === 'keep') {
+      outputPath = this._getAvailablePath(outputPath);
+    }
+    fs.cpSync(filePath, outputPath, { recursive: true });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (downloadItem.duplicateDecision === 'replace') {
+      this._removeReplacedFiles(downloadItem, outputPath);
+    }
+
+    downloadItem.status = 'completed';
+    downloadItem.completedAt = new Date();
+    downloadItem.filePath = outputPath;
+    this.downloadHistory.push({
+      id: downloadItem.id,
+      url: downloadItem.url,
+      format: downloadItem.format,
+      metadata: downloadItem.metadata,
+      filePath: outputPath,
+      completedAt: downloadItem.completedAt
     });
+    this._trimHistory();
+    this.duplicateDetector.addLibraryEntry(outputPath, downloadItem.metadata, [downloadItem.url]);
+    this._saveJournal();
+    eventBus.publish('DOWNLOAD:COMPLETED', {
+      downloadId: downloadItem.id,
+      download: downloadItem,
+      filePath: outputPath
+    });
+    delete this.activeDownloads[downloadItem.id];
+    this._processQueue();
+  }
+
+  /**
+   * Renvoie un chemin libre en suffixant le nom du fichier (« titre (2).mp3 »)
+   * @param {string} filePath - Chemin souhaité
+   * @returns {string}
+   */
+  _getAvailablePath(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+    let candidate = filePath;
+    for (let index = 2; fs.existsSync(candidate); index++) {
+      candidate = path.join(dir, `${name} (${index})${ext}`);
+    }
+    return candidate;
+  }
+
+  /**
+   * Supprime les fichiers remplacés par un doublon et les retire de l'historique et de l'index
+   * @param {Object} downloadItem - Téléchargement terminé
+   * @param {string} outputPath - Nouveau fichier (conservé s'il porte le même nom)
+   */
+  _removeReplacedFiles(downloadItem, outputPath) {
+    (downloadItem.replaces || []).forEach((replacedPath) => {
+      this.duplicateDetector.removeLibraryEntry(replacedPath);
+      if (replacedPath === outputPath) return;
+
+      try {
+        fs.rmSync(replacedPath, { force: true });
+      } catch (err) {
+        eventBus.publish('LOG:WARNING', {
+          module: 'download-manager',
+          message: 'Impossible de supprimer le fichier remplacé',
+          path: replacedPath,
+          error: err.message
+        });
+      }
+    });
+
+    const replaced = new Set(downloadItem.replaces || []);
+    this.downloadHistory = this.downloadHistory.filter((entry) => !replaced.has(entry.filePath));
+  }
+
+  /**
+   * Publie la progression remontée par l'adaptateur
+   * @param {Object} downloadItem - Téléchargement concerné
+   * @param {Object} progress - { phase, percent, … } (voir parseYtDlpProgressLine)
+   */
+  _handleProgress(downloadItem, progress) {
+    if (downloadItem.status !== 'downloading') return;
+
+    // La phase d'extraction précède le téléchargement : ne pas écraser une reprise
+    if (progress.phase !== 'extracting') {
+      downloadItem.progress = progress.percent;
+    }
+    downloadItem.phase = progress.phase;
+
+    eventBus.publish('DOWNLOAD:ITEM_PROGRESS', {
+      downloadId: downloadItem.id,
+      ...progress,
+      percent: downloadItem.progress || 0
+    });
+  }
+
+  _getTempDir(downloadItem) {
+    return path.join(os.tmpdir(), '21byts', downloadItem.id);
+  }
+
+  /**
+   * Met un téléchargement en pause en arrêtant l'adaptateur sans supprimer le fichier partiel.
+   * Ignorée si l'adaptateur ne sait pas reprendre un fichier partiel.
+   * @param {Object} data - { downloadId }
+   */
+  _handlePauseRequest({ downloadId } = {}) {
+    const item = this.activeDownloads[downloadId];
+    if (!item || item.status !== 'downloading') return;
+
+    const adapter = this.activeAdapters[downloadId];
+    if (adapter && !adapter.getCapabilities().supportsPause) {
+      eventBus.publish('LOG:WARNING', {
+        module: 'download-manager',
+        message: `La plateforme ${item.platform} ne permet pas la mise en pause`,
+        downloadId
+      });
+      return;
+    }
+
+    item.status = 'paused';
+    item.pausedAt = new Date();
+
+    if (adapter) {
+      adapter.cancel(downloadId);
+      delete this.activeAdapters[downloadId];
+    }
 
-    proc.on('error', (err) => this._handleDownloadError(downloadItem, err.message));
+    delete this.activeDownloads[downloadId];
+    this._updateDownloadStatus(item);
+    eventBus.publish('DOWNLOAD:ITEM_PAUSED', { downloadId, progress: item.progress });
+    this._processQueue();
+  }
+
+  /**
+   * Reprend un téléchargement en pause ; l'adaptateur repart du fichier partiel
+   * @param {Object} data - { downloadId }
+   */
+  _handleResumeRequest({ downloadId } = {}) {
+    const item = this.downloadQueue.find((d) => d.id === downloadId);
+    if (!item || item.status !== 'paused') return;
+
+    item.status = 'ready';
+    delete item.pausedAt;
+    this._updateDownloadStatus(item);
+    eventBus.publish('DOWNLOAD:ITEM_RESUMED', { downloadId, status: item.status });
+
+    if (this._canStart(item)) {
+      this._startDownload(item);
+    }
   }
 
   _updateDownloadStatus(item, message) {
@@ -238,35 +1229,146 @@ class DownloadManager {
       status: item.status,
       message: message || ''
     });
+    this._scheduleJournalSave();
   }
 
-  _handleDownloadError(item, msg) {
-    item.status = 'error';
-    item.error = msg;
-    this._updateDownloadStatus(item, msg);
+  /**
+   * Enregistre l'échec d'une tentative puis reprogramme l'élément si l'erreur est
+   * passagère et que des tentatives restent, sinon le marque en erreur.
+   * @param {Object} item - Téléchargement concerné
+   * @param {string} msg - Message d'échec
+   * @param {Object} [details] - { output: sortie d'erreur, errorCode: code imposé }
+   */
+  _handleDownloadError(item, msg, details = {}) {
+    const failedStatus = item.status;
+    const errorCode = details.errorCode || classifyDownloadError(`${details.output || ''}\n${msg}`);
+
+    item.retryCount = item.retryCount || 0;
+    item.attempts = item.attempts || [];
+    item.attempts.push({
+      attempt: item.attempts.length + 1,
+      stage: failedStatus,
+      errorCode,
+      message: msg,
+      failedAt: new Date()
+    });
     delete this.activeDownloads[item.id];
+
+    const canRetry =
+      TRANSIENT_ERROR_CODES.includes(errorCode) &&
+      item.retryCount < this.autoRetryCount &&
+      !this.isShuttingDown;
+
+    if (canRetry) {
+      this._scheduleRetry(item, failedStatus, errorCode);
+    } else {
+      item.status = 'error';
+      item.error = msg;
+      item.errorCode = errorCode;
+      this._updateDownloadStatus(item, msg);
+      eventBus.publish('DOWNLOAD:ITEM_ERROR', {
+        downloadId: item.id,
+        error: ERROR_CODES.createError(errorCode, msg, {
+          url: item.url,
+          attempts: item.attempts.length
+        })
+      });
+    }
+
     this._processQueue();
   }
 
-  _handleStartAll() {
-    this.downloadQueue.forEach((item) => {
-      if (item.status === 'ready') this._startDownload(item);
+  /**
+   * Programme une nouvelle tentative après un délai croissant
+   * @param {Object} item - Téléchargement concerné
+   * @param {string} failedStatus - Étape en échec ('analyzing', 'matching' ou 'downloading')
+   * @param {string} errorCode - Code d'erreur de la tentative échouée
+   */
+  _scheduleRetry(item, failedStatus, errorCode) {
+    item.retryCount += 1;
+    const delay = computeRetryDelay(this.retryDelay, item.retryCount);
+    const attempt = item.attempts[item.attempts.length - 1];
+    attempt.retryDelay = delay;
+
+    item.status = 'retrying';
+    item.nextRetryAt = new Date(Date.now() + delay);
+    this._updateDownloadStatus(
+      item,
+      `Nouvelle tentative ${item.retryCount}/${this.autoRetryCount} dans ${Math.ceil(delay / 1000)} s`
+    );
+    eventBus.publish('DOWNLOAD:ITEM_RETRY_SCHEDULED', {
+      downloadId: item.id,
+      retryCount: item.retryCount,
+      maxRetries: this.autoRetryCount,
+      delay,
+      errorCode
     });
+
+    this.retryTimers[item.id] = setTimeout(() => {
+      delete this.retryTimers[item.id];
+      if (item.status !== 'retrying') return;
+      delete item.nextRetryAt;
+
+      // Une analyse (ou recherche de sources) échouée est relancée telle quelle ; un
+      // téléchargement repasse par la file
+      if (failedStatus === 'analyzing' || failedStatus === 'matching') {
+        this._analyzeDownload(item);
+      } else {
+        item.status = 'ready';
+        this._updateDownloadStatus(item);
+        this._processQueue();
+      }
+    }, delay);
+  }
+
+  /**
+   * Démarre les éléments prêts dans la limite des emplacements disponibles ;
+   * les autres démarrent à mesure que des emplacements se libèrent
+   */
+  _handleStartAll() {
+    this._processQueue();
   }
 
   _handleAppWillClose() {
-    Object.values(this.activeProcesses).forEach((proc) => {
-      try {
-        proc.kill();
-      } catch {}
+    this.isShuttingDown = true;
+    clearInterval(this.bandwidthTimer);
+    this.subscriptions.stop();
+    Object.values(this.retryTimers).forEach((timer) => clearTimeout(timer));
+    this.retryTimers = {};
+    this._saveJournal();
+    Object.entries(this.activeAdapters).forEach(([downloadId, adapter]) => {
+      adapter.cancel(downloadId);
     });
   }
 }
 
+/**
+ * Indique si un élément attend encore son tour (et peut donc être déplacé)
+ * @param {Object} item - Élément de la file
+ * @returns {boolean}
+ */
+function isWaiting(item) {
+  return !SETTLED_STATUSES.includes(item.status);
+}
+
+/**
+ * Convertit une priorité reçue en nombre fini
+ * @param {*} priority - Priorité demandée
+ * @param {*} fallback - Valeur retenue si la priorité est absente ou invalide
+ * @returns {number|*}
+ */
+function normalizePriority(priority, fallback) {
+  const value = Number(priority);
+  return priority === undefined || priority === null || !Number.isFinite(value) ? fallback : value;
+}
+
 function initDownloadManager({ eventBus: bus }) {
   return new DownloadManager(bus);
 }
 
 module.exports = {
-  initDownloadManager
+  initDownloadManager,
+  classifyDownloadError,
+  computeRetryDelay,
+  resolveBandwidthLimit
 };
@@ -5,6 +5,10 @@
  * reprise sur erreur, et limitation de téléchargements simultanés. Le module est complètement
  * autonome et communique uniquement via le bus d'événements.
  *
+ * Les éléments en attente sont rangés par priorité numérique décroissante (0 par défaut), puis
+ * par ordre d'ajout. Un déplacement manuel fait adopter à l'élément la priorité de sa nouvelle
+ * position, afin que l'ordre affiché reste celui dans lequel les téléchargements démarreront.
+ *
  * @events écoutés:
  * - QUEUE_ADD_ITEM: Ajoute un élément à la file d'attente
  * - QUEUE_REMOVE_ITEM: Supprime un élément de la file d'attente
@@ -13,6 +17,8 @@
  * - QUEUE_RESUME: Reprend tous les téléchargements
  * - QUEUE_ITEM_COMPLETED: Marque un élément comme terminé
  * - QUEUE_ITEM_FAILED: Marque un élément comme ayant échoué
+ * - QUEUE_SET_PRIORITY: Change la priorité d'un élément en attente
+ * - QUEUE_MOVE_ITEM: Déplace un élément en attente (en tête, en fin ou avant un autre élément)
  * - QUEUE_GET_STATUS: Demande le statut actuel de la file d'attente
  * - APP_INITIALIZED: L'application est initialisée
  * - CONFIG_UPDATED: La configuration a été mise à jour
@@ -23,7 +29,7 @@
  * - QUEUE_CLEARED: La file d'attente a été vidée
  * - QUEUE_PAUSED: La file d'attente a été mise en pause
  * - QUEUE_RESUMED: La file d'attente a repris
- * - QUEUE_STATUS: État actuel de la file d'attente
+ * - QUEUE_STATUS: État actuel de la file d'attente (également émis après chaque réordonnancement)
  * - QUEUE_ITEM_DOWNLOAD_STARTED: Le téléchargement d'un élément a commencé
  * - QUEUE_ERROR: Une erreur s'est produite dans la file d'attente
  * - DOWNLOAD_REQUEST: Demande de téléchargement d'un élément
@@ -41,6 +47,7 @@
     maxConcurrentDownloads: 3, // Nombre maximal de téléchargements simultanés
     retryLimit: 3, // Nombre maximal de tentatives
     retryDelay: 5000, // Délai avant nouvelle tentative (ms)
+    defaultPriority: 0, // Priorité des éléments ajoutés sans priorité explicite
     initialized: false // Indicateur d'initialisation
   };
 
@@ -124,6 +131,14 @@
           handleItemFailed(data.id, data.error);
           break;
 
+        case 'QUEUE_SET_PRIORITY':
+          setItemPriority(data.id, data.priority);
+          break;
+
+        case 'QUEUE_MOVE_ITEM':
+          moveItem(data.id, data);
+          break;
+
         case 'QUEUE_GET_STATUS':
           if (reply) {
             reply(getQueueStatus());
@@ -179,17 +194,28 @@
       const existingIndex = state.queue.findIndex((qItem) => qItem.id === item.id);
       if (existingIndex >= 0) {
         // Mettre à jour l'élément existant
+        const previousPriority = state.queue[existingIndex].priority;
         state.queue[existingIndex] = {
           ...state.queue[existingIndex],
           ...item,
+          priority: normalizePriority(item.priority, previousPriority),
           updatedAt: Date.now()
         };
 
+        // Une priorité modifiée replace l'élément parmi ceux en attente
+        if (
+          state.queue[existingIndex].priority !== previousPriority &&
+          isWaiting(state.queue[existingIndex])
+        ) {
+          reinsertByPriority(state.queue[existingIndex]);
+        }
+
         emitEvent('QUEUE_ITEM_UPDATED', state.queue[existingIndex]);
       } else {
         // Créer un nouvel élément
         const newItem = {
           ...item,
+          priority: normalizePriority(item.priority, state.defaultPriority),
           status: 'queued',
           progress: 0,
           retries: 0,
@@ -197,8 +223,8 @@
           updatedAt: Date.now()
         };
 
-        // Ajouter à la file d'attente
-        state.queue.push(newItem);
+        // Ajouter à la file d'attente, après les éléments de priorité supérieure ou égale
+        insertByPriority(newItem);
         stats.totalQueued++;
 
         // Émettre un événement
@@ -392,9 +418,10 @@
 
       if (availableSlots <= 0) return;
 
-      // Trouver les prochains éléments à télécharger
+      // Trouver les prochains éléments à télécharger (priorité décroissante, puis ordre de la file)
       const nextItems = state.queue
         .filter((item) => item.status === 'queued')
+        .sort((a, b) => b.priority - a.priority)
         .slice(0, availableSlots);
 
       // Démarrer les téléchargements
@@ -410,6 +437,130 @@
     }
   }
 
+  /**
+   * Convertit une priorité reçue en nombre fini
+   * @param {*} priority - Priorité demandée
+   * @param {number} fallback - Valeur retenue si la priorité est absente ou invalide
+   * @returns {number} Priorité numérique
+   * @private
+   */
+  function normalizePriority(priority, fallback) {
+    const value = Number(priority);
+    return priority === undefined || priority === null || !Number.isFinite(value)
+      ? fallback
+      : value;
+  }
+
+  /**
+   * Indique si un élément attend encore son téléchargement (et peut donc être déplacé)
+   * @param {Object} item - Élément de la file
+   * @returns {boolean} Vrai si l'élément est en attente ou en attente de nouvelle tentative
+   * @private
+   */
+  function isWaiting(item) {
+    return item.status === 'queued' || item.status === 'retry_pending';
+  }
+
+  /**
+   * Insère un élément après le dernier élément en attente de priorité supérieure ou égale
+   * @param {Object} item - Élément à insérer (absent de la file)
+   * @private
+   */
+  function insertByPriority(item) {
+    const index = state.queue.findIndex(
+      (qItem) => isWaiting(qItem) && qItem.priority < item.priority
+    );
+
+    if (index >= 0) {
+      state.queue.splice(index, 0, item);
+    } else {
+      state.queue.push(item);
+    }
+  }
+
+  /**
+   * Retire un élément de la file puis le réinsère selon sa priorité
+   * @param {Object} item - Élément présent dans la file
+   * @private
+   */
+  function reinsertByPriority(item) {
+    state.queue.splice(state.queue.indexOf(item), 1);
+    insertByPriority(item);
+  }
+
+  /**
+   * Change la priorité d'un élément en attente
+   * @param {string} id - Identifiant de l'élément
+   * @param {number} priority - Nouvelle priorité (la plus haute démarre en premier)
+   * @private
+   */
+  function setItemPriority(id, priority) {
+    try {
+      const item = state.queue.find((qItem) => qItem.id === id);
+      const value = normalizePriority(priority, null);
+
+      if (!item || !isWaiting(item) || value === null) return;
+
+      item.priority = value;
+      item.updatedAt = Date.now();
+      reinsertByPriority(item);
+
+      emitEvent('QUEUE_STATUS', getQueueStatus());
+      processQueue();
+    } catch (error) {
+      handleError('QUEUE_PRIORITY_ERROR', `Erreur lors du changement de priorité de ${id}`, error);
+    }
+  }
+
+  /**
+   * Déplace un élément en attente dans la file
+   *
+   * L'élément adopte la priorité de sa nouvelle position : celle de l'élément devant lequel il
+   * est placé, ou celle du dernier élément en attente lorsqu'il est envoyé en fin de file.
+   *
+   * @param {string} id - Identifiant de l'élément
+   * @param {Object} target - Destination
+   * @param {string} [target.position] - 'next' (télécharger ensuite) ou 'bottom' (fin de file)
+   * @param {string|null} [target.beforeId] - Élément devant lequel placer l'élément (null : en fin)
+   * @private
+   */
+  function moveItem(id, { position, beforeId } = {}) {
+    try {
+      const item = state.queue.find((qItem) => qItem.id === id);
+      if (!item || !isWaiting(item) || beforeId === id) return;
+
+      state.queue.splice(state.queue.indexOf(item), 1);
+
+      const waiting = state.queue.filter(isWaiting);
+      let before = null;
+
+      if (position === 'next') {
+        before = waiting[0] || null;
+      } else if (position !== 'bottom' && beforeId) {
+        // Un élément déjà démarré cède la place au premier élément en attente qui le suit
+        const anchor = state.queue.findIndex((qItem) => qItem.id === beforeId);
+        before = anchor >= 0 ? state.queue.slice(anchor).find(isWaiting) || null : null;
+      }
+
+      if (before) {
+        item.priority = before.priority;
+        state.queue.splice(state.queue.indexOf(before), 0, item);
+      } else {
+        if (waiting.length > 0) {
+          item.priority = waiting[waiting.length - 1].priority;
+        }
+        state.queue.push(item);
+      }
+
+      item.updatedAt = Date.now();
+
+      emitEvent('QUEUE_STATUS', getQueueStatus());
+      processQueue();
+    } catch (error) {
+      handleError('QUEUE_MOVE_ERROR', `Erreur lors du déplacement de l'élément ${id}`, error);
+    }
+  }
+
   /**
    * Démarre le téléchargement d'un élément
    * @param {Object} item - Élément à télécharger
@@ -462,11 +613,13 @@
       total: state.queue.length,
       paused: state.paused,
       stats: { ...stats },
+      order: state.queue.filter(isWaiting).map((item) => item.id),
       items: state.queue.map((item) => ({
         id: item.id,
         url: item.url,
         title: item.title,
         status: item.status,
+        priority: item.priority,
         progress: item.progress,
         source: item.source,
         addedAt: item.addedAt,
@@ -544,6 +697,16 @@
  *   console.log('État de la file:', status);
  * });
  *
+ * // Télécharger un élément juste après les téléchargements en cours
+ * emit('QUEUE_MOVE_ITEM', { id: 'unique-id-123', position: 'next' });
+ *
+ * // Envoyer un élément en fin de file, ou le placer devant un autre élément
+ * emit('QUEUE_MOVE_ITEM', { id: 'unique-id-123', position: 'bottom' });
+ * emit('QUEUE_MOVE_ITEM', { id: 'unique-id-123', beforeId: 'unique-id-456' });
+ *
+ * // Changer la priorité (la plus haute démarre en premier)
+ * emit('QUEUE_SET_PRIORITY', { id: 'unique-id-123', priority: 5 });
+ *
  * // Supprimer un élément
  * emit('QUEUE_REMOVE_ITEM', { id: 'unique-id-123' });
  *
@@ -0,0 +1,480 @@
+/**
+ * @fileoverview Détection des doublons avant téléchargement
+ * @description Compare une demande de téléchargement à l'historique, à la file d'attente et à la
+ * bibliothèque locale. Les URL sont normalisées (paramètres de suivi retirés, liens courts
+ * YouTube ramenés à `watch?v=`) puis réduites à un identifiant de source par plateforme.
+ *
+ * La bibliothèque est indexée via tag-processor : chaque fichier audio des dossiers surveillés
+ * fait l'objet d'une demande d'extraction de métadonnées, dont la réponse fournit les URL
+ * d'origine inscrites dans les tags (identifiant de source) ainsi que l'artiste, le titre et
+ * la durée. Deux morceaux correspondent lorsque l'artiste et le titre normalisés sont égaux et
+ * que leurs durées, si elles sont connues, diffèrent de moins de DURATION_TOLERANCE secondes ;
+ * aucune empreinte acoustique n'est calculée.
+ *
+ * @module modules/download/duplicate-detector
+ * @requires fs
+ * @requires path
+ *
+ * @events
+ * Écoutés:
+ * - APP:READY - Indexe la bibliothèque (tag-processor est alors prêt à répondre)
+ * - METADATA:EXTRACTED - Ajoute un fichier de la bibliothèque à l'index
+ * - METADATA:EXTRACT_ERROR - Abandonne l'indexation d'un fichier illisible
+ *
+ * Émis:
+ * - METADATA:EXTRACT_REQUEST - Demande les tags d'un fichier de la bibliothèque
+ * - LOG:INFO - Fin de l'indexation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { adapterRegistry } = require('./adapters/adapter-registry');
+const { AUDIO_EXTENSIONS } = require('./adapters/direct-http-adapter');
+
+// Préfixe des identifiants de requête adressés à tag-processor
+const REQUEST_PREFIX = 'duplicate-index';
+// Écart de durée toléré entre deux versions d'un même morceau (secondes)
+const DURATION_TOLERANCE = 3;
+// Bornes du parcours de la bibliothèque
+const MAX_SCAN_DEPTH = 6;
+const MAX_SCAN_FILES = 20000;
+
+// Paramètres de suivi ou de contexte sans effet sur le contenu désigné
+const TRACKING_PARAMS = [
+  'si',
+  't',
+  'start',
+  'time_continue',
+  'feature',
+  'pp',
+  'ab_channel',
+  'index',
+  'in',
+  'context',
+  'ref',
+  'ref_src',
+  'ref_url',
+  'fbclid',
+  'gclid',
+  'igshid',
+  'nd'
+];
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+// Hôtes YouTube et chemins portant l'identifiant de la vidéo
+const YOUTUBE_HOSTS = /^(?:(?:www|m|music)\.)?(?:youtube\.com|youtube-nocookie\.com)$/;
+const YOUTUBE_PATH_ID = /^\/(?:shorts|embed|live|v)\/([\w-]{11})/;
+const YOUTUBE_ID = /^[\w-]{11}$/;
+// Ressources Spotify et Tidal : type et identifiant
+const SPOTIFY_RESOURCE = /^\/(?:intl-[a-z-]+\/)?(track|album|playlist|episode)\/(\w+)/i;
+const SPOTIFY_URI = /^spotify:(track|album|playlist|episode):(\w+)$/i;
+const TIDAL_RESOURCE = /\/(track|album|playlist|video)\/([\w-]+)/i;
+
+// URL inscrites dans les tags (commentaire, purl, description…)
+const TAG_URL_REGEX = /(?:https?:\/\/|spotify:)[^\s"'<>]+/gi;
+
+/**
+ * Indique si un paramètre d'URL sert uniquement au suivi
+ * @param {string} name - Nom du paramètre
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return (
+    TRACKING_PARAMS.includes(lower) ||
+    TRACKING_PARAM_PREFIXES.some((prefix) => lower.startsWith(prefix))
+  );
+}
+
+/**
+ * Extrait l'identifiant d'une vidéo YouTube
+ * @param {URL} parsed - URL analysée (hôte sans www)
+ * @returns {string|null}
+ */
+function getYouTubeId(parsed) {
+  if (parsed.hostname === 'youtu.be') {
+    const id = parsed.pathname.slice(1).split('/')[0];
+    return YOUTUBE_ID.test(id) ? id : null;
+  }
+  if (!YOUTUBE_HOSTS.test(parsed.hostname)) return null;
+
+  const fromPath = YOUTUBE_PATH_ID.exec(parsed.pathname);
+  if (fromPath) return fromPath[1];
+  const fromQuery = parsed.searchParams.get('v');
+  return parsed.pathname === '/watch' && YOUTUBE_ID.test(fromQuery || '') ? fromQuery : null;
+}
+
+/**
+ * Normalise une URL pour la comparaison : https, hôte en minuscules sans `www.`/`m.`, sans
+ * fragment, sans barre finale ni paramètres de suivi, paramètres restants triés. Les liens
+ * YouTube (youtu.be, shorts, embed, music) deviennent `https://www.youtube.com/watch?v=<id>`.
+ * @param {string} url - URL à normaliser
+ * @returns {string|null} URL normalisée, null si elle est invalide
+ */
+function normalizeUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  const spotifyUri = SPOTIFY_URI.exec(url.trim());
+  if (spotifyUri) {
+    return `https://open.spotify.com/${spotifyUri[1].toLowerCase()}/${spotifyUri[2]}`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(?:www|m)\./, '');
+
+  const videoId = getYouTubeId(parsed);
+  if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  return `https://${parsed.hostname}${port}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Réduit une URL à l'identifiant de la ressource sur sa plateforme
+ * (`youtube:<id>`, `spotify:track:<id>`, `tidal:track:<id>`, sinon l'URL normalisée sans schéma)
+ * @param {string} url - URL de la ressource
+ * @param {Object} [registry=adapterRegistry] - Registre utilisé pour détecter la plateforme
+ * @returns {string|null}
+ */
+function getSourceId(url, registry = adapterRegistry) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) return null;
+
+  const parsed = new URL(normalized);
+  const platform = registry.detectPlatform(normalized);
+
+  if (platform === 'youtube' && parsed.searchParams.has('v')) {
+    return `youtube:${parsed.searchParams.get('v')}`;
+  }
+  if (platform === 'spotify') {
+    const match = SPOTIFY_RESOURCE.exec(parsed.pathname);
+    if (match) return `spotify:${match[1].toLowerCase()}:${match[2]}`;
+  }
+  if (platform === 'tidal') {
+    const match = TIDAL_RESOURCE.exec(parsed.pathname);
+    if (match) return `tidal:${match[1].toLowerCase()}:${match[2]}`;
+  }
+
+  return normalized.replace(/^https:\/\//, '');
+}
+
+/**
+ * Normalise un artiste ou un titre : casse, accents, mentions entre parenthèses ou crochets
+ * (« Official Video », « feat. … »), ponctuation
+ * @param {string} value - Texte à normaliser
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[([][^)\]]*[)\]]/g, ' ')
+    .replace(/\s(?:feat|ft)\.?\s.*$/, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Clé de comparaison « artiste|titre » d'un morceau
+ * @param {Object} metadata - Métadonnées ({ artist, title })
+ * @returns {string|null} Clé, null si l'artiste ou le titre manque
+ */
+function getTrackKey(metadata) {
+  if (!metadata) return null;
+  const artist = normalizeText(metadata.artist);
+  const title = normalizeText(metadata.title);
+  return artist && title ? `${artist}|${title}` : null;
+}
+
+/**
+ * Durée en secondes lue dans des métadonnées (nombre ou chaîne numérique)
+ * @param {Object} metadata - Métadonnées
+ * @returns {number|null}
+ */
+function getDuration(metadata) {
+  const duration = parseFloat(metadata && metadata.duration);
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
+/**
+ * Indique si deux morceaux correspondent par leurs métadonnées
+ * @param {Object} a - Métadonnées du premier morceau
+ * @param {Object} b - Métadonnées du second morceau
+ * @returns {boolean}
+ */
+function matchesMetadata(a, b) {
+  const key = getTrackKey(a);
+  if (!key || key !== getTrackKey(b)) return false;
+
+  const durationA = getDuration(a);
+  const durationB = getDuration(b);
+  return !durationA || !durationB || Math.abs(durationA - durationB) <= DURATION_TOLERANCE;
+}
+
+/**
+ * Détecteur de doublons : historique, file d'attente et bibliothèque indexée
+ */
+class DuplicateDetector {
+  /**
+   * @param {Object} eventBus - Bus d'événements
+   * @param {Object} [registry=adapterRegistry] - Registre d'adaptateurs (détection de plateforme)
+   */
+  constructor(eventBus, registry = adapterRegistry) {
+    this.eventBus = eventBus;
+    this.registry = registry;
+    this.enabled = true;
+    this.libraryPaths = [];
+    this.library = new Map(); // chemin -> { filePath, sourceIds, metadata }
+    this.pendingRequests = new Map(); // requestId -> chemin
+    this.requestCounter = 0;
+    this.appReady = false;
+
+    eventBus.subscribe('APP:READY', () => {
+      this.appReady = true;
+      this.scanLibrary();
+    });
+    eventBus.subscribe('METADATA:EXTRACTED', (data) => this._handleExtracted(data));
+    eventBus.subscribe('METADATA:EXTRACT_ERROR', (data) => {
+      if (data && data.requestId) this.pendingRequests.delete(data.requestId);
+    });
+  }
+
+  /**
+   * Applique la configuration downloads.duplicates
+   * @param {Object} [options] - { enabled, libraryPaths }
+   */
+  configure({ enabled, libraryPaths } = {}) {
+    if (typeof enabled === 'boolean') this.enabled = enabled;
+
+    if (Array.isArray(libraryPaths)) {
+      const changed = libraryPaths.join('\n') !== this.libraryPaths.join('\n');
+      this.libraryPaths = libraryPaths.filter(Boolean);
+      if (changed && this.appReady) this.scanLibrary();
+    }
+  }
+
+  /**
+   * Parcourt les dossiers de la bibliothèque et demande les tags de chaque fichier audio
+   * non encore indexé
+   * @returns {Promise<number>} Nombre de fichiers soumis à tag-processor
+   */
+  async scanLibrary() {
+    if (!this.enabled) return 0;
+
+    const files = [];
+    for (const dir of this.libraryPaths) {
+      await this._collectAudioFiles(dir, 0, files);
+    }
+
+    const pendingPaths = new Set(this.pendingRequests.values());
+    const toIndex = files.filter((file) => !this.library.has(file) && !pendingPaths.has(file));
+    toIndex.forEach((filePath) => {
+      const requestId = `${REQUEST_PREFIX}-${++this.requestCounter}`;
+      this.pendingRequests.set(requestId, filePath);
+      this.eventBus.publish('METADATA:EXTRACT_REQUEST', { filePath, requestId });
+    });
+
+    if (toIndex.length > 0) {
+      this.eventBus.publish('LOG:INFO', {
+        module: 'duplicate-detector',
+        message: `${toIndex.length} fichier(s) de la bibliothèque soumis à l'indexation`
+      });
+    }
+    return toIndex.length;
+  }
+
+  /**
+   * Ajoute un fichier à l'index de la bibliothèque
+   * @param {string} filePath - Chemin du fichier
+   * @param {Object} [metadata] - Métadonnées (artist, title, duration, tags…)
+   * @param {Array<string>} [urls] - URL d'origine connues du fichier
+   */
+  addLibraryEntry(filePath, metadata = {}, urls = []) {
+    const sourceIds = new Set(
+      [...urls, ...this._extractTagUrls(metadata)]
+        .map((url) => getSourceId(url, this.registry))
+        .filter(Boolean)
+    );
+    this.library.set(filePath, { filePath, sourceIds, metadata });
+  }
+
+  /**
+   * Retire un fichier de l'index (fichier remplacé ou supprimé)
+   * @param {string} filePath - Chemin du fichier
+   */
+  removeLibraryEntry(filePath) {
+    this.library.delete(filePath);
+  }
+
+  /**
+   * Cherche un morceau dans la bibliothèque indexée : même ISRC si les deux le portent,
+   * sinon même artiste, titre et durée. Chaque artiste crédité est essayé, puis tous réunis.
+   * @param {Object} track - Titre ({ title, artist?, artists?, isrc?, duration })
+   * @returns {string|null} Chemin du fichier trouvé
+   */
+  findLibraryFile(track) {
+    if (!track) return null;
+
+    const isrc = normalizeText(track.isrc);
+    const artists = track.artists && track.artists.length ? track.artists : [track.artist];
+    const candidates = [...new Set([...artists, artists.join(', ')])].map((artist) => ({
+      ...track,
+      artist
+    }));
+
+    const entries = [...this.library.values()];
+    const match =
+      (isrc && entries.find((entry) => normalizeText(entry.metadata.isrc) === isrc)) ||
+      entries.find((entry) =>
+        candidates.some((candidate) => matchesMetadata(candidate, entry.metadata))
+      );
+    return match ? match.filePath : null;
+  }
+
+  /**
+   * Recherche les doublons d'un élément
+   * @param {Object} item - Élément ({ id, url, metadata })
+   * @param {Object} [context] - { history, queue, archive } du gestionnaire de téléchargement
+   * @returns {Array<Object>} Correspondances ({ type, match, downloadId?, filePath?, url? })
+   */
+  findDuplicates(item, { history = [], queue = [], archive = null } = {}) {
+    if (!this.enabled || !item) return [];
+
+    const sourceId = getSourceId(item.url, this.registry);
+    const matches = [];
+    const seenFiles = new Set();
+    const addFileMatch = (entry) => {
+      if (seenFiles.has(entry.filePath)) return;
+      seenFiles.add(entry.filePath);
+      matches.push(entry);
+    };
+
+    history.forEach((entry) => {
+      if (!entry.filePath || !fs.existsSync(entry.filePath)) return;
+      const sameSource = sourceId && getSourceId(entry.url, this.registry) === sourceId;
+      if (sameSource || matchesMetadata(item.metadata, entry.metadata)) {
+        addFileMatch({
+          type: 'history',
+          match: sameSource ? 'source' : 'metadata',
+          downloadId: entry.id,
+          filePath: entry.filePath,
+          url: entry.url
+        });
+      }
+    });
+
+    // L'archive couvre tout ce qui a été téléchargé, au-delà de l'historique récent ; une entrée
+    // importée sans fichier (archive yt-dlp) suffit à signaler l'élément
+    const archived = archive && archive.lookup(item.url);
+    if (archived && archived.filePath) {
+      if (fs.existsSync(archived.filePath)) {
+        addFileMatch({
+          type: 'archive',
+          match: 'source',
+          filePath: archived.filePath,
+          url: archived.url
+        });
+      }
+    } else if (archived) {
+      matches.push({ type: 'archive', match: 'source', url: archived.url });
+    }
+
+    queue.forEach((queued) => {
+      if (queued.id === item.id || ['completed', 'error'].includes(queued.status)) return;
+      if (sourceId && getSourceId(queued.url, this.registry) === sourceId) {
+        matches.push({ type: 'queue', match: 'source', downloadId: queued.id, url: queued.url });
+      }
+    });
+
+    this.library.forEach((entry) => {
+      const sameSource = sourceId && entry.sourceIds.has(sourceId);
+      if (sameSource || matchesMetadata(item.metadata, entry.metadata)) {
+        addFileMatch({
+          type: 'library',
+          match: sameSource ? 'source' : 'metadata',
+          filePath: entry.filePath
+        });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Indexe la réponse de tag-processor à une demande d'extraction
+   * @param {Object} data - { requestId, filePath, metadata }
+   * @private
+   */
+  _handleExtracted(data) {
+    if (!data || !this.pendingRequests.has(data.requestId)) return;
+
+    const filePath = this.pendingRequests.get(data.requestId);
+    this.pendingRequests.delete(data.requestId);
+    this.addLibraryEntry(filePath, data.metadata || {});
+  }
+
+  /**
+   * URL présentes dans les valeurs textuelles des tags (commentaire, purl, description…)
+   * @param {Object} metadata - Métadonnées extraites
+   * @returns {Array<string>}
+   * @private
+   */
+  _extractTagUrls(metadata) {
+    return Object.entries(metadata || {})
+      .filter(([key, value]) => !key.startsWith('_') && typeof value === 'string')
+      .flatMap(([, value]) => value.match(TAG_URL_REGEX) || []);
+  }
+
+  /**
+   * Collecte récursivement les fichiers audio d'un dossier
+   * @param {string} dir - Dossier à parcourir
+   * @param {number} depth - Profondeur courante
+   * @param {Array<string>} files - Accumulateur
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _collectAudioFiles(dir, depth, files) {
+    if (depth > MAX_SCAN_DEPTH || files.length >= MAX_SCAN_FILES) return;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (files.length >= MAX_SCAN_FILES) return;
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this._collectAudioFiles(fullPath, depth + 1, files);
+      } else if (AUDIO_EXTENSIONS.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  }
+}
+
+module.exports = {
+  DuplicateDetector,
+  normalizeUrl,
+  getSourceId,
+  normalizeText,
+  matchesMetadata
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Traitement de l'intensité sonore des téléchargements terminés
+ * @description Selon downloads.formats.loudness.mode, chaque fichier terminé (ou chaque titre
+ * d'un dossier d'album) est confié au convertisseur :
+ * - normalize : ré-encodé dans son format avec une normalisation EBU R128 en deux passes,
+ *   à la place du fichier téléchargé
+ * - replaygain : analysé sans modification de l'audio ; les gains du titre et de l'album
+ *   sont écrits en tags par tag-processor
+ * Le résultat est rapporté au gestionnaire de téléchargement, qui l'ajoute aux métadonnées
+ * de l'élément (`loudness` ou `replayGain`).
+ *
+ * @module modules/download/loudness-processor
+ * @requires fs
+ * @requires path
+ *
+ * @events
+ * Écoutés:
+ * - DOWNLOAD:COMPLETED - Lance le traitement du fichier produit
+ * - FORMAT_CONVERSION_COMPLETED / FORMAT_CONVERSION_FAILED - Fin d'une normalisation
+ * - FORMAT_REPLAYGAIN_COMPLETED / FORMAT_REPLAYGAIN_FAILED - Fin d'une analyse ReplayGain
+ *
+ * Émis:
+ * - FORMAT_CONVERSION_REQUESTED - Normalisation d'un fichier (`replaceSource`)
+ * - FORMAT_REPLAYGAIN_REQUESTED - Analyse ReplayGain d'un titre ou d'un album ({ requestId, files })
+ * - LOG:WARNING - Échec du traitement (le téléchargement reste valable)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AUDIO_EXTENSIONS } = require('./adapters/direct-http-adapter');
+
+const LOUDNESS_MODES = ['normalize', 'replaygain'];
+// Extensions dont le format de conversion porte un autre nom
+const EXTENSION_FORMATS = { aif: 'aiff', oga: 'ogg' };
+
+class LoudnessProcessor {
+  /**
+   * @param {Object} eventBus - Bus d'événements
+   * @param {Object} options
+   * @param {Function} options.onResult - Reçoit (downloadId, métadonnées à ajouter)
+   */
+  constructor(eventBus, { onResult }) {
+    this.eventBus = eventBus;
+    this.onResult = onResult;
+    this.settings = { mode: 'off' };
+    this.qualityPresets = {};
+    // requestId -> traitement en cours ({ downloadId, remaining, tracks })
+    this.pending = new Map();
+
+    eventBus.subscribe('DOWNLOAD:COMPLETED', (data) => this.process(data));
+    eventBus.subscribe('FORMAT_CONVERSION_COMPLETED', (data) => this._handleNormalized(data));
+    eventBus.subscribe('FORMAT_CONVERSION_FAILED', (data) => this._handleFailed(data));
+    eventBus.subscribe('FORMAT_REPLAYGAIN_COMPLETED', (data) => this._handleReplayGain(data));
+    eventBus.subscribe('FORMAT_REPLAYGAIN_FAILED', (data) => this._handleFailed(data));
+  }
+
+  /**
+   * @param {Object} [formats] - Configuration downloads.formats ({ loudness, qualityPresets })
+   */
+  configure(formats = {}) {
+    this.settings = { ...this.settings, ...formats.loudness };
+    this.qualityPresets = formats.qualityPresets || this.qualityPresets;
+  }
+
+  /**
+   * Traite un téléchargement terminé
+   * @param {Object} data - { downloadId, download, filePath }
+   * @returns {string|null} Identifiant du traitement, null si aucun n'est lancé
+   */
+  process({ downloadId, download, filePath } = {}) {
+    const { mode } = this.settings;
+    if (!LOUDNESS_MODES.includes(mode) || !filePath) return null;
+
+    const files = listAudioFiles(filePath);
+    if (files.length === 0) return null;
+
+    const requestId = `loudness-${downloadId}`;
+    this.pending.set(requestId, { downloadId, remaining: files.length, tracks: [] });
+
+    if (mode === 'replaygain') {
+      this.eventBus.publish('FORMAT_REPLAYGAIN_REQUESTED', { requestId, files });
+      return requestId;
+    }
+
+    files.forEach((sourceFile, index) => {
+      const format = getFileFormat(sourceFile, download);
+      this.eventBus.publish('FORMAT_CONVERSION_REQUESTED', {
+        requestId: `${requestId}:${index}`,
+        sourceFile,
+        targetFormat: format,
+        quality: this.qualityPresets[format],
+        loudness: this.settings,
+        replaceSource: true
+      });
+    });
+    return requestId;
+  }
+
+  /**
+   * Normalisation d'un fichier terminée ; le résultat est rapporté avec le dernier titre
+   * @param {Object} data - { requestId, outputFile, loudness }
+   * @private
+   */
+  _handleNormalized({ requestId, outputFile, loudness } = {}) {
+    const job = this.pending.get(getGroupId(requestId));
+    if (!job || !loudness) return;
+
+    job.tracks.push({
+      filePath: outputFile,
+      inputLufs: loudness.inputLufs,
+      inputTruePeak: loudness.inputTruePeak
+    });
+    job.remaining -= 1;
+    if (job.remaining > 0) return;
+
+    this.pending.delete(getGroupId(requestId));
+    this.onResult(job.downloadId, {
+      loudness: {
+        mode: 'normalize',
+        targetLufs: loudness.targetLufs,
+        truePeak: loudness.truePeak,
+        tracks: job.tracks
+      }
+    });
+  }
+
+  /**
+   * @param {Object} data - { requestId, replayGain }
+   * @private
+   */
+  _handleReplayGain({ requestId, replayGain } = {}) {
+    const job = this.pending.get(requestId);
+    if (!job) return;
+
+    this.pending.delete(requestId);
+    this.onResult(job.downloadId, { replayGain });
+  }
+
+  /**
+   * Un échec abandonne le traitement de l'élément ; le fichier téléchargé reste intact
+   * @param {Object} data - { requestId, error }
+   * @private
+   */
+  _handleFailed({ requestId, error } = {}) {
+    const groupId = getGroupId(requestId);
+    const job = this.pending.get(groupId);
+    if (!job) return;
+
+    this.pending.delete(groupId);
+    this.eventBus.publish('LOG:WARNING', {
+      module: 'loudness-processor',
+      message: "Traitement de l'intensité sonore impossible",
+      downloadId: job.downloadId,
+      error: error && (error.message || error.code)
+    });
+  }
+}
+
+/**
+ * Identifiant du traitement d'un élément, sans l'indice du titre (« loudness-<id>:<n> »)
+ * @param {string} requestId
+ * @returns {string}
+ */
+function getGroupId(requestId) {
+  return String(requestId).replace(/:\d+$/, '');
+}
+
+/**
+ * Format de ré-encodage d'un fichier : celui de son extension, l'ALAC se distinguant de
+ * l'AAC (tous deux en .m4a) par le format demandé pour l'élément
+ * @param {string} filePath - Fichier téléchargé
+ * @param {Object} [download] - Élément terminé
+ * @returns {string}
+ */
+function getFileFormat(filePath, download) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (extension === 'm4a' && download && download.format === 'alac') return 'alac';
+  return EXTENSION_FORMATS[extension] || extension;
+}
+
+/**
+ * Fichiers audio d'un téléchargement : le fichier lui-même, ou les titres d'un dossier d'album
+ * @param {string} filePath - Fichier ou dossier produit
+ * @returns {string[]}
+ */
+function listAudioFiles(filePath) {
+  try {
+    if (!fs.statSync(filePath).isDirectory()) return [filePath];
+    return fs
+      .readdirSync(filePath)
+      .filter((name) => AUDIO_EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase()))
+      .sort()
+      .map((name) => path.join(filePath, name));
+  } catch {
+    return [];
+  }
+}
+
+module.exports = { LoudnessProcessor };
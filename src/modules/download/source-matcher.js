@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Rapprochement d'un titre Spotify avec une source audio téléchargeable
+ * @description Spotify ne fournit que des métadonnées : le titre est recherché sur les
+ * plateformes configurées (YouTube et YouTube Music, SoundCloud, Bandcamp) et chaque résultat
+ * reçoit un indice de confiance (0 à 100) calculé à partir de :
+ * - l'écart de durée avec le titre Spotify ;
+ * - la similarité des titres, une fois les artistes, mentions entre parenthèses et « feat. »
+ *   retirés ;
+ * - la présence des artistes crédités dans l'artiste, la chaîne ou le titre du résultat ;
+ * - les marques d'une publication officielle (chaîne « - Topic » de YouTube Music, VEVO,
+ *   compte vérifié ou compte au nom de l'artiste, « Official Audio »).
+ * Un résultat trouvé en cherchant l'ISRC sur YouTube reçoit un bonus ; une version que le titre
+ * Spotify ne mentionne pas (live, remix, reprise…) est pénalisée.
+ *
+ * Le gestionnaire de téléchargement affiche les meilleurs résultats dans l'élément de la file
+ * et attend que l'utilisateur en retienne un, ou indique une autre adresse.
+ *
+ * @module modules/download/source-matcher
+ */
+
+const { normalizeText } = require('./duplicate-detector');
+
+// Plateformes interrogées par défaut, dans l'ordre de préférence à confiance égale
+const DEFAULT_SOURCES = ['youtube', 'soundcloud', 'bandcamp'];
+// Résultats demandés à chaque plateforme
+const DEFAULT_RESULTS_PER_SOURCE = 5;
+// Résultats conservés, du plus au moins probable
+const DEFAULT_MAX_MATCHES = 5;
+// Plateformes dont la recherche reconnaît un ISRC (titres publiés par les labels sur YouTube Music)
+const ISRC_SEARCH_PLATFORMS = ['youtube'];
+
+// Poids des critères dans l'indice de confiance
+const WEIGHTS = { duration: 0.35, title: 0.35, artist: 0.15, official: 0.15 };
+// Écart de durée (s) toléré sans pénalité, et au-delà duquel le critère est nul
+const DURATION_TOLERANCE = 2;
+const DURATION_LIMIT = 30;
+// Critère de durée lorsque la source ne l'indique pas (recherche Bandcamp)
+const UNKNOWN_DURATION_SCORE = 0.5;
+const ISRC_BONUS = 0.1;
+// Versions écartées lorsque le titre Spotify ne les mentionne pas
+const VERSION_REGEX =
+  /\b(live|cover|karaoke|instrumental|remix|acoustic|nightcore|sped up|slowed|8d)\b/i;
+const VERSION_PENALTY = 0.5;
+
+/**
+ * Mots normalisés d'un texte
+ * @param {string} value - Texte
+ * @returns {Array<string>}
+ */
+function tokenize(value) {
+  return normalizeText(value).split(' ').filter(Boolean);
+}
+
+/**
+ * Artistes crédités d'un titre Spotify (l'artiste principal à défaut)
+ * @param {Object} track - Métadonnées Spotify
+ * @returns {Array<string>}
+ */
+function getArtists(track) {
+  const artists = track.artists && track.artists.length ? track.artists : [track.artist];
+  return artists.filter(Boolean);
+}
+
+/**
+ * Critère de durée : 1 jusqu'à DURATION_TOLERANCE secondes d'écart, 0 à DURATION_LIMIT
+ * @param {number} expected - Durée du titre Spotify (s)
+ * @param {number} actual - Durée du résultat (s)
+ * @returns {number}
+ */
+function scoreDuration(expected, actual) {
+  if (!(expected > 0) || !(actual > 0)) return UNKNOWN_DURATION_SCORE;
+
+  const delta = Math.abs(expected - actual);
+  if (delta <= DURATION_TOLERANCE) return 1;
+  return Math.max(0, 1 - (delta - DURATION_TOLERANCE) / (DURATION_LIMIT - DURATION_TOLERANCE));
+}
+
+/**
+ * Critère de titre : coefficient de Dice entre les mots des deux titres. Les mots des artistes
+ * sont retirés du résultat (« Artiste - Titre ») lorsque le titre Spotify ne les contient pas.
+ * @param {string} title - Titre Spotify
+ * @param {Array<string>} artists - Artistes crédités
+ * @param {string} candidateTitle - Titre du résultat
+ * @returns {number}
+ */
+function scoreTitle(title, artists, candidateTitle) {
+  const expected = tokenize(title);
+  const artistWords = new Set(artists.flatMap(tokenize));
+  const actual = tokenize(candidateTitle).filter(
+    (word) => !artistWords.has(word) || expected.includes(word)
+  );
+  if (expected.length === 0 || actual.length === 0) return 0;
+
+  const remaining = [...actual];
+  const common = expected.filter((word) => {
+    const index = remaining.indexOf(word);
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  }).length;
+  return (2 * common) / (expected.length + actual.length);
+}
+
+/**
+ * Critère d'artiste : part des artistes crédités présents dans l'artiste, la chaîne ou le
+ * titre du résultat
+ * @param {Array<string>} artists - Artistes crédités
+ * @param {Object} candidate - Résultat de recherche
+ * @returns {number}
+ */
+function scoreArtist(artists, candidate) {
+  const names = artists.map(normalizeText).filter(Boolean);
+  if (names.length === 0) return 0;
+
+  const haystack = ` ${normalizeText(
+    `${candidate.artist || ''} ${candidate.channel || ''} ${candidate.title || ''}`
+  )} `;
+  return names.filter((name) => haystack.includes(` ${name} `)).length / names.length;
+}
+
+/**
+ * Critère de publication officielle
+ * @param {Array<string>} artists - Artistes crédités
+ * @param {Object} candidate - Résultat de recherche
+ * @returns {number}
+ */
+function scoreOfficial(artists, candidate) {
+  const channel = candidate.channel || '';
+  if (/ - Topic$/.test(channel) || /vevo$/i.test(channel) || candidate.verified) return 1;
+  if (artists.some((artist) => normalizeText(artist) === normalizeText(channel))) return 0.8;
+  if (/official (audio|video|music video)/i.test(candidate.title || '')) return 0.6;
+  return 0;
+}
+
+/**
+ * Calcule l'indice de confiance d'un résultat de recherche
+ * @param {Object} track - Métadonnées Spotify ({ title, artist, artists?, duration })
+ * @param {Object} candidate - Résultat ({ title, artist, channel, duration, verified, isrc? })
+ * @returns {Object} { confidence (0 à 100), scores: { duration, title, artist, official } }
+ */
+function scoreCandidate(track, candidate) {
+  const artists = getArtists(track);
+  const scores = {
+    duration: scoreDuration(parseFloat(track.duration), parseFloat(candidate.duration)),
+    title: scoreTitle(track.title, artists, candidate.title),
+    artist: scoreArtist(artists, candidate),
+    official: scoreOfficial(artists, candidate)
+  };
+
+  let score = Object.keys(WEIGHTS).reduce((total, key) => total + WEIGHTS[key] * scores[key], 0);
+  if (candidate.isrc) score += ISRC_BONUS;
+  if (VERSION_REGEX.test(candidate.title || '') && !VERSION_REGEX.test(track.title || '')) {
+    score *= VERSION_PENALTY;
+  }
+
+  return { confidence: Math.round(Math.min(1, score) * 100), scores };
+}
+
+class SourceMatcher {
+  /**
+   * @param {Object} eventBus - Bus d'événements
+   * @param {Object} options
+   * @param {Function} options.getAdapter - Renvoie l'adaptateur configuré d'une plateforme
+   */
+  constructor(eventBus, { getAdapter }) {
+    this.eventBus = eventBus;
+    this.getAdapter = getAdapter;
+    this.enabled = true;
+    this.sources = [...DEFAULT_SOURCES];
+    this.resultsPerSource = DEFAULT_RESULTS_PER_SOURCE;
+    this.maxMatches = DEFAULT_MAX_MATCHES;
+    // Confiance à partir de laquelle le meilleur résultat est retenu sans attendre (0 = jamais)
+    this.autoAccept = 0;
+  }
+
+  /**
+   * Applique la configuration downloads.matching
+   * @param {Object} [options] - { enabled, sources, resultsPerSource, maxMatches, autoAccept }
+   */
+  configure({ enabled, sources, resultsPerSource, maxMatches, autoAccept } = {}) {
+    if (typeof enabled === 'boolean') this.enabled = enabled;
+    if (Array.isArray(sources)) this.sources = sources.filter(Boolean);
+    if (resultsPerSource > 0) this.resultsPerSource = resultsPerSource;
+    if (maxMatches > 0) this.maxMatches = maxMatches;
+    if (typeof autoAccept === 'number') this.autoAccept = Math.max(0, autoAccept);
+  }
+
+  /**
+   * Indique si le meilleur résultat peut être retenu sans l'avis de l'utilisateur
+   * @param {Object} [match] - Meilleur résultat
+   * @returns {boolean}
+   */
+  isAutoAccepted(match) {
+    return Boolean(match) && this.autoAccept > 0 && match.confidence >= this.autoAccept;
+  }
+
+  /**
+   * Recherche un titre sur les plateformes configurées et classe les résultats.
+   * Une plateforme en échec est signalée puis ignorée.
+   * @param {Object} track - Métadonnées Spotify ({ title, artist, artists?, isrc?, duration })
+   * @returns {Promise<Array<Object>>} [{ platform, url, title, artist, channel, duration,
+   *   confidence, scores, isrc }], du plus au moins probable
+   */
+  async findMatches(track) {
+    const query = `${getArtists(track).join(' ')} ${track.title || ''}`.trim();
+
+    const searches = this.sources.map((platform) =>
+      this._search(platform, query, this.resultsPerSource)
+    );
+    if (track.isrc) {
+      // Seul le premier résultat d'une recherche par ISRC est fiable
+      this.sources
+        .filter((platform) => ISRC_SEARCH_PLATFORMS.includes(platform))
+        .forEach((platform) =>
+          searches.push(
+            this._search(platform, track.isrc, 1).then((results) =>
+              results.map((result) => ({ ...result, isrc: true }))
+            )
+          )
+        );
+    }
+
+    // Un même résultat peut sortir des deux recherches : l'ISRC l'emporte
+    const candidates = new Map();
+    (await Promise.all(searches)).flat().forEach((candidate) => {
+      const known = candidates.get(candidate.url);
+      candidates.set(candidate.url, {
+        ...candidate,
+        isrc: Boolean(candidate.isrc || (known && known.isrc))
+      });
+    });
+
+    return [...candidates.values()]
+      .map((candidate) => ({ ...candidate, ...scoreCandidate(track, candidate) }))
+      .sort(
+        (a, b) =>
+          b.confidence - a.confidence ||
+          this.sources.indexOf(a.platform) - this.sources.indexOf(b.platform)
+      )
+      .slice(0, this.maxMatches);
+  }
+
+  /**
+   * @param {string} platform - Plateforme interrogée
+   * @param {string} query - Texte recherché
+   * @param {number} limit - Nombre de résultats
+   * @returns {Promise<Array<Object>>} Résultats, vide en cas d'échec
+   * @private
+   */
+  async _search(platform, query, limit) {
+    try {
+      return await this.getAdapter(platform).search(query, { limit });
+    } catch (err) {
+      this.eventBus.publish('LOG:WARNING', {
+        module: 'source-matcher',
+        message: `Recherche ${platform} impossible`,
+        error: err.message
+      });
+      return [];
+    }
+  }
+}
+
+module.exports = {
+  SourceMatcher,
+  scoreCandidate
+};
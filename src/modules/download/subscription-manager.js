@@ -0,0 +1,402 @@
+/**
+ * @fileoverview Abonnements : chaînes, artistes, labels et playlists surveillés
+ * @description Chaque abonnement mémorise une URL et un intervalle de vérification. À échéance,
+ * la page est relue par la détection de playlist de son adaptateur (`listEntries`) et comparée
+ * à l'archive de l'abonnement, à la manière de `yt-dlp --download-archive` : les éléments
+ * absents sont ajoutés à la file et annoncés par une notification.
+ *
+ * Un élément n'entre dans l'archive qu'une fois téléchargé (ou écarté comme doublon) ; en cas
+ * d'échec ou d'annulation, il est proposé de nouveau à la vérification suivante. Les éléments
+ * que l'adaptateur signale comme présents dans l'archive des téléchargements (`archived`) ne sont
+ * pas remis en file. Lors de la première vérification, le contenu existant est seulement archivé,
+ * sauf `downloadExisting`.
+ * Les abonnements sont conservés dans `<paths.configDir>/subscriptions.json`.
+ *
+ * @module modules/download/subscription-manager
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ *
+ * @events
+ * Écoutés:
+ * - SUBSCRIPTION:ADD - Ajoute un abonnement ({ url, name?, interval?, format?, downloadExisting? })
+ * - SUBSCRIPTION:UPDATE - Modifie un abonnement ({ subscriptionId, changes })
+ * - SUBSCRIPTION:REMOVE - Supprime un abonnement ({ subscriptionId })
+ * - SUBSCRIPTION:CHECK_REQUEST - Vérifie un abonnement ({ subscriptionId }) ou tous
+ * - SUBSCRIPTION:LIST_REQUEST - Demande la liste des abonnements
+ * - DOWNLOAD:COMPLETED - Archive un élément téléchargé
+ * - DOWNLOAD:ITEM_ERROR / DOWNLOAD:ITEM_CANCELLED - Libère un élément non téléchargé
+ *
+ * Émis:
+ * - SUBSCRIPTION:LIST - Liste des abonnements, après chaque changement
+ * - SUBSCRIPTION:CHECKED - Vérification terminée ({ subscriptionId, newItems })
+ * - SUBSCRIPTION:ERROR - Vérification en échec
+ * - DOWNLOAD:URL_ADD_REQUEST - Ajout des nouveaux éléments à la file
+ * - UI:NOTIFICATION_SHOW - Annonce des nouveautés
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { adapterRegistry } = require('./adapters/adapter-registry');
+const { getSourceId } = require('./duplicate-detector');
+
+const STORE_VERSION = 1;
+// Fréquence à laquelle les échéances des abonnements sont examinées
+const CHECK_TICK_INTERVAL = 60 * 1000;
+// Intervalle de vérification par défaut (minutes) : une fois par jour
+const DEFAULT_INTERVAL = 24 * 60;
+// Intervalle minimal accepté (minutes), pour ménager les plateformes
+const MIN_INTERVAL = 15;
+// Nombre d'éléments les plus récents relus à chaque vérification
+const DEFAULT_MAX_ITEMS = 50;
+
+class SubscriptionManager {
+  /**
+   * @param {Object} eventBus - Bus d'événements
+   * @param {Object} options
+   * @param {Function} options.getAdapter - Renvoie l'adaptateur configuré d'une URL
+   * @param {Object} [options.registry=adapterRegistry] - Registre d'adaptateurs
+   */
+  constructor(eventBus, { getAdapter, registry = adapterRegistry }) {
+    this.eventBus = eventBus;
+    this.getAdapter = getAdapter;
+    this.registry = registry;
+    this.enabled = true;
+    this.defaultInterval = DEFAULT_INTERVAL;
+    this.maxItems = DEFAULT_MAX_ITEMS;
+    this.storePath = null;
+    this.subscriptions = new Map(); // id -> abonnement
+    this.timer = null;
+    this.checking = Promise.resolve();
+
+    eventBus.subscribe('SUBSCRIPTION:ADD', (data) => this.add(data));
+    eventBus.subscribe('SUBSCRIPTION:UPDATE', (data) =>
+      this.update(data && data.subscriptionId, data && data.changes)
+    );
+    eventBus.subscribe('SUBSCRIPTION:REMOVE', (data) => this.remove(data && data.subscriptionId));
+    eventBus.subscribe('SUBSCRIPTION:CHECK_REQUEST', (data) =>
+      data && data.subscriptionId ? this.check(data.subscriptionId) : this.checkDue(true)
+    );
+    eventBus.subscribe('SUBSCRIPTION:LIST_REQUEST', () => this._publishList());
+    eventBus.subscribe('DOWNLOAD:COMPLETED', (data) => this._settle(data, true));
+    eventBus.subscribe('DOWNLOAD:ITEM_ERROR', (data) => this._settle(data, false));
+    // Un doublon écarté est déjà présent : inutile de le proposer de nouveau
+    eventBus.subscribe('DOWNLOAD:ITEM_CANCELLED', (data) =>
+      this._settle(data, Boolean(data && data.reason === 'duplicate'))
+    );
+  }
+
+  /**
+   * Applique la configuration downloads.subscriptions et charge les abonnements enregistrés
+   * @param {Object} [options] - { enabled, defaultInterval, maxItems, storePath }
+   */
+  configure({ enabled, defaultInterval, maxItems, storePath } = {}) {
+    if (typeof enabled === 'boolean') this.enabled = enabled;
+    if (defaultInterval > 0) this.defaultInterval = Math.max(defaultInterval, MIN_INTERVAL);
+    if (maxItems > 0) this.maxItems = maxItems;
+
+    if (storePath && storePath !== this.storePath) {
+      this.storePath = storePath;
+      this._load();
+    }
+    if (!this.enabled) this.stop();
+  }
+
+  /**
+   * Démarre la surveillance périodique des échéances
+   */
+  start() {
+    if (this.timer || !this.enabled) return;
+
+    this.timer = setInterval(() => this.checkDue(), CHECK_TICK_INTERVAL);
+    if (this.timer.unref) this.timer.unref();
+    this.checkDue();
+  }
+
+  /**
+   * Arrête la surveillance périodique
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Ajoute un abonnement puis le vérifie aussitôt
+   * @param {Object} data - { url, name?, interval? (minutes), format?, downloadExisting? }
+   * @returns {Object|null} Abonnement créé (ou existant pour la même URL), null si invalide
+   */
+  add({ url, name, interval, format, downloadExisting = false } = {}) {
+    const sourceId = url && getSourceId(url, this.registry);
+    if (!sourceId) {
+      this._publishError(null, url, 'URL d’abonnement invalide');
+      return null;
+    }
+
+    const existing = [...this.subscriptions.values()].find((sub) => sub.sourceId === sourceId);
+    if (existing) return existing;
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      sourceId,
+      name: name || url,
+      platform: this.registry.detectPlatform(url) || 'generic',
+      interval: this._normalizeInterval(interval),
+      format: format || null,
+      enabled: true,
+      downloadExisting: Boolean(downloadExisting),
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastError: null,
+      archive: [], // identifiants de source déjà téléchargés
+      pending: {} // downloadId -> identifiant de source en cours de téléchargement
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this._save();
+    this._publishList();
+    this.check(subscription.id);
+    return subscription;
+  }
+
+  /**
+   * Modifie un abonnement
+   * @param {string} subscriptionId - Identifiant de l'abonnement
+   * @param {Object} [changes] - { name, interval, format, enabled }
+   * @returns {boolean} true si l'abonnement existe
+   */
+  update(subscriptionId, changes = {}) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) return false;
+
+    if (changes.name) subscription.name = changes.name;
+    if (changes.interval !== undefined) {
+      subscription.interval = this._normalizeInterval(changes.interval);
+    }
+    if (changes.format !== undefined) subscription.format = changes.format || null;
+    if (typeof changes.enabled === 'boolean') subscription.enabled = changes.enabled;
+
+    this._save();
+    this._publishList();
+    return true;
+  }
+
+  /**
+   * Supprime un abonnement et son archive
+   * @param {string} subscriptionId - Identifiant de l'abonnement
+   * @returns {boolean} true si l'abonnement existait
+   */
+  remove(subscriptionId) {
+    if (!this.subscriptions.delete(subscriptionId)) return false;
+
+    this._save();
+    this._publishList();
+    return true;
+  }
+
+  /**
+   * Vérifie les abonnements arrivés à échéance, l'un après l'autre
+   * @param {boolean} [force=false] - Vérifier tous les abonnements actifs
+   * @returns {Promise<void>}
+   */
+  checkDue(force = false) {
+    const now = Date.now();
+    const due = [...this.subscriptions.values()].filter(
+      (sub) =>
+        sub.enabled &&
+        (force ||
+          !sub.lastCheckedAt ||
+          Date.parse(sub.lastCheckedAt) + sub.interval * 60 * 1000 <= now)
+    );
+
+    due.forEach((sub) => this.check(sub.id));
+    return this.checking;
+  }
+
+  /**
+   * Relit un abonnement et met en file les éléments absents de son archive.
+   * Les vérifications sont enchaînées pour ne solliciter qu'une plateforme à la fois.
+   * @param {string} subscriptionId - Identifiant de l'abonnement
+   * @returns {Promise<number>} Nombre d'éléments ajoutés à la file
+   */
+  check(subscriptionId) {
+    const run = () => this._check(subscriptionId);
+    const result = this.checking.then(run, run);
+    this.checking = result.catch(() => {});
+    return result;
+  }
+
+  async _check(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) return 0;
+
+    let entries;
+    try {
+      const adapter = this.getAdapter(subscription.url);
+      ({ entries } = await adapter.listEntries(
+        { id: `subscription-${subscription.id}`, url: subscription.url },
+        { newest: this.maxItems }
+      ));
+    } catch (error) {
+      subscription.lastCheckedAt = new Date().toISOString();
+      subscription.lastError = error.message;
+      this._save();
+      this._publishError(subscription, subscription.url, error.message);
+      return 0;
+    }
+
+    const firstCheck = !subscription.lastCheckedAt;
+    const known = new Set([...subscription.archive, ...Object.values(subscription.pending)]);
+    const fresh = [];
+
+    entries.forEach((entry) => {
+      const sourceId = getSourceId(entry.url, this.registry);
+      if (!sourceId || known.has(sourceId)) return;
+      known.add(sourceId);
+      // Déjà récupéré par ailleurs (téléchargement manuel, autre abonnement)
+      if (entry.archived) {
+        subscription.archive.push(sourceId);
+        return;
+      }
+      fresh.push({ ...entry, sourceId });
+    });
+
+    subscription.lastCheckedAt = new Date().toISOString();
+    subscription.lastError = null;
+
+    // Première vérification : le contenu déjà publié est archivé sans être téléchargé
+    const queued = firstCheck && !subscription.downloadExisting ? [] : fresh;
+    if (queued !== fresh) {
+      subscription.archive.push(...fresh.map((entry) => entry.sourceId));
+    }
+
+    queued.forEach((entry) => {
+      const downloadId = crypto.randomUUID();
+      subscription.pending[downloadId] = entry.sourceId;
+      this.eventBus.publish('DOWNLOAD:URL_ADD_REQUEST', {
+        url: entry.url,
+        downloadId,
+        format: subscription.format || undefined,
+        metadata: entry.title ? { title: entry.title } : undefined
+      });
+    });
+
+    this._save();
+    this._publishList();
+    this.eventBus.publish('SUBSCRIPTION:CHECKED', {
+      subscriptionId: subscription.id,
+      newItems: queued.length,
+      checkedAt: subscription.lastCheckedAt
+    });
+
+    if (queued.length > 0) {
+      this.eventBus.publish('UI:NOTIFICATION_SHOW', {
+        message: `${subscription.name} : ${queued.length} nouveauté(s) ajoutée(s) à la file`,
+        type: 'info'
+      });
+    }
+
+    return queued.length;
+  }
+
+  /**
+   * Clôt le suivi d'un élément mis en file par un abonnement
+   * @param {Object} data - Événement de fin de téléchargement ({ downloadId })
+   * @param {boolean} archived - L'élément entre dans l'archive
+   */
+  _settle(data, archived) {
+    const downloadId = data && data.downloadId;
+    if (!downloadId) return;
+
+    for (const subscription of this.subscriptions.values()) {
+      const sourceId = subscription.pending[downloadId];
+      if (!sourceId) continue;
+
+      delete subscription.pending[downloadId];
+      if (archived && !subscription.archive.includes(sourceId)) {
+        subscription.archive.push(sourceId);
+      }
+      this._save();
+      return;
+    }
+  }
+
+  _normalizeInterval(interval) {
+    const minutes = parseInt(interval, 10);
+    return minutes > 0 ? Math.max(minutes, MIN_INTERVAL) : this.defaultInterval;
+  }
+
+  _publishList() {
+    this.eventBus.publish('SUBSCRIPTION:LIST', {
+      subscriptions: [...this.subscriptions.values()].map(({ archive, pending, ...sub }) => ({
+        ...sub,
+        archivedItems: archive.length,
+        pendingItems: Object.keys(pending).length
+      }))
+    });
+  }
+
+  _publishError(subscription, url, message) {
+    this.eventBus.publish('SUBSCRIPTION:ERROR', {
+      subscriptionId: subscription ? subscription.id : null,
+      url,
+      error: message
+    });
+  }
+
+  _load() {
+    let store;
+    try {
+      if (!fs.existsSync(this.storePath)) return;
+      store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    } catch (err) {
+      this.eventBus.publish('LOG:WARNING', {
+        module: 'subscription-manager',
+        message: 'Fichier des abonnements illisible, ignoré',
+        path: this.storePath,
+        error: err.message
+      });
+      return;
+    }
+
+    if (!store || store.version !== STORE_VERSION) return;
+
+    (store.subscriptions || []).forEach((sub) => {
+      if (sub && sub.id && sub.url && !this.subscriptions.has(sub.id)) {
+        this.subscriptions.set(sub.id, { archive: [], pending: {}, ...sub });
+      }
+    });
+  }
+
+  /**
+   * Enregistre les abonnements (écriture atomique)
+   */
+  _save() {
+    if (!this.storePath) return;
+
+    const tmpPath = `${this.storePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify(
+          { version: STORE_VERSION, subscriptions: [...this.subscriptions.values()] },
+          null,
+          2
+        )
+      );
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (err) {
+      this.eventBus.publish('LOG:WARNING', {
+        module: 'subscription-manager',
+        message: "Impossible d'enregistrer les abonnements",
+        path: this.storePath,
+        error: err.message
+      });
+    }
+  }
+}
+
+module.exports = { SubscriptionManager };
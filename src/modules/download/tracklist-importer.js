@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Import des métadonnées seules d'un lien Spotify ou Tidal
+ * @description Sans rien télécharger, l'adaptateur de la plateforme (`importTracklist`) décrit
+ * un titre, un album ou une playlist sous forme de liste de titres :
+ * `{ title, artists, album, isrc, duration, coverUrl }`. La liste peut ensuite être rapprochée
+ * de la bibliothèque locale indexée par le détecteur de doublons (même ISRC, sinon même
+ * artiste, titre et durée) et exportée en CSV, JSON ou M3U par playlist-handler.
+ *
+ * @module modules/download/tracklist-importer
+ *
+ * @events
+ * Écoutés:
+ * - PLAYLIST:TRACKLIST_IMPORT_REQUEST - Importe les métadonnées d'un lien ({ requestId, url })
+ * - PLAYLIST:TRACKLIST_MATCH_REQUEST - Cherche les titres dans la bibliothèque
+ *   ({ requestId, tracks })
+ *
+ * Émis:
+ * - PLAYLIST:TRACKLIST_IMPORTED - Liste importée ({ requestId, url, platform, title, tracks })
+ * - PLAYLIST:TRACKLIST_IMPORT_ERROR - Import impossible ({ requestId, url, error })
+ * - PLAYLIST:TRACKLIST_MATCHED - Titres complétés du fichier trouvé (`filePath`, null sinon)
+ */
+
+class TracklistImporter {
+  /**
+   * @param {Object} eventBus - Bus d'événements
+   * @param {Object} options
+   * @param {Function} options.getAdapter - Renvoie l'adaptateur configuré d'une URL
+   * @param {Object} options.library - Détecteur de doublons (index de la bibliothèque)
+   */
+  constructor(eventBus, { getAdapter, library }) {
+    this.eventBus = eventBus;
+    this.getAdapter = getAdapter;
+    this.library = library;
+
+    eventBus.subscribe('PLAYLIST:TRACKLIST_IMPORT_REQUEST', (data) => this.importTracklist(data));
+    eventBus.subscribe('PLAYLIST:TRACKLIST_MATCH_REQUEST', (data) => this.matchLibrary(data));
+  }
+
+  /**
+   * Importe la liste des titres d'un lien
+   * @param {Object} request - { requestId, url }
+   * @returns {Promise<Object|null>} Liste publiée, null en cas d'échec
+   */
+  async importTracklist({ requestId, url } = {}) {
+    try {
+      const adapter = url && this.getAdapter(url);
+      if (!adapter || typeof adapter.importTracklist !== 'function') {
+        throw new Error(`Import des métadonnées seules indisponible pour ${url}`);
+      }
+
+      const tracklist = await adapter.importTracklist(url, requestId);
+      const result = { requestId, url, platform: adapter.platform, ...tracklist };
+      this.eventBus.publish('PLAYLIST:TRACKLIST_IMPORTED', result);
+      return result;
+    } catch (err) {
+      this.eventBus.publish('PLAYLIST:TRACKLIST_IMPORT_ERROR', {
+        requestId,
+        url,
+        error: err.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Cherche chaque titre d'une liste dans la bibliothèque locale
+   * @param {Object} request - { requestId, tracks }
+   * @returns {Array<Object>} Titres complétés de `filePath`
+   */
+  matchLibrary({ requestId, tracks = [] } = {}) {
+    const matched = tracks.map((track) => ({
+      ...track,
+      filePath: this.library.findLibraryFile(track)
+    }));
+
+    this.eventBus.publish('PLAYLIST:TRACKLIST_MATCHED', {
+      requestId,
+      tracks: matched,
+      matchedCount: matched.filter((track) => track.filePath).length
+    });
+    return matched;
+  }
+}
+
+module.exports = { TracklistImporter };
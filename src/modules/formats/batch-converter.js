@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Conversion par lots de fichiers locaux
+ * @description Convertit les fichiers et dossiers déposés sur la fenêtre vers le format et le
+ * préréglage choisis. L'arborescence de chaque dossier déposé est reproduite dans le dossier
+ * de sortie ; chaque fichier est confié à format-converter.core, qui conserve tags et pochette
+ * et supprime l'original si la demande le prévoit. Le nom de chaque fichier produit est
+ * réservé par le lot : deux sources de même nom (`titre.flac`, `titre.wav`) ou un fichier
+ * déjà présent dans le dossier de sortie donnent `titre (2).mp3` plutôt qu'un écrasement.
+ *
+ * @module modules/formats/batch-converter
+ * @requires fs
+ * @requires path
+ *
+ * @events
+ * Écoutés:
+ * - FORMAT:BATCH_REQUEST - { requestId, paths, targetFormat, preset, outputDir, deleteOriginals }
+ * - FORMAT:BATCH_CANCEL - Annule les fichiers restants d'un lot ({ requestId })
+ * - FORMAT:CONVERT_PROGRESS - Progression d'un fichier du lot
+ * - FORMAT_CONVERSION_COMPLETED / FORMAT_CONVERSION_FAILED - Fin d'un fichier du lot
+ * - CONFIG:LOADED / CONFIG:UPDATED - Préréglages et dossier de téléchargement
+ *
+ * Émis:
+ * - FORMAT_CONVERSION_REQUESTED - Conversion d'un fichier (`outputDir`, `outputName`,
+ *   `keepArtwork`, `deleteSource`)
+ * - FORMAT_CONVERSION_CANCEL - Fichiers non terminés d'un lot annulé
+ * - FORMAT:BATCH_PROGRESS - { requestId, total, done, failed, percent, currentFile }
+ * - FORMAT:BATCH_COMPLETED - { requestId, total, converted, failed, cancelled, outputDir }
+ * - FORMAT:BATCH_FAILED - Demande invalide ou sans fichier audio ({ requestId, error })
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AUDIO_EXTENSIONS } = require('../download/adapters/direct-http-adapter');
+const { getOutputExtension } = require('./format-converter.core');
+
+// Dossier créé dans le dossier de téléchargement lorsque la demande n'en précise pas
+const DEFAULT_OUTPUT_FOLDER = 'Conversions';
+
+// Lots en cours (requestId -> lot)
+const batches = new Map();
+
+let eventBus = null;
+let settings = { qualityPresets: {}, conversionPresets: {}, downloadsDir: '' };
+
+/**
+ * Initialise le module avec un bus d'événements
+ * @param {Object} deps - { eventBus }
+ */
+function initBatchConverter(deps) {
+  if (!deps || !deps.eventBus) {
+    throw new Error('eventBus requis pour initialiser le batch-converter');
+  }
+
+  eventBus = deps.eventBus;
+
+  eventBus.subscribe('FORMAT:BATCH_REQUEST', handleBatchRequest);
+  eventBus.subscribe('FORMAT:BATCH_CANCEL', handleBatchCancel);
+  eventBus.subscribe('FORMAT:CONVERT_PROGRESS', handleFileProgress);
+  eventBus.subscribe('FORMAT_CONVERSION_COMPLETED', handleFileCompleted);
+  eventBus.subscribe('FORMAT_CONVERSION_FAILED', handleFileFailed);
+  eventBus.subscribe('CONFIG:LOADED', handleConfig);
+  eventBus.subscribe('CONFIG:UPDATED', handleConfig);
+}
+
+/**
+ * @param {Object} config - Configuration (downloads.formats, paths.downloads)
+ */
+function handleConfig(config) {
+  const formats = config?.downloads?.formats;
+  if (formats?.qualityPresets) settings.qualityPresets = formats.qualityPresets;
+  if (formats?.conversionPresets) settings.conversionPresets = formats.conversionPresets;
+  if (config?.paths?.downloads) settings.downloadsDir = config.paths.downloads;
+}
+
+/**
+ * Lance la conversion de fichiers et de dossiers déposés
+ * @param {Object} payload - { requestId, paths, targetFormat, preset, outputDir, deleteOriginals }
+ */
+function handleBatchRequest(payload = {}) {
+  const { requestId, paths, targetFormat, preset, deleteOriginals } = payload;
+  if (!requestId || !targetFormat || !Array.isArray(paths) || paths.length === 0) {
+    eventBus.publish('FORMAT:BATCH_FAILED', {
+      requestId: requestId || 'unknown',
+      error: { code: 'INVALID_REQUEST' }
+    });
+    return;
+  }
+
+  const outputDir = payload.outputDir || getDefaultOutputDir(paths[0]);
+  const files = collectAudioFiles(paths, outputDir);
+  if (files.length === 0) {
+    eventBus.publish('FORMAT:BATCH_FAILED', {
+      requestId,
+      error: { code: 'NO_AUDIO_FILES', message: 'Aucun fichier audio parmi les éléments déposés' }
+    });
+    return;
+  }
+
+  const quality = resolveQuality(targetFormat, preset);
+  const batch = {
+    requestId,
+    outputDir,
+    cancelled: false,
+    // Identifiant de conversion -> { sourceFile, percent, state }
+    files: new Map(),
+    converted: 0,
+    failed: []
+  };
+  files.forEach(({ sourceFile }, index) => {
+    batch.files.set(`${requestId}:${index}`, { sourceFile, percent: 0, state: 'pending' });
+  });
+  batches.set(requestId, batch);
+
+  // Noms pris par dossier de sortie : fichiers présents et fichiers produits par le lot
+  const reserved = new Map();
+  const extension = getOutputExtension(targetFormat);
+  files.forEach(({ sourceFile, relativeDir }, index) => {
+    const fileDir = path.join(outputDir, relativeDir);
+    eventBus.publish('FORMAT_CONVERSION_REQUESTED', {
+      requestId: `${requestId}:${index}`,
+      sourceFile,
+      targetFormat,
+      quality: { ...quality },
+      outputDir: fileDir,
+      outputName: reserveOutputName(fileDir, sourceFile, extension, reserved),
+      keepArtwork: true,
+      deleteSource: Boolean(deleteOriginals)
+    });
+  });
+}
+
+/**
+ * Nom libre pour le fichier produit à partir d'une source : ni présent dans le dossier de
+ * sortie, ni attribué à un autre fichier du lot (« titre.mp3 », puis « titre (2).mp3 »…).
+ * Les noms sont comparés sans la casse, comme sur les systèmes de fichiers de Windows et macOS.
+ * @param {string} dir - Dossier de sortie du fichier
+ * @param {string} sourceFile - Fichier source
+ * @param {string} extension - Extension du fichier produit
+ * @param {Map<string, Set<string>>} reserved - Noms pris par dossier, complété par l'appel
+ * @returns {string} Nom du fichier, extension comprise
+ */
+function reserveOutputName(dir, sourceFile, extension, reserved) {
+  if (!reserved.has(dir)) {
+    let existing = [];
+    try {
+      existing = fs.readdirSync(dir);
+    } catch {
+      // Dossier pas encore créé
+    }
+    reserved.set(dir, new Set(existing.map((name) => name.toLowerCase())));
+  }
+  const taken = reserved.get(dir);
+
+  const base = path.basename(sourceFile, path.extname(sourceFile));
+  let name = `${base}.${extension}`;
+  for (let index = 2; taken.has(name.toLowerCase()); index++) {
+    name = `${base} (${index}).${extension}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Annule les fichiers d'un lot qui ne sont pas encore convertis
+ * @param {Object} data - { requestId }
+ */
+function handleBatchCancel({ requestId } = {}) {
+  const batch = batches.get(requestId);
+  if (!batch) return;
+
+  batch.cancelled = true;
+  for (const [fileRequestId, file] of batch.files) {
+    if (file.state === 'pending') {
+      eventBus.publish('FORMAT_CONVERSION_CANCEL', { requestId: fileRequestId });
+    }
+  }
+}
+
+/**
+ * @param {Object} data - { requestId, percent }
+ */
+function handleFileProgress({ requestId, percent } = {}) {
+  const found = findFile(requestId);
+  if (!found) return;
+
+  found.file.percent = percent;
+  publishProgress(found.batch, found.file.sourceFile);
+}
+
+/**
+ * @param {Object} data - { requestId, outputFile }
+ */
+function handleFileCompleted({ requestId } = {}) {
+  const found = findFile(requestId);
+  if (!found || found.file.state !== 'pending') return;
+
+  found.file.state = 'converted';
+  found.file.percent = 100;
+  found.batch.converted += 1;
+  finishFile(found.batch, found.file);
+}
+
+/**
+ * Un fichier en échec n'interrompt pas le lot ; une annulation n'est pas comptée en échec
+ * @param {Object} data - { requestId, error }
+ */
+function handleFileFailed({ requestId, error } = {}) {
+  const found = findFile(requestId);
+  if (!found || found.file.state !== 'pending') return;
+
+  const code = error && error.code;
+  found.file.state = code === 'CONVERSION_CANCELLED' ? 'cancelled' : 'failed';
+  found.file.percent = 100;
+  if (found.file.state === 'failed') {
+    found.batch.failed.push({
+      sourceFile: found.file.sourceFile,
+      error: (error && (error.message || error.code)) || 'UNKNOWN_ERROR'
+    });
+  }
+  finishFile(found.batch, found.file);
+}
+
+/**
+ * Publie la progression du lot et, après le dernier fichier, son bilan
+ * @param {Object} batch - Lot en cours
+ * @param {Object} file - Fichier terminé
+ */
+function finishFile(batch, file) {
+  publishProgress(batch, file.sourceFile);
+
+  const remaining = [...batch.files.values()].some((entry) => entry.state === 'pending');
+  if (remaining) return;
+
+  batches.delete(batch.requestId);
+  eventBus.publish('FORMAT:BATCH_COMPLETED', {
+    requestId: batch.requestId,
+    total: batch.files.size,
+    converted: batch.converted,
+    failed: batch.failed,
+    cancelled: batch.cancelled,
+    outputDir: batch.outputDir
+  });
+}
+
+/**
+ * @param {Object} batch - Lot en cours
+ * @param {string} currentFile - Dernier fichier ayant progressé
+ */
+function publishProgress(batch, currentFile) {
+  const files = [...batch.files.values()];
+  const total = files.reduce((sum, file) => sum + (file.percent || 0), 0);
+  eventBus.publish('FORMAT:BATCH_PROGRESS', {
+    requestId: batch.requestId,
+    total: files.length,
+    done: files.filter((file) => file.state !== 'pending').length,
+    failed: batch.failed.length,
+    percent: Math.round(total / files.length),
+    currentFile
+  });
+}
+
+/**
+ * Retrouve le fichier d'un lot à partir de son identifiant de conversion (« <lot>:<n> »)
+ * @param {string} requestId
+ * @returns {Object|null} { batch, file }
+ */
+function findFile(requestId) {
+  const batch = batches.get(String(requestId).replace(/:\d+$/, ''));
+  const file = batch && batch.files.get(requestId);
+  return file ? { batch, file } : null;
+}
+
+/**
+ * Qualité d'un préréglage de conversion, ou à défaut celle des téléchargements
+ * @param {string} format - Format cible
+ * @param {string} [preset] - Identifiant du préréglage (downloads.formats.conversionPresets)
+ * @returns {Object}
+ */
+function resolveQuality(format, preset) {
+  const presetQuality = settings.conversionPresets[preset]?.formats?.[format];
+  return presetQuality || settings.qualityPresets[format] || {};
+}
+
+/**
+ * Dossier « Conversions » du dossier de téléchargement, sinon à côté des éléments déposés
+ * @param {string} firstPath - Premier élément déposé
+ * @returns {string}
+ */
+function getDefaultOutputDir(firstPath) {
+  const baseDir = settings.downloadsDir || path.dirname(firstPath);
+  return path.join(baseDir, DEFAULT_OUTPUT_FOLDER);
+}
+
+/**
+ * Fichiers audio des éléments déposés, avec le sous-dossier à reproduire : un dossier
+ * déposé est recréé sous son propre nom dans le dossier de sortie
+ * @param {string[]} paths - Fichiers et dossiers déposés
+ * @param {string} outputDir - Dossier de sortie, ignoré lors du parcours des dossiers
+ * @returns {Array<Object>} { sourceFile, relativeDir }
+ */
+function collectAudioFiles(paths, outputDir) {
+  const skippedDir = path.resolve(outputDir);
+  const files = [];
+  const seen = new Set();
+  const add = (sourceFile, relativeDir) => {
+    if (seen.has(sourceFile)) return;
+    seen.add(sourceFile);
+    files.push({ sourceFile, relativeDir });
+  };
+
+  for (const inputPath of paths) {
+    let stats;
+    try {
+      stats = fs.statSync(inputPath);
+    } catch {
+      // Élément disparu depuis le dépôt
+      continue;
+    }
+
+    if (stats.isDirectory()) {
+      walkDirectory(inputPath, path.basename(inputPath), add, skippedDir);
+    } else if (isAudioFile(inputPath)) {
+      add(inputPath, '');
+    }
+  }
+  return files;
+}
+
+/**
+ * Parcourt un dossier et ses sous-dossiers, par ordre alphabétique
+ * @param {string} dir - Dossier parcouru
+ * @param {string} relativeDir - Chemin du dossier relativement à la sortie
+ * @param {Function} add - Reçoit (fichier, sous-dossier relatif)
+ * @param {string} skippedDir - Sous-dossier à ne pas parcourir (chemin absolu)
+ */
+function walkDirectory(dir, relativeDir, add, skippedDir) {
+  const entries = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      // Dossier de sortie placé dans un dossier déposé : ses fichiers viennent d'être produits
+      if (path.resolve(fullPath) === skippedDir) continue;
+      walkDirectory(fullPath, path.join(relativeDir, entry.name), add, skippedDir);
+    } else if (entry.isFile() && isAudioFile(entry.name)) {
+      add(fullPath, relativeDir);
+    }
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isAudioFile(filePath) {
+  return AUDIO_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+module.exports = {
+  initBatchConverter,
+  __test: {
+    collectAudioFiles,
+    resolveQuality
+  }
+};
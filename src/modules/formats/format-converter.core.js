@@ -1,15 +1,119 @@
 /**
  * Module central de conversion audio
  * Utilise FFmpeg et communique via un eventBus fourni
+ *
+ * Intensité sonore (`loudness` de la demande, cibles par défaut de downloads.formats.loudness) :
+ * - normalize : normalisation EBU R128 en deux passes (`loudnorm` mesure, puis corrige)
+ * - replaygain : l'audio n'est pas modifié, les gains ReplayGain sont écrits en tags
+ * Une demande sans `loudness` n'est pas traitée, quel que soit le mode configuré : ce mode
+ * s'applique aux téléchargements, par loudness-processor.
+ *
+ * La source est d'abord sondée avec ffprobe (codec, débit, fréquence) :
+ * - une source avec perte convertie vers un format sans perte est signalée, ou refusée
+ *   selon downloads.formats.lossyToLossless ('warn' ou 'block')
+ * - une source déjà dans le codec cible est remuxée plutôt que ré-encodée
+ * - le codec et le débit d'origine sont conservés en tags (ORIGINAL_CODEC, ORIGINAL_BITRATE)
+ *
+ * Les conversions passent par une file async-queue dédiée, limitée selon le nombre de
+ * processeurs (downloads.formats.maxConcurrentConversions, 0 = automatique). La progression
+ * (`-progress pipe:1`, rapportée à la durée sondée) est publiée en FORMAT:CONVERT_PROGRESS
+ * avec pourcentage et temps restant.
+ *
+ * Une demande peut aussi préciser `outputDir` (fichier produit sous le même nom dans ce
+ * dossier, ou sous `outputName`), `keepArtwork` (pochette recopiée) et `deleteSource` (source
+ * supprimée après une conversion réussie) ; batch-converter s'en sert pour les fichiers
+ * locaux déposés.
  */
 
 const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { createAsyncQueue } = require('../../utils/async-queue');
 
+// Conversions lancées (requestId -> conversion en cours)
 const activeConversions = new Map();
+// Conversions en attente d'une place dans la file
+const pendingConversions = new Map();
+// Processus d'analyse ReplayGain en cours (arrêtés à la fermeture de l'application)
+const analysisProcesses = new Set();
+
+const FFMPEG_BINARY = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
+const FFPROBE_BINARY = resolveFFprobePath();
+
+// Durée maximale d'une conversion dans la file, et délai avant l'arrêt forcé d'un processus
+const CONVERSION_TIMEOUT = 60 * 60 * 1000;
+const KILL_TIMEOUT = 5000;
+
+// Réglages d'intensité par défaut : cible -14 LUFS et crête vraie -1 dBTP
+const DEFAULT_LOUDNESS = {
+  mode: 'off',
+  targetLufs: -14,
+  truePeak: -1,
+  lra: 11
+};
+// Référence ReplayGain 2.0 : le gain amène le titre à -18 LUFS
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+// Politique par défaut pour une source avec perte convertie vers un format sans perte
+const DEFAULT_LOSSY_TO_LOSSLESS = 'warn';
+
+// Formats produits sans perte, et codecs sources sans perte (en plus des pcm_*)
+const LOSSLESS_FORMATS = ['flac', 'wav', 'aiff', 'alac'];
+const LOSSLESS_CODECS = ['flac', 'alac', 'wavpack', 'ape', 'tta', 'mlp', 'truehd'];
+
+// Codec produit par chaque format : une source déjà dans ce codec peut être remuxée
+const TARGET_CODECS = {
+  mp3: 'mp3',
+  flac: 'flac',
+  opus: 'opus',
+  m4a: 'aac',
+  ogg: 'vorbis',
+  alac: 'alac'
+};
+
+// Conteneurs où FFmpeg ne sait pas écrire de tag libre (atomes iTunes, INFO RIFF) :
+// l'origine de l'audio est consignée dans le commentaire
+const COMMENT_SOURCE_FORMATS = ['m4a', 'alac', 'wav'];
+
+// Conteneurs où la pochette de la source est recopiée (image jointe) ; Ogg et WAV n'en
+// acceptent pas par FFmpeg
+const ARTWORK_FORMATS = ['mp3', 'flac', 'm4a', 'alac'];
+// Sources Ogg : les commentaires Vorbis sont portés par le flux audio, pas par le conteneur
+const OGG_EXTENSIONS = ['.ogg', '.oga', '.opus'];
+
+// Extension du fichier produit lorsqu'elle diffère du format (ALAC est encapsulé en MP4)
+const OUTPUT_EXTENSIONS = {
+  alac: 'm4a'
+};
+
+// Noms de tags de l'application -> clés génériques FFmpeg, que chaque conteneur traduit
+// (ID3 pour mp3/aiff, commentaires Vorbis pour flac/ogg/opus, atomes iTunes pour m4a/alac)
+const FFMPEG_TAG_KEYS = {
+  year: 'date',
+  trackNumber: 'track',
+  discNumber: 'disc',
+  albumArtist: 'album_artist',
+  originalCodec: 'ORIGINAL_CODEC',
+  originalBitrate: 'ORIGINAL_BITRATE'
+};
 
 let eventBus = null;
+let loudnessSettings = { ...DEFAULT_LOUDNESS };
+let lossyToLossless = DEFAULT_LOSSY_TO_LOSSLESS;
+
+// File propre au convertisseur, sur un bus privé : ses événements QUEUE:* ne concernent
+// pas le reste de l'application
+const queueBus = createQueueBus();
+const conversionQueue = createAsyncQueue();
+conversionQueue.initialize(queueBus, {
+  maxConcurrent: getConversionConcurrency(0),
+  retryLimit: 1,
+  taskTimeout: CONVERSION_TIMEOUT,
+  autoStart: false
+});
+queueBus.subscribe('QUEUE:TASK_FAILED', handleQueueTimeout);
 
 /**
  * Initialise le module avec un bus d'événements
@@ -24,9 +128,54 @@ function initFormatConverter(deps) {
 
   eventBus.subscribe('FORMAT_CONVERSION_REQUESTED', handleConversionRequest);
   eventBus.subscribe('FORMAT_CONVERSION_CANCEL', handleCancellation);
+  eventBus.subscribe('FORMAT_REPLAYGAIN_REQUESTED', handleReplayGainRequest);
+  eventBus.subscribe('CONFIG:LOADED', handleConfig);
+  eventBus.subscribe('CONFIG:UPDATED', handleConfig);
   eventBus.subscribe('APP_SHUTDOWN', cleanupModule);
 }
 
+/**
+ * Reprend les réglages de conversion de la configuration
+ * @param {Object} config - Configuration (downloads.formats.loudness, .lossyToLossless)
+ */
+function handleConfig(config) {
+  const formats = config?.downloads?.formats;
+  if (formats?.loudness) {
+    loudnessSettings = { ...DEFAULT_LOUDNESS, ...formats.loudness };
+  }
+  if (formats?.lossyToLossless) {
+    lossyToLossless = formats.lossyToLossless;
+  }
+  if (formats?.maxConcurrentConversions !== undefined) {
+    queueBus.publish('CONFIG:UPDATED', {
+      queue: { maxConcurrent: getConversionConcurrency(formats.maxConcurrentConversions) }
+    });
+  }
+}
+
+/**
+ * Nombre de conversions simultanées : un processeur reste libre pour l'interface
+ * @param {number} setting - Valeur configurée (0 = selon le nombre de processeurs)
+ * @returns {number}
+ */
+function getConversionConcurrency(setting) {
+  if (setting > 0) return setting;
+  return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Bus minimal de la file de conversion
+ * @returns {Object} { publish, subscribe, unsubscribe }
+ */
+function createQueueBus() {
+  const emitter = new EventEmitter();
+  return {
+    publish: (type, data) => emitter.emit(type, data),
+    subscribe: (type, handler) => emitter.on(type, handler),
+    unsubscribe: (type, handler) => emitter.off(type, handler)
+  };
+}
+
 /**
  * Gère une demande de conversion
  */
@@ -51,40 +200,314 @@ function handleConversionRequest(payload) {
     return;
   }
 
-  const outputFile = generateOutputFilePath(sourceFile, targetFormat);
-  const ffmpegCommand = buildFFmpegCommand(sourceFile, outputFile, targetFormat, quality, metadata);
+  const outputFile = generateOutputFilePath(
+    sourceFile,
+    targetFormat,
+    payload.outputDir,
+    payload.outputName
+  );
 
-  try {
-    const proc = startConversion(ffmpegCommand, requestId, sourceFile, outputFile);
-    activeConversions.set(requestId, {
-      process: proc,
-      sourceFile,
-      outputFile,
-      startTime: Date.now()
-    });
+  if (payload.outputDir) {
+    try {
+      fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    } catch (error) {
+      // Dossier impossible à créer (droits, disque) : l'échec doit parvenir au demandeur
+      eventBus.publish('FORMAT_CONVERSION_FAILED', {
+        requestId,
+        error: { code: 'OUTPUT_DIR_UNAVAILABLE', message: error.message },
+        sourceFile
+      });
+      return;
+    }
+  }
 
+  const job = {
+    requestId,
+    sourceFile,
+    outputFile,
+    targetFormat,
+    quality: quality || {},
+    metadata: metadata || {},
+    // Seule la demande active la normalisation ou ReplayGain (loudness-processor la transmet) ;
+    // la configuration ne fournit que les valeurs cibles
+    loudness: { ...loudnessSettings, mode: 'off', ...payload.loudness },
+    lossyToLossless: payload.lossyToLossless || lossyToLossless,
+    // Le résultat remplace la source (normalisation d'un fichier déjà téléchargé)
+    replaceSource: Boolean(payload.replaceSource),
+    // La source est supprimée une fois la conversion réussie (conversion par lots)
+    deleteSource: Boolean(payload.deleteSource),
+    keepArtwork: Boolean(payload.keepArtwork)
+  };
+
+  pendingConversions.set(requestId, job);
+  queueBus.publish('QUEUE:ADD_TASK', { id: requestId, task: () => runConversionJob(job) });
+}
+
+/**
+ * Exécute une conversion sortie de la file : sonde de la source, puis conversion
+ * @param {Object} job - Conversion demandée
+ * @returns {Promise<void>} Résolue à la fin de la conversion, quelle qu'en soit l'issue
+ */
+function runConversionJob(job) {
+  const { requestId, sourceFile, targetFormat } = job;
+  pendingConversions.delete(requestId);
+
+  return new Promise((resolve) => {
+    const probe = runProcess(FFPROBE_BINARY, buildProbeArgs(sourceFile));
+    const info = { ...job, process: probe.proc, startTime: Date.now(), finish: resolve };
+    activeConversions.set(requestId, info);
     eventBus.publish('FORMAT_CONVERSION_STARTED', { requestId, sourceFile, targetFormat });
-  } catch (err) {
-    handleConversionError(requestId, sourceFile, err);
+
+    probe.done
+      .then(({ stdout }) => parseProbeOutput(stdout))
+      .catch((err) => {
+        if (!isCurrentProcess(info, probe.proc)) return null;
+        // Sans ffprobe, la conversion a lieu sans vérification de la source
+        eventBus.publish('LOG:WARNING', {
+          module: 'format-converter',
+          message: 'Analyse de la source impossible',
+          sourceFile,
+          error: err.message
+        });
+        return null;
+      })
+      .then((source) => {
+        // Conversion annulée pendant l'analyse
+        if (!isCurrentProcess(info, probe.proc)) return;
+        convertFromSource(info, source);
+      })
+      .catch((err) => failConversion(info, err));
+  });
+}
+
+/**
+ * Indique si le processus est toujours celui de la conversion (ni annulée ni terminée)
+ * @param {Object} info - Conversion en cours
+ * @param {ChildProcess} proc - Processus attendu
+ * @returns {boolean}
+ */
+function isCurrentProcess(info, proc) {
+  return !info.cancelled && activeConversions.get(info.requestId) === info && info.process === proc;
+}
+
+/**
+ * Lance la conversion une fois la source connue : contrôle du « faux sans perte »,
+ * tags d'origine, puis remux, normalisation ou encodage
+ * @param {Object} info - Conversion en cours
+ * @param {Object|null} source - Résultat de parseProbeOutput (null si la sonde a échoué)
+ */
+function convertFromSource(info, source) {
+  const { sourceFile, outputFile, targetFormat, keepArtwork } = info;
+
+  if (source) {
+    info.source = source;
+    info.duration = source.duration;
+    checkSourceQuality(info, source);
+    info.metadata = { ...getSourceTags(source, targetFormat, info.metadata), ...info.metadata };
   }
+
+  if (info.loudness.mode === 'normalize') {
+    normalizeAndConvert(info);
+    return;
+  }
+
+  info.remuxed = Boolean(source) && canRemux(source, targetFormat, info.quality);
+  const args = info.remuxed
+    ? buildRemuxCommand(sourceFile, outputFile, targetFormat, info.metadata, { keepArtwork })
+    : buildFFmpegCommand(sourceFile, outputFile, targetFormat, info.quality, info.metadata, {
+        keepArtwork
+      });
+  startConversion(info, args);
+}
+
+/**
+ * Signale (ou refuse) une source avec perte convertie vers un format sans perte, ainsi que
+ * le ré-encodage d'une source avec perte dans un autre codec avec perte
+ * @param {Object} info - Conversion en cours
+ * @param {Object} source - Résultat de parseProbeOutput
+ * @throws {Error} LOSSY_TO_LOSSLESS si la politique est 'block'
+ */
+function checkSourceQuality(info, source) {
+  if (source.lossless) return;
+
+  const origin = describeSource(source);
+  if (LOSSLESS_FORMATS.includes(info.targetFormat)) {
+    const message = `Source avec perte (${origin}) : le fichier ${info.targetFormat} ne sera pas réellement sans perte`;
+    if (info.lossyToLossless === 'block') {
+      throw conversionError('LOSSY_TO_LOSSLESS', message);
+    }
+    eventBus.publish('LOG:WARNING', {
+      module: 'format-converter',
+      message,
+      sourceFile: info.sourceFile
+    });
+    eventBus.publish('UI:NOTIFICATION_SHOW', {
+      message: `${path.basename(info.sourceFile)} : ${message}`,
+      type: 'warning'
+    });
+    return;
+  }
+
+  if (source.codec !== TARGET_CODECS[info.targetFormat]) {
+    eventBus.publish('LOG:WARNING', {
+      module: 'format-converter',
+      message: `Ré-encodage d'une source avec perte (${origin}) en ${info.targetFormat}`,
+      sourceFile: info.sourceFile
+    });
+  }
+}
+
+/**
+ * Tags consignant l'origine de l'audio. Une source déjà convertie garde son origine.
+ * @param {Object} source - Résultat de parseProbeOutput
+ * @param {string} format - Format cible
+ * @param {Object} metadata - Métadonnées demandées (un commentaire fourni est conservé)
+ * @returns {Object}
+ */
+function getSourceTags(source, format, metadata) {
+  const originalCodec = source.originalCodec || source.codec;
+  const originalBitrate =
+    source.originalBitrate || (source.bitrate ? `${Math.round(source.bitrate / 1000)} kbps` : '');
+
+  if (!COMMENT_SOURCE_FORMATS.includes(format)) return { originalCodec, originalBitrate };
+  if (metadata.comment) return {};
+  return { comment: `Source : ${describeSource(source)}` };
 }
 
 /**
- * Crée un chemin de sortie horodaté
+ * Description lisible de l'origine de l'audio (« opus 160 kbps »)
+ * @param {Object} source - Résultat de parseProbeOutput
+ * @returns {string}
  */
-function generateOutputFilePath(sourceFile, targetFormat) {
-  const dir = path.dirname(sourceFile);
+function describeSource(source) {
+  const { originalCodec, originalBitrate } = getSourceTags(source, 'flac', {});
+  return [originalCodec, originalBitrate].filter(Boolean).join(' ');
+}
+
+/**
+ * Une source déjà dans le codec cible est remuxée lorsque la demande n'exige ni
+ * rééchantillonnage, ni autre profondeur, ni débit inférieur à celui de la source
+ * @param {Object} source - Résultat de parseProbeOutput
+ * @param {string} format - Format cible
+ * @param {Object} quality - Qualité demandée
+ * @returns {boolean}
+ */
+function canRemux(source, format, quality = {}) {
+  if (!TARGET_CODECS[format] || source.codec !== TARGET_CODECS[format]) return false;
+
+  const sampleRate = parseRate(quality.sampleRate, 1000);
+  if (sampleRate && source.sampleRate && sampleRate !== source.sampleRate) return false;
+
+  const bitDepth = parseInt(quality.bitDepth, 10);
+  if (bitDepth && source.bitDepth && bitDepth !== source.bitDepth) return false;
+
+  const bitrate = parseRate(quality.bitrate, 1000);
+  return !(bitrate && source.bitrate && bitrate < source.bitrate);
+}
+
+/**
+ * Convertit une fréquence ou un débit de configuration (« 44.1k », « 320k », 48000)
+ * @param {string|number} value
+ * @param {number} kilo - Multiplicateur du suffixe k
+ * @returns {number|null}
+ */
+function parseRate(value, kilo) {
+  const match = String(value ?? '').match(/^([\d.]+)\s*(k?)/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * (match[2] ? kilo : 1)) || null;
+}
+
+/**
+ * Normalisation en deux passes : mesure de la source, puis conversion avec les valeurs
+ * mesurées (loudnorm linéaire, sans compression dynamique lorsque c'est possible)
+ * @param {Object} info - Conversion en cours
+ */
+function normalizeAndConvert(info) {
+  const { sourceFile, outputFile } = info;
+  const analysis = runProcess(FFMPEG_BINARY, buildLoudnessAnalysisArgs(sourceFile, info.loudness));
+  info.process = analysis.proc;
+
+  analysis.done
+    .then(({ stderr }) => {
+      // Conversion annulée pendant la mesure
+      if (!isCurrentProcess(info, analysis.proc)) return;
+
+      const measured = parseLoudnormOutput(stderr);
+      // loudnorm travaille à 192 kHz : la fréquence d'origine est rétablie en sortie
+      const quality =
+        info.quality.sampleRate || !measured.sampleRate
+          ? info.quality
+          : { ...info.quality, sampleRate: measured.sampleRate };
+      const args = buildFFmpegCommand(
+        sourceFile,
+        outputFile,
+        info.targetFormat,
+        quality,
+        info.metadata,
+        {
+          audioFilter: buildLoudnormFilter(info.loudness, measured),
+          keepArtwork: info.keepArtwork
+        }
+      );
+
+      info.loudnessResult = {
+        mode: 'normalize',
+        targetLufs: info.loudness.targetLufs,
+        truePeak: info.loudness.truePeak,
+        inputLufs: measured.inputLufs,
+        inputTruePeak: measured.inputTruePeak
+      };
+      info.duration = info.duration || measured.duration;
+      startConversion(info, args);
+    })
+    .catch((err) => {
+      if (!isCurrentProcess(info, analysis.proc)) return;
+      failConversion(info, err);
+    });
+}
+
+/**
+ * Crée le chemin de sortie : même nom (ou nom imposé) dans le dossier demandé, sinon nom
+ * horodaté à côté de la source (aussi lorsque le nom retenu serait celui de la source)
+ * @param {string} sourceFile - Fichier source
+ * @param {string} targetFormat - Format cible
+ * @param {string} [outputDir] - Dossier de sortie (créé par handleConversionRequest)
+ * @param {string} [outputName] - Nom du fichier produit dans ce dossier, extension comprise
+ * @returns {string}
+ */
+function generateOutputFilePath(sourceFile, targetFormat, outputDir, outputName) {
   const base = path.basename(sourceFile, path.extname(sourceFile));
+  const extension = getOutputExtension(targetFormat);
+
+  if (outputDir) {
+    const fileName = outputName ? path.basename(outputName) : `${base}.${extension}`;
+    const outputFile = path.join(outputDir, fileName);
+    if (path.resolve(outputFile) !== path.resolve(sourceFile)) return outputFile;
+  }
+
   const timestamp = Date.now().toString(36);
-  return path.join(dir, `${base}_${timestamp}.${targetFormat}`);
+  return path.join(path.dirname(sourceFile), `${base}_${timestamp}.${extension}`);
+}
+
+/**
+ * Extension du fichier produit pour un format (ALAC est encapsulé en MP4)
+ * @param {string} targetFormat - Format cible
+ * @returns {string} Extension, sans le point
+ */
+function getOutputExtension(targetFormat) {
+  return OUTPUT_EXTENSIONS[targetFormat] || targetFormat;
 }
 
 /**
  * Construit les arguments pour FFmpeg
+ * @param {Object} [options] - { audioFilter, keepArtwork }
  */
-function buildFFmpegCommand(source, target, format, quality = {}, metadata = {}) {
+function buildFFmpegCommand(source, target, format, quality = {}, metadata = {}, options = {}) {
+  const { audioFilter, keepArtwork } = options;
   const args = ['-i', source];
 
+  if (audioFilter) args.push('-af', audioFilter);
+
   switch (format) {
     case 'mp3':
       args.push('-codec:a', 'libmp3lame', '-b:a', quality.bitrate || '320k');
@@ -105,138 +528,731 @@ function buildFFmpegCommand(source, target, format, quality = {}, metadata = {})
     case 'aiff':
       args.push('-codec:a', quality.bitDepth === '24bit' ? 'pcm_s24be' : 'pcm_s16be');
       break;
+    case 'opus':
+      args.push('-codec:a', 'libopus', '-b:a', quality.bitrate || '160k', '-vbr', 'on');
+      break;
+    case 'm4a':
+      args.push('-codec:a', 'aac', '-b:a', quality.bitrate || '256k');
+      break;
+    case 'ogg':
+      // Vorbis en VBR : qualité de -1 à 10 (6 ≈ 192 kbit/s)
+      args.push('-codec:a', 'libvorbis', '-q:a', quality.quality || '6');
+      break;
+    case 'alac':
+      args.push(
+        '-codec:a',
+        'alac',
+        '-sample_fmt',
+        ['24', '24bit'].includes(quality.bitDepth) ? 's32p' : 's16p'
+      );
+      break;
+  }
+
+  // Opus n'accepte que 48 kHz et ses sous-multiples : FFmpeg choisit seul la fréquence
+  if (quality.sampleRate && format !== 'opus') args.push('-ar', quality.sampleRate.toString());
+
+  pushMetadataArgs(args, format, metadata);
+  pushStreamArgs(args, source, format, keepArtwork);
+  args.push('-y', target);
+  return args;
+}
+
+/**
+ * Arguments d'un remux : l'audio est copié tel quel, seuls le conteneur et les tags changent
+ * @param {string} source - Fichier source
+ * @param {string} target - Fichier produit
+ * @param {string} format - Format cible
+ * @param {Object} [metadata] - Tags à écrire
+ * @param {Object} [options] - { keepArtwork }
+ * @returns {string[]}
+ */
+function buildRemuxCommand(source, target, format, metadata = {}, options = {}) {
+  const args = ['-i', source, '-codec:a', 'copy'];
+  pushMetadataArgs(args, format, metadata);
+  pushStreamArgs(args, source, format, options.keepArtwork);
+  args.push('-y', target);
+  return args;
+}
+
+/**
+ * Choisit les flux et les tags repris de la source : la pochette (image jointe copiée telle
+ * quelle) lorsqu'elle est demandée et que le conteneur l'accepte, sinon l'audio seul
+ * @param {string[]} args - Arguments en construction
+ * @param {string} source - Fichier source
+ * @param {string} format - Format cible
+ * @param {boolean} [keepArtwork] - Recopier la pochette
+ */
+function pushStreamArgs(args, source, format, keepArtwork) {
+  if (OGG_EXTENSIONS.includes(path.extname(source).toLowerCase())) {
+    args.push('-map_metadata', '0:s:a:0');
   }
 
-  if (quality.sampleRate) args.push('-ar', quality.sampleRate.toString());
+  if (keepArtwork && ARTWORK_FORMATS.includes(format)) {
+    args.push(
+      '-map',
+      '0:a:0',
+      '-map',
+      '0:v?',
+      '-codec:v',
+      'copy',
+      '-disposition:v',
+      'attached_pic'
+    );
+  } else {
+    args.push('-vn');
+  }
+}
+
+/**
+ * Ajoute les tags aux arguments FFmpeg (les valeurs vides sont ignorées)
+ * @param {string[]} args - Arguments en construction
+ * @param {string} format - Format cible
+ * @param {Object} metadata - Tags de l'application
+ */
+function pushMetadataArgs(args, format, metadata) {
+  if (format === 'mp3' || format === 'aiff') args.push('-id3v2_version', '3');
 
   for (const [k, v] of Object.entries(metadata)) {
-    args.push('-metadata', `${k}=${v}`);
+    if (v === null || v === undefined || v === '') continue;
+    args.push('-metadata', `${FFMPEG_TAG_KEYS[k] || k}=${v}`);
   }
+}
 
-  args.push('-vn', '-y', target);
-  return args;
+/**
+ * Arguments ffprobe décrivant le premier flux audio et les tags de la source
+ * @param {string} file - Fichier sondé
+ * @returns {string[]}
+ */
+function buildProbeArgs(file) {
+  return [
+    '-v',
+    'error',
+    '-select_streams',
+    'a:0',
+    '-show_entries',
+    'stream=codec_name,bit_rate,sample_rate,bits_per_raw_sample:stream_tags:' +
+      'format=bit_rate,duration:format_tags',
+    '-of',
+    'json',
+    file
+  ];
 }
 
 /**
- * Lance la conversion FFmpeg
+ * Lit la description JSON de ffprobe. Les tags ORIGINAL_* d'une source déjà convertie sont
+ * repris : le « sans perte » s'apprécie d'après le codec d'origine.
+ * @param {string} output - Sortie standard de ffprobe
+ * @returns {Object} { codec, bitrate, sampleRate, bitDepth, duration, lossless,
+ *   originalCodec, originalBitrate }
  */
-function startConversion(args, requestId, sourceFile, outputFile) {
-  const ffmpeg = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
-  const proc = spawn(ffmpeg, args);
+function parseProbeOutput(output) {
+  const data = JSON.parse(output);
+  const stream = (data.streams || [])[0];
+  if (!stream || !stream.codec_name) {
+    throw conversionError('NO_AUDIO_STREAM', 'Aucun flux audio dans la source');
+  }
 
-  proc.stderr.on('data', (data) => {
-    const p = parseFFmpegProgress(data.toString());
-    if (p) {
-      eventBus.publish('FORMAT_CONVERSION_PROGRESS', { requestId, progress: p });
+  const format = data.format || {};
+  // Tags du conteneur (ID3, MP4) et du flux (commentaires Vorbis en Ogg), sans casse
+  const tags = {};
+  for (const [key, value] of Object.entries({ ...format.tags, ...stream.tags })) {
+    tags[key.toLowerCase()] = value;
+  }
+
+  const originalCodec = tags.original_codec || null;
+  return {
+    codec: stream.codec_name,
+    bitrate: Number(stream.bit_rate || format.bit_rate) || null,
+    sampleRate: Number(stream.sample_rate) || null,
+    bitDepth: Number(stream.bits_per_raw_sample) || null,
+    duration: Number(format.duration) || null,
+    lossless: isLosslessCodec(originalCodec || stream.codec_name),
+    originalCodec,
+    originalBitrate: tags.original_bitrate || null
+  };
+}
+
+/**
+ * @param {string} codec - Nom de codec FFmpeg
+ * @returns {boolean}
+ */
+function isLosslessCodec(codec) {
+  return LOSSLESS_CODECS.includes(codec) || String(codec).startsWith('pcm_');
+}
+
+/**
+ * Arguments de la mesure loudnorm (première passe), sans fichier de sortie
+ * @param {string} file - Fichier analysé
+ * @param {Object} loudness - { targetLufs, truePeak, lra }
+ * @returns {string[]}
+ */
+function buildLoudnessAnalysisArgs(file, loudness) {
+  const { targetLufs, truePeak, lra } = loudness;
+  return [
+    '-hide_banner',
+    '-nostats',
+    '-i',
+    file,
+    '-vn',
+    '-af',
+    `loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${lra}:print_format=json`,
+    '-f',
+    'null',
+    '-'
+  ];
+}
+
+/**
+ * Filtre loudnorm de la seconde passe, à partir des valeurs mesurées
+ * @param {Object} loudness - { targetLufs, truePeak, lra }
+ * @param {Object} measured - Résultat de parseLoudnormOutput
+ * @returns {string}
+ */
+function buildLoudnormFilter(loudness, measured) {
+  return [
+    `loudnorm=I=${loudness.targetLufs}`,
+    `TP=${loudness.truePeak}`,
+    `LRA=${loudness.lra}`,
+    `measured_I=${measured.inputLufs}`,
+    `measured_TP=${measured.inputTruePeak}`,
+    `measured_LRA=${measured.inputLra}`,
+    `measured_thresh=${measured.inputThreshold}`,
+    `offset=${measured.targetOffset}`,
+    'linear=true'
+  ].join(':');
+}
+
+/**
+ * Lit la mesure JSON affichée par loudnorm en fin d'analyse, ainsi que la durée et la
+ * fréquence d'échantillonnage de la source
+ * @param {string} output - Sortie d'erreur de FFmpeg
+ * @returns {Object} { inputLufs, inputTruePeak, inputLra, inputThreshold, targetOffset,
+ *   duration, sampleRate }
+ */
+function parseLoudnormOutput(output) {
+  const start = output.lastIndexOf('{');
+  const end = output.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw conversionError('LOUDNESS_ANALYSIS_FAILED', 'Mesure loudnorm absente de la sortie');
+  }
+
+  const stats = JSON.parse(output.slice(start, end + 1));
+  const measured = {
+    inputLufs: Number(stats.input_i),
+    inputTruePeak: Number(stats.input_tp),
+    inputLra: Number(stats.input_lra),
+    inputThreshold: Number(stats.input_thresh),
+    targetOffset: Number(stats.target_offset)
+  };
+  // « -inf » pour un fichier silencieux
+  if (!Object.values(measured).every(Number.isFinite)) {
+    throw conversionError('LOUDNESS_ANALYSIS_FAILED', 'Audio silencieux ou mesure invalide');
+  }
+
+  const dur = output.match(/Duration: (\d+):(\d+):([\d.]+)/);
+  const rate = output.match(/Audio: [^\n]*?(\d+) Hz/);
+  return {
+    ...measured,
+    duration: dur ? +dur[1] * 3600 + +dur[2] * 60 + +dur[3] : null,
+    sampleRate: rate ? rate[1] : null
+  };
+}
+
+/**
+ * Gains ReplayGain 2.0 d'une série de titres mesurés. L'intensité de l'album est la
+ * moyenne énergétique des titres pondérée par leur durée, sa crête la plus haute des crêtes.
+ * @param {Array<Object>} tracks - { filePath, inputLufs, inputTruePeak, duration }
+ * @returns {Object} { albumGain, albumPeak, tracks: [{ filePath, trackGain, trackPeak }] }
+ */
+function computeReplayGain(tracks) {
+  const weights = tracks.map((track) => track.duration || 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const energy = tracks.reduce(
+    (sum, track, index) => sum + weights[index] * Math.pow(10, track.inputLufs / 10),
+    0
+  );
+  const albumLufs = 10 * Math.log10(energy / totalWeight);
+  const toPeak = (truePeak) => Math.pow(10, truePeak / 20);
+
+  return {
+    albumGain: roundTo(REPLAYGAIN_REFERENCE_LUFS - albumLufs, 2),
+    albumPeak: roundTo(Math.max(...tracks.map((track) => toPeak(track.inputTruePeak))), 6),
+    tracks: tracks.map((track) => ({
+      filePath: track.filePath,
+      trackGain: roundTo(REPLAYGAIN_REFERENCE_LUFS - track.inputLufs, 2),
+      trackPeak: roundTo(toPeak(track.inputTruePeak), 6)
+    }))
+  };
+}
+
+/**
+ * Arrondit un nombre à la précision demandée
+ * @param {number} value
+ * @param {number} digits - Nombre de décimales
+ * @returns {number}
+ */
+function roundTo(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+/**
+ * Mesure chaque fichier (l'un après l'autre) et calcule les gains ReplayGain
+ * @param {string[]} files - Fichiers d'un même titre ou d'un même album
+ * @returns {Promise<Object>} Voir computeReplayGain
+ */
+async function analyzeReplayGain(files) {
+  const tracks = [];
+  for (const filePath of files) {
+    const analysis = runProcess(
+      FFMPEG_BINARY,
+      buildLoudnessAnalysisArgs(filePath, loudnessSettings)
+    );
+    analysisProcesses.add(analysis.proc);
+    try {
+      const { stderr } = await analysis.done;
+      tracks.push({ filePath, ...parseLoudnormOutput(stderr) });
+    } finally {
+      analysisProcesses.delete(analysis.proc);
     }
-  });
+  }
+  return computeReplayGain(tracks);
+}
 
-  proc.on('close', (code) => {
-    const info = activeConversions.get(requestId);
-    if (code === 0) {
-      eventBus.publish('FORMAT_CONVERSION_COMPLETED', {
-        requestId,
-        outputFile: info.outputFile,
-        duration: (Date.now() - info.startTime) / 1000
-      });
-    } else {
-      if (fs.existsSync(info.outputFile)) {
-        try {
-          fs.unlinkSync(info.outputFile);
-        } catch {}
+/**
+ * Fait écrire les gains par tag-processor (commentaires Vorbis REPLAYGAIN_*, trames ID3 TXXX)
+ * @param {string} requestId - Identifiant de la demande
+ * @param {Object} replayGain - Voir computeReplayGain
+ */
+function writeReplayGainTags(requestId, replayGain) {
+  replayGain.tracks.forEach((track, index) => {
+    eventBus.publish('METADATA:UPDATE_REQUEST', {
+      requestId: `${requestId}-replaygain-${index}`,
+      filePath: track.filePath,
+      metadata: {
+        replaygainTrackGain: `${track.trackGain.toFixed(2)} dB`,
+        replaygainTrackPeak: track.trackPeak.toFixed(6),
+        replaygainAlbumGain: `${replayGain.albumGain.toFixed(2)} dB`,
+        replaygainAlbumPeak: replayGain.albumPeak.toFixed(6)
       }
-      eventBus.publish('FORMAT_CONVERSION_FAILED', {
+    });
+  });
+}
+
+/**
+ * Calcule et écrit les gains ReplayGain de fichiers existants, sans toucher à l'audio
+ * @param {Object} payload - { requestId, files }
+ */
+function handleReplayGainRequest({ requestId, files } = {}) {
+  if (!requestId || !Array.isArray(files) || files.length === 0) {
+    eventBus.publish('FORMAT_REPLAYGAIN_FAILED', {
+      requestId: requestId || 'unknown',
+      error: { code: 'INVALID_REQUEST' }
+    });
+    return Promise.resolve();
+  }
+
+  return analyzeReplayGain(files)
+    .then((replayGain) => {
+      writeReplayGainTags(requestId, replayGain);
+      eventBus.publish('FORMAT_REPLAYGAIN_COMPLETED', { requestId, replayGain });
+    })
+    .catch((err) => {
+      eventBus.publish('FORMAT_REPLAYGAIN_FAILED', {
         requestId,
-        error: { code: 'FFMPEG_ERROR', exitCode: code },
-        sourceFile: info.sourceFile
+        error: { code: getErrorCode(err), message: err.message }
       });
+    });
+}
+
+/**
+ * Lance FFmpeg ou ffprobe et collecte leurs sorties (mesures, description de la source)
+ * @param {string} binary - Exécutable
+ * @param {string[]} args - Arguments
+ * @returns {Object} { proc, done } ; done se résout avec { stdout, stderr }
+ */
+function runProcess(binary, args) {
+  const proc = spawn(binary, args);
+  const done = new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    proc.on('close', (code) => {
+      if (code === 0) return resolve({ stdout, stderr });
+      const name = path.basename(binary, '.exe');
+      reject(
+        conversionError('FFMPEG_ERROR', `${name} s'est arrêté avec le code ${code}`, {
+          exitCode: code
+        })
+      );
+    });
+    proc.on('error', reject);
+  });
+  return { proc, done };
+}
+
+/**
+ * Lance l'encodage (ou le remux) FFmpeg. La progression est lue sur la sortie standard ;
+ * un fichier partiel est supprimé dès que le processus s'arrête sur un échec ou une annulation.
+ * @param {Object} info - Conversion en cours
+ * @param {string[]} args - Arguments FFmpeg
+ */
+function startConversion(info, args) {
+  const { requestId } = info;
+  const proc = spawn(FFMPEG_BINARY, ['-nostats', '-progress', 'pipe:1', ...args]);
+  info.process = proc;
+
+  const readProgress = createProgressReader(info.duration, (progress) => {
+    eventBus.publish('FORMAT:CONVERT_PROGRESS', { requestId, ...progress });
+  });
+  proc.stdout.on('data', (data) => readProgress(data.toString()));
+
+  // Dernières lignes de la sortie d'erreur, pour le message d'échec
+  let errorOutput = '';
+  proc.stderr.on('data', (data) => {
+    errorOutput = (errorOutput + data.toString()).slice(-2000);
+  });
+
+  proc.on('close', (code) => {
+    if (!isCurrentProcess(info, proc)) {
+      if (info.cancelled) removePartialOutput(info);
+      return;
     }
-    activeConversions.delete(requestId);
+
+    if (code === 0) {
+      info.encoded = true;
+      completeConversion(info);
+      return;
+    }
+    const lastLine = errorOutput.trim().split('\n').pop();
+    failConversion(
+      info,
+      conversionError('FFMPEG_ERROR', lastLine || `FFmpeg s'est arrêté avec le code ${code}`, {
+        exitCode: code
+      })
+    );
   });
 
   proc.on('error', (err) => {
-    handleConversionError(requestId, sourceFile, err);
-    activeConversions.delete(requestId);
+    if (!isCurrentProcess(info, proc)) return;
+    failConversion(info, err);
   });
+}
 
-  return proc;
+/**
+ * Lit les blocs « clé=valeur » de `-progress pipe:1`, chacun terminé par une ligne progress=
+ * @param {number|null} duration - Durée de la source (secondes) ; inconnue, rien n'est publié
+ * @param {Function} onProgress - Reçoit { percent, eta, speed }
+ * @returns {Function} Reçoit chaque morceau de la sortie standard
+ */
+function createProgressReader(duration, onProgress) {
+  let pending = '';
+  let block = {};
+
+  return (chunk) => {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+
+    for (const line of lines) {
+      const separator = line.indexOf('=');
+      if (separator === -1) continue;
+      const key = line.slice(0, separator).trim();
+      block[key] = line.slice(separator + 1).trim();
+      if (key !== 'progress') continue;
+
+      const progress = computeProgress(block, duration);
+      block = {};
+      if (progress) onProgress(progress);
+    }
+  };
 }
 
 /**
- * Gère les erreurs critiques
+ * Pourcentage et temps restant d'un bloc de progression. Le temps restant se déduit de la
+ * vitesse d'encodage (multiple du temps réel) rapportée par FFmpeg.
+ * @param {Object} block - { out_time_us, speed, progress }
+ * @param {number|null} duration - Durée de la source (secondes)
+ * @returns {Object|null} { percent, eta (secondes ou null), speed }
  */
-function handleConversionError(requestId, sourceFile, error) {
-  const info = activeConversions.get(requestId);
-  if (info && fs.existsSync(info.outputFile)) {
+function computeProgress(block, duration) {
+  // out_time_ms est aussi exprimé en microsecondes
+  const position = Number(block.out_time_us ?? block.out_time_ms) / 1e6;
+  if (!duration || !Number.isFinite(position) || position < 0) return null;
+
+  const speed = parseFloat(block.speed) || null;
+  if (block.progress === 'end') return { percent: 100, eta: 0, speed };
+
+  const remaining = Math.max(0, duration - position);
+  return {
+    // 100 % n'est atteint qu'à la fin effective du processus
+    percent: Math.min(99, Math.round((position / duration) * 100)),
+    eta: speed ? Math.round(remaining / speed) : null,
+    speed
+  };
+}
+
+/**
+ * Publie la fin d'une conversion réussie, après remplacement de la source et calcul des
+ * gains ReplayGain s'ils sont demandés
+ * @param {Object} info - Conversion terminée
+ */
+function completeConversion(info) {
+  const { requestId } = info;
+  const result = {
+    requestId,
+    outputFile: info.outputFile,
+    duration: (Date.now() - info.startTime) / 1000
+  };
+  if (info.loudnessResult) result.loudness = info.loudnessResult;
+  if (info.source) result.source = info.source;
+  if (info.remuxed) result.remuxed = true;
+
+  try {
+    if (info.replaceSource) result.outputFile = replaceSourceFile(info);
+  } catch (err) {
+    eventBus.publish('LOG:WARNING', {
+      module: 'format-converter',
+      message: 'Impossible de remplacer le fichier source',
+      sourceFile: info.sourceFile,
+      error: err.message
+    });
+  }
+
+  if (info.deleteSource && !info.replaceSource) {
     try {
-      fs.unlinkSync(info.outputFile);
-    } catch {}
+      fs.unlinkSync(info.sourceFile);
+      result.sourceDeleted = true;
+    } catch (err) {
+      eventBus.publish('LOG:WARNING', {
+        module: 'format-converter',
+        message: 'Impossible de supprimer le fichier source',
+        sourceFile: info.sourceFile,
+        error: err.message
+      });
+    }
+  }
+
+  if (info.loudness.mode !== 'replaygain') {
+    eventBus.publish('FORMAT_CONVERSION_COMPLETED', result);
+    endConversion(info);
+    return;
   }
 
+  // Mode non destructif : la conversion reste valable même si la mesure échoue
+  analyzeReplayGain([result.outputFile])
+    .then((replayGain) => {
+      writeReplayGainTags(requestId, replayGain);
+      result.replayGain = replayGain;
+    })
+    .catch((err) => {
+      eventBus.publish('LOG:WARNING', {
+        module: 'format-converter',
+        message: 'Calcul ReplayGain impossible',
+        outputFile: result.outputFile,
+        error: err.message
+      });
+    })
+    .then(() => {
+      eventBus.publish('FORMAT_CONVERSION_COMPLETED', result);
+      endConversion(info);
+    });
+}
+
+/**
+ * Libère la place de la conversion dans la file
+ * @param {Object} info - Conversion terminée, échouée ou annulée
+ */
+function endConversion(info) {
+  if (activeConversions.get(info.requestId) === info) activeConversions.delete(info.requestId);
+  info.finish();
+}
+
+/**
+ * Remplace le fichier source par le fichier converti (même nom, extension du format cible)
+ * @param {Object} info - Conversion terminée
+ * @returns {string} Chemin final
+ */
+function replaceSourceFile(info) {
+  const { dir, name } = path.parse(info.sourceFile);
+  const finalPath = path.join(dir, `${name}${path.extname(info.outputFile)}`);
+  if (finalPath !== info.sourceFile) fs.unlinkSync(info.sourceFile);
+  fs.renameSync(info.outputFile, finalPath);
+  return finalPath;
+}
+
+/**
+ * Erreur porteuse d'un code transmis tel quel dans FORMAT_CONVERSION_FAILED
+ * @param {string} code - Code d'erreur
+ * @param {string} message - Message
+ * @param {Object} [extra] - Propriétés supplémentaires (exitCode…)
+ * @returns {Error}
+ */
+function conversionError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { conversionCode: code }, extra);
+}
+
+/**
+ * Code d'erreur publié pour une erreur de processus ou de conversion
+ * @param {Error} error
+ * @returns {string}
+ */
+function getErrorCode(error) {
+  if (error.code === 'ENOENT') return 'FFMPEG_NOT_FOUND';
+  return error.conversionCode || 'UNKNOWN_ERROR';
+}
+
+/**
+ * Publie l'échec d'une conversion et supprime le fichier partiel
+ * @param {Object} info - Conversion en cours
+ * @param {Error} error
+ */
+function failConversion(info, error) {
+  removePartialOutput(info);
   eventBus.publish('FORMAT_CONVERSION_FAILED', {
-    requestId,
+    requestId: info.requestId,
     error: {
-      code: error.code === 'ENOENT' ? 'FFMPEG_NOT_FOUND' : 'UNKNOWN_ERROR',
-      message: error.message
+      code: getErrorCode(error),
+      message: error.message,
+      ...(error.exitCode !== undefined && { exitCode: error.exitCode })
     },
-    sourceFile
+    sourceFile: info.sourceFile
   });
+  endConversion(info);
 }
 
 /**
- * Parse la sortie FFmpeg (simplifiée)
+ * Supprime le fichier produit par une conversion interrompue
+ * @param {Object} info - Conversion échouée ou annulée
  */
-function parseFFmpegProgress(output) {
-  const time = output.match(/time=(\d+):(\d+):([\d.]+)/);
-  const dur = output.match(/Duration: (\d+):(\d+):([\d.]+)/);
-  if (time && dur) {
-    const current = +time[1] * 3600 + +time[2] * 60 + +time[3];
-    const total = +dur[1] * 3600 + +dur[2] * 60 + +dur[3];
-    return total ? Math.round((current / total) * 100) : null;
+function removePartialOutput(info) {
+  try {
+    if (fs.existsSync(info.outputFile)) fs.unlinkSync(info.outputFile);
+  } catch {
+    // Encore ouvert par FFmpeg : nouvelle tentative à l'arrêt du processus
   }
-  return null;
 }
 
 /**
- * Annule une conversion en cours
+ * Arrête un processus, de force s'il ne s'est pas terminé après KILL_TIMEOUT
+ * @param {ChildProcess} proc
  */
-function handleCancellation({ requestId }) {
-  const info = activeConversions.get(requestId);
-  if (!info) return;
+function stopProcess(proc) {
+  proc.kill();
+  const timer = setTimeout(() => proc.kill('SIGKILL'), KILL_TIMEOUT);
+  if (timer.unref) timer.unref();
+  proc.once('close', () => clearTimeout(timer));
+}
 
-  try {
-    info.process.kill();
-    if (fs.existsSync(info.outputFile)) fs.unlinkSync(info.outputFile);
-    eventBus.publish('FORMAT_CONVERSION_FAILED', {
-      requestId,
-      error: { code: 'CONVERSION_CANCELLED' },
-      sourceFile: info.sourceFile
+/**
+ * Interrompt une conversion lancée : l'échec est publié aussitôt, le fichier partiel est
+ * supprimé maintenant et à l'arrêt effectif du processus. Une fois l'encodage terminé, le
+ * fichier produit est définitif (la source a pu être remplacée ou supprimée) : l'annulation
+ * est ignorée et la conversion s'achève normalement, par un seul FORMAT_CONVERSION_COMPLETED.
+ * @param {Object} info - Conversion en cours
+ * @param {string} code - CONVERSION_CANCELLED, CONVERSION_TIMEOUT ou APP_SHUTDOWN
+ */
+function cancelConversion(info, code) {
+  if (info.encoded) {
+    eventBus.publish('LOG:INFO', {
+      module: 'format-converter',
+      message: 'Annulation ignorée : encodage déjà terminé',
+      requestId: info.requestId
     });
-    activeConversions.delete(requestId);
+    return;
+  }
+
+  info.cancelled = true;
+  try {
+    stopProcess(info.process);
   } catch (err) {
+    eventBus.publish('LOG:WARNING', {
+      module: 'format-converter',
+      message: "Impossible d'arrêter la conversion",
+      requestId: info.requestId,
+      error: err.message
+    });
+  }
+
+  removePartialOutput(info);
+  eventBus.publish('FORMAT_CONVERSION_FAILED', {
+    requestId: info.requestId,
+    error: { code },
+    sourceFile: info.sourceFile
+  });
+  endConversion(info);
+}
+
+/**
+ * Annule une conversion, en attente ou en cours
+ */
+function handleCancellation({ requestId }) {
+  const job = pendingConversions.get(requestId);
+  if (job) {
+    pendingConversions.delete(requestId);
+    queueBus.publish('QUEUE:REMOVE_TASK', { taskId: requestId });
     eventBus.publish('FORMAT_CONVERSION_FAILED', {
       requestId,
-      error: { code: 'CANCELLATION_FAILED', message: err.message },
-      sourceFile: info.sourceFile
+      error: { code: 'CONVERSION_CANCELLED' },
+      sourceFile: job.sourceFile
     });
+    return;
   }
+
+  const info = activeConversions.get(requestId);
+  if (info) cancelConversion(info, 'CONVERSION_CANCELLED');
+}
+
+/**
+ * Conversion bloquée au-delà de CONVERSION_TIMEOUT : la file l'abandonne, elle est arrêtée
+ * @param {Object} data - { taskId, reason }
+ */
+function handleQueueTimeout({ taskId, reason }) {
+  const info = activeConversions.get(taskId);
+  if (reason === 'timeout' && info) cancelConversion(info, 'CONVERSION_TIMEOUT');
 }
 
 /**
  * Nettoyage global (arrêt de l’app)
  */
 function cleanupModule() {
-  for (const [requestId, info] of activeConversions) {
-    try {
-      info.process.kill();
-      eventBus.publish('FORMAT_CONVERSION_FAILED', {
-        requestId,
-        error: { code: 'APP_SHUTDOWN' },
-        sourceFile: info.sourceFile
-      });
-    } catch {}
+  // La file est vidée d'abord : aucune conversion ne démarre pendant l'arrêt
+  queueBus.publish('QUEUE:CLEAR', { keepActive: true });
+  for (const [requestId, job] of pendingConversions) {
+    eventBus.publish('FORMAT_CONVERSION_FAILED', {
+      requestId,
+      error: { code: 'APP_SHUTDOWN' },
+      sourceFile: job.sourceFile
+    });
   }
-  activeConversions.clear();
+  pendingConversions.clear();
+
+  for (const info of [...activeConversions.values()]) {
+    cancelConversion(info, 'APP_SHUTDOWN');
+  }
+
+  analysisProcesses.forEach((proc) => {
+    try {
+      proc.kill();
+    } catch {
+      // Processus déjà terminé
+    }
+  });
+  analysisProcesses.clear();
+}
+
+/**
+ * Emplacement de ffprobe, comme dans tag-processor : binaire embarqué sous Windows et
+ * macOS, PATH ailleurs (et hors d'Electron)
+ * @returns {string}
+ */
+function resolveFFprobePath() {
+  const binary = process.platform === 'win32' ? 'ffprobe.exe' : 'ffprobe';
+  if (!process.resourcesPath || !['win32', 'darwin'].includes(process.platform)) return binary;
+  return path.join(process.resourcesPath, 'bin', binary);
 }
 
 /**
@@ -248,9 +1264,17 @@ function validateConversionRequest(p) {
 
 module.exports = {
   initFormatConverter,
+  getOutputExtension,
   __test: {
     buildFFmpegCommand,
-    parseFFmpegProgress,
+    buildLoudnormFilter,
+    buildRemuxCommand,
+    canRemux,
+    computeProgress,
+    computeReplayGain,
+    generateOutputFilePath,
+    parseLoudnormOutput,
+    parseProbeOutput,
     validateConversionRequest
   }
 };
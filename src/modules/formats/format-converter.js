@@ -4,6 +4,7 @@
  */
 
 const { initFormatConverter } = require('./format-converter.core');
+const { initBatchConverter } = require('./batch-converter');
 
 window.addEventListener('MODULE_INITIALIZED', (event) => {
   if (event.detail?.module === 'format-converter') {
@@ -11,18 +12,24 @@ window.addEventListener('MODULE_INITIALIZED', (event) => {
 
     // Initialiser le module de conversion
     initFormatConverter({ eventBus });
+    // Conversion par lots des fichiers déposés sur la fenêtre
+    initBatchConverter({ eventBus });
 
     // Publier que le module est prêt
     eventBus.publish('MODULE_READY', {
       module: 'format-converter',
       capabilities: {
-        input: ['mp3', 'wav', 'flac', 'aiff', 'ogg', 'm4a', 'wma'],
-        output: ['mp3', 'wav', 'flac', 'aiff'],
+        input: ['mp3', 'wav', 'flac', 'aiff', 'ogg', 'opus', 'm4a', 'wma'],
+        output: ['mp3', 'wav', 'flac', 'aiff', 'opus', 'm4a', 'ogg', 'alac'],
         quality: {
           mp3: ['128kbps', '192kbps', '256kbps', '320kbps'],
           wav: ['16bit', '24bit', '32bit'],
           flac: ['level0', 'level5', 'level8'],
-          aiff: ['16bit', '24bit']
+          aiff: ['16bit', '24bit'],
+          opus: ['96kbps', '128kbps', '160kbps', '256kbps'],
+          m4a: ['128kbps', '192kbps', '256kbps', '320kbps'],
+          ogg: ['q3', 'q6', 'q8', 'q10'],
+          alac: ['16bit', '24bit']
         }
       }
     });
@@ -45,6 +45,7 @@
 const path = require('path');
 const os = require('os');
 const { URL } = require('url');
+const { adapterRegistry } = require('../download/adapters/adapter-registry');
 
 /**
  * MetadataManager - Gestionnaire centralisé de métadonnées audio
@@ -1912,22 +1913,9 @@ function MetadataManager() {
     }
 
     try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-
-      if (hostname.includes('youtube.com') || hostname.includes('youtu.be')) {
-        return 'youtube';
-      } else if (hostname.includes('bandcamp.com')) {
-        return 'bandcamp';
-      } else if (hostname.includes('soundcloud.com')) {
-        return 'soundcloud';
-      } else if (hostname.includes('spotify.com')) {
-        return 'spotify';
-      } else if (hostname.includes('tidal.com')) {
-        return 'tidal';
-      }
-
-      return 'unknown';
+      // Valide l'URL avant de la confier au registre des plateformes
+      new URL(url);
+      return adapterRegistry.detectPlatform(url) || 'unknown';
     } catch (error) {
       // URL invalide
       return 'unknown';
@@ -70,6 +70,11 @@ const SUPPORTED_FORMATS = {
     tagType: 'vorbis',
     mimeType: 'audio/ogg'
   },
+  'opus': {
+    extensions: ['.opus'],
+    tagType: 'vorbis',
+    mimeType: 'audio/opus'
+  },
   'wav': {
     extensions: ['.wav', '.wave'],
     tagType: 'riff',
@@ -80,6 +85,12 @@ const SUPPORTED_FORMATS = {
     tagType: 'mp4',
     mimeType: 'audio/aac'
   },
+  // ALAC partage le conteneur MP4 (.m4a) de l'AAC : mêmes atomes iTunes
+  'alac': {
+    extensions: ['.m4a'],
+    tagType: 'mp4',
+    mimeType: 'audio/mp4'
+  },
   'aiff': {
     extensions: ['.aiff', '.aif'],
     tagType: 'id3',
@@ -158,6 +169,46 @@ const TAG_MAPPING = {
     'vorbis': 'LENGTH',
     'riff': 'ILEN',
     'mp4': '©len'
+  },
+  // ReplayGain : en ID3, FFmpeg écrit les clés non standard dans une trame TXXX
+  // (description = nom du tag) ; pas d'équivalent écrit par FFmpeg en RIFF ni en MP4
+  'replaygainTrackGain': {
+    'id3': 'REPLAYGAIN_TRACK_GAIN',
+    'vorbis': 'REPLAYGAIN_TRACK_GAIN',
+    'riff': null,
+    'mp4': null
+  },
+  'replaygainTrackPeak': {
+    'id3': 'REPLAYGAIN_TRACK_PEAK',
+    'vorbis': 'REPLAYGAIN_TRACK_PEAK',
+    'riff': null,
+    'mp4': null
+  },
+  'replaygainAlbumGain': {
+    'id3': 'REPLAYGAIN_ALBUM_GAIN',
+    'vorbis': 'REPLAYGAIN_ALBUM_GAIN',
+    'riff': null,
+    'mp4': null
+  },
+  'replaygainAlbumPeak': {
+    'id3': 'REPLAYGAIN_ALBUM_PEAK',
+    'vorbis': 'REPLAYGAIN_ALBUM_PEAK',
+    'riff': null,
+    'mp4': null
+  },
+  // Origine de l'audio d'un fichier converti (codec et débit de la source), écrite par le
+  // convertisseur ; en RIFF et MP4 elle figure dans le commentaire
+  'originalCodec': {
+    'id3': 'ORIGINAL_CODEC',
+    'vorbis': 'ORIGINAL_CODEC',
+    'riff': null,
+    'mp4': null
+  },
+  'originalBitrate': {
+    'id3': 'ORIGINAL_BITRATE',
+    'vorbis': 'ORIGINAL_BITRATE',
+    'riff': null,
+    'mp4': null
   }
 };
 
@@ -197,7 +248,7 @@ function TagProcessor() {
     ignoreMinorTagErrors: true,
 
     // Formats supportés (peut être restreint par la configuration)
-    enabledFormats: ['mp3', 'flac', 'ogg', 'wav', 'aac', 'aiff'],
+    enabledFormats: ['mp3', 'flac', 'ogg', 'opus', 'wav', 'aac', 'alac', 'aiff'],
 
     // Options de performance
     useCaching: true,
@@ -778,6 +829,11 @@ function TagProcessor() {
         throw new Error(`Format audio non supporté: ${path.extname(filePath)}`);
       }
 
+      // Le muxer Ogg de FFmpeg n'accepte pas de flux image (Vorbis, Opus)
+      if (format.tagType === 'vorbis' && format.name !== 'flac') {
+        throw new Error(`Pochette intégrée non prise en charge pour le format ${format.name}`);
+      }
+
       // Vérifier si nous avons un chemin ou un buffer pour la pochette
       let artworkPath = artwork.path;
 
@@ -827,6 +883,11 @@ function TagProcessor() {
         ffmpegArgs.push('-metadata:s:v', 'comment=Cover (front)');
       }
 
+      // Conteneur MP4 (AAC, ALAC) : la pochette doit être marquée comme image attachée
+      if (format.tagType === 'mp4') {
+        ffmpegArgs.push('-disposition:v', 'attached_pic');
+      }
+
       // Spécifier le fichier de sortie
       ffmpegArgs.push(tempFilePath);
 
@@ -117,8 +117,12 @@ const path = require('node:path');
  * @property {string} status - État du téléchargement ('pending', 'downloading', 'paused', 'completed', 'error')
  * @property {number} progress - Progression du téléchargement (0-100)
  * @property {string} source - Source du téléchargement ('youtube', 'spotify', 'bandcamp', 'soundcloud', 'tidal')
- * @property {string} format - Format de sortie ('mp3', 'flac', 'wav', 'aiff')
+ * @property {string} format - Format de sortie ('mp3', 'flac', 'wav', 'aiff', 'opus', 'm4a', 'ogg', 'alac')
  * @property {string} [outputPath] - Chemin du fichier téléchargé
+ * @property {string} [quality] - Qualité obtenue (Tidal : 'HI_RES', 'LOSSLESS', 'HIGH', 'NORMAL')
+ * @property {boolean} [qualityDowngraded] - Qualité inférieure à celle demandée
+ * @property {Object} [loudness] - Normalisation appliquée ({ targetLufs, truePeak, tracks })
+ * @property {Object} [replayGain] - Gains ReplayGain écrits ({ albumGain, albumPeak, tracks })
  * @property {string} [errorMessage] - Message d'erreur en cas d'échec
  */
 
@@ -143,6 +147,18 @@ const platformColors = {
   tidal: '#000000'        // noir
 };
 
+// Formats de sortie proposés par le sélecteur
+const audioFormats = [
+  { value: 'mp3', label: 'MP3' },
+  { value: 'flac', label: 'FLAC' },
+  { value: 'wav', label: 'WAV' },
+  { value: 'aiff', label: 'AIFF' },
+  { value: 'opus', label: 'Opus' },
+  { value: 'm4a', label: 'AAC (M4A)' },
+  { value: 'ogg', label: 'OGG Vorbis' },
+  { value: 'alac', label: 'ALAC' }
+];
+
 /**
  * Initialise le composant DownloadItem
  *
@@ -187,9 +203,21 @@ function subscribeToEvents() {
   // Écoute les changements de statut pour cet élément
   eventBus.on('DOWNLOAD_STATUS_CHANGED', handleStatusChange);
 
+  // Écoute les confirmations de pause et de reprise
+  eventBus.on('DOWNLOAD:ITEM_PAUSED', handlePaused);
+  eventBus.on('DOWNLOAD:ITEM_RESUMED', handleResumed);
+  // Statut réel tenu par le gestionnaire (attente d'une place, démarrage…)
+  eventBus.on('DOWNLOAD:UPDATED', handleManagerUpdate);
+
   // Écoute les mises à jour des métadonnées
   eventBus.on('DOWNLOAD_METADATA_UPDATED', handleMetadataUpdate);
 
+  // Écoute la fin du téléchargement (fichier et qualité obtenue)
+  eventBus.on('DOWNLOAD:COMPLETED', handleCompleted);
+
+  // Écoute le résultat du traitement de l'intensité sonore
+  eventBus.on('DOWNLOAD:METADATA_UPDATED', handleProcessingMetadata);
+
   // Écoute la demande de suppression de l'élément
   eventBus.on('DOWNLOAD_ITEM_REMOVE_REQUESTED', handleRemoveRequest);
 
@@ -244,6 +272,7 @@ function render() {
           <h3 class="download-item__title" style="margin: 0 0 5px 0; font-size: 18px; color: #ffffff; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${downloadData.title || 'Sans titre'}</h3>
           <p class="download-item__artist" style="margin: 0 0 3px 0; font-size: 14px; color: rgba(255,255,255,0.8); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${downloadData.artist || 'Artiste inconnu'}</p>
           <p class="download-item__album" style="margin: 0; font-size: 12px; color: rgba(255,255,255,0.6); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${downloadData.album || ''}</p>
+          <p class="download-item__quality" style="margin: 3px 0 0 0; font-size: 11px; color: ${downloadData.qualityDowngraded ? '#ffb84d' : 'rgba(255,255,255,0.6)'};">${getQualityLabel()}</p>
 
           <!-- Statut (visible uniquement pour certains états) -->
           <div class="download-item__status" style="
@@ -266,13 +295,31 @@ function render() {
             margin-bottom: 10px;
             cursor: pointer;
             text-align: center;
+            position: relative;
           ">
             <span>${downloadData.format.toUpperCase()}</span>
             <span style="margin-left: 5px;">▼</span>
+            <div class="download-item__format-options" style="
+              display: none;
+              position: absolute;
+              top: 100%;
+              right: 0;
+              margin-top: 5px;
+              min-width: 110px;
+              background-color: #2a2a2a;
+              border: 1px solid rgba(255,255,255,0.3);
+              border-radius: 8px;
+              padding: 4px 0;
+              z-index: 10;
+            ">
+              ${audioFormats.map((format) => `
+                <div class="download-item__format-option" data-format="${format.value}" style="padding: 4px 10px; white-space: nowrap;">${format.label}</div>
+              `).join('')}
+            </div>
           </div>
 
           <!-- Bouton d'action (télécharger, pause, reprendre, ouvrir) -->
-          <button class="download-item__action-button" style="
+          <button class="download-item__action-button" title="${getButtonTitleForStatus(downloadData.status)}" style="
             width: 36px;
             height: 36px;
             border-radius: 50%;
@@ -302,9 +349,11 @@ function render() {
     title: itemEl.querySelector('.download-item__title'),
     artist: itemEl.querySelector('.download-item__artist'),
     album: itemEl.querySelector('.download-item__album'),
+    quality: itemEl.querySelector('.download-item__quality'),
     thumbnail: itemEl.querySelector('.download-item__thumbnail img'),
     status: itemEl.querySelector('.download-item__status'),
     formatSelector: itemEl.querySelector('.download-item__format-selector'),
+    formatOptions: itemEl.querySelector('.download-item__format-options'),
     actionButton: itemEl.querySelector('.download-item__action-button')
   };
 
@@ -346,15 +395,15 @@ function handleActionButtonClick(event) {
       break;
 
     case 'downloading':
-      // Mettre en pause
-      publishEvent('DOWNLOAD_PAUSE_REQUESTED', {
+      // Mettre en pause (le fichier partiel est conservé pour la reprise)
+      publishEvent('DOWNLOAD:ITEM_PAUSE_REQUEST', {
         downloadId: downloadData.id
       });
       break;
 
     case 'paused':
-      // Reprendre
-      publishEvent('DOWNLOAD_RESUME_REQUESTED', {
+      // Reprendre là où le téléchargement s'était arrêté
+      publishEvent('DOWNLOAD:ITEM_RESUME_REQUEST', {
         downloadId: downloadData.id
       });
       break;
@@ -382,14 +431,22 @@ function handleActionButtonClick(event) {
 function handleFormatSelectorClick(event) {
   event.stopPropagation();
 
-  // Publier un événement pour ouvrir le menu de sélection de format
-  publishEvent('FORMAT_SELECTION_REQUESTED', {
+  const option = event.target.closest('.download-item__format-option');
+  const menu = uiElements.formatOptions;
+
+  // Clic sur le sélecteur : ouvrir ou fermer la liste des formats
+  if (!option) {
+    menu.style.display = menu.style.display === 'block' ? 'none' : 'block';
+    return;
+  }
+
+  menu.style.display = 'none';
+  if (option.dataset.format === downloadData.format) return;
+
+  // Le libellé est mis à jour à la réception de l'événement (handleFormatChange)
+  publishEvent('DOWNLOAD_FORMAT_CHANGED', {
     downloadId: downloadData.id,
-    currentFormat: downloadData.format,
-    position: {
-      x: event.clientX,
-      y: event.clientY
-    }
+    format: option.dataset.format
   });
 }
 
@@ -461,6 +518,7 @@ function handleStatusChange(data) {
   // Actualiser l'icône du bouton
   if (uiElements.actionButton) {
     uiElements.actionButton.innerHTML = getButtonIconForStatus(data.status);
+    uiElements.actionButton.title = getButtonTitleForStatus(data.status);
   }
 
   // Afficher/masquer l'indicateur de statut selon le besoin
@@ -491,6 +549,44 @@ function handleStatusChange(data) {
   }
 }
 
+/**
+ * Gestionnaire pour la confirmation de mise en pause
+ * @param {Object} data - Données de l'événement
+ */
+function handlePaused(data) {
+  handleStatusChange({ downloadId: data.downloadId, status: 'paused' });
+}
+
+/**
+ * Gestionnaire pour la confirmation de reprise : l'élément repart en attente tant que le
+ * gestionnaire ne lui a pas attribué de place
+ * @param {Object} data - Données de l'événement ({ downloadId, status })
+ */
+function handleResumed(data) {
+  handleStatusChange({ downloadId: data.downloadId, status: toItemStatus(data.status) });
+}
+
+/**
+ * Gestionnaire pour les changements de statut publiés par le gestionnaire de téléchargements
+ * @param {Object} data - { downloadId, status, message }
+ */
+function handleManagerUpdate(data) {
+  if (data.downloadId !== downloadData.id) return;
+  const status = toItemStatus(data.status);
+  if (status === downloadData.status) return;
+  handleStatusChange({ downloadId: data.downloadId, status, errorMessage: data.message });
+}
+
+/**
+ * Statut affiché pour un statut du gestionnaire : analyse, recherche de sources ou attente
+ * d'une place apparaissent comme « en attente »
+ * @param {string} status - Statut du gestionnaire
+ * @returns {string}
+ */
+function toItemStatus(status) {
+  return ['downloading', 'paused', 'completed', 'error'].includes(status) ? status : 'pending';
+}
+
 /**
  * Gestionnaire pour les mises à jour de métadonnées
  * @param {Object} data - Données de l'événement
@@ -506,11 +602,47 @@ function handleMetadataUpdate(data) {
   if (data.genre) downloadData.genre = data.genre;
   if (data.thumbnailPath) downloadData.thumbnailPath = data.thumbnailPath;
   if (data.outputPath) downloadData.outputPath = data.outputPath;
+  if (data.quality) {
+    downloadData.quality = data.quality;
+    downloadData.qualityDowngraded = Boolean(data.qualityDowngraded);
+  }
 
   // Mettre à jour l'interface
   updateMetadataDisplay();
 }
 
+/**
+ * Gestionnaire pour la fin du téléchargement : reprend le fichier et la qualité obtenue
+ * @param {Object} data - Données de l'événement ({ downloadId, download, filePath })
+ */
+function handleCompleted(data) {
+  // Vérifier que l'événement concerne cet élément
+  if (data.downloadId !== downloadData.id) return;
+
+  const metadata = (data.download && data.download.metadata) || {};
+  handleMetadataUpdate({
+    downloadId: data.downloadId,
+    outputPath: data.filePath,
+    quality: metadata.quality,
+    qualityDowngraded: metadata.qualityDowngraded
+  });
+}
+
+/**
+ * Gestionnaire pour le résultat du traitement de l'intensité sonore
+ * @param {Object} data - Données de l'événement ({ downloadId, metadata })
+ */
+function handleProcessingMetadata(data) {
+  // Vérifier que l'événement concerne cet élément
+  if (data.downloadId !== downloadData.id) return;
+
+  const metadata = data.metadata || {};
+  if (metadata.loudness) downloadData.loudness = metadata.loudness;
+  if (metadata.replayGain) downloadData.replayGain = metadata.replayGain;
+
+  updateMetadataDisplay();
+}
+
 /**
  * Gestionnaire pour les demandes de suppression
  * @param {Object} data - Données de l'événement
@@ -603,7 +735,12 @@ function unsubscribeFromEvents() {
 
   eventBus.off('DOWNLOAD_PROGRESS_UPDATED', handleProgressUpdate);
   eventBus.off('DOWNLOAD_STATUS_CHANGED', handleStatusChange);
+  eventBus.off('DOWNLOAD:ITEM_PAUSED', handlePaused);
+  eventBus.off('DOWNLOAD:ITEM_RESUMED', handleResumed);
+  eventBus.off('DOWNLOAD:UPDATED', handleManagerUpdate);
   eventBus.off('DOWNLOAD_METADATA_UPDATED', handleMetadataUpdate);
+  eventBus.off('DOWNLOAD:COMPLETED', handleCompleted);
+  eventBus.off('DOWNLOAD:METADATA_UPDATED', handleProcessingMetadata);
   eventBus.off('DOWNLOAD_ITEM_REMOVE_REQUESTED', handleRemoveRequest);
   eventBus.off('DOWNLOAD_FORMAT_CHANGED', handleFormatChange);
   eventBus.off('DOWNLOAD_ERROR', handleError);
@@ -631,6 +768,37 @@ function updateMetadataDisplay() {
   if (uiElements.thumbnail) {
     uiElements.thumbnail.src = downloadData.thumbnailPath || getDefaultThumbnailForSource(downloadData.source);
   }
+
+  if (uiElements.quality) {
+    uiElements.quality.textContent = getQualityLabel();
+    uiElements.quality.style.color = downloadData.qualityDowngraded ? '#ffb84d' : 'rgba(255,255,255,0.6)';
+  }
+}
+
+/**
+ * Libellé de la qualité obtenue, signalée lorsqu'elle est inférieure à celle demandée,
+ * suivi de la normalisation ou du gain ReplayGain (titre seul, sinon album)
+ * @returns {string} Libellé, vide tant que rien n'est connu
+ */
+function getQualityLabel() {
+  const parts = [];
+
+  if (downloadData.quality) {
+    const label = downloadData.quality.replace('_', '-');
+    parts.push(downloadData.qualityDowngraded ? `${label} (qualité réduite)` : label);
+  }
+
+  if (downloadData.loudness) {
+    parts.push(`Normalisé à ${downloadData.loudness.targetLufs} LUFS`);
+  }
+
+  if (downloadData.replayGain) {
+    const { tracks, albumGain } = downloadData.replayGain;
+    const gain = tracks.length === 1 ? tracks[0].trackGain : albumGain;
+    parts.push(`ReplayGain ${gain > 0 ? '+' : ''}${gain.toFixed(2)} dB`);
+  }
+
+  return parts.join(' · ');
 }
 
 /**
@@ -687,6 +855,26 @@ function getButtonIconForStatus(status) {
   }
 }
 
+/**
+ * Récupère le libellé du bouton d'action selon le statut
+ * @param {string} status - Statut du téléchargement
+ * @returns {string} Libellé (infobulle)
+ */
+function getButtonTitleForStatus(status) {
+  switch (status) {
+    case 'downloading':
+      return 'Mettre en pause';
+    case 'paused':
+      return 'Reprendre';
+    case 'completed':
+      return 'Afficher dans le dossier';
+    case 'error':
+      return 'Réessayer';
+    default:
+      return 'Télécharger';
+  }
+}
+
 /**
  * Récupère l'URL d'une miniature par défaut selon la source
  * @param {string} source - Source du téléchargement
@@ -155,6 +155,10 @@ class SettingsPanel {
               <option value="flac">FLAC</option>
               <option value="wav">WAV</option>
               <option value="aiff">AIFF</option>
+              <option value="opus">Opus</option>
+              <option value="m4a">AAC (M4A)</option>
+              <option value="ogg">OGG Vorbis</option>
+              <option value="alac">ALAC</option>
             </select>
           </div>
 
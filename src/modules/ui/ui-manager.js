@@ -115,6 +115,14 @@ function handleConfigUpdated(config) {
       state.selectedFormat = config.defaultFormat;
     }
 
+    const formats = config.downloads && config.downloads.formats;
+    if (formats) {
+      state.batchConversion = {
+        formats: formats.availableFormats || state.batchConversion.formats,
+        presets: formats.conversionPresets || state.batchConversion.presets
+      };
+    }
+
     // Autres mises à jour de configuration...
 
     console.log('UI Manager: Configuration mise à jour');
@@ -147,19 +155,19 @@ function handleSystemError(data) {
 }
 
 /**
- * Gère l'événement de détection de playlist
+ * Gère l'événement de détection de playlist.
+ * Les éléments lus (une page de la playlist) peuvent être cochés un par un ;
+ * une plage (« titres 201 à 400 ») ou les N plus récents se demandent sans les lister.
  *
- * @param {Object} data - Données de la playlist
+ * @param {Object} data - Données de la playlist ({ id, url, playlistName, trackCount, items })
  * @returns {void}
  * @private
  */
 function handlePlaylistDetected(data) {
   try {
-    const { url, trackCount, playlistName, id } = data;
-
-    // Vérifier si le nombre de titres dépasse la limite
-    const maxTracks = 200;
-    const limitExceeded = trackCount > maxTracks;
+    const { url, trackCount, playlistName, id, items = [] } = data;
+    const firstIndex = items.length > 0 ? items[0].index : 1;
+    const lastIndex = items.length > 0 ? items[items.length - 1].index : 0;
 
     // Créer la boîte de dialogue de confirmation
     const dialog = document.createElement('div');
@@ -173,27 +181,114 @@ function handlePlaylistDetected(data) {
     content.textContent = `"${playlistName || 'Playlist sans nom'}" contient ${trackCount} titres.`;
     dialog.appendChild(content);
 
-    // Avertissement si le nombre de titres dépasse la limite
-    if (limitExceeded) {
+    // Avertissement si seule une partie de la playlist a été lue
+    if (items.length < trackCount) {
       const warning = document.createElement('p');
       warning.className = 'playlist-warning';
-      warning.textContent = `Seuls les ${maxTracks} premiers titres seront téléchargés.`;
+      warning.textContent = `Titres ${firstIndex} à ${lastIndex} affichés : choisissez une plage pour les suivants.`;
       dialog.appendChild(warning);
     }
 
+    // Sélection individuelle des titres lus
+    const toggleLabel = document.createElement('label');
+    toggleLabel.className = 'playlist-toggle';
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = !items.some((item) => item.archived);
+    toggleLabel.append(toggle, ' Tout sélectionner');
+    dialog.appendChild(toggleLabel);
+
+    const list = document.createElement('ul');
+    list.className = 'playlist-items';
+    const checkboxes = items.map((item) => {
+      const entry = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      // Les titres de l'archive des téléchargements sont décochés d'office
+      checkbox.checked = !item.archived;
+      checkbox.value = item.id;
+      label.append(checkbox, ` ${item.index}. ${item.title || item.id}`);
+      if (item.archived) label.append(' (déjà téléchargé)');
+      entry.appendChild(label);
+      list.appendChild(entry);
+      return checkbox;
+    });
+    dialog.appendChild(list);
+
+    toggle.addEventListener('change', () => {
+      checkboxes.forEach((checkbox) => {
+        checkbox.checked = toggle.checked;
+      });
+    });
+
+    // Plage de titres ou N plus récents
+    const createNumberInput = (value, placeholder) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '1';
+      input.max = String(trackCount);
+      input.value = value ? String(value) : '';
+      input.placeholder = placeholder;
+      return input;
+    };
+
+    const pageSize = Math.max(items.length, 1);
+    const rangeStart = createNumberInput(lastIndex < trackCount ? lastIndex + 1 : 1, 'début');
+    const rangeEnd = createNumberInput(
+      Math.min(Number(rangeStart.value) + pageSize - 1, trackCount),
+      'fin'
+    );
+    const newest = createNumberInput(null, 'N');
+
+    const range = document.createElement('div');
+    range.className = 'playlist-range';
+    range.append('Titres ', rangeStart, ' à ', rangeEnd, ' ou les ', newest, ' plus récents');
+    dialog.appendChild(range);
+
     // Options
     const options = document.createElement('div');
     options.className = 'dialog-options';
 
-    // Bouton pour télécharger la playlist complète
-    const downloadAllButton = document.createElement('button');
-    downloadAllButton.className = 'dialog-button primary';
-    downloadAllButton.textContent = 'Télécharger la playlist';
-    downloadAllButton.addEventListener('click', () => {
+    // Bouton pour télécharger les titres cochés
+    const downloadSelectionButton = document.createElement('button');
+    downloadSelectionButton.className = 'dialog-button primary';
+    downloadSelectionButton.textContent = 'Télécharger la sélection';
+    downloadSelectionButton.addEventListener('click', () => {
+      const selected = checkboxes.filter((box) => box.checked).map((box) => box.value);
+      if (selected.length === 0) {
+        showNotification('Aucun titre sélectionné', 'warning');
+        return;
+      }
       closeDialog();
-      handlePlaylistDecision(id, url, 'all', limitExceeded ? maxTracks : trackCount);
+      handlePlaylistDecision(id, url, 'selection', selected.length, { items: selected });
     });
-    options.appendChild(downloadAllButton);
+    options.appendChild(downloadSelectionButton);
+
+    // Bouton pour télécharger une plage (lue à la demande par l'adaptateur)
+    const downloadRangeButton = document.createElement('button');
+    downloadRangeButton.className = 'dialog-button secondary';
+    downloadRangeButton.textContent = 'Télécharger la plage';
+    downloadRangeButton.addEventListener('click', () => {
+      const count = parseInt(newest.value, 10);
+      const start = parseInt(rangeStart.value, 10);
+      const end = parseInt(rangeEnd.value, 10);
+
+      if (count > 0) {
+        closeDialog();
+        handlePlaylistDecision(id, url, 'range', Math.min(count, trackCount), {
+          playlistItems: { newest: count }
+        });
+      } else if (start >= 1 && end >= start) {
+        closeDialog();
+        handlePlaylistDecision(id, url, 'range', Math.min(end, trackCount) - start + 1, {
+          playlistItems: { start, end }
+        });
+      } else {
+        showNotification('Plage de titres invalide', 'warning');
+      }
+    });
+    options.appendChild(downloadRangeButton);
 
     // Bouton pour télécharger uniquement le titre actuel
     const downloadCurrentButton = document.createElement('button');
@@ -242,12 +337,13 @@ function handlePlaylistDetected(data) {
  *
  * @param {string} id - ID du téléchargement associé
  * @param {string} url - URL de la playlist
- * @param {string} decision - Décision ('all', 'single', 'cancel')
+ * @param {string} decision - Décision ('all', 'selection', 'range', 'single', 'cancel')
  * @param {number} trackCount - Nombre de titres à télécharger
+ * @param {Object} [details] - Titres choisis ({ items }) ou plage demandée ({ playlistItems })
  * @returns {void}
  * @private
  */
-function handlePlaylistDecision(id, url, decision, trackCount) {
+function handlePlaylistDecision(id, url, decision, trackCount, details = {}) {
   try {
     // Publier l'événement de décision
     state.eventBus.publish('UI:PLAYLIST_DECISION', {
@@ -255,12 +351,15 @@ function handlePlaylistDecision(id, url, decision, trackCount) {
       url,
       decision,
       trackCount,
+      ...details,
       timestamp: Date.now()
     });
 
     // Mettre à jour l'interface selon la décision
     switch (decision) {
       case 'all':
+      case 'selection':
+      case 'range':
         // Notifier l'utilisateur
         showNotification(`Téléchargement de ${trackCount} titres démarré`, 'info');
         break;
@@ -280,6 +379,715 @@ function handlePlaylistDecision(id, url, decision, trackCount) {
   }
 }
 
+/**
+ * Propose de passer, remplacer ou garder un téléchargement déjà présent
+ *
+ * @param {Object} data - Doublon détecté ({ downloadId, url, metadata, duplicates })
+ * @returns {void}
+ * @private
+ */
+function handleDuplicateDetected(data) {
+  try {
+    const { downloadId, url, metadata, duplicates = [] } = data;
+    const sources = {
+      history: 'Déjà téléchargé',
+      queue: "Déjà dans la file d'attente",
+      library: 'Présent dans la bibliothèque',
+      archive: "Dans l'archive des téléchargements"
+    };
+
+    const dialog = document.createElement('div');
+    dialog.className = 'duplicate-dialog';
+
+    const header = document.createElement('h3');
+    header.textContent = 'Doublon détecté';
+    dialog.appendChild(header);
+
+    const content = document.createElement('p');
+    const title = metadata && metadata.title ? metadata.title : url;
+    content.textContent = `"${title}" semble déjà présent :`;
+    dialog.appendChild(content);
+
+    const list = document.createElement('ul');
+    list.className = 'duplicate-matches';
+    duplicates.forEach((duplicate) => {
+      const entry = document.createElement('li');
+      const label = sources[duplicate.type] || duplicate.type;
+      const how = duplicate.match === 'metadata' ? ' (même artiste et titre)' : '';
+      entry.textContent = `${label}${how}${duplicate.filePath ? ` — ${duplicate.filePath}` : ''}`;
+      list.appendChild(entry);
+    });
+    dialog.appendChild(list);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+
+    const closeDialog = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(overlay);
+    };
+
+    const options = document.createElement('div');
+    options.className = 'dialog-options';
+
+    [
+      { decision: 'skip', label: 'Passer', className: 'primary' },
+      { decision: 'replace', label: 'Remplacer', className: 'secondary' },
+      { decision: 'keep', label: 'Garder les deux', className: 'tertiary' }
+    ].forEach(({ decision, label, className }) => {
+      const button = document.createElement('button');
+      button.className = `dialog-button ${className}`;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        closeDialog();
+        handleDuplicateDecision(downloadId, decision);
+      });
+      options.appendChild(button);
+    });
+
+    dialog.appendChild(options);
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
+  } catch (error) {
+    handleUIError('Gestion de doublon', error);
+  }
+}
+
+/**
+ * Transmet le choix de l'utilisateur pour un doublon
+ *
+ * @param {string} downloadId - ID du téléchargement en doublon
+ * @param {string} decision - Décision ('skip', 'replace', 'keep')
+ * @returns {void}
+ * @private
+ */
+function handleDuplicateDecision(downloadId, decision) {
+  try {
+    state.eventBus.publish('DOWNLOAD:DUPLICATE_DECISION', { downloadId, decision });
+
+    if (decision === 'skip') {
+      removeDownloadItem(downloadId);
+    }
+  } catch (error) {
+    handleUIError('Gestion de décision doublon', error);
+  }
+}
+
+/**
+ * Affiche dans l'élément de la file les sources proposées pour un titre Spotify, avec leur
+ * indice de confiance, et un champ pour indiquer une autre adresse
+ *
+ * @param {Object} data - Données de l'événement DOWNLOAD:MATCHES_FOUND
+ * @returns {void}
+ * @private
+ */
+function handleMatchesFound(data) {
+  try {
+    const { downloadId, matches = [] } = data;
+    const element = document.getElementById(downloadId);
+    if (!element) return;
+
+    const previous = element.querySelector('.download-matches');
+    if (previous) previous.remove();
+
+    const container = document.createElement('div');
+    container.className = 'download-matches';
+
+    const list = document.createElement('ul');
+    matches.forEach((match) => {
+      const entry = document.createElement('li');
+      entry.className = `download-match platform-${match.platform}`;
+      entry.dataset.url = match.url;
+
+      const label = document.createElement('span');
+      label.className = 'match-label';
+      const by = match.channel || match.artist;
+      label.textContent = `${match.title}${by ? ` — ${by}` : ''} (${match.platform})`;
+      label.title = match.url;
+
+      const confidence = document.createElement('span');
+      confidence.className = 'match-confidence';
+      confidence.textContent = `${match.confidence} %`;
+
+      const button = document.createElement('button');
+      button.className = 'dialog-button secondary';
+      button.textContent = 'Choisir';
+      button.addEventListener('click', () => handleMatchDecision(downloadId, match.url));
+
+      entry.appendChild(label);
+      entry.appendChild(confidence);
+      entry.appendChild(button);
+      list.appendChild(entry);
+    });
+    container.appendChild(list);
+
+    if (matches.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'Aucune source trouvée : indiquez une adresse.';
+      container.appendChild(empty);
+    }
+
+    // Autre adresse, lorsque aucun résultat ne convient
+    const override = document.createElement('div');
+    override.className = 'match-override';
+
+    const input = document.createElement('input');
+    input.type = 'url';
+    input.placeholder = 'Autre adresse (YouTube, SoundCloud, Bandcamp…)';
+
+    const useButton = document.createElement('button');
+    useButton.className = 'dialog-button tertiary';
+    useButton.textContent = 'Utiliser';
+    useButton.addEventListener('click', () => {
+      const url = input.value.trim();
+      if (url) handleMatchDecision(downloadId, url);
+    });
+
+    override.appendChild(input);
+    override.appendChild(useButton);
+    container.appendChild(override);
+
+    element.classList.add('has-matches');
+    element.appendChild(container);
+  } catch (error) {
+    handleUIError('Affichage des sources', error);
+  }
+}
+
+/**
+ * Transmet la source retenue pour un titre Spotify ; le choix reste modifiable jusqu'au
+ * démarrage du téléchargement
+ *
+ * @param {string} downloadId - ID du téléchargement
+ * @param {string} url - Adresse de la source retenue
+ * @returns {void}
+ * @private
+ */
+function handleMatchDecision(downloadId, url) {
+  try {
+    state.eventBus.publish('DOWNLOAD:MATCH_DECISION', { downloadId, url });
+
+    const element = document.getElementById(downloadId);
+    if (!element) return;
+    element.querySelectorAll('.download-match').forEach((entry) => {
+      entry.classList.toggle('selected', entry.dataset.url === url);
+    });
+  } catch (error) {
+    handleUIError('Choix de la source', error);
+  }
+}
+
+/**
+ * Demande l'import des métadonnées seules d'un lien Spotify ou Tidal, sans téléchargement
+ *
+ * @param {Object} item - Élément de la liste ({ id, url })
+ * @returns {void}
+ * @private
+ */
+function requestTracklistImport(item) {
+  state.eventBus.publish('PLAYLIST:TRACKLIST_IMPORT_REQUEST', {
+    requestId: item.id,
+    url: item.url
+  });
+  showNotification('Import des métadonnées en cours', 'info');
+}
+
+/**
+ * Affiche la liste des titres importée : recherche dans la bibliothèque locale et export
+ * en CSV, JSON ou M3U
+ *
+ * @param {Object} data - Liste importée ({ requestId, title, tracks })
+ * @returns {void}
+ * @private
+ */
+function handleTracklistImported(data) {
+  try {
+    const { requestId, title, tracks = [] } = data;
+    state.tracklists.set(requestId, { title, tracks });
+
+    const dialog = document.createElement('div');
+    dialog.className = 'playlist-dialog tracklist-dialog';
+    dialog.dataset.requestId = requestId;
+
+    const header = document.createElement('h3');
+    header.textContent = 'Métadonnées importées';
+    dialog.appendChild(header);
+
+    const content = document.createElement('p');
+    content.textContent = `"${title || 'Sans titre'}" : ${tracks.length} titre(s).`;
+    dialog.appendChild(content);
+
+    const list = document.createElement('ul');
+    list.className = 'playlist-items tracklist-items';
+    tracks.forEach((track, index) => {
+      const entry = document.createElement('li');
+      entry.textContent = `${index + 1}. ${track.artists.join(', ')} - ${track.title}`;
+      if (track.isrc) entry.title = `ISRC ${track.isrc}`;
+      list.appendChild(entry);
+    });
+    dialog.appendChild(list);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+
+    const closeDialog = () => {
+      state.tracklists.delete(requestId);
+      document.body.removeChild(dialog);
+      document.body.removeChild(overlay);
+    };
+
+    const options = document.createElement('div');
+    options.className = 'dialog-options';
+
+    const matchButton = document.createElement('button');
+    matchButton.className = 'dialog-button primary';
+    matchButton.textContent = 'Rechercher dans la bibliothèque';
+    matchButton.addEventListener('click', () => {
+      state.eventBus.publish('PLAYLIST:TRACKLIST_MATCH_REQUEST', {
+        requestId,
+        tracks: state.tracklists.get(requestId).tracks
+      });
+    });
+    options.appendChild(matchButton);
+
+    ['csv', 'json', 'm3u'].forEach((format) => {
+      const button = document.createElement('button');
+      button.className = 'dialog-button secondary';
+      button.textContent = `Exporter en ${format.toUpperCase()}`;
+      button.addEventListener('click', () => {
+        const tracklist = state.tracklists.get(requestId);
+        state.eventBus.publish('PLAYLIST:TRACKLIST_EXPORT_REQUEST', {
+          requestId,
+          name: tracklist.title,
+          tracks: tracklist.tracks,
+          format
+        });
+      });
+      options.appendChild(button);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'dialog-button tertiary';
+    closeButton.textContent = 'Fermer';
+    closeButton.addEventListener('click', closeDialog);
+    options.appendChild(closeButton);
+
+    dialog.appendChild(options);
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
+  } catch (error) {
+    handleUIError('Affichage des métadonnées importées', error);
+  }
+}
+
+/**
+ * Signale les titres importés présents dans la bibliothèque ; l'export M3U pointe ensuite
+ * vers leurs fichiers
+ *
+ * @param {Object} data - Titres complétés ({ requestId, tracks, matchedCount })
+ * @returns {void}
+ * @private
+ */
+function handleTracklistMatched(data) {
+  try {
+    const { requestId, tracks = [], matchedCount } = data;
+    const tracklist = state.tracklists.get(requestId);
+    if (!tracklist) return;
+    tracklist.tracks = tracks;
+
+    const dialog = document.querySelector(`.tracklist-dialog[data-request-id="${requestId}"]`);
+    if (dialog) {
+      dialog.querySelectorAll('.tracklist-items li').forEach((entry, index) => {
+        const filePath = tracks[index] && tracks[index].filePath;
+        entry.classList.toggle('in-library', Boolean(filePath));
+        if (filePath) entry.title = filePath;
+      });
+    }
+
+    showNotification(`${matchedCount} titre(s) sur ${tracks.length} dans la bibliothèque`, 'info');
+  } catch (error) {
+    handleUIError('Recherche dans la bibliothèque', error);
+  }
+}
+
+/**
+ * Affiche le code d'autorisation d'appareil et l'adresse où le saisir. La fenêtre se ferme
+ * à la fin de l'autorisation ; la fermer abandonne la connexion.
+ *
+ * @param {Object} data - Code émis ({ requestId, service, userCode, verificationUri,
+ *   verificationUriComplete, expiresAt })
+ * @returns {void}
+ * @private
+ */
+function handleDeviceCodeIssued(data) {
+  try {
+    const { requestId, service, userCode, verificationUri, verificationUriComplete, expiresAt } =
+      data;
+    closeDeviceCodeDialog(requestId);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'playlist-dialog device-code-dialog';
+    dialog.dataset.requestId = requestId;
+
+    const header = document.createElement('h3');
+    header.textContent = `Connexion à ${service}`;
+    dialog.appendChild(header);
+
+    const content = document.createElement('p');
+    content.textContent = `Saisissez ce code sur ${verificationUri} :`;
+    dialog.appendChild(content);
+
+    const code = document.createElement('p');
+    code.className = 'device-code';
+    code.textContent = userCode;
+    dialog.appendChild(code);
+
+    const expiry = document.createElement('p');
+    expiry.textContent = `Code valable jusqu'à ${new Date(expiresAt).toLocaleTimeString()}.`;
+    dialog.appendChild(expiry);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    overlay.dataset.requestId = requestId;
+
+    const options = document.createElement('div');
+    options.className = 'dialog-options';
+
+    const openButton = document.createElement('button');
+    openButton.className = 'dialog-button primary';
+    openButton.textContent = 'Ouvrir la page';
+    openButton.addEventListener('click', () => {
+      state.eventBus.publish('OPEN_EXTERNAL_URL', {
+        url: verificationUriComplete || verificationUri
+      });
+    });
+    options.appendChild(openButton);
+
+    const copyButton = document.createElement('button');
+    copyButton.className = 'dialog-button secondary';
+    copyButton.textContent = 'Copier le code';
+    copyButton.addEventListener('click', () => {
+      navigator.clipboard
+        .writeText(userCode)
+        .then(() => {
+          showNotification('Code copié', 'info');
+        })
+        .catch(() => {
+          showNotification('Impossible de copier le code, saisissez-le manuellement', 'warning');
+        });
+    });
+    options.appendChild(copyButton);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'dialog-button tertiary';
+    cancelButton.textContent = 'Annuler';
+    cancelButton.addEventListener('click', () => {
+      closeDeviceCodeDialog(requestId);
+      state.eventBus.publish('AUTH:DEVICE_FLOW_CANCEL', { requestId });
+    });
+    options.appendChild(cancelButton);
+
+    dialog.appendChild(options);
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
+  } catch (error) {
+    handleUIError("Affichage du code d'autorisation", error);
+  }
+}
+
+/**
+ * Ferme la fenêtre du code d'autorisation d'appareil d'une demande
+ *
+ * @param {string} requestId - Demande d'autorisation
+ * @returns {boolean} true si une fenêtre était ouverte
+ * @private
+ */
+function closeDeviceCodeDialog(requestId) {
+  const selector = `[data-request-id="${requestId}"]`;
+  const dialog = document.querySelector(`.device-code-dialog${selector}`);
+  if (!dialog) return false;
+
+  dialog.remove();
+  const overlay = document.querySelector(`.dialog-overlay${selector}`);
+  if (overlay) overlay.remove();
+  return true;
+}
+
+/**
+ * Clôt l'autorisation d'appareil affichée et en indique l'issue
+ *
+ * @param {Object} data - AUTH:SUCCESS ou AUTH:FAILURE ({ requestId, service, message, cancelled })
+ * @param {boolean} success - Autorisation accordée
+ * @returns {void}
+ * @private
+ */
+function handleDeviceAuthResult(data, success) {
+  try {
+    if (!data || !closeDeviceCodeDialog(data.requestId)) return;
+
+    if (success) {
+      showNotification(`Connecté à ${data.service}`, 'success');
+    } else if (!data.cancelled) {
+      showNotification(data.message, 'error');
+    }
+  } catch (error) {
+    handleUIError("Fin de l'autorisation d'appareil", error);
+  }
+}
+
+/**
+ * Ouvre la conversion de fichiers locaux pour les fichiers et dossiers déposés : format
+ * cible, préréglage, dossier de sortie et sort des originaux, puis progression du lot
+ *
+ * @param {string[]} paths - Chemins des fichiers et dossiers déposés
+ * @returns {void}
+ * @private
+ */
+function openBatchConversionDialog(paths) {
+  try {
+    const requestId = `batch-${Date.now()}`;
+    const { formats, presets } = state.batchConversion;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'playlist-dialog batch-conversion-dialog';
+    dialog.dataset.requestId = requestId;
+
+    const header = document.createElement('h3');
+    header.textContent = 'Convertir des fichiers';
+    dialog.appendChild(header);
+
+    const content = document.createElement('p');
+    content.textContent = `${paths.length} élément(s) déposé(s) ; les dossiers sont reproduits dans le dossier de sortie.`;
+    dialog.appendChild(content);
+
+    const fields = document.createElement('div');
+    fields.className = 'batch-conversion-fields';
+
+    const formatSelect = document.createElement('select');
+    formats.forEach((format) => {
+      formatSelect.appendChild(new Option(format.toUpperCase(), format));
+    });
+    formatSelect.value = formats.includes(state.selectedFormat) ? state.selectedFormat : formats[0];
+    fields.appendChild(createFieldLabel('Format', formatSelect));
+
+    const presetSelect = document.createElement('select');
+    presetSelect.appendChild(new Option('Qualité des téléchargements', ''));
+    Object.entries(presets).forEach(([id, preset]) => {
+      presetSelect.appendChild(new Option(preset.label || id, id));
+    });
+    fields.appendChild(createFieldLabel('Préréglage', presetSelect));
+
+    const outputInput = document.createElement('input');
+    outputInput.type = 'text';
+    outputInput.className = 'batch-conversion-output';
+    outputInput.placeholder = 'Dossier « Conversions » des téléchargements';
+    const browseButton = document.createElement('button');
+    browseButton.className = 'dialog-button secondary';
+    browseButton.textContent = 'Parcourir';
+    browseButton.addEventListener('click', () => {
+      state.eventBus.publish('DIALOG_SELECT_DIRECTORY', { requestId });
+    });
+    const outputLabel = createFieldLabel('Dossier de sortie', outputInput);
+    outputLabel.appendChild(browseButton);
+    fields.appendChild(outputLabel);
+
+    const deleteCheckbox = document.createElement('input');
+    deleteCheckbox.type = 'checkbox';
+    fields.appendChild(
+      createFieldLabel('Supprimer les originaux après conversion', deleteCheckbox)
+    );
+
+    dialog.appendChild(fields);
+
+    const progress = document.createElement('progress');
+    progress.className = 'batch-conversion-progress';
+    progress.max = 100;
+    progress.value = 0;
+    progress.hidden = true;
+    dialog.appendChild(progress);
+
+    const status = document.createElement('p');
+    status.className = 'batch-conversion-status';
+    dialog.appendChild(status);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    overlay.dataset.requestId = requestId;
+
+    const options = document.createElement('div');
+    options.className = 'dialog-options';
+
+    const convertButton = document.createElement('button');
+    convertButton.className = 'dialog-button primary';
+    convertButton.textContent = 'Convertir';
+    options.appendChild(convertButton);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'dialog-button tertiary';
+    cancelButton.textContent = 'Annuler';
+    options.appendChild(cancelButton);
+
+    let started = false;
+    convertButton.addEventListener('click', () => {
+      started = true;
+      fields.querySelectorAll('input, select, button').forEach((field) => {
+        field.disabled = true;
+      });
+      convertButton.disabled = true;
+      progress.hidden = false;
+      status.textContent = 'Recherche des fichiers audio…';
+
+      state.eventBus.publish('FORMAT:BATCH_REQUEST', {
+        requestId,
+        paths,
+        targetFormat: formatSelect.value,
+        preset: presetSelect.value || undefined,
+        outputDir: outputInput.value.trim() || undefined,
+        deleteOriginals: deleteCheckbox.checked
+      });
+    });
+
+    // Avant le lancement, Annuler ferme la fenêtre ; ensuite, les fichiers restants sont
+    // annulés et la fenêtre se ferme avec le bilan du lot
+    cancelButton.addEventListener('click', () => {
+      if (!started) {
+        closeBatchConversionDialog(requestId);
+        return;
+      }
+      cancelButton.disabled = true;
+      state.eventBus.publish('FORMAT:BATCH_CANCEL', { requestId });
+    });
+
+    dialog.appendChild(options);
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
+  } catch (error) {
+    handleUIError('Conversion de fichiers', error);
+  }
+}
+
+/**
+ * Crée un libellé contenant un champ de formulaire
+ *
+ * @param {string} text - Libellé
+ * @param {HTMLElement} field - Champ
+ * @returns {HTMLLabelElement}
+ * @private
+ */
+function createFieldLabel(text, field) {
+  const label = document.createElement('label');
+  const caption = document.createElement('span');
+  caption.textContent = text;
+  label.appendChild(caption);
+  label.appendChild(field);
+  return label;
+}
+
+/**
+ * Ferme la fenêtre de conversion d'un lot
+ *
+ * @param {string} requestId - Lot de conversion
+ * @returns {boolean} true si une fenêtre était ouverte
+ * @private
+ */
+function closeBatchConversionDialog(requestId) {
+  const selector = `[data-request-id="${requestId}"]`;
+  const dialog = document.querySelector(`.batch-conversion-dialog${selector}`);
+  if (!dialog) return false;
+
+  dialog.remove();
+  const overlay = document.querySelector(`.dialog-overlay${selector}`);
+  if (overlay) overlay.remove();
+  return true;
+}
+
+/**
+ * Reporte le dossier choisi dans la fenêtre de conversion qui l'a demandé
+ *
+ * @param {Object} data - Dossier sélectionné ({ requestId, directory })
+ * @returns {void}
+ * @private
+ */
+function handleDirectorySelected(data) {
+  const dialog = document.querySelector(
+    `.batch-conversion-dialog[data-request-id="${data.requestId}"]`
+  );
+  if (dialog) dialog.querySelector('.batch-conversion-output').value = data.directory;
+}
+
+/**
+ * Met à jour la progression d'un lot de conversion
+ *
+ * @param {Object} data - Progression ({ requestId, total, done, failed, percent, currentFile })
+ * @returns {void}
+ * @private
+ */
+function handleBatchProgress(data) {
+  try {
+    const { requestId, total, done, failed, percent, currentFile } = data;
+    const dialog = document.querySelector(
+      `.batch-conversion-dialog[data-request-id="${requestId}"]`
+    );
+    if (!dialog) return;
+
+    dialog.querySelector('.batch-conversion-progress').value = percent;
+    const failures = failed > 0 ? `, ${failed} en échec` : '';
+    dialog.querySelector('.batch-conversion-status').textContent =
+      `${done}/${total} fichier(s)${failures} — ${path.basename(currentFile || '')}`;
+  } catch (error) {
+    handleUIError('Progression de la conversion', error);
+  }
+}
+
+/**
+ * Ferme la fenêtre d'un lot terminé et en affiche le bilan
+ *
+ * @param {Object} data - Bilan ({ requestId, total, converted, failed, cancelled, outputDir })
+ * @returns {void}
+ * @private
+ */
+function handleBatchCompleted(data) {
+  try {
+    const { requestId, total, converted, failed = [], cancelled, outputDir } = data;
+    closeBatchConversionDialog(requestId);
+
+    if (cancelled) {
+      showNotification(`Conversion annulée : ${converted} fichier(s) converti(s)`, 'warning');
+    } else if (failed.length > 0) {
+      failed.forEach(({ sourceFile, error }) => {
+        console.warn(`UI Manager: Conversion de ${sourceFile} impossible : ${error}`);
+      });
+      showNotification(
+        `${converted}/${total} fichier(s) converti(s), ${failed.length} en échec`,
+        'warning'
+      );
+    } else {
+      showNotification(`${converted} fichier(s) converti(s) dans ${outputDir}`, 'success');
+    }
+  } catch (error) {
+    handleUIError('Fin de la conversion', error);
+  }
+}
+
+/**
+ * Ferme la fenêtre d'un lot refusé (aucun fichier audio, demande invalide)
+ *
+ * @param {Object} data - Refus ({ requestId, error })
+ * @returns {void}
+ * @private
+ */
+function handleBatchFailed(data) {
+  closeBatchConversionDialog(data.requestId);
+  showNotification(
+    `Conversion impossible : ${(data.error && data.error.message) || 'demande invalide'}`,
+    'error'
+  );
+}
+
 /**
  * Supprime un élément de téléchargement de l'interface et de l'état
  *
@@ -339,6 +1147,18 @@ function applyTheme(theme) {
   }
 }
 
+/**
+ * Affiche une notification demandée par un autre module (ex. nouveautés d'un abonnement)
+ *
+ * @param {Object} data - Notification ({ message, type, duration })
+ * @returns {void}
+ * @private
+ */
+function handleNotificationShow(data) {
+  if (!data || !data.message) return;
+  showNotification(data.message, data.type, data.duration);
+}
+
 /**
  * Affiche une notification à l'utilisateur
  *
@@ -443,10 +1263,23 @@ module.exports = { initialize }; /**
  *  - AUTH:STATUS_CHANGED - Déclenché quand le statut d'authentification change
  *  - ERROR:OCCURRED - Déclenché quand une erreur survient dans le système
  *  - PLAYLIST:DETECTED - Déclenché quand une playlist est détectée
+ *  - QUEUE_STATUS - Déclenché quand l'ordre ou l'état de la file d'attente change
+ *  - DOWNLOAD:DUPLICATE_DETECTED - Déclenché quand une URL ajoutée est déjà présente
+ *  - DOWNLOAD:MATCHES_FOUND - Déclenché quand des sources sont proposées pour un titre Spotify
+ *  - PLAYLIST:TRACKLIST_IMPORTED - Déclenché quand les métadonnées seules d'un lien sont importées
+ *  - PLAYLIST:TRACKLIST_MATCHED - Déclenché quand les titres importés sont cherchés dans la bibliothèque
+ *  - PLAYLIST:TRACKLIST_IMPORT_ERROR - Déclenché quand l'import des métadonnées échoue
+ *  - UI:NOTIFICATION_SHOW - Déclenché quand un module demande l'affichage d'une notification
+ *  - AUTH:DEVICE_CODE_ISSUED - Déclenché quand un code d'autorisation d'appareil doit être saisi
+ *  - AUTH:SUCCESS | AUTH:FAILURE - Déclenchés à la fin d'une autorisation d'appareil
+ *  - DIALOG_DIRECTORY_SELECTED - Déclenché quand le dossier de sortie d'une conversion est choisi
+ *  - FORMAT:BATCH_PROGRESS - Déclenché quand un lot de fichiers locaux progresse
+ *  - FORMAT:BATCH_COMPLETED | FORMAT:BATCH_FAILED - Déclenchés à la fin ou au refus d'un lot
  *
  * @events émis:
  *  - UI:READY - Émis quand l'interface utilisateur est prête
  *  - UI:URL_ADDED - Émis quand une URL est ajoutée par l'utilisateur
+ *  - DOWNLOAD:URL_ADD_REQUEST - Émis pour placer l'URL ajoutée dans la file de téléchargement
  *  - UI:DOWNLOAD_REQUESTED - Émis quand l'utilisateur demande un téléchargement
  *  - UI:CANCEL_REQUESTED - Émis quand l'utilisateur demande l'annulation d'un téléchargement
  *  - UI:CLEAR_COMPLETED - Émis quand l'utilisateur demande l'effacement des téléchargements terminés
@@ -456,6 +1289,17 @@ module.exports = { initialize }; /**
  *  - UI:HELP_REQUESTED - Émis quand l'utilisateur demande l'aide
  *  - UI:THEME_CHANGED - Émis quand l'utilisateur change le thème
  *  - UI:PLAYLIST_DECISION - Émis quand l'utilisateur décide comment gérer une playlist
+ *  - QUEUE_MOVE_ITEM - Émis quand l'utilisateur déplace un élément dans la file d'attente
+ *  - DOWNLOAD:DUPLICATE_DECISION - Émis quand l'utilisateur choisit de passer, remplacer ou garder un doublon
+ *  - DOWNLOAD:MATCH_DECISION - Émis quand l'utilisateur retient une source pour un titre Spotify
+ *  - PLAYLIST:TRACKLIST_IMPORT_REQUEST - Émis quand l'utilisateur importe les métadonnées seules
+ *  - PLAYLIST:TRACKLIST_MATCH_REQUEST - Émis pour chercher les titres importés dans la bibliothèque
+ *  - PLAYLIST:TRACKLIST_EXPORT_REQUEST - Émis pour exporter les titres importés (CSV, JSON, M3U)
+ *  - AUTH:DEVICE_FLOW_CANCEL - Émis quand l'utilisateur abandonne une autorisation d'appareil
+ *  - OPEN_EXTERNAL_URL - Émis pour ouvrir la page de vérification dans le navigateur
+ *  - FORMAT:BATCH_REQUEST - Émis quand l'utilisateur convertit des fichiers ou dossiers déposés
+ *  - FORMAT:BATCH_CANCEL - Émis quand l'utilisateur annule les fichiers restants d'un lot
+ *  - DIALOG_SELECT_DIRECTORY - Émis pour choisir le dossier de sortie d'une conversion
  *  - ERROR:UI - Émis quand une erreur se produit dans l'interface utilisateur
  */
 
@@ -471,9 +1315,25 @@ const state = {
   downloadItems: new Map(), // Map des éléments de téléchargement (id -> détails)
   activeViews: new Set(), // Composants UI actifs actuellement
   selectedFormat: 'mp3', // Format audio par défaut
-  dragCounter: 0 // Compteur pour la gestion du drag & drop
+  dragCounter: 0, // Compteur pour la gestion du drag & drop
+  platforms: [], // Plateformes du registre d'adaptateurs ({ platform, color, matchers })
+  tracklists: new Map(), // Listes de titres importées affichées (requestId -> { title, tracks })
+  // Formats et préréglages proposés par la conversion de fichiers (downloads.formats)
+  batchConversion: {
+    formats: ['mp3', 'wav', 'flac', 'aiff', 'opus', 'm4a', 'ogg', 'alac'],
+    presets: {}
+  }
 };
 
+// Plateforme des URL hors du registre, téléchargées par l'adaptateur générique (yt-dlp)
+const GENERIC_PLATFORM = 'generic';
+
+// Plateformes dont les métadonnées peuvent être importées seules, sans téléchargement
+const TRACKLIST_PLATFORMS = ['spotify', 'tidal'];
+
+// Type de données transporté lors du déplacement d'un élément de la liste (distinct des URL déposées)
+const DOWNLOAD_DRAG_TYPE = 'application/x-byts-download-id';
+
 /**
  * Initialise le gestionnaire UI et s'abonne aux événements appropriés
  *
@@ -496,19 +1356,66 @@ function initialize(eventBus) {
   eventBus.subscribe('CONFIG:UPDATED', handleConfigUpdated);
   eventBus.subscribe('DOWNLOAD:STARTED', handleDownloadStarted);
   eventBus.subscribe('DOWNLOAD:PROGRESS', handleDownloadProgress);
+  eventBus.subscribe('DOWNLOAD:ITEM_PROGRESS_THROTTLED', handleItemProgressBatch);
   eventBus.subscribe('DOWNLOAD:COMPLETED', handleDownloadCompleted);
   eventBus.subscribe('DOWNLOAD:ERROR', handleDownloadError);
   eventBus.subscribe('METADATA:UPDATED', handleMetadataUpdated);
   eventBus.subscribe('AUTH:STATUS_CHANGED', handleAuthStatusChanged);
   eventBus.subscribe('ERROR:OCCURRED', handleSystemError);
+  eventBus.subscribe('ADAPTER:REGISTRY_UPDATED', handleAdapterRegistryUpdated);
+  eventBus.subscribe('QUEUE_STATUS', handleQueueStatus);
+  eventBus.subscribe('PLAYLIST:DETECTED', handlePlaylistDetected);
+  eventBus.subscribe('UI:NOTIFICATION_SHOW', handleNotificationShow);
+  eventBus.subscribe('DOWNLOAD:DUPLICATE_DETECTED', handleDuplicateDetected);
+  eventBus.subscribe('DOWNLOAD:MATCHES_FOUND', handleMatchesFound);
+  eventBus.subscribe('PLAYLIST:TRACKLIST_IMPORTED', handleTracklistImported);
+  eventBus.subscribe('PLAYLIST:TRACKLIST_MATCHED', handleTracklistMatched);
+  eventBus.subscribe('PLAYLIST:TRACKLIST_IMPORT_ERROR', (data) =>
+    showNotification(`Import des métadonnées impossible : ${data.error}`, 'error')
+  );
+  eventBus.subscribe('AUTH:DEVICE_CODE_ISSUED', handleDeviceCodeIssued);
+  eventBus.subscribe('AUTH:SUCCESS', (data) => handleDeviceAuthResult(data, true));
+  eventBus.subscribe('AUTH:FAILURE', (data) => handleDeviceAuthResult(data, false));
+  eventBus.subscribe('DIALOG_DIRECTORY_SELECTED', handleDirectorySelected);
+  eventBus.subscribe('FORMAT:BATCH_PROGRESS', handleBatchProgress);
+  eventBus.subscribe('FORMAT:BATCH_COMPLETED', handleBatchCompleted);
+  eventBus.subscribe('FORMAT:BATCH_FAILED', handleBatchFailed);
 
   // Initialiser la référence au bus d'événements pour une utilisation ultérieure
   state.eventBus = eventBus;
 
+  // Récupérer les plateformes connues (y compris les plugins déjà chargés)
+  eventBus.publish('ADAPTER:REGISTRY_REQUEST', {});
+
   // Signaler que le UI Manager est initialisé
   console.log('UI Manager: Initialisé et abonné aux événements');
 }
 
+/**
+ * Met à jour les plateformes reconnues à partir de l'instantané du registre d'adaptateurs
+ *
+ * @param {Object} data - Instantané publié par le registre
+ * @param {Array<Object>} data.platforms - Plateformes ({ platform, color, matchers: [{ source, flags }] })
+ * @returns {void}
+ * @private
+ */
+function handleAdapterRegistryUpdated(data) {
+  if (!data || !Array.isArray(data.platforms)) return;
+
+  state.platforms = data.platforms.map((entry) => ({
+    platform: entry.platform,
+    color: entry.color,
+    matchers: entry.matchers.map((matcher) => new RegExp(matcher.source, matcher.flags))
+  }));
+
+  // Exposer la couleur de chaque plateforme (y compris celles des plugins) aux feuilles de style
+  state.platforms.forEach(({ platform, color }) => {
+    if (color) {
+      document.documentElement.style.setProperty(`--platform-${platform}`, color);
+    }
+  });
+}
+
 /**
  * Initialise l'interface utilisateur après le démarrage de l'application
  *
@@ -768,7 +1675,7 @@ function setupEventListeners() {
 }
 
 /**
- * Configure le support du drag & drop pour les URL
+ * Configure le support du drag & drop pour les URL et les fichiers locaux à convertir
  *
  * @returns {void}
  * @private
@@ -785,6 +1692,8 @@ function setupDragAndDrop() {
 
     document.addEventListener('dragenter', (event) => {
       event.preventDefault();
+      // Le réordonnancement de la liste ne doit pas mettre en évidence la zone de dépôt d'URL
+      if (isDownloadDrag(event)) return;
       state.dragCounter++;
 
       if (state.dragCounter === 1) {
@@ -795,6 +1704,7 @@ function setupDragAndDrop() {
 
     document.addEventListener('dragleave', (event) => {
       event.preventDefault();
+      if (isDownloadDrag(event)) return;
       state.dragCounter--;
 
       if (state.dragCounter === 0) {
@@ -805,6 +1715,7 @@ function setupDragAndDrop() {
 
     document.addEventListener('drop', (event) => {
       event.preventDefault();
+      if (isDownloadDrag(event)) return;
       state.dragCounter = 0;
       mainArea.classList.remove('drag-highlight');
 
@@ -815,13 +1726,12 @@ function setupDragAndDrop() {
         return;
       }
 
-      // Vérifier s'il y a des fichiers déposés
-      if (event.dataTransfer.files && event.dataTransfer.files.length > 0) {
-        // Pour le moment, nous ne traitons que les URL, pas les fichiers
-        showNotification(
-          "Le glisser-déposer de fichiers n'est pas encore supporté. Veuillez coller une URL audio.",
-          'warning'
-        );
+      // Les fichiers et dossiers locaux déposés ouvrent la conversion de fichiers
+      const paths = Array.from(event.dataTransfer.files || [])
+        .map((file) => file.path)
+        .filter(Boolean);
+      if (paths.length > 0) {
+        openBatchConversionDialog(paths);
       }
     });
 
@@ -877,22 +1787,11 @@ function handleAddUrl() {
 function isValidAudioUrl(url) {
   try {
     // Vérification basique que c'est une URL
-    new URL(url);
-
-    // Vérifier si l'URL provient d'une plateforme supportée
-    const supportedPatterns = [
-      /youtube\.com\/watch/i,
-      /youtu\.be\//i,
-      /soundcloud\.com\//i,
-      /bandcamp\.com\//i,
-      /open\.spotify\.com\//i,
-      /spotify:track:/i,
-      /tidal\.com\//i,
-      /music\.apple\.com\//i,
-      /deezer\.com\//i
-    ];
+    const { protocol } = new URL(url);
 
-    return supportedPatterns.some((pattern) => pattern.test(url));
+    // Une plateforme reconnue (spotify:…) ou tout lien web : les hôtes sans adaptateur dédié,
+    // ou inconnus avant la réception du registre, passent par l'adaptateur générique
+    return ['http:', 'https:'].includes(protocol) || detectPlatform(url) !== GENERIC_PLATFORM;
   } catch (e) {
     return false;
   }
@@ -953,6 +1852,13 @@ function addDownloadUrl(url) {
       format: state.selectedFormat,
       timestamp: Date.now()
     });
+    // L'élément rejoint la file du gestionnaire sous le même identifiant : les déplacements
+    // (QUEUE_MOVE_ITEM) et l'ordre publié (QUEUE_STATUS) désignent les mêmes éléments
+    state.eventBus.publish('DOWNLOAD:URL_ADD_REQUEST', {
+      url,
+      downloadId,
+      format: state.selectedFormat
+    });
 
     console.log(`UI Manager: URL ajoutée - ID: ${downloadId}`);
   } catch (error) {
@@ -961,21 +1867,17 @@ function addDownloadUrl(url) {
 }
 
 /**
- * Détecte la plateforme à partir de l'URL
+ * Détecte la plateforme à partir de l'URL, selon les motifs du registre d'adaptateurs
  *
  * @param {string} url - URL à analyser
- * @returns {string} - Nom de la plateforme
+ * @returns {string} - Nom de la plateforme ('generic' hors du registre)
  * @private
  */
 function detectPlatform(url) {
-  if (/youtube\.com|youtu\.be/i.test(url)) return 'youtube';
-  if (/soundcloud\.com/i.test(url)) return 'soundcloud';
-  if (/bandcamp\.com/i.test(url)) return 'bandcamp';
-  if (/spotify/i.test(url)) return 'spotify';
-  if (/tidal\.com/i.test(url)) return 'tidal';
-  if (/music\.apple\.com/i.test(url)) return 'apple';
-  if (/deezer\.com/i.test(url)) return 'deezer';
-  return 'unknown';
+  const match = state.platforms.find(({ matchers }) =>
+    matchers.some((matcher) => matcher.test(url))
+  );
+  return match ? match.platform : GENERIC_PLATFORM;
 }
 
 /**
@@ -1038,6 +1940,10 @@ function createDownloadElement(item) {
 
     progressContainer.appendChild(progressBar);
 
+    // Détails de progression (phase, vitesse, temps restant)
+    const progressDetails = document.createElement('div');
+    progressDetails.className = 'progress-details';
+
     // Sélecteur de format
     const formatSelector = document.createElement('select');
     formatSelector.className = 'format-selector';
@@ -1047,7 +1953,11 @@ function createDownloadElement(item) {
       { value: 'mp3', label: 'MP3' },
       { value: 'flac', label: 'FLAC' },
       { value: 'wav', label: 'WAV' },
-      { value: 'aiff', label: 'AIFF' }
+      { value: 'aiff', label: 'AIFF' },
+      { value: 'opus', label: 'Opus' },
+      { value: 'm4a', label: 'AAC (M4A)' },
+      { value: 'ogg', label: 'OGG Vorbis' },
+      { value: 'alac', label: 'ALAC' }
     ];
 
     formats.forEach((format) => {
@@ -1069,20 +1979,157 @@ function createDownloadElement(item) {
     downloadButton.innerHTML = '<span>↓</span>';
     downloadButton.addEventListener('click', () => handleSingleDownload(item.id));
 
+    // Actions de file d'attente
+    const nextButton = document.createElement('button');
+    nextButton.className = 'item-next-button';
+    nextButton.title = 'Télécharger ensuite';
+    nextButton.innerHTML = '<span>⤒</span>';
+    nextButton.addEventListener('click', () => requestQueueMove(item.id, { position: 'next' }));
+
+    const bottomButton = document.createElement('button');
+    bottomButton.className = 'item-bottom-button';
+    bottomButton.title = 'Placer en fin de file';
+    bottomButton.innerHTML = '<span>⤓</span>';
+    bottomButton.addEventListener('click', () => requestQueueMove(item.id, { position: 'bottom' }));
+
     // Assembler l'élément complet
     downloadElement.appendChild(thumbnail);
     downloadElement.appendChild(infoContainer);
     downloadElement.appendChild(progressContainer);
+    downloadElement.appendChild(progressDetails);
     downloadElement.appendChild(formatSelector);
     downloadElement.appendChild(downloadButton);
+    downloadElement.appendChild(nextButton);
+    downloadElement.appendChild(bottomButton);
+
+    // Import des métadonnées seules (liste de titres exportable), sans téléchargement
+    if (TRACKLIST_PLATFORMS.includes(item.platform)) {
+      const tracklistButton = document.createElement('button');
+      tracklistButton.className = 'item-tracklist-button';
+      tracklistButton.title = 'Importer les métadonnées seules';
+      tracklistButton.innerHTML = '<span>≡</span>';
+      tracklistButton.addEventListener('click', () => requestTracklistImport(item));
+      downloadElement.appendChild(tracklistButton);
+    }
+
+    setupItemReordering(downloadElement);
 
-    // Ajouter au début de la liste
-    downloadList.insertBefore(downloadElement, downloadList.firstChild);
+    // Ajouter en fin de liste : l'ordre affiché est celui de la file d'attente
+    downloadList.appendChild(downloadElement);
   } catch (error) {
     handleUIError("Création d'élément de téléchargement", error);
   }
 }
 
+/**
+ * Indique si un glisser-déposer transporte un élément de la liste de téléchargements
+ *
+ * @param {DragEvent} event - Événement de glisser-déposer
+ * @returns {boolean} Vrai s'il s'agit d'un réordonnancement de la liste
+ * @private
+ */
+function isDownloadDrag(event) {
+  return Boolean(
+    event.dataTransfer && Array.from(event.dataTransfer.types || []).includes(DOWNLOAD_DRAG_TYPE)
+  );
+}
+
+/**
+ * Rend un élément de la liste déplaçable par glisser-déposer
+ *
+ * Le dépôt sur la moitié haute d'un élément place l'élément glissé devant lui, sur la moitié
+ * basse devant son suivant. L'affichage n'est réordonné qu'à la réception de QUEUE_STATUS.
+ *
+ * @param {HTMLElement} element - Élément de téléchargement
+ * @returns {void}
+ * @private
+ */
+function setupItemReordering(element) {
+  const isLowerHalf = (event) => {
+    const rect = element.getBoundingClientRect();
+    return event.clientY > rect.top + rect.height / 2;
+  };
+  const clearIndicator = () => element.classList.remove('drop-before', 'drop-after');
+
+  element.draggable = true;
+
+  element.addEventListener('dragstart', (event) => {
+    event.dataTransfer.setData(DOWNLOAD_DRAG_TYPE, element.id);
+    event.dataTransfer.effectAllowed = 'move';
+    element.classList.add('dragging');
+  });
+
+  element.addEventListener('dragend', () => {
+    element.classList.remove('dragging');
+  });
+
+  element.addEventListener('dragover', (event) => {
+    if (!isDownloadDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+
+    const lower = isLowerHalf(event);
+    element.classList.toggle('drop-before', !lower);
+    element.classList.toggle('drop-after', lower);
+  });
+
+  element.addEventListener('dragleave', clearIndicator);
+
+  element.addEventListener('drop', (event) => {
+    if (!isDownloadDrag(event)) return;
+    event.preventDefault();
+    clearIndicator();
+
+    const draggedId = event.dataTransfer.getData(DOWNLOAD_DRAG_TYPE);
+    const before = isLowerHalf(event) ? element.nextElementSibling : element;
+
+    if (draggedId && (!before || before.id !== draggedId)) {
+      requestQueueMove(draggedId, { beforeId: before ? before.id : null });
+    }
+  });
+}
+
+/**
+ * Demande le déplacement d'un élément dans la file d'attente
+ *
+ * @param {string} downloadId - ID du téléchargement
+ * @param {Object} target - Destination ({ position: 'next' | 'bottom' } ou { beforeId })
+ * @returns {void}
+ * @private
+ */
+function requestQueueMove(downloadId, target) {
+  try {
+    state.eventBus.publish('QUEUE_MOVE_ITEM', { id: downloadId, ...target });
+  } catch (error) {
+    handleUIError("Déplacement dans la file d'attente", error);
+  }
+}
+
+/**
+ * Réordonne la liste de téléchargements selon l'ordre de la file d'attente
+ *
+ * @param {Object} status - État publié par la file d'attente
+ * @param {Array<Object>} status.items - Éléments dans l'ordre de la file ({ id, priority })
+ * @returns {void}
+ * @private
+ */
+function handleQueueStatus(status) {
+  try {
+    const downloadList = document.getElementById('download-list');
+    if (!downloadList || !status || !Array.isArray(status.items)) return;
+
+    status.items.forEach(({ id, priority }) => {
+      const element = document.getElementById(id);
+      if (!element || element.parentNode !== downloadList) return;
+
+      element.dataset.priority = priority;
+      downloadList.appendChild(element);
+    });
+  } catch (error) {
+    handleUIError("Mise à jour de l'ordre de la file d'attente", error);
+  }
+}
+
 /**
  * Gère le changement de format pour un téléchargement
  *
@@ -1238,10 +2285,11 @@ function updateDownloadStatus(downloadId, status) {
  *
  * @param {string} downloadId - ID du téléchargement
  * @param {number} progress - Progression (0-100)
+ * @param {Object} [details] - Phase, vitesse (octets/s) et temps restant (s)
  * @returns {void}
  * @private
  */
-function updateDownloadProgress(downloadId, progress) {
+function updateDownloadProgress(downloadId, progress, details) {
   try {
     // Mettre à jour l'état local
     const downloadItem = state.downloadItems.get(downloadId);
@@ -1258,11 +2306,40 @@ function updateDownloadProgress(downloadId, progress) {
     if (progressBar) {
       progressBar.style.width = `${progress}%`;
     }
+
+    const progressDetails = element.querySelector('.progress-details');
+    if (progressDetails && details) {
+      progressDetails.textContent = formatProgressDetails(progress, details);
+    }
   } catch (error) {
     handleUIError('Mise à jour de la progression', error);
   }
 }
 
+/**
+ * Construit le texte de progression affiché sous la barre
+ *
+ * @param {number} progress - Progression (0-100)
+ * @param {Object} details - { phase, speed, eta }
+ * @returns {string} Texte à afficher
+ * @private
+ */
+function formatProgressDetails(progress, details) {
+  if (details.phase === 'extracting') return 'Analyse…';
+  if (details.phase === 'post-processing') return 'Conversion…';
+
+  const parts = [`${Math.round(progress)} %`];
+  if (details.speed) {
+    parts.push(`${(details.speed / (1024 * 1024)).toFixed(1)} Mo/s`);
+  }
+  if (details.eta !== null && details.eta !== undefined) {
+    const minutes = Math.floor(details.eta / 60);
+    const seconds = String(details.eta % 60).padStart(2, '0');
+    parts.push(`${minutes}:${seconds} restant`);
+  }
+  return parts.join(' · ');
+}
+
 /**
  * Gère le clic sur le bouton Paramètres
  *
@@ -1478,6 +2555,32 @@ function handleDownloadProgress(data) {
   }
 }
 
+/**
+ * Gère un lot de progressions regroupées par event-throttler
+ * Seule la dernière progression de chaque téléchargement est appliquée
+ *
+ * @param {Object} batch - Lot { count, items: [{ timestamp, data }] }
+ * @returns {void}
+ * @private
+ */
+function handleItemProgressBatch(batch) {
+  try {
+    if (!batch || !Array.isArray(batch.items)) return;
+
+    const latest = new Map();
+    batch.items.forEach(({ data }) => {
+      if (data && data.downloadId) latest.set(data.downloadId, data);
+    });
+
+    latest.forEach((data, id) => {
+      if (!state.downloadItems.has(id)) return;
+      updateDownloadProgress(id, data.percent, data);
+    });
+  } catch (error) {
+    handleUIError('Gestion de la progression', error);
+  }
+}
+
 /**
  * Gère l'événement de fin d'un téléchargement
  *
@@ -75,14 +75,16 @@ function AsyncQueue() {
   /**
    * Initialise le module et s'enregistre auprès du bus d'événements
    * @param {Object} bus - Bus d'événements central
+   * @param {Object} [options] - Configuration initiale (maxConcurrent, retryLimit, autoStart…)
    */
-  function initialize(bus) {
+  function initialize(bus, options = {}) {
     if (!bus) {
       console.error("AsyncQueue: EventBus est requis pour l'initialisation");
       return;
     }
 
     eventBus = bus;
+    config = { ...config, ...options };
 
     // S'abonner aux événements
     registerEventListeners();
@@ -746,6 +748,8 @@ function AsyncQueue() {
 // Exporter l'instance du module
 const instance = AsyncQueue();
 module.exports = instance;
+// Fabrique pour les modules qui ont besoin de leur propre file (conversions audio)
+module.exports.createAsyncQueue = AsyncQueue;
 
 /**
  * Exemples d'utilisation:
@@ -28,7 +28,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { promisify } = require('util');
 const os = require('os');
-const { pipeline } = require('stream');
+const { pipeline, Transform } = require('stream');
+const zlib = require('zlib');
 
 // Promisification des fonctions fs
 const fsAccess = promisify(fs.access);
@@ -40,6 +41,19 @@ const fsStat = promisify(fs.stat);
 const fsReaddir = promisify(fs.readdir);
 const pipelinePromise = promisify(pipeline);
 
+// Archives ZIP : signatures et taille maximale de la fin du répertoire central (commentaire)
+const ZIP_END_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_HEADER_SIZE = 30;
+const ZIP_END_MAX_SIZE = 22 + 0xffff;
+
+// Limites d'extraction par défaut, contrôlées pendant la décompression (bombes ZIP)
+const ZIP_DEFAULT_LIMITS = {
+  maxEntries: 10000,
+  maxEntrySize: 2 * 1024 * 1024 * 1024, // 2 Go par fichier
+  maxTotalSize: 10 * 1024 * 1024 * 1024 // 10 Go pour l'archive
+};
+
 // Variables locales du module
 let eventBus = null;
 let appConfig = {
@@ -589,22 +603,25 @@ function sanitizeFilename(filename) {
 }
 
 /**
- * Vérifie le checksum d'un fichier
+ * Vérifie le checksum d'un fichier.
+ * Appelée via FILE_CHECKSUM_VERIFICATION_REQUESTED ou directement (adaptateurs) : le résultat
+ * est à la fois émis sur le bus, s'il est initialisé, et renvoyé.
  * @param {Object} data - Données de la vérification
  * @param {string} data.filePath - Chemin du fichier à vérifier
  * @param {string} data.expectedChecksum - Checksum attendu
  * @param {string} [data.algorithm='sha256'] - Algorithme de hachage
+ * @returns {Promise<Object>} { verified, checksum, skipped } ou { verified: false, error }
  */
 async function verifyFileChecksum(data) {
   try {
     if (!appConfig.useChecksumVerification) {
-      eventBus.emit('FILE_CHECKSUM_VERIFIED', {
+      const result = { verified: true, skipped: true };
+      emitIfReady('FILE_CHECKSUM_VERIFIED', {
         requestId: data.requestId,
         filePath: data.filePath,
-        verified: true,
-        skipped: true
+        ...result
       });
-      return;
+      return result;
     }
 
     const algorithm = data.algorithm || 'sha256';
@@ -612,7 +629,7 @@ async function verifyFileChecksum(data) {
 
     const verified = computedChecksum === data.expectedChecksum;
 
-    eventBus.emit('FILE_CHECKSUM_VERIFIED', {
+    emitIfReady('FILE_CHECKSUM_VERIFIED', {
       requestId: data.requestId,
       filePath: data.filePath,
       verified,
@@ -620,18 +637,32 @@ async function verifyFileChecksum(data) {
     });
 
     if (!verified) {
-      eventBus.emit('ERROR_OCCURRED', {
+      emitIfReady('ERROR_OCCURRED', {
         source: 'file-operations',
         error: `Vérification du checksum échouée pour ${data.filePath}`,
         details: `Attendu: ${data.expectedChecksum}, Obtenu: ${computedChecksum}`
       });
     }
+
+    return { verified, checksum: computedChecksum };
   } catch (error) {
-    eventBus.emit('FILE_OPERATION_FAILED', {
+    emitIfReady('FILE_OPERATION_FAILED', {
       operation: 'VERIFY_CHECKSUM',
       requestId: data.requestId,
       error: error.message
     });
+    return { verified: false, error: error.message };
+  }
+}
+
+/**
+ * Émet un événement si le module a été initialisé avec un bus
+ * @param {string} eventType - Type d'événement
+ * @param {Object} data - Données de l'événement
+ */
+function emitIfReady(eventType, data) {
+  if (eventBus) {
+    eventBus.emit(eventType, data);
   }
 }
 
@@ -668,6 +699,145 @@ async function calculateFileChecksum(filePath, algorithm) {
   });
 }
 
+/**
+ * Extrait une archive ZIP (entrées « stored » ou « deflate ») dans un dossier.
+ * Les fichiers sont écrits à plat sous leur seul nom : aucun chemin de l'archive ne peut
+ * sortir du dossier de destination, et deux entrées de même nom sont renommées
+ * (« piste (2).flac ») plutôt que de s'écraser. Le nombre d'entrées et la taille décompressée
+ * sont plafonnés ; une archive qui dépasse une limite est rejetée et les fichiers déjà
+ * extraits sont supprimés. Les archives ZIP64 et chiffrées ne sont pas prises en charge.
+ * @param {string} zipPath - Archive à extraire
+ * @param {string} destDir - Dossier de destination (créé au besoin)
+ * @param {Object} [limits] - Limites (défaut: ZIP_DEFAULT_LIMITS)
+ * @param {number} [limits.maxEntries] - Nombre maximal d'entrées
+ * @param {number} [limits.maxEntrySize] - Taille décompressée maximale d'une entrée (octets)
+ * @param {number} [limits.maxTotalSize] - Taille décompressée maximale de l'archive (octets)
+ * @returns {Promise<string[]>} Chemins des fichiers extraits
+ */
+async function extractZip(zipPath, destDir, limits = {}) {
+  const { maxEntries, maxEntrySize, maxTotalSize } = { ...ZIP_DEFAULT_LIMITS, ...limits };
+  const handle = await fs.promises.open(zipPath, 'r');
+  const files = [];
+  try {
+    const { size } = await handle.stat();
+    const tail = Buffer.alloc(Math.min(size, ZIP_END_MAX_SIZE));
+    await handle.read(tail, 0, tail.length, size - tail.length);
+
+    const end = tail.lastIndexOf(ZIP_END_SIGNATURE);
+    if (end < 0 || end + 22 > tail.length) {
+      throw new Error(`Archive ZIP invalide: ${zipPath}`);
+    }
+    const entryCount = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('Archive ZIP64 non prise en charge');
+    }
+    if (entryCount > maxEntries) {
+      throw new Error(`Archive ZIP trop volumineuse: ${entryCount} entrées (max ${maxEntries})`);
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+    await fsMkdir(destDir, { recursive: true });
+
+    // Noms déjà attribués, sans tenir compte de la casse (systèmes de fichiers insensibles)
+    const usedNames = new Set();
+    let totalSize = 0;
+    let position = 0;
+    for (let index = 0; index < entryCount; index++) {
+      if (directory.readUInt32LE(position) !== ZIP_CENTRAL_SIGNATURE) {
+        throw new Error(`Répertoire central ZIP corrompu: ${zipPath}`);
+      }
+      const flags = directory.readUInt16LE(position + 8);
+      const method = directory.readUInt16LE(position + 10);
+      const compressedSize = directory.readUInt32LE(position + 20);
+      const declaredSize = directory.readUInt32LE(position + 24);
+      const nameLength = directory.readUInt16LE(position + 28);
+      const localOffset = directory.readUInt32LE(position + 42);
+      const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+      position +=
+        46 +
+        nameLength +
+        directory.readUInt16LE(position + 30) +
+        directory.readUInt16LE(position + 32);
+
+      const baseName = path.posix.basename(name.replace(/\\/g, '/'));
+      if (name.endsWith('/') || ['', '.', '..'].includes(baseName)) {
+        continue; // Dossier
+      }
+      if (flags & 0x1) {
+        throw new Error(`Entrée ZIP chiffrée non prise en charge: ${name}`);
+      }
+      if (method !== 0 && method !== 8) {
+        throw new Error(`Méthode de compression ZIP non prise en charge (${method}): ${name}`);
+      }
+      // Tailles annoncées : rejet immédiat, avant toute écriture
+      if (declaredSize > maxEntrySize || totalSize + declaredSize > maxTotalSize) {
+        throw new Error(`Entrée ZIP trop volumineuse: ${name}`);
+      }
+
+      // Les données suivent l'en-tête local, dont le champ « extra » peut différer du répertoire
+      const header = Buffer.alloc(ZIP_LOCAL_HEADER_SIZE);
+      await handle.read(header, 0, ZIP_LOCAL_HEADER_SIZE, localOffset);
+      const dataOffset =
+        localOffset + ZIP_LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+      const target = path.join(destDir, uniqueEntryName(sanitizeFilename(baseName), usedNames));
+      files.push(target);
+      if (compressedSize === 0) {
+        await fsWriteFile(target, Buffer.alloc(0));
+        continue;
+      }
+
+      // Les tailles annoncées ne sont pas fiables : les octets réellement produits sont comptés
+      let entrySize = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          entrySize += chunk.length;
+          totalSize += chunk.length;
+          if (entrySize > maxEntrySize || totalSize > maxTotalSize) {
+            callback(new Error(`Entrée ZIP trop volumineuse: ${name}`));
+            return;
+          }
+          callback(null, chunk);
+        }
+      });
+      const source = fs.createReadStream(zipPath, {
+        start: dataOffset,
+        end: dataOffset + compressedSize - 1
+      });
+      const stages = method === 8 ? [source, zlib.createInflateRaw()] : [source];
+      await pipelinePromise(...stages, counter, fs.createWriteStream(target));
+    }
+
+    return files;
+  } catch (error) {
+    // Une archive rejetée ne laisse pas d'extraction partielle
+    await Promise.all(files.map((file) => fsUnlink(file).catch(() => {})));
+    throw error;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Attribue un nom de fichier libre dans une extraction : « nom (2).ext », « nom (3).ext »…
+ * @param {string} fileName - Nom souhaité
+ * @param {Set<string>} usedNames - Noms déjà attribués (en minuscules), complété par l'appel
+ * @returns {string} Nom disponible
+ */
+function uniqueEntryName(fileName, usedNames) {
+  const ext = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  let candidate = fileName;
+  for (let index = 2; usedNames.has(candidate.toLowerCase()); index++) {
+    candidate = `${stem} (${index})${ext}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
 /**
  * Nettoie les fichiers temporaires
  * @param {Object} data - Paramètres de nettoyage
@@ -716,9 +886,13 @@ async function cleanupTemporaryFiles(data) {
   }
 }
 
-// Exposer uniquement la fonction d'initialisation
+// Exposer l'initialisation, les sommes de contrôle (adaptateurs, archive des téléchargements)
+// et l'extraction des archives ZIP (albums achetés sur Bandcamp)
 module.exports = {
-  initialize
+  initialize,
+  verifyFileChecksum,
+  calculateFileChecksum,
+  extractZip
 };
 
 /**
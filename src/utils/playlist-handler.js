@@ -27,6 +27,9 @@
  * - FILE:WRITE_ERROR - Erreur d'écriture de fichier
  * - CONFIG:UPDATED - Mise à jour de la configuration
  * - DOWNLOAD:ITEM_COMPLETED - Téléchargement d'un élément terminé
+ * - ARCHIVE:LOOKUP_RESULT - Éléments de la playlist déjà présents dans l'archive
+ * - ADAPTER:SOUNDCLOUD:ANALYSIS_COMPLETE - Titres d'un set ou d'une section d'artiste SoundCloud
+ * - PLAYLIST:TRACKLIST_EXPORT_REQUEST - Export d'une liste de titres importée (CSV, JSON, M3U)
  *
  * ÉMET:
  * - PLAYLIST:PROCESSING_START - Début du traitement d'une playlist
@@ -37,6 +40,7 @@
  * - PLAYLIST:FILE_GENERATED - Fichier de playlist généré
  * - PLAYLIST:FILE_ERROR - Erreur lors de la génération du fichier de playlist
  * - DOWNLOAD:URL_ADD_REQUEST - Demande d'ajout d'URL pour téléchargement
+ * - ARCHIVE:LOOKUP_REQUEST - Consultation de l'archive des téléchargements avant soumission
  * - FILE:READ_REQUEST - Demande de lecture de fichier
  * - FILE:WRITE_REQUEST - Demande d'écriture de fichier
  * - ERROR:NON_CRITICAL - Erreur non critique
@@ -52,6 +56,25 @@ const path = require('node:path');
 const fs = require('node:fs');
 const os = require('node:os');
 
+// Registre des plateformes : source unique de la détection de plateforme
+const { adapterRegistry } = require('../modules/download/adapters/adapter-registry');
+
+// Délai d'attente de la réponse de l'archive, au-delà duquel tous les éléments sont soumis
+const ARCHIVE_LOOKUP_TIMEOUT = 5000;
+
+// Formats d'export d'une liste de titres importée sans téléchargement
+const TRACKLIST_FORMATS = ['csv', 'json', 'm3u'];
+// Colonnes de l'export CSV, dans l'ordre
+const TRACKLIST_CSV_COLUMNS = [
+  'title',
+  'artists',
+  'album',
+  'isrc',
+  'duration',
+  'coverUrl',
+  'filePath'
+];
+
 /**
  * Gestionnaire de playlists pour l'application 21 BYTS
  * @class PlaylistHandler
@@ -86,6 +109,7 @@ function PlaylistHandler() {
   const state = {
     processedPlaylists: new Map(), // Playlists en cours de traitement ou terminées
     completedDownloads: new Map(), // Téléchargements terminés pour suivi des playlists
+    archiveLookups: new Map(), // Playlists en attente de la réponse de l'archive (id -> timeout)
     initialized: false
   };
 
@@ -124,6 +148,7 @@ function PlaylistHandler() {
     eventBus.subscribe(EVENT_TYPES.PLAYLIST.DETECTED, handlePlaylistDetected);
     eventBus.subscribe(EVENT_TYPES.PLAYLIST.PROCESS_REQUEST, handleProcessRequest);
     eventBus.subscribe(EVENT_TYPES.PLAYLIST.GENERATE_FILE_REQUEST, handleGenerateFileRequest);
+    eventBus.subscribe(EVENT_TYPES.PLAYLIST.TRACKLIST_EXPORT_REQUEST, handleTracklistExportRequest);
 
     // Événements de fichiers
     eventBus.subscribe(EVENT_TYPES.FILE.READ_SUCCESS, handleFileReadSuccess);
@@ -136,6 +161,13 @@ function PlaylistHandler() {
 
     // Événements de téléchargement
     eventBus.subscribe(EVENT_TYPES.DOWNLOAD.ITEM_COMPLETED, handleDownloadCompleted);
+    eventBus.subscribe(EVENT_TYPES.ARCHIVE.LOOKUP_RESULT, handleArchiveLookupResult);
+
+    // Analyses des adaptateurs
+    eventBus.subscribe(
+      EVENT_TYPES.ADAPTER.SOUNDCLOUD.ANALYSIS_COMPLETE,
+      handleSoundcloudAnalysisComplete
+    );
   }
 
   /**
@@ -276,6 +308,7 @@ function PlaylistHandler() {
   /**
    * Gère une demande de génération de fichier de playlist
    * @param {Object} data - Données de la demande
+   * @param {string} [data.outputDir] - Dossier de la playlist d'album (par défaut playlistFolder)
    */
   function handleGenerateFileRequest(data) {
     if (!data || !data.playlistId || !data.items) {
@@ -305,10 +338,19 @@ function PlaylistHandler() {
     const playlistName = data.name || playlistInfo.name || `playlist_${playlistId}`;
     const sanitizedName = sanitizeFilename(playlistName);
 
+    // Une playlist d'album est écrite à côté de ses pistes, avec des chemins relatifs
+    const targetFolder = data.outputDir || config.playlistFolder;
+    const entries = data.outputDir
+      ? items.map((item) => ({
+          ...item,
+          filePath: item.filePath && path.relative(data.outputDir, item.filePath)
+        }))
+      : items;
+
     // Assurer que le dossier de playlists existe
-    ensureDirectoryExists(config.playlistFolder);
+    ensureDirectoryExists(targetFolder);
 
-    const filePath = path.join(config.playlistFolder, `${sanitizedName}.${format}`);
+    const filePath = path.join(targetFolder, `${sanitizedName}.${format}`);
 
     // Générer le contenu du fichier selon le format
     let content = '';
@@ -316,10 +358,10 @@ function PlaylistHandler() {
     switch (format) {
       case 'm3u':
       case 'm3u8':
-        content = generateM3UContent(items);
+        content = generateM3UContent(entries);
         break;
       case 'pls':
-        content = generatePLSContent(items);
+        content = generatePLSContent(entries);
         break;
     }
 
@@ -345,6 +387,74 @@ function PlaylistHandler() {
     });
   }
 
+  /**
+   * Gère une demande d'export d'une liste de titres importée sans téléchargement.
+   * Le fichier est écrit dans le dossier des playlists ; en M3U, seuls les titres trouvés dans
+   * la bibliothèque (`filePath`) sont lisibles, les autres restent en commentaire.
+   * @param {Object} data - Données de la demande
+   * @param {string} data.requestId - Identifiant de la liste (repris par PLAYLIST:FILE_GENERATED)
+   * @param {string} [data.name] - Nom du fichier
+   * @param {Array<Object>} data.tracks - Titres ({ title, artists, album, isrc, duration,
+   *   coverUrl, filePath? })
+   * @param {string} data.format - Format d'export (csv, json, m3u)
+   */
+  function handleTracklistExportRequest(data) {
+    if (!data || !data.requestId || !Array.isArray(data.tracks)) {
+      logError("Données d'export de liste de titres invalides", {
+        code: 'INVALID_TRACKLIST_EXPORT_REQUEST',
+        data
+      });
+      return;
+    }
+
+    const { requestId, tracks, format } = data;
+    if (!TRACKLIST_FORMATS.includes(format)) {
+      logError(`Format d'export non supporté: ${format}`, {
+        code: 'UNSUPPORTED_PLAYLIST_FORMAT',
+        playlistId: requestId,
+        format
+      });
+      return;
+    }
+
+    const name = data.name || `tracklist_${requestId}`;
+    let content = '';
+
+    switch (format) {
+      case 'csv':
+        content = generateTracklistCSV(tracks);
+        break;
+      case 'json':
+        content = `${JSON.stringify({ name, tracks }, null, 2)}\n`;
+        break;
+      case 'm3u':
+        content = generateTracklistM3U(tracks);
+        break;
+    }
+
+    ensureDirectoryExists(config.playlistFolder);
+    const filePath = path.join(config.playlistFolder, `${sanitizeFilename(name)}.${format}`);
+
+    // Même préfixe que les playlists générées : la réussite est annoncée par FILE_GENERATED
+    eventBus.publish(EVENT_TYPES.FILE.WRITE_REQUEST, {
+      requestId: `generate_playlist_${requestId}_${Date.now()}`,
+      filePath,
+      data: content,
+      encoding: 'utf8',
+      metadata: {
+        playlistId: requestId,
+        format,
+        itemCount: tracks.length
+      }
+    });
+
+    logInfo(`Demande d'écriture de la liste de titres: ${filePath}`, {
+      playlistId: requestId,
+      format,
+      itemCount: tracks.length
+    });
+  }
+
   /**
    * Gère une réponse de lecture de fichier réussie
    * @param {Object} data - Données de la réponse
@@ -673,10 +783,13 @@ function PlaylistHandler() {
   }
 
   /**
-   * Traite une playlist SoundCloud
+   * Traite une playlist SoundCloud : un set (album ou playlist) ou une section d'une page
+   * d'artiste, au choix ses titres (par défaut), albums, sets, reposts ou j'aime
    * @param {Object} playlistInfo - Informations sur la playlist
+   * @param {Object} data - Demande de traitement
+   * @param {string} [data.section] - Section de la page d'artiste
    */
-  function processSoundcloudPlaylist(playlistInfo) {
+  function processSoundcloudPlaylist(playlistInfo, data) {
     // Similaire aux autres services, nous déléguons l'analyse à l'adaptateur SoundCloud
 
     // Mettre en place un timeout
@@ -707,7 +820,8 @@ function PlaylistHandler() {
     eventBus.publish(EVENT_TYPES.ADAPTER.SOUNDCLOUD.ANALYSIS_START, {
       url: playlistInfo.url,
       playlistId: playlistInfo.id,
-      maxItems: playlistInfo.maxItems
+      maxItems: playlistInfo.maxItems,
+      section: data.section
     });
 
     logInfo(`Demande d'analyse de playlist SoundCloud: ${playlistInfo.url}`, {
@@ -715,6 +829,55 @@ function PlaylistHandler() {
     });
   }
 
+  /**
+   * Reçoit les titres listés par l'adaptateur SoundCloud et les soumet pour téléchargement.
+   * Les titres d'un set portent leur album et leur numéro de piste ; ceux d'une section
+   * d'artiste (titres, reposts, j'aime) n'ont pas d'album.
+   * @param {Object} data - { playlistId, kind, section, title, items, error }
+   */
+  function handleSoundcloudAnalysisComplete(data) {
+    const playlistInfo = data && state.processedPlaylists.get(data.playlistId);
+    if (!playlistInfo || playlistInfo.status !== 'processing') {
+      return;
+    }
+
+    clearTimeout(playlistInfo.timeoutId);
+
+    const items = data.items || [];
+    if (data.error || items.length === 0) {
+      playlistInfo.status = 'error';
+      playlistInfo.error = data.error || 'Aucun élément trouvé dans la playlist';
+
+      eventBus.publish(EVENT_TYPES.PLAYLIST.PROCESSING_ERROR, {
+        playlistId: playlistInfo.id,
+        url: playlistInfo.url,
+        sourceType: playlistInfo.sourceType,
+        error: playlistInfo.error
+      });
+
+      logError(`Échec de l'analyse SoundCloud: ${playlistInfo.name}`, {
+        code: 'PLAYLIST_ANALYSIS_FAILED',
+        playlistId: playlistInfo.id,
+        error: playlistInfo.error
+      });
+      return;
+    }
+
+    playlistInfo.kind = data.kind;
+    playlistInfo.section = data.section;
+    playlistInfo.name = data.title || playlistInfo.name;
+    playlistInfo.items = items.slice(0, playlistInfo.maxItems);
+    playlistInfo.status = 'ready';
+
+    logInfo(`${playlistInfo.items.length} titres SoundCloud à télécharger`, {
+      playlistId: playlistInfo.id,
+      kind: data.kind,
+      section: data.section
+    });
+
+    submitPlaylistItemsForDownload(playlistInfo);
+  }
+
   /**
    * Traite une playlist Spotify
    * @param {Object} playlistInfo - Informations sur la playlist
@@ -1084,7 +1247,8 @@ function PlaylistHandler() {
   }
 
   /**
-   * Soumet les éléments d'une playlist pour téléchargement
+   * Soumet les éléments d'une playlist pour téléchargement, après consultation de l'archive
+   * des téléchargements : les éléments déjà récupérés ne sont pas téléchargés de nouveau
    * @param {Object} playlistInfo - Informations sur la playlist
    */
   function submitPlaylistItemsForDownload(playlistInfo) {
@@ -1092,10 +1256,60 @@ function PlaylistHandler() {
       return;
     }
 
-    logInfo(`Soumission de ${playlistInfo.items.length} éléments pour téléchargement`, {
-      playlistId: playlistInfo.id,
-      sourceType: playlistInfo.sourceType
+    // Sans réponse de l'archive, la playlist est soumise en entier
+    const timeoutId = setTimeout(() => {
+      state.archiveLookups.delete(playlistInfo.id);
+      queuePlaylistItems(playlistInfo, new Map());
+    }, ARCHIVE_LOOKUP_TIMEOUT);
+    state.archiveLookups.set(playlistInfo.id, timeoutId);
+
+    eventBus.publish(EVENT_TYPES.ARCHIVE.LOOKUP_REQUEST, {
+      requestId: playlistInfo.id,
+      urls: playlistInfo.items.map((item) => item.url).filter(Boolean)
     });
+  }
+
+  /**
+   * Reçoit la réponse de l'archive pour une playlist en attente de soumission
+   * @param {Object} data - { requestId, results: [{ url, archived, entry }] }
+   */
+  function handleArchiveLookupResult(data) {
+    const timeoutId = data && state.archiveLookups.get(data.requestId);
+    if (!timeoutId) {
+      return;
+    }
+
+    clearTimeout(timeoutId);
+    state.archiveLookups.delete(data.requestId);
+
+    const playlistInfo = state.processedPlaylists.get(data.requestId);
+    if (!playlistInfo) {
+      return;
+    }
+
+    const archived = new Map(
+      (data.results || [])
+        .filter((result) => result.archived)
+        .map((result) => [result.url, result.entry])
+    );
+    queuePlaylistItems(playlistInfo, archived);
+  }
+
+  /**
+   * Ajoute à la file les éléments d'une playlist absents de l'archive. Les éléments archivés
+   * comptent comme traités : leur fichier, s'il est connu, figure dans la playlist générée.
+   * @param {Object} playlistInfo - Informations sur la playlist
+   * @param {Map<string, Object>} archived - URL -> entrée de l'archive
+   */
+  function queuePlaylistItems(playlistInfo, archived) {
+    logInfo(
+      `Soumission de ${playlistInfo.items.length - archived.size} éléments pour téléchargement`,
+      {
+        playlistId: playlistInfo.id,
+        sourceType: playlistInfo.sourceType,
+        archivedItems: archived.size
+      }
+    );
 
     // Soumettre chaque élément
     for (let i = 0; i < playlistInfo.items.length; i++) {
@@ -1111,6 +1325,7 @@ function PlaylistHandler() {
 
       // Générer un ID unique pour cet élément
       const downloadId = `${playlistInfo.id}_item_${i}`;
+      const archivedEntry = archived.get(item.url);
 
       // Créer les métadonnées
       const metadata = {
@@ -1120,9 +1335,24 @@ function PlaylistHandler() {
         playlistTotal: playlistInfo.items.length,
         title: item.title || '',
         artist: item.artist || '',
-        album: playlistInfo.name
+        // Un adaptateur peut fournir l'album de l'élément (vide hors album) et son numéro
+        album: item.album !== undefined ? item.album : playlistInfo.name,
+        ...(item.trackNumber
+          ? { trackNumber: item.trackNumber, totalTracks: item.totalTracks }
+          : {})
       };
 
+      // Déjà téléchargé : rien à ajouter à la file
+      if (archivedEntry) {
+        state.completedDownloads.set(downloadId, {
+          playlistId: playlistInfo.id,
+          filePath: archivedEntry.filePath,
+          metadata
+        });
+        playlistInfo.processedItems++;
+        continue;
+      }
+
       // Ajouter l'URL à la file d'attente de téléchargement
       eventBus.publish(EVENT_TYPES.DOWNLOAD.URL_ADD_REQUEST, {
         downloadId,
@@ -1136,9 +1366,15 @@ function PlaylistHandler() {
     eventBus.publish(EVENT_TYPES.PLAYLIST.PROCESSING_COMPLETE, {
       playlistId: playlistInfo.id,
       itemCount: playlistInfo.items.length,
+      archivedItems: archived.size,
       sourceType: playlistInfo.sourceType,
       name: playlistInfo.name
     });
+
+    // Playlist entièrement archivée : aucun téléchargement n'achèvera son traitement
+    if (playlistInfo.processedItems === playlistInfo.items.length) {
+      completePlaylistProcessing(playlistInfo);
+    }
   }
 
   /**
@@ -1276,6 +1512,51 @@ function PlaylistHandler() {
     return content;
   }
 
+  /**
+   * Génère un contenu CSV pour une liste de titres (artistes séparés par « ; »)
+   * @param {Array} tracks - Titres de la liste
+   * @returns {string} Contenu CSV
+   */
+  function generateTracklistCSV(tracks) {
+    const escape = (value) => {
+      const text = String(value === undefined || value === null ? '' : value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = tracks.map((track) =>
+      TRACKLIST_CSV_COLUMNS.map((column) =>
+        escape(column === 'artists' ? (track.artists || []).join('; ') : track[column])
+      ).join(',')
+    );
+
+    return [TRACKLIST_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Génère un contenu M3U pour une liste de titres : les titres absents de la bibliothèque
+   * sont conservés en commentaire, dans l'ordre de la liste
+   * @param {Array} tracks - Titres de la liste
+   * @returns {string} Contenu M3U
+   */
+  function generateTracklistM3U(tracks) {
+    let content = '#EXTM3U\n';
+
+    tracks.forEach((track) => {
+      const artists = (track.artists || []).join(', ');
+      const label = `${artists ? artists + ' - ' : ''}${track.title}`;
+
+      if (!track.filePath) {
+        content += `# Absent de la bibliothèque: ${label}\n`;
+        return;
+      }
+
+      content += `#EXTINF:${track.duration || -1},${label}\n`;
+      content += `${track.filePath}\n`;
+    });
+
+    return content;
+  }
+
   /**
    * Détecte le type de source d'une URL
    * @param {string} url - URL à analyser
@@ -1287,19 +1568,12 @@ function PlaylistHandler() {
       return defaultType;
     }
 
-    url = url.toLowerCase();
+    const platform = adapterRegistry.detectPlatform(url);
+    if (platform) {
+      return platform;
+    }
 
-    if (url.includes('youtube.com') || url.includes('youtu.be')) {
-      return 'youtube';
-    } else if (url.includes('bandcamp.com')) {
-      return 'bandcamp';
-    } else if (url.includes('soundcloud.com')) {
-      return 'soundcloud';
-    } else if (url.includes('spotify.com')) {
-      return 'spotify';
-    } else if (url.includes('tidal.com')) {
-      return 'tidal';
-    } else if (url.startsWith('file://') || !url.includes('://')) {
+    if (url.toLowerCase().startsWith('file://') || !url.includes('://')) {
       return 'local';
     }
 
@@ -1486,6 +1760,13 @@ module.exports = playlistHandler;
  *   name: 'Ma Super Playlist'
  * });
  *
+ * // Page d'artiste SoundCloud : seulement ses reposts (ou tracks, albums, sets, likes)
+ * eventBus.publish(EVENT_TYPES.PLAYLIST.PROCESS_REQUEST, {
+ *   url: 'https://soundcloud.com/artiste',
+ *   sourceType: 'soundcloud',
+ *   section: 'reposts'
+ * });
+ *
  * // Écouter les événements de progression
  * eventBus.subscribe(EVENT_TYPES.PLAYLIST.PROCESSING_PROGRESS, (data) => {
  *   console.log(`Progression: ${data.progress.toFixed(2)}%`);
@@ -1516,5 +1797,21 @@ module.exports = playlistHandler;
  *   ],
  *   format: 'm3u'
  * });
+ *
+ * // Liste de titres importée sans téléchargement (Spotify, Tidal), exportée en CSV
+ * eventBus.publish(EVENT_TYPES.PLAYLIST.TRACKLIST_EXPORT_REQUEST, {
+ *   requestId: 'import_123',
+ *   name: 'Mon album',
+ *   format: 'csv',
+ *   tracks: [{ title: 'Intro', artists: ['Artiste'], album: 'Mon album', isrc: '', duration: 95 }]
+ * });
+ *
+ * // Playlist d'album écrite dans le dossier des pistes (chemins relatifs)
+ * eventBus.publish(EVENT_TYPES.PLAYLIST.GENERATE_FILE_REQUEST, {
+ *   playlistId: 'mix_123',
+ *   name: 'Mon mix',
+ *   outputDir: '/chemin/vers/Mon mix',
+ *   items: [{ filePath: '/chemin/vers/Mon mix/01 - Intro.mp3', metadata: { title: 'Intro' } }]
+ * });
  */ // Traitement des playlists
 // Créé automatiquement le 2025-05-02
@@ -0,0 +1,36 @@
+/**
+ * event-bus-mock.js
+ *
+ * Bus d'événements minimal partagé par les tests unitaires des modules.
+ * Les abonnés sont appelés de façon synchrone et chaque publication reste
+ * inspectable via `bus.publish.mock.calls`.
+ */
+
+/**
+ * Crée un bus minimal : mémorise les abonnements et les publications
+ * @returns {{subscribe: jest.Mock, publish: jest.Mock}}
+ */
+function createBus() {
+  const handlers = {};
+  return {
+    subscribe: jest.fn((event, handler) => {
+      handlers[event] = handlers[event] || [];
+      handlers[event].push(handler);
+    }),
+    publish: jest.fn((event, data) => {
+      (handlers[event] || []).forEach((handler) => handler(data));
+    })
+  };
+}
+
+/**
+ * Retourne, dans l'ordre, les données publiées sur le bus pour un événement
+ * @param {Object} bus - Bus créé par createBus
+ * @param {string} event - Nom de l'événement
+ * @returns {Array<*>}
+ */
+function published(bus, event) {
+  return bus.publish.mock.calls.filter(([type]) => type === event).map(([, data]) => data);
+}
+
+module.exports = { createBus, published };
@@ -0,0 +1,141 @@
+/**
+ * @file adapter-registry.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseAdapter = require('../../src/modules/download/adapters/base-adapter');
+const {
+  createAdapterRegistry,
+  initializeAdapterRegistry
+} = require('../../src/modules/download/adapters/adapter-registry');
+const { AdapterFactory } = require('../../src/modules/download/adapters/adapter-factory');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+const MIXCLOUD_PLUGIN = `
+module.exports = ({ BaseAdapter }) => ({
+  platform: 'mixcloud',
+  name: 'Mixcloud',
+  matchers: [/mixcloud\\.com\\//i],
+  color: '#5000FF',
+  capabilities: { supportsPlaylists: true },
+  Adapter: class MixcloudAdapter extends BaseAdapter {}
+});
+`;
+
+describe('🧩 adapter-registry.js', () => {
+  let pluginsDir;
+  let registry;
+
+  beforeEach(() => {
+    pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-plugins-'));
+    registry = createAdapterRegistry();
+  });
+
+  afterEach(() => {
+    fs.rmSync(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('détecte les plateformes intégrées', () => {
+    expect(registry.detectPlatform('https://youtu.be/abc')).toBe('youtube');
+    expect(registry.detectPlatform('https://artist.bandcamp.com/album/x')).toBe('bandcamp');
+    expect(registry.detectPlatform('spotify:track:123')).toBe('spotify');
+    expect(registry.detectPlatform('https://example.com/a.mp3?dl=1')).toBe('direct');
+    expect(registry.detectPlatform('https://youtu.be/a.mp3')).toBe('youtube');
+    expect(registry.detectPlatform('https://example.com/page')).toBeNull();
+    expect(registry.detectPlatform(null)).toBeNull();
+  });
+
+  it('charge un plugin et expose ses motifs, capacités et couleur', () => {
+    fs.writeFileSync(path.join(pluginsDir, 'mixcloud.js'), MIXCLOUD_PLUGIN);
+
+    const result = registry.loadPlugins(pluginsDir);
+
+    expect(result).toEqual({ loaded: ['mixcloud'], failed: [] });
+    expect(registry.detectPlatform('https://www.mixcloud.com/dj/set/')).toBe('mixcloud');
+    expect(registry.getCapabilities('mixcloud')).toEqual({ supportsPlaylists: true });
+    expect(registry.getColorCoding().mixcloud).toBe('#5000FF');
+    expect(registry.getAdapterClass('mixcloud').prototype).toBeInstanceOf(BaseAdapter);
+  });
+
+  it('ignore un plugin invalide sans bloquer les autres', () => {
+    fs.writeFileSync(
+      path.join(pluginsDir, 'a-broken.js'),
+      "module.exports = { platform: 'Audio Mack', matchers: [] };"
+    );
+    fs.writeFileSync(
+      path.join(pluginsDir, 'b-duplicate.js'),
+      "module.exports = { platform: 'youtube', matchers: ['youtube'] };"
+    );
+    fs.writeFileSync(
+      path.join(pluginsDir, 'c-archive.js'),
+      "module.exports = { platform: 'archive-org', matchers: ['archive\\\\.org/details/'] };"
+    );
+
+    const result = registry.loadPlugins(pluginsDir);
+
+    expect(result.loaded).toEqual(['archive-org']);
+    expect(result.failed.map((failure) => path.basename(failure.file))).toEqual([
+      'a-broken.js',
+      'b-duplicate.js'
+    ]);
+    expect(registry.detectPlatform('https://archive.org/details/tape')).toBe('archive-org');
+    expect(registry.getAdapterClass('archive-org')).toBe(BaseAdapter);
+  });
+
+  it('charge les plugins à la réception de la configuration', () => {
+    fs.writeFileSync(path.join(pluginsDir, 'mixcloud.js'), MIXCLOUD_PLUGIN);
+    fs.writeFileSync(path.join(pluginsDir, 'broken.js'), 'module.exports = null;');
+    const bus = createBus();
+
+    initializeAdapterRegistry(bus, registry);
+    bus.publish('CONFIG:LOADED', {
+      adapters: { pluginsDir },
+      ui: { colorCoding: { youtube: '#ee0000' } }
+    });
+
+    expect(bus.publish).toHaveBeenCalledWith('CONFIG_SET', {
+      key: 'ui.colorCoding.mixcloud',
+      value: '#5000FF'
+    });
+    expect(bus.publish).toHaveBeenCalledWith(
+      'ERROR:NON_CRITICAL',
+      expect.objectContaining({
+        module: 'adapter-registry',
+        error: expect.objectContaining({ name: 'ADAPTER_PLUGIN_INVALID' })
+      })
+    );
+
+    const snapshots = published(bus, 'ADAPTER:REGISTRY_UPDATED');
+    const latest = snapshots[snapshots.length - 1].platforms;
+    expect(latest.find((entry) => entry.platform === 'mixcloud')).toMatchObject({
+      plugin: true,
+      color: '#5000FF',
+      matchers: [{ source: 'mixcloud\\.com\\/', flags: 'i' }]
+    });
+
+    // Un rechargement de la configuration ne signale pas à nouveau les plugins déjà traités
+    const errorCount = () => published(bus, 'ERROR:NON_CRITICAL').length;
+    const errorsBefore = errorCount();
+    bus.publish('CONFIG:LOADED', { adapters: { pluginsDir } });
+    expect(errorCount()).toBe(errorsBefore);
+    expect(registry.detectPlatform('https://www.mixcloud.com/dj/set/')).toBe('mixcloud');
+  });
+
+  it("sert d'unique source à la fabrique d'adaptateurs", () => {
+    registry.register({
+      platform: 'audiomack',
+      matchers: [/audiomack\.com/i],
+      capabilities: { supportsPause: false }
+    });
+    const factory = new AdapterFactory(null, registry);
+
+    expect(factory.detectPlatform('https://audiomack.com/artist/song/x')).toBe('audiomack');
+    expect(factory.getSupportedPlatforms()).toContain('audiomack');
+
+    const adapter = factory.createAdapter('audiomack');
+    expect(adapter).toBeInstanceOf(BaseAdapter);
+    expect(adapter.getCapabilities().supportsPause).toBe(false);
+  });
+});
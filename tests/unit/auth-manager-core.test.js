@@ -1,4 +1,10 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const secureTokenStore = require('../../src/modules/auth/secure-token-store');
 const createAuthManagerCore = require('../../src/modules/auth/auth-manager.core');
 const EVENT_TYPES = require('../../src/constants/event-types');
 const ERROR_CODES = require('../../src/constants/error-codes');
@@ -68,4 +74,250 @@ describe('🔐 auth-manager.core.js', () => {
     expect(error).toHaveProperty('name');
     expect(error.name).toBe('AUTH_FAILED');
   });
+
+  describe('autorisation d’appareil', () => {
+    let server;
+    let baseUrl;
+    let tokenResponses;
+    let requests;
+    let storageDir;
+
+    // Serveur d'autorisation local : code d'appareil, puis réponses successives du serveur de tokens
+    beforeAll((done) => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          requests.push({ url: req.url, form: Object.fromEntries(new URLSearchParams(body)) });
+          const [status, data] =
+            req.url === '/oauth2/device_authorization'
+              ? [
+                  200,
+                  {
+                    device_code: 'device-123',
+                    user_code: 'WXYZ-1234',
+                    verification_uri: `${baseUrl}/activate`,
+                    verification_uri_complete: `${baseUrl}/activate?code=WXYZ-1234`,
+                    expires_in: 60,
+                    interval: 0.01
+                  }
+                ]
+              : tokenResponses.shift() || [400, { error: 'authorization_pending' }];
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      requests.length = 0;
+      storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-auth-'));
+      secureTokenStore.initialize(mockEventBus, EVENT_TYPES, {});
+      mockEventBus.publish(EVENT_TYPES.CONFIG.UPDATED, { security: { storageDir } });
+      mockEventBus.publish(EVENT_TYPES.CONFIG.LOADED, {
+        security: { encryptionKey: crypto.randomBytes(32).toString('hex') },
+        adapters: {
+          tidal: {
+            deviceAuth: {
+              deviceAuthorizationUrl: `${baseUrl}/oauth2/device_authorization`,
+              tokenUrl: `${baseUrl}/oauth2/token`,
+              clientId: 'client-21byts',
+              scope: 'r_usr w_usr'
+            }
+          }
+        }
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    const startFlow = (requestId, service = 'tidal') =>
+      mockEventBus.publish(EVENT_TYPES.AUTH.DEVICE_FLOW_START, { service, requestId });
+    const nextEvent = (event) =>
+      new Promise((resolve) => mockEventBus.once(event, (payload) => resolve(payload)));
+
+    it('affiche le code puis stocke les tokens une fois l’appareil autorisé', async () => {
+      tokenResponses = [
+        [400, { error: 'authorization_pending' }],
+        [503, {}],
+        [400, { error: 'authorization_pending' }],
+        [
+          200,
+          {
+            access_token: 'access-xyz',
+            refresh_token: 'refresh-xyz',
+            token_type: 'Bearer',
+            expires_in: 3600,
+            user_id: 42
+          }
+        ]
+      ];
+      const issued = nextEvent(EVENT_TYPES.AUTH.DEVICE_CODE_ISSUED);
+      const success = nextEvent(EVENT_TYPES.AUTH.SUCCESS);
+
+      startFlow('d1');
+
+      expect(await issued).toEqual({
+        requestId: 'd1',
+        service: 'tidal',
+        userCode: 'WXYZ-1234',
+        verificationUri: `${baseUrl}/activate`,
+        verificationUriComplete: `${baseUrl}/activate?code=WXYZ-1234`,
+        expiresAt: expect.any(Number)
+      });
+      expect(await success).toEqual({ service: 'tidal', requestId: 'd1' });
+
+      expect(requests[0]).toEqual({
+        url: '/oauth2/device_authorization',
+        form: { client_id: 'client-21byts', scope: 'r_usr w_usr' }
+      });
+      expect(requests.slice(1).map((request) => request.url)).toEqual(
+        Array(4).fill('/oauth2/token')
+      );
+      expect(requests[1].form).toMatchObject({
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+        device_code: 'device-123',
+        client_id: 'client-21byts'
+      });
+
+      // Les tokens sont confiés au stockage sécurisé, jamais écrits en clair
+      const retrieved = nextEvent(EVENT_TYPES.AUTH.TOKEN_RETRIEVED);
+      mockEventBus.publish(EVENT_TYPES.AUTH.RETRIEVE_TOKEN, {
+        requestId: 'r1',
+        serviceId: 'tidal'
+      });
+      expect(await retrieved).toMatchObject({
+        requestId: 'r1',
+        success: true,
+        token: { accessToken: 'access-xyz', refreshToken: 'refresh-xyz' },
+        metadata: { userId: 42 }
+      });
+      const store = fs.readFileSync(path.join(storageDir, 'token-store.dat'));
+      expect(store.includes('access-xyz')).toBe(false);
+    });
+
+    it('signale un refus de l’utilisateur', async () => {
+      tokenResponses = [[400, { error: 'access_denied', error_description: 'Accès refusé' }]];
+      const failure = nextEvent(EVENT_TYPES.AUTH.FAILURE);
+
+      startFlow('d2');
+
+      expect(await failure).toMatchObject({
+        name: 'OAUTH_ERROR',
+        service: 'tidal',
+        requestId: 'd2',
+        message: expect.stringContaining('Accès refusé')
+      });
+    });
+
+    it('cesse d’interroger le serveur une fois l’autorisation abandonnée', async () => {
+      tokenResponses = [];
+      const issued = nextEvent(EVENT_TYPES.AUTH.DEVICE_CODE_ISSUED);
+      const failure = nextEvent(EVENT_TYPES.AUTH.FAILURE);
+
+      startFlow('d3');
+      await issued;
+      mockEventBus.publish(EVENT_TYPES.AUTH.DEVICE_FLOW_CANCEL, { requestId: 'd3' });
+
+      expect(await failure).toMatchObject({ requestId: 'd3', cancelled: true });
+      const count = requests.length;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(requests).toHaveLength(count);
+      expect(publishedEvents.some(({ event }) => event === EVENT_TYPES.AUTH.SUCCESS)).toBe(false);
+    });
+
+    it('refuse un service sans serveur d’autorisation configuré', async () => {
+      const failure = nextEvent(EVENT_TYPES.AUTH.FAILURE);
+
+      startFlow(undefined, 'inconnu');
+
+      expect(await failure).toMatchObject({ service: 'inconnu' });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('signale un identifiant client manquant avant tout appel réseau', async () => {
+      mockEventBus.publish(EVENT_TYPES.CONFIG.UPDATED, {
+        adapters: {
+          tidal: {
+            deviceAuth: {
+              deviceAuthorizationUrl: `${baseUrl}/oauth2/device_authorization`,
+              tokenUrl: `${baseUrl}/oauth2/token`,
+              clientId: ''
+            }
+          }
+        }
+      });
+      const failure = nextEvent(EVENT_TYPES.AUTH.FAILURE);
+
+      startFlow('d4');
+
+      expect(await failure).toMatchObject({
+        name: 'INVALID_CONFIG',
+        service: 'tidal',
+        requestId: 'd4',
+        message: expect.stringContaining('adapters.tidal.deviceAuth.clientId')
+      });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('renouvelle un token expiré auprès du serveur de tokens', async () => {
+      tokenResponses = [
+        [200, { access_token: 'access-2', token_type: 'Bearer', expires_in: 3600 }]
+      ];
+      const success = nextEvent(EVENT_TYPES.AUTH.SUCCESS);
+
+      mockEventBus.publish(EVENT_TYPES.AUTH.REFRESH_TOKEN, {
+        service: 'tidal',
+        requestId: 'f1',
+        refreshToken: 'refresh-xyz',
+        userId: 42
+      });
+
+      expect(await success).toEqual({ service: 'tidal', requestId: 'f1' });
+      expect(requests).toEqual([
+        {
+          url: '/oauth2/token',
+          form: {
+            grant_type: 'refresh_token',
+            refresh_token: 'refresh-xyz',
+            client_id: 'client-21byts',
+            scope: 'r_usr w_usr'
+          }
+        }
+      ]);
+
+      // Sans nouveau token de renouvellement, l'ancien est conservé
+      const retrieved = nextEvent(EVENT_TYPES.AUTH.TOKEN_RETRIEVED);
+      mockEventBus.publish(EVENT_TYPES.AUTH.RETRIEVE_TOKEN, {
+        requestId: 'r2',
+        serviceId: 'tidal'
+      });
+      expect(await retrieved).toMatchObject({
+        success: true,
+        token: { accessToken: 'access-2', refreshToken: 'refresh-xyz' },
+        metadata: { userId: 42 }
+      });
+
+      // Token de renouvellement révoqué : une reconnexion est nécessaire
+      tokenResponses = [[400, { error: 'invalid_grant' }]];
+      const failure = nextEvent(EVENT_TYPES.AUTH.FAILURE);
+      mockEventBus.publish(EVENT_TYPES.AUTH.REFRESH_TOKEN, {
+        service: 'tidal',
+        requestId: 'f2',
+        refreshToken: 'refresh-xyz'
+      });
+      expect(await failure).toMatchObject({ name: 'SESSION_EXPIRED', requestId: 'f2' });
+    });
+  });
 });
@@ -0,0 +1,422 @@
+/**
+ * @file bandcamp-adapter.test.js
+ */
+
+jest.mock('electron', () => ({ shell: {} }));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const EVENT_TYPES = require('../../src/constants/event-types');
+const secureTokenStore = require('../../src/modules/auth/secure-token-store');
+const BaseAdapter = require('../../src/modules/download/adapters/base-adapter');
+const { BandcampAdapter } = require('../../src/modules/download/adapters/bandcamp-adapter');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+const IN_ONE_YEAR = Math.floor(Date.now() / 1000) + 365 * 24 * 3600;
+const TRACK_AUDIO = crypto.randomBytes(64 * 1024);
+
+// Page de recherche de titres : un résultat complet, un résultat sans adresse
+const SEARCH_PAGE = `<ul class="result-items">
+  <li class="searchresult data-search">
+    <div class="result-info">
+      <div class="itemtype">TRACK</div>
+      <div class="heading">
+        <a href="https://artiste.bandcamp.com/track/titre?from=search">Titre &amp; suite</a>
+      </div>
+      <div class="subhead">
+        from Disque
+        by Artiste
+      </div>
+      <div class="itemurl"><a href="#">https://artiste.bandcamp.com/track/titre</a></div>
+    </div>
+  </li>
+  <li class="searchresult data-search">
+    <div class="heading"><a href="#">Sans adresse</a></div>
+  </li>
+</ul>`;
+
+/**
+ * Archive ZIP minimale (entrées compressées en deflate)
+ * @param {Object} files - Nom de l'entrée -> contenu
+ */
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const data = zlib.deflateRawSync(content);
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const ALBUM_ZIP = createZip({
+  'Artiste - Disque - 01 Intro.flac': Buffer.from('intro'),
+  'Artiste - Disque - 02 Final.flac': Buffer.from('final'),
+  '../evasion.txt': Buffer.from('hors du dossier ?'),
+  'scans/': Buffer.alloc(0)
+});
+
+/**
+ * Serveur bandcamp.com simulé : API de la collection, pages de téléchargement des achats
+ * (data-blob) et fichiers servis par lien signé
+ */
+function createServer(requests, getBaseUrl) {
+  const sendJson = (res, data) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+  const sendPage = (res, blob) => {
+    const escaped = JSON.stringify(blob).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<html><body><div id="pagedata" data-blob="${escaped}"></div></body></html>`);
+  };
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const base = getBaseUrl();
+      const loggedIn = (req.headers.cookie || '').includes('identity=secret-identity');
+
+      if (req.url.startsWith('/search?')) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(SEARCH_PAGE);
+      }
+      if (req.url === '/api/fan/2/collection_summary') {
+        return sendJson(
+          res,
+          loggedIn ? { fan_id: 42, collection_summary: { fan_id: 42, username: 'fan' } } : {}
+        );
+      }
+      if (req.url === '/api/fancollection/1/collection_items' && loggedIn) {
+        const { older_than_token: olderThan } = JSON.parse(body);
+        if (olderThan === 'page2') {
+          return sendJson(res, {
+            items: [
+              {
+                sale_item_type: 'p',
+                sale_item_id: 2,
+                tralbum_type: 't',
+                tralbum_id: 202,
+                item_title: 'Titre',
+                band_name: 'Autre',
+                item_url: 'https://autre.bandcamp.com/track/titre'
+              }
+            ],
+            more_available: false,
+            last_token: 'end',
+            redownload_urls: { p2: `${base}/download?id=track` }
+          });
+        }
+        return sendJson(res, {
+          items: [
+            {
+              sale_item_type: 'p',
+              sale_item_id: 1,
+              tralbum_type: 'a',
+              tralbum_id: 101,
+              item_title: 'Disque',
+              band_name: 'Artiste',
+              item_url: 'https://artiste.bandcamp.com/album/disque'
+            },
+            // Abonnement de fan : pas de page de téléchargement
+            {
+              sale_item_type: 's',
+              sale_item_id: 9,
+              tralbum_type: 'a',
+              tralbum_id: 109,
+              item_title: 'Abonnement',
+              band_name: 'Artiste',
+              item_url: 'https://artiste.bandcamp.com/subscribe'
+            }
+          ],
+          more_available: true,
+          last_token: 'page2',
+          redownload_urls: { p1: `${base}/download?id=album` }
+        });
+      }
+      if (req.url === '/download?id=album' && loggedIn) {
+        return sendPage(res, {
+          digital_items: [
+            {
+              title: 'Disque',
+              downloads: {
+                'mp3-320': { url: `${base}/files/album-mp3.zip` },
+                flac: { url: `${base}/files/album.zip` }
+              }
+            }
+          ]
+        });
+      }
+      if (req.url === '/download?id=track' && loggedIn) {
+        return sendPage(res, {
+          digital_items: [{ downloads: { 'mp3-320': { url: `${base}/files/track.mp3` } } }]
+        });
+      }
+      if (req.url === '/files/album.zip') {
+        res.writeHead(200, {
+          'Content-Type': 'application/zip',
+          'Content-Disposition': 'attachment; filename="Artiste - Disque.zip"',
+          'Content-Length': ALBUM_ZIP.length
+        });
+        return res.end(ALBUM_ZIP);
+      }
+      if (req.url === '/files/track.mp3') {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': TRACK_AUDIO.length });
+        return res.end(TRACK_AUDIO);
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+}
+
+describe('🧩 bandcamp-adapter.js', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let workDir;
+  let bus;
+  let adapter;
+  let cookieFile;
+
+  beforeAll((done) => {
+    requests = [];
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-bandcamp-'));
+
+    // Stockage sécurisé relié au même bus que l'adaptateur
+    bus = createBus();
+    secureTokenStore.initialize(bus, EVENT_TYPES, {});
+    bus.publish('CONFIG:UPDATED', { security: { storageDir: path.join(workDir, 'secure') } });
+    bus.publish('CONFIG:LOADED', {
+      security: { encryptionKey: crypto.randomBytes(32).toString('hex') }
+    });
+
+    // Cookies exportés depuis le navigateur, importés puis effacés par défaut
+    cookieFile = path.join(workDir, 'cookies.txt');
+    fs.writeFileSync(
+      cookieFile,
+      [
+        '# Netscape HTTP Cookie File',
+        `.bandcamp.com\tTRUE\t/\tTRUE\t${IN_ONE_YEAR}\tidentity\tsecret-identity`,
+        '#HttpOnly_bandcamp.com\tFALSE\t/\tFALSE\t0\tsession\tabc',
+        `.example.com\tTRUE\t/\tFALSE\t${IN_ONE_YEAR}\ttraceur\tnon`,
+        ''
+      ].join('\n')
+    );
+
+    bus.publish('AUTH:IMPORT_COOKIES', {
+      requestId: 'c1',
+      serviceId: 'bandcamp',
+      filePath: cookieFile,
+      domain: 'bandcamp.com'
+    });
+
+    server = createServer(requests, () => baseUrl);
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    adapter = new BandcampAdapter();
+    adapter.configure(
+      {
+        tempDir: path.join(workDir, 'tmp'),
+        bandcampOptions: { ...adapter.config.bandcampOptions, baseUrl }
+      },
+      bus
+    );
+  });
+
+  it('importe le fichier de cookies du navigateur et le conserve chiffré', () => {
+    expect(published(bus, 'AUTH:TOKEN_STORED')).toMatchObject([
+      { requestId: 'c1', success: true, cookieCount: 2, expiresAt: IN_ONE_YEAR * 1000 }
+    ]);
+    expect(fs.existsSync(cookieFile)).toBe(false);
+    const store = fs.readFileSync(path.join(workDir, 'secure', 'token-store.dat'));
+    expect(store.includes('secret-identity')).toBe(false);
+
+    bus.publish('AUTH:RETRIEVE_TOKEN', { requestId: 'r1', serviceId: 'bandcamp' });
+    const [retrieved] = published(bus, 'AUTH:TOKEN_RETRIEVED');
+    expect(retrieved.token.tokenType).toBe('Cookie');
+    expect(retrieved.token.cookies).toMatchObject([
+      { domain: 'bandcamp.com', name: 'identity', secure: true, httpOnly: false },
+      { domain: 'bandcamp.com', name: 'session', expiresAt: 0, httpOnly: true }
+    ]);
+
+    bus.publish('AUTH:IMPORT_COOKIES', {
+      requestId: 'c2',
+      serviceId: 'bandcamp',
+      filePath: path.join(workDir, 'absent.txt')
+    });
+    expect(published(bus, 'AUTH:TOKEN_STORED')[1]).toMatchObject({
+      requestId: 'c2',
+      success: false
+    });
+
+    // Conservé à la demande de l'appelant, le fichier en clair est signalé
+    const keptFile = path.join(workDir, 'cookies-kept.txt');
+    fs.writeFileSync(keptFile, `.bandcamp.com\tTRUE\t/\tTRUE\t${IN_ONE_YEAR}\tidentity\tx\n`);
+    bus.publish('AUTH:IMPORT_COOKIES', {
+      requestId: 'c3',
+      serviceId: 'bandcamp-test',
+      filePath: keptFile,
+      deleteSource: false
+    });
+    expect(fs.existsSync(keptFile)).toBe(true);
+    expect(published(bus, 'LOG:WARNING')).toContainEqual(
+      expect.objectContaining({ message: expect.stringContaining(keptFile) })
+    );
+  });
+
+  it('liste la collection du fan connecté', async () => {
+    const collection = await adapter.listEntries({ id: 'l1', url: 'https://bandcamp.com/fan' });
+
+    expect(collection).toEqual({
+      title: 'Collection Bandcamp de fan',
+      entries: [
+        {
+          id: '101',
+          url: 'https://artiste.bandcamp.com/album/disque',
+          title: 'Artiste - Disque',
+          archived: false
+        },
+        {
+          id: '202',
+          url: 'https://autre.bandcamp.com/track/titre',
+          title: 'Autre - Titre',
+          archived: false
+        }
+      ]
+    });
+    const pages = requests.filter((request) => request.url.includes('collection_items'));
+    expect(pages.map((request) => JSON.parse(request.body).older_than_token)[1]).toBe('page2');
+    expect(pages[0].headers.cookie).toBe('identity=secret-identity; session=abc');
+
+    await expect(
+      adapter.listEntries({ id: 'l2', url: 'https://bandcamp.com/quelqu-un' })
+    ).rejects.toMatchObject({ code: 'ACCESS_FORBIDDEN' });
+    await expect(
+      new BandcampAdapter().listEntries({ id: 'l3', url: 'https://bandcamp.com/fan' })
+    ).rejects.toMatchObject({ code: 'AUTH_REQUIRED' });
+  });
+
+  it('télécharge les achats en pleine qualité et les extraits publics via yt-dlp', async () => {
+    const album = await adapter.download(
+      { id: 'a1', url: 'https://artiste.bandcamp.com/album/disque?from=fan', format: 'flac' },
+      { tempDir: path.join(workDir, 'a1') }
+    );
+
+    expect(album.filePath).toBe(path.join(workDir, 'a1', 'Artiste - Disque'));
+    expect(fs.readdirSync(album.filePath).sort()).toEqual([
+      'Artiste - Disque - 01 Intro.flac',
+      'Artiste - Disque - 02 Final.flac',
+      'evasion.txt'
+    ]);
+    expect(fs.existsSync(path.join(workDir, 'a1', 'Artiste - Disque.zip'))).toBe(false);
+    // Le lien signé du fichier est demandé sans les cookies de la session
+    const file = requests.find((request) => request.url === '/files/album.zip');
+    expect(file.headers.cookie).toBeUndefined();
+
+    // Pas de FLAC proposé : MP3 320
+    const track = await adapter.download(
+      { id: 't1', url: 'https://autre.bandcamp.com/track/titre', format: 'flac' },
+      { tempDir: path.join(workDir, 't1') }
+    );
+    expect(fs.readFileSync(track.filePath).equals(TRACK_AUDIO)).toBe(true);
+
+    const preview = jest
+      .spyOn(BaseAdapter.prototype, 'download')
+      .mockResolvedValue({ filePath: '/tmp/extrait.mp3' });
+    await expect(
+      adapter.download({ id: 'p1', url: 'https://autre.bandcamp.com/track/gratuit' })
+    ).resolves.toEqual({ filePath: '/tmp/extrait.mp3' });
+    expect(preview).toHaveBeenCalledTimes(1);
+    preview.mockRestore();
+  });
+
+  it('recherche des titres sans les cookies de la session', async () => {
+    await expect(adapter.search('Artiste Titre', { limit: 3 })).resolves.toEqual([
+      {
+        platform: 'bandcamp',
+        url: 'https://artiste.bandcamp.com/track/titre',
+        title: 'Titre & suite',
+        artist: 'Artiste',
+        channel: 'Artiste',
+        duration: null,
+        verified: false
+      }
+    ]);
+
+    const [search] = requests;
+    expect(search.url).toBe('/search?q=Artiste+Titre&item_type=t');
+    expect(search.headers.cookie).toBeUndefined();
+  });
+
+  it('redemande les cookies quand le stockage sécurisé ne répond pas', async () => {
+    jest.useFakeTimers();
+    const silentBus = createBus();
+    const silent = new BandcampAdapter();
+    silent.configure({ tempDir: path.join(workDir, 'tmp') }, silentBus);
+
+    const first = silent._getCookies();
+    jest.advanceTimersByTime(2000);
+    await expect(first).resolves.toBeNull();
+
+    const second = silent._getCookies();
+    const [, request] = published(silentBus, 'AUTH:RETRIEVE_TOKEN');
+    silentBus.publish('AUTH:TOKEN_RETRIEVED', {
+      requestId: request.requestId,
+      success: true,
+      token: { cookies: [{ name: 'identity', value: 'tardif' }] }
+    });
+    await expect(second).resolves.toEqual([{ name: 'identity', value: 'tardif' }]);
+    expect(silent.cookies).toEqual([{ name: 'identity', value: 'tardif' }]);
+    jest.useRealTimers();
+  });
+});
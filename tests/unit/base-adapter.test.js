@@ -0,0 +1,198 @@
+/**
+ * @file base-adapter.test.js
+ */
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseAdapter = require('../../src/modules/download/adapters/base-adapter');
+const { parseYtDlpProgressLine } = BaseAdapter;
+
+/**
+ * Crée un faux processus dont la sortie et le code de fin sont pilotés par le test
+ */
+function createProcess() {
+  const proc = new EventEmitter();
+  proc.stdout = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  proc.kill = jest.fn(() => proc.emit('close', null));
+  return proc;
+}
+
+describe('🧩 base-adapter.js', () => {
+  describe('progression yt-dlp', () => {
+    it('analyse une ligne de téléchargement', () => {
+      const progress = parseYtDlpProgressLine(
+        '[download]  45.2% of ~  3.45MiB at  512.00KiB/s ETA 01:04 (frag 3/10)'
+      );
+
+      expect(progress).toMatchObject({
+        phase: 'downloading',
+        percent: 45.2,
+        totalBytes: Math.round(3.45 * 1024 * 1024),
+        speed: 512 * 1024,
+        eta: 64
+      });
+    });
+
+    it('reconnaît les phases d’extraction et de post-traitement', () => {
+      expect(parseYtDlpProgressLine('[youtube] abc: Downloading webpage').phase).toBe('extracting');
+      expect(parseYtDlpProgressLine('[ExtractAudio] Destination: a.mp3').phase).toBe(
+        'post-processing'
+      );
+      expect(parseYtDlpProgressLine('[download] Destination: a.webm')).toBeNull();
+    });
+
+    it('tolère une vitesse et un temps restant inconnus', () => {
+      const progress = parseYtDlpProgressLine(
+        '[download]   0.0% of    3.45MiB at  Unknown B/s ETA Unknown'
+      );
+
+      expect(progress).toMatchObject({ percent: 0, speed: null, eta: null });
+    });
+  });
+
+  describe('contrat des adaptateurs', () => {
+    let adapter;
+    let tempDir;
+    const item = { id: 'x1', url: 'https://example.org/x1', format: 'mp3' };
+
+    beforeEach(() => {
+      spawn.mockReset();
+      adapter = new BaseAdapter({ platform: 'generic' }).configure({ ytDlpPath: '/bin/yt-dlp' });
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), '21byts-adapter-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('analyse une URL avec yt-dlp', async () => {
+      const proc = createProcess();
+      spawn.mockReturnValueOnce(proc);
+
+      const analysis = adapter.analyze(item);
+      proc.stdout.emit('data', Buffer.from(JSON.stringify({ title: 'T', uploader: 'U' })));
+      proc.emit('close', 0);
+
+      await expect(analysis).resolves.toEqual({
+        metadata: { title: 'T', artist: 'U', duration: undefined }
+      });
+      expect(spawn).toHaveBeenCalledWith('/bin/yt-dlp', ['--dump-json', '--no-playlist', item.url]);
+    });
+
+    it('rejette avec un code exploitable si yt-dlp est absent', async () => {
+      adapter.configure({ ytDlpPath: '' });
+
+      await expect(adapter.analyze(item)).rejects.toMatchObject({ code: 'TOOL_NOT_FOUND' });
+    });
+
+    it('télécharge dans le dossier de travail en remontant la progression', async () => {
+      const proc = createProcess();
+      spawn.mockReturnValueOnce(proc);
+      const onProgress = jest.fn();
+
+      const download = adapter.download(item, { tempDir, onProgress });
+      // Ligne découpée sur deux paquets de données
+      proc.stdout.emit('data', Buffer.from('[download]  50.0% of 2.00MiB at 1.00MiB/s'));
+      proc.stdout.emit('data', Buffer.from(' ETA 00:01\n'));
+      fs.writeFileSync(path.join(tempDir, 'x1.mp3'), '');
+      proc.emit('close', 0);
+
+      await expect(download).resolves.toEqual({ filePath: path.join(tempDir, 'x1.mp3') });
+      expect(spawn.mock.calls[0][1]).toEqual(
+        expect.arrayContaining(['--continue', '-o', path.join(tempDir, 'x1.%(ext)s')])
+      );
+      expect(onProgress).toHaveBeenCalledWith(
+        expect.objectContaining({ phase: 'downloading', percent: 50, eta: 1 })
+      );
+    });
+
+    it('traduit les formats nommés autrement par yt-dlp et retrouve leur extension', async () => {
+      const proc = createProcess();
+      spawn.mockReturnValueOnce(proc);
+
+      const download = adapter.download({ ...item, format: 'alac' }, { tempDir });
+      fs.writeFileSync(path.join(tempDir, 'x1.m4a'), '');
+      proc.emit('close', 0);
+
+      await expect(download).resolves.toEqual({ filePath: path.join(tempDir, 'x1.m4a') });
+      expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['--audio-format', 'alac']));
+      expect(adapter._getAudioFormatArgs('ogg')).toEqual(['--audio-format', 'vorbis']);
+    });
+
+    it('conserve la fin de la sortie d’erreur en cas d’échec', async () => {
+      const proc = createProcess();
+      spawn.mockReturnValueOnce(proc);
+
+      const download = adapter.download(item, { tempDir });
+      proc.stderr.emit('data', Buffer.from('ERROR: HTTP Error 429: Too Many Requests'));
+      proc.emit('close', 1);
+
+      await expect(download).rejects.toMatchObject({
+        exitCode: 1,
+        output: 'ERROR: HTTP Error 429: Too Many Requests'
+      });
+    });
+
+    it('annule le processus en cours', async () => {
+      const proc = createProcess();
+      spawn.mockReturnValueOnce(proc);
+
+      const download = adapter.download(item, { tempDir });
+
+      expect(adapter.cancel('x1')).toBe(true);
+      expect(proc.kill).toHaveBeenCalled();
+      await expect(download).rejects.toMatchObject({ cancelled: true });
+      expect(adapter.cancel('x1')).toBe(false);
+    });
+
+    it('recherche des titres lorsque la plateforme fournit une requête', async () => {
+      await expect(adapter.search('Artiste Titre')).resolves.toEqual([]);
+      expect(spawn).not.toHaveBeenCalled();
+
+      adapter._getSearchUrl = (query, limit) => `ytsearch${limit}:${query}`;
+      const proc = createProcess();
+      spawn.mockReturnValueOnce(proc);
+
+      const search = adapter.search('Artiste Titre', { limit: 2 });
+      proc.stdout.emit(
+        'data',
+        Buffer.from(
+          [
+            JSON.stringify({
+              url: 'https://youtu.be/a',
+              title: 'Titre',
+              channel: 'Artiste - Topic'
+            }),
+            'WARNING: résultat ignoré',
+            JSON.stringify({ title: 'Sans adresse' }),
+            ''
+          ].join('\n')
+        )
+      );
+      proc.emit('close', 0);
+
+      await expect(search).resolves.toEqual([
+        {
+          platform: 'generic',
+          url: 'https://youtu.be/a',
+          title: 'Titre',
+          artist: 'Artiste - Topic',
+          channel: 'Artiste - Topic',
+          duration: null,
+          verified: false
+        }
+      ]);
+      expect(spawn.mock.calls[0][1]).toEqual([
+        '--flat-playlist',
+        '--dump-json',
+        'ytsearch2:Artiste Titre'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @file batch-converter.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initBatchConverter } = require('../../src/modules/formats/batch-converter');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+describe('🗂️ batch-converter.js', () => {
+  let bus;
+  let tempDir;
+
+  beforeEach(() => {
+    bus = createBus();
+    initBatchConverter({ eventBus: bus });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-batch-'));
+    bus.publish('CONFIG:LOADED', {
+      paths: { downloads: path.join(tempDir, 'Téléchargements') },
+      downloads: {
+        formats: {
+          qualityPresets: { mp3: { bitrate: '320k', sampleRate: '44.1k' } },
+          conversionPresets: {
+            compact: { label: 'Compact', formats: { mp3: { bitrate: '128k' } } }
+          }
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('reproduit l’arborescence des dossiers déposés dans le dossier de sortie', () => {
+    const album = path.join(tempDir, 'Album');
+    fs.mkdirSync(path.join(album, 'CD2'), { recursive: true });
+    fs.writeFileSync(path.join(album, '01 - A.flac'), '');
+    fs.writeFileSync(path.join(album, 'cover.jpg'), '');
+    fs.writeFileSync(path.join(album, 'CD2', '01 - B.ogg'), '');
+    const single = path.join(tempDir, 'Titre.wav');
+    fs.writeFileSync(single, '');
+
+    bus.publish('FORMAT:BATCH_REQUEST', {
+      requestId: 'batch-1',
+      paths: [album, single],
+      targetFormat: 'mp3',
+      preset: 'compact',
+      outputDir: path.join(tempDir, 'Sortie'),
+      deleteOriginals: true
+    });
+
+    const requests = published(bus, 'FORMAT_CONVERSION_REQUESTED');
+    expect(requests.map(({ sourceFile, outputDir }) => [sourceFile, outputDir])).toEqual([
+      [path.join(album, '01 - A.flac'), path.join(tempDir, 'Sortie', 'Album')],
+      [path.join(album, 'CD2', '01 - B.ogg'), path.join(tempDir, 'Sortie', 'Album', 'CD2')],
+      [single, path.join(tempDir, 'Sortie')]
+    ]);
+    expect(requests[0]).toMatchObject({
+      requestId: 'batch-1:0',
+      targetFormat: 'mp3',
+      quality: { bitrate: '128k' },
+      keepArtwork: true,
+      deleteSource: true
+    });
+  });
+
+  it('renomme les fichiers produits de même nom au lieu de les écraser', () => {
+    const files = ['titre.flac', 'titre.wav', 'Titre.ogg'].map((name) => path.join(tempDir, name));
+    files.forEach((file) => fs.writeFileSync(file, ''));
+    // Fichier déjà présent dans le dossier de sortie, d'une conversion précédente
+    const outputDir = path.join(tempDir, 'Sortie');
+    fs.mkdirSync(outputDir);
+    fs.writeFileSync(path.join(outputDir, 'titre (2).mp3'), '');
+
+    bus.publish('FORMAT:BATCH_REQUEST', {
+      requestId: 'batch-5',
+      paths: files,
+      targetFormat: 'mp3',
+      outputDir,
+      deleteOriginals: true
+    });
+
+    expect(
+      published(bus, 'FORMAT_CONVERSION_REQUESTED').map(({ outputName }) => outputName)
+    ).toEqual(['titre.mp3', 'titre (3).mp3', 'Titre (4).mp3']);
+  });
+
+  it('ne reconvertit pas le dossier de sortie placé dans un dossier déposé', () => {
+    // Dossier de téléchargement déposé, avec le dossier « Conversions » d'un lot précédent
+    const downloads = path.join(tempDir, 'Téléchargements');
+    fs.mkdirSync(path.join(downloads, 'Album'), { recursive: true });
+    fs.mkdirSync(path.join(downloads, 'Conversions', 'Album'), { recursive: true });
+    fs.writeFileSync(path.join(downloads, 'Album', 'titre.flac'), '');
+    fs.writeFileSync(path.join(downloads, 'Conversions', 'Album', 'titre.mp3'), '');
+
+    bus.publish('FORMAT:BATCH_REQUEST', {
+      requestId: 'batch-6',
+      paths: [downloads],
+      targetFormat: 'mp3'
+    });
+
+    expect(
+      published(bus, 'FORMAT_CONVERSION_REQUESTED').map(({ sourceFile, outputDir }) => [
+        sourceFile,
+        outputDir
+      ])
+    ).toEqual([
+      [
+        path.join(downloads, 'Album', 'titre.flac'),
+        path.join(downloads, 'Conversions', 'Téléchargements', 'Album')
+      ]
+    ]);
+  });
+
+  it('suit la progression des fichiers et publie le bilan du lot', () => {
+    const files = ['a.flac', 'b.flac'].map((name) => path.join(tempDir, name));
+    files.forEach((file) => fs.writeFileSync(file, ''));
+
+    bus.publish('FORMAT:BATCH_REQUEST', {
+      requestId: 'batch-2',
+      paths: files,
+      targetFormat: 'mp3'
+    });
+    const [request] = published(bus, 'FORMAT_CONVERSION_REQUESTED');
+    // Sans préréglage ni dossier : qualité des téléchargements, dossier « Conversions »
+    expect(request).toMatchObject({
+      quality: { bitrate: '320k', sampleRate: '44.1k' },
+      outputDir: path.join(tempDir, 'Téléchargements', 'Conversions'),
+      deleteSource: false
+    });
+
+    bus.publish('FORMAT:CONVERT_PROGRESS', { requestId: 'batch-2:0', percent: 50 });
+    expect(published(bus, 'FORMAT:BATCH_PROGRESS').pop()).toEqual({
+      requestId: 'batch-2',
+      total: 2,
+      done: 0,
+      failed: 0,
+      percent: 25,
+      currentFile: files[0]
+    });
+
+    bus.publish('FORMAT_CONVERSION_COMPLETED', { requestId: 'batch-2:0' });
+    bus.publish('FORMAT_CONVERSION_FAILED', {
+      requestId: 'batch-2:1',
+      error: { code: 'CONVERSION_FAILED', message: 'Fichier illisible' }
+    });
+    expect(published(bus, 'FORMAT:BATCH_COMPLETED')).toEqual([
+      {
+        requestId: 'batch-2',
+        total: 2,
+        converted: 1,
+        failed: [{ sourceFile: files[1], error: 'Fichier illisible' }],
+        cancelled: false,
+        outputDir: path.join(tempDir, 'Téléchargements', 'Conversions')
+      }
+    ]);
+  });
+
+  it('annule les fichiers restants et refuse un dépôt sans fichier audio', () => {
+    const files = ['a.mp3', 'b.mp3', 'c.mp3'].map((name) => path.join(tempDir, name));
+    files.forEach((file) => fs.writeFileSync(file, ''));
+    // Le convertisseur répond aux annulations par un échec CONVERSION_CANCELLED
+    bus.subscribe('FORMAT_CONVERSION_CANCEL', ({ requestId }) =>
+      bus.publish('FORMAT_CONVERSION_FAILED', {
+        requestId,
+        error: { code: 'CONVERSION_CANCELLED' }
+      })
+    );
+
+    bus.publish('FORMAT:BATCH_REQUEST', {
+      requestId: 'batch-3',
+      paths: files,
+      targetFormat: 'flac'
+    });
+    bus.publish('FORMAT_CONVERSION_COMPLETED', { requestId: 'batch-3:0' });
+    bus.publish('FORMAT:BATCH_CANCEL', { requestId: 'batch-3' });
+
+    expect(published(bus, 'FORMAT_CONVERSION_CANCEL')).toEqual([
+      { requestId: 'batch-3:1' },
+      { requestId: 'batch-3:2' }
+    ]);
+    expect(published(bus, 'FORMAT:BATCH_COMPLETED')).toEqual([
+      expect.objectContaining({ requestId: 'batch-3', converted: 1, failed: [], cancelled: true })
+    ]);
+
+    fs.writeFileSync(path.join(tempDir, 'notes.txt'), '');
+    bus.publish('FORMAT:BATCH_REQUEST', {
+      requestId: 'batch-4',
+      paths: [path.join(tempDir, 'notes.txt')],
+      targetFormat: 'mp3'
+    });
+    expect(published(bus, 'FORMAT:BATCH_FAILED')).toEqual([
+      expect.objectContaining({
+        requestId: 'batch-4',
+        error: expect.objectContaining({ code: 'NO_AUDIO_FILES' })
+      })
+    ]);
+  });
+});
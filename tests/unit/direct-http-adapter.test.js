@@ -0,0 +1,201 @@
+/**
+ * @file direct-http-adapter.test.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DirectHttpAdapter,
+  parseContentDisposition
+} = require('../../src/modules/download/adapters/direct-http-adapter');
+
+// Contenu servi : assez grand pour être reçu en plusieurs morceaux
+const AUDIO = crypto.randomBytes(256 * 1024);
+const AUDIO_SHA256 = crypto.createHash('sha256').update(AUDIO).digest('hex');
+
+/**
+ * Serveur de test : /track.flac (Range, ETag), /download (Content-Disposition),
+ * /redirect, /page.mp3 (HTML) et /missing.mp3 (404)
+ */
+function createServer(requests) {
+  return http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/track.flac' });
+      return res.end();
+    }
+    if (req.url === '/page.mp3') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end('<html></html>');
+    }
+    if (req.url === '/missing.mp3') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const headers = { 'Content-Type': 'audio/flac', ETag: '"v1"', 'Accept-Ranges': 'bytes' };
+    if (req.url === '/download') {
+      headers['Content-Type'] = 'application/octet-stream';
+      headers['Content-Disposition'] = `attachment; filename*=UTF-8''Caf%C3%A9%20live.flac`;
+    }
+
+    const range = /bytes=(\d+)-/.exec(req.headers.range || '');
+    if (range && req.headers['if-range'] === '"v1"') {
+      const start = parseInt(range[1], 10);
+      res.writeHead(206, {
+        ...headers,
+        'Content-Length': AUDIO.length - start,
+        'Content-Range': `bytes ${start}-${AUDIO.length - 1}/${AUDIO.length}`
+      });
+      return res.end(req.method === 'HEAD' ? undefined : AUDIO.subarray(start));
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': AUDIO.length });
+    res.end(req.method === 'HEAD' ? undefined : AUDIO);
+  });
+}
+
+describe('🧩 direct-http-adapter.js', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let tempDir;
+  let adapter;
+
+  beforeAll((done) => {
+    requests = [];
+    server = createServer(requests);
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-direct-'));
+    adapter = new DirectHttpAdapter();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('lit le nom de fichier de Content-Disposition', () => {
+    expect(parseContentDisposition('attachment; filename="a \\"b\\".mp3"')).toBe('a "b".mp3');
+    expect(parseContentDisposition("attachment; filename*=UTF-8''%C3%A9t%C3%A9.flac")).toBe(
+      'été.flac'
+    );
+    expect(parseContentDisposition('inline')).toBeNull();
+  });
+
+  it('analyse un lien direct sans le télécharger', async () => {
+    const { metadata } = await adapter.analyze({ id: 'a1', url: `${baseUrl}/track.flac` });
+
+    expect(metadata).toMatchObject({
+      title: 'track',
+      fileName: 'track.flac',
+      fileSize: AUDIO.length,
+      contentType: 'audio/flac',
+      sourceFormat: 'flac'
+    });
+    expect(requests[0].method).toBe('HEAD');
+  });
+
+  it('télécharge le fichier et rapporte la progression', async () => {
+    const onProgress = jest.fn();
+
+    const { filePath } = await adapter.download(
+      { id: 'd1', url: `${baseUrl}/redirect` },
+      { tempDir, onProgress }
+    );
+
+    expect(path.basename(filePath)).toBe('track.flac');
+    expect(fs.readFileSync(filePath).equals(AUDIO)).toBe(true);
+    expect(onProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        phase: 'downloading',
+        percent: 100,
+        downloadedBytes: AUDIO.length,
+        totalBytes: AUDIO.length
+      })
+    );
+    expect(fs.readdirSync(tempDir)).toEqual(['track.flac']);
+  });
+
+  it('reprend un fichier partiel avec un en-tête Range', async () => {
+    const offset = 100000;
+    fs.writeFileSync(path.join(tempDir, 'd2.part'), AUDIO.subarray(0, offset));
+    fs.writeFileSync(
+      path.join(tempDir, 'd2.part.json'),
+      JSON.stringify({ validator: '"v1"', fileName: 'Café live.flac', totalBytes: AUDIO.length })
+    );
+
+    const { filePath } = await adapter.download(
+      { id: 'd2', url: `${baseUrl}/download` },
+      { tempDir }
+    );
+
+    expect(requests[0].headers.range).toBe(`bytes=${offset}-`);
+    expect(path.basename(filePath)).toBe('Café live.flac');
+    expect(fs.readFileSync(filePath).equals(AUDIO)).toBe(true);
+  });
+
+  it('vérifie la somme de contrôle fournie', async () => {
+    const url = `${baseUrl}/track.flac`;
+
+    await expect(
+      adapter.download({ id: 'c1', url, checksum: { value: AUDIO_SHA256 } }, { tempDir })
+    ).resolves.toHaveProperty('filePath');
+
+    const corrupted = path.join(tempDir, 'corrupted');
+    await expect(
+      adapter.download(
+        { id: 'c2', url, checksum: { algorithm: 'sha256', value: '0'.repeat(64) } },
+        { tempDir: corrupted }
+      )
+    ).rejects.toMatchObject({ code: 'CORRUPTED_FILE' });
+    expect(fs.readdirSync(corrupted)).toEqual([]);
+  });
+
+  it('refuse une réponse qui n’est pas un fichier audio', async () => {
+    await expect(
+      adapter.download({ id: 'h1', url: `${baseUrl}/page.mp3` }, { tempDir })
+    ).rejects.toMatchObject({ code: 'UNSUPPORTED_FORMAT' });
+    await expect(
+      adapter.analyze({ id: 'h2', url: `${baseUrl}/missing.mp3` })
+    ).rejects.toMatchObject({ code: 'RESOURCE_UNAVAILABLE' });
+  });
+
+  it('respecte le débit maximal demandé', async () => {
+    const startedAt = Date.now();
+
+    await adapter.download(
+      { id: 'l1', url: `${baseUrl}/track.flac` },
+      { tempDir, rateLimit: AUDIO.length * 4 }
+    );
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(200);
+  });
+
+  it('s’interrompt sur cancel en conservant le fichier partiel', async () => {
+    const promise = adapter.download(
+      { id: 'p1', url: `${baseUrl}/track.flac` },
+      {
+        tempDir,
+        onProgress: () => adapter.cancel('p1')
+      }
+    );
+
+    await expect(promise).rejects.toMatchObject({ cancelled: true });
+    expect(fs.existsSync(path.join(tempDir, 'p1.part.json'))).toBe(true);
+  });
+});
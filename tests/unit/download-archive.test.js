@@ -0,0 +1,119 @@
+/**
+ * @file download-archive.test.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DownloadArchive, getArchiveKey } = require('../../src/modules/download/download-archive');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+describe('🧩 download-archive.js', () => {
+  const VIDEO = 'https://youtu.be/dQw4w9WgXcQ?si=abc';
+
+  let workDir;
+  let bus;
+  let archive;
+
+  const next = (event) => new Promise((resolve) => bus.subscribe(event, resolve));
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-archive-'));
+    bus = createBus();
+    archive = new DownloadArchive(bus);
+    archive.configure({ storePath: path.join(workDir, 'download-archive.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('indexe les éléments par plateforme et identifiant de source', () => {
+    expect(getArchiveKey(VIDEO)).toEqual({
+      platform: 'youtube',
+      sourceId: 'dQw4w9WgXcQ',
+      key: 'youtube dQw4w9WgXcQ'
+    });
+    expect(getArchiveKey('https://tidal.com/browse/track/12345').key).toBe('tidal track:12345');
+    expect(getArchiveKey('https://soundcloud.com/artiste/titre?in=a/sets/b').key).toBe(
+      'soundcloud soundcloud.com/artiste/titre'
+    );
+    expect(getArchiveKey('pas une url')).toBeNull();
+  });
+
+  it('archive les téléchargements terminés avec leur somme de contrôle', async () => {
+    const filePath = path.join(workDir, 'titre.mp3');
+    fs.writeFileSync(filePath, 'audio');
+
+    const recorded = next('ARCHIVE:RECORDED');
+    bus.publish('DOWNLOAD:COMPLETED', {
+      downloadId: 'd1',
+      filePath,
+      download: { url: VIDEO, format: 'mp3', metadata: { title: 'Titre' } }
+    });
+    await recorded;
+
+    const entry = archive.lookup('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    expect(entry).toMatchObject({
+      platform: 'youtube',
+      sourceId: 'dQw4w9WgXcQ',
+      title: 'Titre',
+      format: 'mp3',
+      filePath,
+      checksum: {
+        algorithm: 'sha256',
+        value: crypto.createHash('sha256').update('audio').digest('hex')
+      }
+    });
+
+    bus.publish('ARCHIVE:LOOKUP_REQUEST', {
+      requestId: 'r1',
+      urls: [VIDEO, 'https://youtu.be/aaaaaaaaaaa']
+    });
+    expect(published(bus, 'ARCHIVE:LOOKUP_RESULT')).toMatchObject([
+      {
+        requestId: 'r1',
+        results: [
+          { url: VIDEO, archived: true, entry: { filePath } },
+          { archived: false, entry: null }
+        ]
+      }
+    ]);
+
+    // Rechargée depuis le disque
+    const reloaded = new DownloadArchive(createBus());
+    reloaded.configure({ storePath: path.join(workDir, 'download-archive.json') });
+    expect(reloaded.lookup(VIDEO)).toMatchObject({ filePath });
+
+    archive.configure({ enabled: false });
+    expect(archive.lookup(VIDEO)).toBeNull();
+  });
+
+  it('exporte et importe au format yt-dlp ou JSON', async () => {
+    await archive.record({ url: VIDEO, format: 'flac' });
+    const ytDlpFile = path.join(workDir, 'export', 'archive.txt');
+    const jsonFile = path.join(workDir, 'export', 'archive.json');
+
+    await expect(archive.export(ytDlpFile, 'yt-dlp')).resolves.toBe(1);
+    expect(fs.readFileSync(ytDlpFile, 'utf8')).toBe('youtube dQw4w9WgXcQ\n');
+    await archive.export(jsonFile);
+    await expect(archive.export(jsonFile, 'csv')).rejects.toThrow('csv');
+
+    // Archive tenue par yt-dlp : une ligne « <extracteur> <identifiant> »
+    const external = path.join(workDir, 'yt-dlp-archive.txt');
+    fs.writeFileSync(external, 'youtube dQw4w9WgXcQ\nyoutube aaaaaaaaaaa\n\nligne invalide ici\n');
+    const other = new DownloadArchive(createBus());
+    await expect(other.import(external)).resolves.toEqual({ added: 2, skipped: 0 });
+    expect(other.lookup('https://youtu.be/aaaaaaaaaaa')).toMatchObject({ filePath: null });
+    await expect(other.import(jsonFile)).resolves.toEqual({ added: 0, skipped: 1 });
+
+    const imported = next('ARCHIVE:IMPORTED');
+    bus.publish('ARCHIVE:IMPORT_REQUEST', { requestId: 'i1', filePath: external });
+    await expect(imported).resolves.toMatchObject({ requestId: 'i1', added: 1 });
+
+    const failed = next('ARCHIVE:ERROR');
+    bus.publish('ARCHIVE:IMPORT_REQUEST', { requestId: 'i2', filePath: '/absent.txt' });
+    await expect(failed).resolves.toMatchObject({ requestId: 'i2', operation: 'import' });
+  });
+});
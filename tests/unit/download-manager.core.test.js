@@ -9,25 +9,758 @@ jest.mock('child_process', () => {
       const e = new EventEmitter();
       process.nextTick(() => e.emit('close', 0));
       return e;
-    }),
+    })
   };
 });
 
-const { initDownloadManager } = require('../../src/modules/download/download-manager.core.js');
+const {
+  initDownloadManager,
+  classifyDownloadError,
+  computeRetryDelay,
+  resolveBandwidthLimit
+} = require('../../src/modules/download/download-manager.core.js');
 const EventEmitter = require('events');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('⬇️ download-manager.core.js', () => {
   let eventBus;
+  let manager;
 
   beforeEach(() => {
     eventBus = new EventEmitter();
     eventBus.subscribe = (event, handler) => eventBus.on(event, handler);
     eventBus.publish = jest.fn();
-    initDownloadManager({ eventBus });
+    manager = initDownloadManager({ eventBus });
   });
 
   it('devrait pouvoir être initialisé sans erreur', () => {
     expect(typeof eventBus.publish).toBe('function');
   });
+
+  describe('journal de la file d’attente', () => {
+    let configDir;
+
+    beforeEach(() => {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), '21byts-journal-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('restaure les éléments interrompus en les remettant à zéro', () => {
+      const journal = {
+        version: 1,
+        queue: [
+          { id: 'a', url: 'https://youtu.be/a', status: 'downloading', progress: 42 },
+          { id: 'b', url: 'https://youtu.be/b', status: 'completed', progress: 100 },
+          { id: 'c', url: 'https://youtu.be/c', status: 'error', error: 'Erreur code 1' }
+        ],
+        history: []
+      };
+      fs.writeFileSync(path.join(configDir, 'download-queue.json'), JSON.stringify(journal));
+
+      eventBus.emit('CONFIG:LOADED', { paths: { configDir } });
+
+      expect(manager.downloadQueue.map((d) => d.id)).toEqual(['a', 'c']);
+      expect(manager.downloadQueue[0]).toMatchObject({ status: 'pending', progress: 0 });
+      expect(manager.downloadQueue[1].status).toBe('error');
+      expect(manager.downloadHistory.map((d) => d.id)).toEqual(['b']);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:ADDED',
+        expect.objectContaining({ downloadId: 'a', restored: true })
+      );
+    });
+
+    it('écrit le journal lors de l’ajout d’un téléchargement', () => {
+      eventBus.emit('CONFIG:LOADED', { paths: { configDir } });
+      eventBus.emit('DOWNLOAD:ADD', { url: 'https://youtu.be/xyz' });
+
+      const saved = JSON.parse(
+        fs.readFileSync(path.join(configDir, 'download-queue.json'), 'utf8')
+      );
+      expect(saved.version).toBe(1);
+      expect(saved.queue).toHaveLength(1);
+      expect(saved.queue[0].url).toBe('https://youtu.be/xyz');
+    });
+
+    it('propose à nouveau les décisions en attente lors de la restauration', () => {
+      const duplicates = [{ reason: 'url', filePath: '/musique/a.mp3' }];
+      const matches = [{ platform: 'youtube', url: 'https://youtu.be/m', confidence: 0.6 }];
+      const journal = {
+        version: 1,
+        queue: [
+          { id: 'd', url: 'https://youtu.be/d', status: 'duplicate', duplicates },
+          { id: 'm', url: 'https://open.spotify.com/track/m', status: 'match', matches }
+        ],
+        history: []
+      };
+      fs.writeFileSync(path.join(configDir, 'download-queue.json'), JSON.stringify(journal));
+
+      eventBus.emit('CONFIG:LOADED', { paths: { configDir } });
+
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:DUPLICATE_DETECTED',
+        expect.objectContaining({ downloadId: 'd', duplicates })
+      );
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:MATCHES_FOUND',
+        expect.objectContaining({ downloadId: 'm', matches })
+      );
+    });
+
+    it('regroupe les écritures du journal des changements de statut', () => {
+      eventBus.emit('CONFIG:LOADED', { paths: { configDir } });
+      jest.useFakeTimers();
+      const writeSpy = jest.spyOn(fs, 'writeFileSync');
+      try {
+        const item = { id: 's1', url: 'https://youtu.be/s1', status: 'analyzing' };
+        manager.downloadQueue.push(item);
+        ['analyzing', 'ready', 'downloading'].forEach((status) => {
+          item.status = status;
+          manager._updateDownloadStatus(item);
+        });
+        expect(writeSpy).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1000);
+        expect(writeSpy).toHaveBeenCalledTimes(1);
+      } finally {
+        writeSpy.mockRestore();
+        jest.useRealTimers();
+      }
+    });
+
+    it('ignore un journal corrompu', () => {
+      fs.writeFileSync(path.join(configDir, 'download-queue.json'), '{pas du json');
+
+      eventBus.emit('CONFIG:LOADED', { paths: { configDir } });
+
+      expect(manager.downloadQueue).toHaveLength(0);
+      expect(eventBus.publish).toHaveBeenCalledWith('LOG:WARNING', expect.any(Object));
+    });
+  });
+
+  describe('adaptateurs', () => {
+    it('associe la plateforme détectée à chaque élément ajouté', () => {
+      jest.spyOn(manager, '_analyzeDownload').mockImplementation(() => {});
+
+      eventBus.emit('DOWNLOAD:ADD', { url: 'https://artist.bandcamp.com/track/t' });
+      eventBus.emit('DOWNLOAD:ADD', { url: 'https://example.org/audio.mp3' });
+      eventBus.emit('DOWNLOAD:ADD', { url: 'https://example.org/watch/42' });
+
+      expect(manager.downloadQueue.map((d) => d.platform)).toEqual([
+        'bandcamp',
+        'direct',
+        'generic'
+      ]);
+    });
+
+    it('délègue l’analyse à l’adaptateur de la plateforme', async () => {
+      const item = { id: 'a1', url: 'https://youtu.be/a1', platform: 'youtube', format: 'mp3' };
+      manager.binaries.ytdlp = '/bin/yt-dlp';
+      const adapter = manager._getAdapter(item);
+      jest.spyOn(adapter, 'analyze').mockResolvedValue({ metadata: { title: 'Titre' } });
+
+      await manager._analyzeDownload(item);
+
+      expect(adapter.constructor.name).toBe('YouTubeAdapter');
+      expect(adapter.config.ytDlpPath).toBe('/bin/yt-dlp');
+      expect(item).toMatchObject({ status: 'ready', metadata: { title: 'Titre' } });
+    });
+
+    it('reprend le code d’erreur porté par l’adaptateur', async () => {
+      const item = { id: 'a2', url: 'https://example.org/a2', platform: 'generic' };
+
+      await manager._analyzeDownload(item);
+
+      expect(item.status).toBe('error');
+      expect(item.errorCode).toBe('TOOL_NOT_FOUND');
+    });
+
+    it('copie le fichier produit par l’adaptateur vers la destination', async () => {
+      const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), '21byts-output-'));
+      const item = { id: 'c1', url: 'https://youtu.be/c1', format: 'mp3', outputPath };
+      jest.spyOn(manager, '_getAdapter').mockReturnValue({
+        download: jest.fn(async (downloadItem, { tempDir }) => {
+          const filePath = path.join(tempDir, 'c1.mp3');
+          fs.writeFileSync(filePath, 'audio');
+          return { filePath };
+        })
+      });
+
+      await manager._startDownload(item);
+
+      expect(item.status).toBe('completed');
+      expect(fs.readFileSync(path.join(outputPath, 'c1.mp3'), 'utf8')).toBe('audio');
+      expect(fs.existsSync(path.join(os.tmpdir(), '21byts', 'c1'))).toBe(false);
+      fs.rmSync(outputPath, { recursive: true, force: true });
+    });
+
+    it('transmet la qualité Tidal configurée et signale une qualité réduite', async () => {
+      eventBus.emit('CONFIG:LOADED', {
+        adapters: { tidal: { preferredQuality: 'LOSSLESS', qualityFallback: [] } }
+      });
+      const tidal = { configure: jest.fn(() => tidal) };
+      manager.adapters.tidal = tidal;
+      manager._getAdapter({ platform: 'tidal' });
+      expect(tidal.configure).toHaveBeenCalledWith(
+        expect.objectContaining({
+          platformSettings: { preferredQuality: 'LOSSLESS', qualityFallback: [] }
+        })
+      );
+
+      const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), '21byts-output-'));
+      const item = {
+        id: 'q1',
+        url: 'https://tidal.com/browse/track/1',
+        format: 'flac',
+        outputPath,
+        metadata: { title: 'Titre' }
+      };
+      jest.spyOn(manager, '_getAdapter').mockReturnValue({
+        download: jest.fn(async (downloadItem, { tempDir }) => {
+          const filePath = path.join(tempDir, 'q1.flac');
+          fs.writeFileSync(filePath, 'audio');
+          return {
+            filePath,
+            metadata: { quality: 'HIGH', requestedQuality: 'HI_RES', qualityDowngraded: true }
+          };
+        })
+      });
+
+      await manager._startDownload(item);
+
+      expect(item.metadata).toEqual({
+        title: 'Titre',
+        quality: 'HIGH',
+        requestedQuality: 'HI_RES',
+        qualityDowngraded: true
+      });
+      expect(eventBus.publish).toHaveBeenCalledWith('UI:NOTIFICATION_SHOW', {
+        message: 'Titre : Qualité HI_RES indisponible, téléchargé en HIGH',
+        type: 'warning'
+      });
+      fs.rmSync(outputPath, { recursive: true, force: true });
+    });
+  });
+
+  describe('pause et reprise', () => {
+    let item;
+    let adapter;
+
+    beforeEach(() => {
+      item = { id: 'p1', url: 'https://youtu.be/p1', status: 'downloading', progress: 37 };
+      adapter = { cancel: jest.fn(), getCapabilities: () => ({ supportsPause: true }) };
+      manager.downloadQueue.push(item);
+      manager.activeDownloads[item.id] = item;
+      manager.activeAdapters[item.id] = adapter;
+    });
+
+    it('met en pause un téléchargement actif et libère son emplacement', () => {
+      eventBus.emit('DOWNLOAD:ITEM_PAUSE_REQUEST', { downloadId: 'p1' });
+
+      expect(adapter.cancel).toHaveBeenCalledWith('p1');
+      expect(item.status).toBe('paused');
+      expect(manager.activeDownloads.p1).toBeUndefined();
+      expect(eventBus.publish).toHaveBeenCalledWith('DOWNLOAD:ITEM_PAUSED', {
+        downloadId: 'p1',
+        progress: 37
+      });
+    });
+
+    it('relance un téléchargement en pause', () => {
+      const startSpy = jest.spyOn(manager, '_startDownload').mockImplementation(() => {});
+
+      eventBus.emit('DOWNLOAD:ITEM_PAUSE_REQUEST', { downloadId: 'p1' });
+      eventBus.emit('DOWNLOAD:ITEM_RESUME_REQUEST', { downloadId: 'p1' });
+
+      expect(item.status).toBe('ready');
+      expect(startSpy).toHaveBeenCalledWith(item);
+      expect(eventBus.publish).toHaveBeenCalledWith('DOWNLOAD:ITEM_RESUMED', {
+        downloadId: 'p1',
+        status: 'ready'
+      });
+    });
+
+    it('refuse la pause si l’adaptateur ne sait pas reprendre', () => {
+      adapter.getCapabilities = () => ({ supportsPause: false });
+
+      eventBus.emit('DOWNLOAD:ITEM_PAUSE_REQUEST', { downloadId: 'p1' });
+
+      expect(adapter.cancel).not.toHaveBeenCalled();
+      expect(item.status).toBe('downloading');
+      expect(eventBus.publish).toHaveBeenCalledWith('LOG:WARNING', expect.any(Object));
+    });
+
+    it('ignore une reprise sur un élément qui n’est pas en pause', () => {
+      const startSpy = jest.spyOn(manager, '_startDownload').mockImplementation(() => {});
+
+      eventBus.emit('DOWNLOAD:ITEM_RESUME_REQUEST', { downloadId: 'p1' });
+
+      expect(startSpy).not.toHaveBeenCalled();
+      expect(item.status).toBe('downloading');
+    });
+  });
+
+  describe('limites de simultanéité et débit', () => {
+    /**
+     * Adaptateur factice : chaque téléchargement reste en cours jusqu'à son annulation
+     */
+    function createPendingAdapter() {
+      const runs = {};
+      return {
+        runs,
+        getCapabilities: () => ({ supportsPause: true }),
+        download: jest.fn(
+          (item, options) =>
+            new Promise((resolve, reject) => {
+              runs[item.id] = { options, reject };
+            })
+        ),
+        cancel: jest.fn((downloadId) => runs[downloadId].reject(new Error('annulé')))
+      };
+    }
+
+    function addReadyItem(id, platform) {
+      const item = { id, url: `https://example.org/${id}`, platform, status: 'ready' };
+      manager.downloadQueue.push(item);
+      return item;
+    }
+
+    afterEach(() => {
+      manager.downloadQueue.forEach((item) => {
+        fs.rmSync(path.join(os.tmpdir(), '21byts', item.id), { recursive: true, force: true });
+      });
+    });
+
+    it('respecte maxConnections par plateforme en plus de la limite globale', () => {
+      jest.spyOn(manager, '_getAdapter').mockReturnValue(createPendingAdapter());
+      eventBus.emit('CONFIG:LOADED', {
+        downloads: { maxConcurrent: 3 },
+        adapters: { bandcamp: { maxConnections: 1 }, youtube: { maxConnections: 3 } }
+      });
+      addReadyItem('b1', 'bandcamp');
+      addReadyItem('b2', 'bandcamp');
+      addReadyItem('y1', 'youtube');
+      addReadyItem('y2', 'youtube');
+      addReadyItem('y3', 'youtube');
+
+      eventBus.emit('DOWNLOAD:START_ALL');
+
+      expect(Object.keys(manager.activeDownloads)).toEqual(['b1', 'y1', 'y2']);
+      expect(manager.downloadQueue.find((d) => d.id === 'b2').status).toBe('ready');
+    });
+
+    it('démarre en premier l’élément déplacé ou de priorité la plus haute', () => {
+      jest.spyOn(manager, '_getAdapter').mockReturnValue(createPendingAdapter());
+      eventBus.emit('CONFIG:LOADED', { downloads: { maxConcurrent: 1 } });
+      addReadyItem('a', 'youtube');
+      addReadyItem('b', 'youtube');
+      addReadyItem('c', 'youtube');
+      addReadyItem('d', 'youtube');
+      const active = () => Object.keys(manager.activeDownloads);
+
+      // « Télécharger ensuite » : c passe devant a et démarre dès qu'un emplacement est libre
+      eventBus.emit('QUEUE_MOVE_ITEM', { id: 'c', position: 'next' });
+      expect(active()).toEqual(['c']);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'QUEUE_STATUS',
+        expect.objectContaining({ order: ['c', 'a', 'b', 'd'] })
+      );
+
+      // Une priorité plus haute fait passer d devant les autres éléments en attente
+      eventBus.emit('QUEUE_SET_PRIORITY', { id: 'd', priority: 5 });
+      expect(manager.downloadQueue.map((item) => item.id)).toEqual(['c', 'd', 'a', 'b']);
+      delete manager.activeDownloads.c;
+      manager.downloadQueue[0].status = 'completed';
+      manager._processQueue();
+      expect(active()).toEqual(['d']);
+
+      // Un nouvel élément de même priorité se place après ceux déjà en attente
+      manager._insertByPriority({
+        id: 'e',
+        url: 'https://youtu.be/e',
+        status: 'pending',
+        priority: 5
+      });
+      expect(manager.downloadQueue.map((item) => item.id)).toEqual(['c', 'd', 'e', 'a', 'b']);
+    });
+
+    it('applique la plage horaire en vigueur', () => {
+      const bandwidth = {
+        limit: 0,
+        schedule: [
+          { days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', limit: 500000 },
+          { from: '22:00', to: '06:00', limit: 2000000 }
+        ]
+      };
+
+      // Lundi 10 h, lundi 19 h, samedi 10 h, mardi 3 h (plage de nuit commencée lundi)
+      expect(resolveBandwidthLimit(bandwidth, new Date(2024, 0, 1, 10, 0))).toBe(500000);
+      expect(resolveBandwidthLimit(bandwidth, new Date(2024, 0, 1, 19, 0))).toBe(0);
+      expect(resolveBandwidthLimit(bandwidth, new Date(2024, 0, 6, 10, 0))).toBe(0);
+      expect(resolveBandwidthLimit(bandwidth, new Date(2024, 0, 2, 3, 0))).toBe(2000000);
+      expect(resolveBandwidthLimit({ limit: 1000 }, new Date())).toBe(1000);
+    });
+
+    it('partage le plafond de débit entre les téléchargements actifs', async () => {
+      const adapter = createPendingAdapter();
+      jest.spyOn(manager, '_getAdapter').mockReturnValue(adapter);
+      eventBus.emit('CONFIG:LOADED', { downloads: { bandwidth: { limit: 3000 } } });
+      const first = addReadyItem('w1');
+      addReadyItem('w2');
+
+      manager._startDownload(first);
+      expect(adapter.runs.w1.options.rateLimit).toBe(3000);
+
+      manager._processQueue();
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // Le premier téléchargement est relancé avec sa nouvelle part
+      expect(adapter.cancel).toHaveBeenCalledWith('w1');
+      expect(adapter.runs.w1.options.rateLimit).toBe(1500);
+      expect(adapter.runs.w2.options.rateLimit).toBe(1500);
+      expect(first.status).toBe('downloading');
+      expect(eventBus.publish).toHaveBeenCalledWith('DOWNLOAD:BANDWIDTH_CHANGED', {
+        limit: 3000
+      });
+    });
+  });
+
+  describe('doublons', () => {
+    let outputPath;
+
+    beforeEach(() => {
+      outputPath = fs.mkdtempSync(path.join(os.tmpdir(), '21byts-duplicates-'));
+      jest.spyOn(manager, '_analyzeDownload').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputPath, { recursive: true, force: true });
+    });
+
+    /**
+     * Termine un téléchargement dont l'adaptateur produit `fileName`
+     */
+    const completeWith = (item, fileName, content) => {
+      jest.spyOn(manager, '_getAdapter').mockReturnValue({
+        download: jest.fn(async (downloadItem, { tempDir }) => {
+          const filePath = path.join(tempDir, fileName);
+          fs.writeFileSync(filePath, content);
+          return { filePath };
+        })
+      });
+      return manager._startDownload(item);
+    };
+
+    it('met en attente de décision une URL déjà présente dans la file', () => {
+      eventBus.emit('DOWNLOAD:URL_ADD_REQUEST', { url: 'https://youtu.be/dQw4w9WgXcQ?si=a' });
+      eventBus.emit('DOWNLOAD:URL_ADD_REQUEST', {
+        downloadId: 'dup',
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10'
+      });
+
+      const duplicate = manager.downloadQueue.find((d) => d.id === 'dup');
+      expect(duplicate.status).toBe('duplicate');
+      expect(manager._analyzeDownload).toHaveBeenCalledTimes(1);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:DUPLICATE_DETECTED',
+        expect.objectContaining({
+          downloadId: 'dup',
+          duplicates: [expect.objectContaining({ type: 'queue', match: 'source' })]
+        })
+      );
+
+      eventBus.emit('DOWNLOAD:DUPLICATE_DECISION', { downloadId: 'dup', decision: 'skip' });
+      expect(manager.downloadQueue.map((d) => d.id)).not.toContain('dup');
+      expect(eventBus.publish).toHaveBeenCalledWith('DOWNLOAD:ITEM_CANCELLED', {
+        downloadId: 'dup',
+        reason: 'duplicate'
+      });
+    });
+
+    it('garde les deux versions sous des noms distincts', async () => {
+      const first = { id: 'k1', url: 'https://youtu.be/kkkkkkkkkkk', outputPath };
+      await completeWith(first, 'titre.mp3', 'v1');
+
+      eventBus.emit('DOWNLOAD:URL_ADD_REQUEST', {
+        downloadId: 'k2',
+        url: 'https://youtu.be/kkkkkkkkkkk',
+        outputPath
+      });
+      const second = manager.downloadQueue.find((d) => d.id === 'k2');
+      expect(second.duplicates).toEqual([
+        expect.objectContaining({ type: 'history', filePath: path.join(outputPath, 'titre.mp3') })
+      ]);
+
+      eventBus.emit('DOWNLOAD:DUPLICATE_DECISION', { downloadId: 'k2', decision: 'keep' });
+      expect(manager._analyzeDownload).toHaveBeenCalledWith(second);
+      await completeWith(second, 'titre.mp3', 'v2');
+
+      expect(fs.readdirSync(outputPath).sort()).toEqual(['titre (2).mp3', 'titre.mp3']);
+    });
+
+    it('remplace le fichier existant une fois le nouveau téléchargé', async () => {
+      const first = { id: 'r1', url: 'https://youtu.be/rrrrrrrrrrr', outputPath };
+      await completeWith(first, 'ancien.mp3', 'v1');
+
+      // Même morceau sous une autre URL : détecté après l'analyse, par les métadonnées
+      manager.downloadHistory[0].metadata = { artist: 'Artiste', title: 'Titre' };
+      const second = {
+        id: 'r2',
+        url: 'https://soundcloud.com/artiste/titre',
+        outputPath,
+        status: 'pending',
+        duplicateCheck: true
+      };
+      manager.downloadQueue.push(second);
+      manager._analyzeDownload.mockRestore();
+      jest.spyOn(manager, '_getAdapter').mockReturnValue({
+        analyze: jest.fn(async () => ({ metadata: { artist: 'artiste', title: 'Titre' } })),
+        download: jest.fn(async (downloadItem, { tempDir }) => {
+          const filePath = path.join(tempDir, 'nouveau.mp3');
+          fs.writeFileSync(filePath, 'v2');
+          return { filePath };
+        })
+      });
+      await manager._analyzeDownload(second);
+      expect(second.status).toBe('duplicate');
+
+      // L'élément déjà analysé démarre dès la décision
+      eventBus.emit('DOWNLOAD:DUPLICATE_DECISION', { downloadId: 'r2', decision: 'replace' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(fs.readdirSync(outputPath)).toEqual(['nouveau.mp3']);
+      expect(manager.downloadHistory.map((d) => d.id)).toEqual(['r2']);
+    });
+  });
+
+  describe('sources des titres Spotify', () => {
+    const TOPIC = {
+      platform: 'youtube',
+      url: 'https://www.youtube.com/watch?v=topic',
+      title: 'Lumière',
+      confidence: 93
+    };
+    let item;
+    let adapter;
+
+    beforeEach(() => {
+      item = {
+        id: 's1',
+        url: 'https://open.spotify.com/track/abc',
+        platform: 'spotify',
+        format: 'mp3',
+        status: 'pending'
+      };
+      manager.downloadQueue.push(item);
+      adapter = {
+        analyze: jest.fn(async () => ({
+          metadata: { type: 'track', title: 'Lumière', artist: 'Artiste', duration: 215 }
+        })),
+        download: jest.fn(() => new Promise(() => {}))
+      };
+      jest.spyOn(manager, '_getAdapter').mockReturnValue(adapter);
+      jest.spyOn(manager.sourceMatcher, 'findMatches').mockResolvedValue([TOPIC]);
+    });
+
+    it('propose les sources trouvées puis télécharge celle retenue', async () => {
+      await manager._analyzeDownload(item);
+
+      expect(item.status).toBe('match');
+      expect(eventBus.publish).toHaveBeenCalledWith('DOWNLOAD:MATCHES_FOUND', {
+        downloadId: 's1',
+        url: item.url,
+        metadata: expect.objectContaining({ title: 'Lumière' }),
+        matches: [TOPIC]
+      });
+
+      // Une adresse Spotify ne peut pas servir de source
+      eventBus.emit('DOWNLOAD:MATCH_DECISION', { downloadId: 's1', url: item.url });
+      expect(item.status).toBe('match');
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'ERROR:INVALID_PARAMS',
+        expect.objectContaining({ function: 'handleMatchDecision' })
+      );
+
+      eventBus.emit('DOWNLOAD:MATCH_DECISION', { downloadId: 's1', url: TOPIC.url });
+
+      expect(item.source).toEqual({ ...TOPIC });
+      expect(item.status).toBe('downloading');
+      expect(manager._getAdapter).toHaveBeenLastCalledWith(
+        expect.objectContaining({ url: TOPIC.url, platform: 'youtube' })
+      );
+      expect(adapter.download.mock.calls[0][0]).toMatchObject({ id: 's1', url: TOPIC.url });
+    });
+
+    it('retient une autre adresse ou le meilleur résultat assez sûr', async () => {
+      manager.sourceMatcher.configure({ autoAccept: 90 });
+      await manager._analyzeDownload(item);
+      expect(item).toMatchObject({ status: 'ready', source: { url: TOPIC.url, confidence: 93 } });
+      expect(eventBus.publish).not.toHaveBeenCalledWith(
+        'DOWNLOAD:MATCHES_FOUND',
+        expect.anything()
+      );
+
+      // Le choix reste modifiable avant le téléchargement
+      eventBus.emit('DOWNLOAD:MATCH_DECISION', {
+        downloadId: 's1',
+        url: 'https://soundcloud.com/artiste/lumiere'
+      });
+      expect(item.source).toEqual({
+        platform: 'soundcloud',
+        url: 'https://soundcloud.com/artiste/lumiere',
+        title: '',
+        confidence: null
+      });
+    });
+  });
+
+  describe('progression', () => {
+    it('publie DOWNLOAD:ITEM_PROGRESS depuis l’adaptateur', () => {
+      jest.spyOn(manager, '_getAdapter').mockReturnValue({
+        download: (downloadItem, { onProgress }) => {
+          onProgress({ phase: 'downloading', percent: 50, eta: 1 });
+          return new Promise(() => {});
+        }
+      });
+
+      const item = { id: 'd1', url: 'https://youtu.be/d1', format: 'mp3', status: 'ready' };
+      manager.downloadQueue.push(item);
+      manager._startDownload(item);
+
+      expect(item.progress).toBe(50);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:ITEM_PROGRESS',
+        expect.objectContaining({ downloadId: 'd1', phase: 'downloading', percent: 50, eta: 1 })
+      );
+      fs.rmSync(path.join(os.tmpdir(), '21byts', 'd1'), { recursive: true, force: true });
+    });
+
+    it('enregistre la limitation de la progression auprès du throttler', () => {
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'THROTTLER:REGISTER',
+        expect.objectContaining({
+          sourceEvent: 'DOWNLOAD:ITEM_PROGRESS',
+          targetEvent: 'DOWNLOAD:ITEM_PROGRESS_THROTTLED',
+          strategy: 'batch'
+        })
+      );
+    });
+  });
+
+  describe('nouvelles tentatives', () => {
+    let item;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      item = { id: 'r1', url: 'https://youtu.be/r1', format: 'mp3', status: 'downloading' };
+      manager.downloadQueue.push(item);
+      manager.activeDownloads[item.id] = item;
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('classe la sortie d’erreur de yt-dlp', () => {
+      expect(classifyDownloadError('ERROR: unable to download: HTTP Error 429')).toBe(
+        'RATE_LIMITED'
+      );
+      expect(classifyDownloadError('ERROR: HTTP Error 403: Forbidden')).toBe('ACCESS_FORBIDDEN');
+      expect(classifyDownloadError('[Errno 104] Connection reset by peer')).toBe(
+        'CONNECTION_FAILED'
+      );
+      expect(
+        classifyDownloadError('ERROR: Video unavailable. It is not available in your country')
+      ).toBe('CONTENT_BLOCKED');
+      expect(classifyDownloadError('ERROR: Video unavailable. This video has been removed')).toBe(
+        'RESOURCE_UNAVAILABLE'
+      );
+      expect(classifyDownloadError('quelque chose d’inattendu')).toBe('DOWNLOAD_FAILED');
+    });
+
+    it('double le délai à chaque tentative avec une gigue bornée', () => {
+      expect(computeRetryDelay(1000, 1, () => 0)).toBe(500);
+      expect(computeRetryDelay(1000, 1, () => 1)).toBe(1000);
+      expect(computeRetryDelay(1000, 3, () => 1)).toBe(4000);
+      expect(computeRetryDelay(1000, 20, () => 1)).toBe(5 * 60 * 1000);
+    });
+
+    it('reprogramme une erreur passagère puis relance le téléchargement', () => {
+      const startSpy = jest.spyOn(manager, '_startDownload').mockImplementation(() => {});
+
+      manager._handleDownloadError(item, 'Erreur code 1', { output: 'HTTP Error 429' });
+
+      expect(item.status).toBe('retrying');
+      expect(item.attempts).toHaveLength(1);
+      expect(item.attempts[0]).toMatchObject({ errorCode: 'RATE_LIMITED', stage: 'downloading' });
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:ITEM_RETRY_SCHEDULED',
+        expect.objectContaining({ downloadId: 'r1', retryCount: 1, errorCode: 'RATE_LIMITED' })
+      );
+
+      jest.advanceTimersByTime(5000);
+
+      expect(startSpy).toHaveBeenCalledWith(item);
+    });
+
+    it('abandonne immédiatement une erreur définitive', () => {
+      manager._handleDownloadError(item, 'Erreur code 1', {
+        output: 'ERROR: Video unavailable. This video is private'
+      });
+
+      expect(item.status).toBe('error');
+      expect(item.errorCode).toBe('RESOURCE_UNAVAILABLE');
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD:ITEM_ERROR',
+        expect.objectContaining({
+          downloadId: 'r1',
+          error: expect.objectContaining({ name: 'RESOURCE_UNAVAILABLE' })
+        })
+      );
+    });
+
+    it('abandonne une fois les tentatives épuisées', () => {
+      manager.autoRetryCount = 1;
+
+      manager._handleDownloadError(item, 'Erreur code 1', { output: 'Connection reset' });
+      item.status = 'downloading';
+      manager._handleDownloadError(item, 'Erreur code 1', { output: 'Connection reset' });
+
+      expect(item.status).toBe('error');
+      expect(item.attempts).toHaveLength(2);
+      expect(item.retryCount).toBe(1);
+    });
+  });
+
+  describe('intensité sonore', () => {
+    it('ajoute les gains ReplayGain aux métadonnées de l’élément terminé', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), '21byts-loudness-'));
+      const filePath = path.join(tempDir, 'titre.flac');
+      fs.writeFileSync(filePath, '');
+      const item = { id: 'l1', status: 'completed', metadata: { title: 'Titre' } };
+      manager.downloadQueue.push(item);
+      manager.downloadHistory.push({ id: 'l1', metadata: item.metadata });
+      manager._handleConfigLoaded({ downloads: { formats: { loudness: { mode: 'replaygain' } } } });
+
+      eventBus.emit('DOWNLOAD:COMPLETED', { downloadId: 'l1', download: item, filePath });
+      expect(eventBus.publish).toHaveBeenCalledWith('FORMAT_REPLAYGAIN_REQUESTED', {
+        requestId: 'loudness-l1',
+        files: [filePath]
+      });
+
+      const replayGain = { albumGain: -4, albumPeak: 0.9, tracks: [] };
+      eventBus.emit('FORMAT_REPLAYGAIN_COMPLETED', { requestId: 'loudness-l1', replayGain });
+      expect(item.metadata).toEqual({ title: 'Titre', replayGain });
+      expect(manager.downloadHistory[0].metadata).toEqual(item.metadata);
+      expect(eventBus.publish).toHaveBeenCalledWith('DOWNLOAD:METADATA_UPDATED', {
+        downloadId: 'l1',
+        metadata: { replayGain }
+      });
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+  });
 });
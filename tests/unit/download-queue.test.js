@@ -0,0 +1,121 @@
+/**
+ * @file download-queue.test.js
+ * @jest-environment jsdom
+ */
+
+/**
+ * Charge le module (IIFE) et récupère son gestionnaire d'événements ainsi que
+ * les événements qu'il publie sur le bus
+ */
+function loadQueue() {
+  let handleEvent;
+  const emitted = [];
+
+  const onReady = (event) => {
+    handleEvent = event.detail.eventHandler;
+  };
+  const onEmit = (event) => emitted.push(event.detail);
+
+  window.addEventListener('MODULE_READY', onReady);
+  window.addEventListener('EVENT_BUS', onEmit);
+  jest.isolateModules(() => {
+    require('../../src/modules/download/download-queue');
+  });
+  window.removeEventListener('MODULE_READY', onReady);
+
+  return {
+    emitted,
+    send: (type, data) => handleEvent(type, data),
+    status: () => {
+      let status;
+      handleEvent('QUEUE_GET_STATUS', null, (reply) => {
+        status = reply;
+      });
+      return status;
+    },
+    started: () =>
+      emitted.filter(({ type }) => type === 'DOWNLOAD_REQUEST').map(({ data }) => data.id),
+    detach: () => window.removeEventListener('EVENT_BUS', onEmit)
+  };
+}
+
+describe('🧩 download-queue.js', () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    queue = loadQueue();
+    // Un seul téléchargement simultané : l'ordre de démarrage est observable
+    queue.send('CONFIG_UPDATED', { 'download.maxConcurrent': 1 });
+    queue.send('QUEUE_ADD_ITEM', { id: 'active', url: 'https://example.com/0' });
+  });
+
+  afterEach(() => {
+    queue.detach();
+    jest.restoreAllMocks();
+  });
+
+  const add = (id, priority) =>
+    queue.send('QUEUE_ADD_ITEM', { id, url: `https://example.com/${id}`, priority });
+
+  it('démarre les éléments par priorité décroissante puis par ordre d’ajout', () => {
+    add('a');
+    add('b', 5);
+    add('c', 5);
+    add('d', -1);
+
+    expect(queue.status().order).toEqual(['b', 'c', 'a', 'd']);
+
+    ['active', 'b', 'c', 'a'].forEach((id) => queue.send('QUEUE_ITEM_COMPLETED', { id }));
+    expect(queue.started()).toEqual(['active', 'b', 'c', 'a', 'd']);
+  });
+
+  it('télécharge ensuite ou place en fin de file un élément en attente', () => {
+    add('a');
+    add('b', 2);
+    add('c');
+
+    queue.send('QUEUE_MOVE_ITEM', { id: 'c', position: 'next' });
+    expect(queue.status().order).toEqual(['c', 'b', 'a']);
+    expect(queue.status().items.find((item) => item.id === 'c').priority).toBe(2);
+
+    queue.send('QUEUE_MOVE_ITEM', { id: 'b', position: 'bottom' });
+    expect(queue.status().order).toEqual(['c', 'a', 'b']);
+
+    queue.send('QUEUE_ITEM_COMPLETED', { id: 'active' });
+    expect(queue.started()).toEqual(['active', 'c']);
+  });
+
+  it('place un élément devant un autre et publie le nouvel ordre', () => {
+    add('a');
+    add('b');
+    add('c', 3);
+
+    queue.send('QUEUE_MOVE_ITEM', { id: 'a', beforeId: 'c' });
+    queue.send('QUEUE_MOVE_ITEM', { id: 'c', beforeId: null });
+
+    const published = queue.emitted.filter(({ type }) => type === 'QUEUE_STATUS');
+    expect(published[published.length - 1].data.order).toEqual(['a', 'b', 'c']);
+    expect(published[published.length - 1].data.items.map((item) => item.id)).toEqual([
+      'active',
+      'a',
+      'b',
+      'c'
+    ]);
+
+    // Un élément déjà démarré ne se déplace pas
+    queue.send('QUEUE_MOVE_ITEM', { id: 'active', position: 'bottom' });
+    expect(queue.status().items[0].id).toBe('active');
+  });
+
+  it('replace un élément dont la priorité change', () => {
+    add('a');
+    add('b');
+
+    queue.send('QUEUE_SET_PRIORITY', { id: 'b', priority: 1 });
+    expect(queue.status().order).toEqual(['b', 'a']);
+
+    queue.send('QUEUE_SET_PRIORITY', { id: 'b', priority: 'haute' });
+    expect(queue.status().items.find((item) => item.id === 'b').priority).toBe(1);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * @file duplicate-detector.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DuplicateDetector,
+  normalizeUrl,
+  getSourceId,
+  matchesMetadata
+} = require('../../src/modules/download/duplicate-detector');
+const { createBus } = require('../mocks/event-bus-mock');
+
+describe('🧩 duplicate-detector.js', () => {
+  it('normalise les URL et retire les paramètres de suivi', () => {
+    const watch = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+    expect(normalizeUrl('https://youtu.be/dQw4w9WgXcQ?si=abc&t=42')).toBe(watch);
+    expect(normalizeUrl('http://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ')).toBe(watch);
+    expect(normalizeUrl('https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RD1')).toBe(watch);
+    expect(normalizeUrl('https://youtube.com/shorts/dQw4w9WgXcQ')).toBe(watch);
+    expect(
+      normalizeUrl('https://SoundCloud.com/artist/track/?utm_source=clipboard&in=artist/sets/a#t=1')
+    ).toBe('https://soundcloud.com/artist/track');
+    expect(normalizeUrl('pas une url')).toBeNull();
+  });
+
+  it('réduit une URL à son identifiant de source', () => {
+    expect(getSourceId('https://youtu.be/dQw4w9WgXcQ')).toBe('youtube:dQw4w9WgXcQ');
+    expect(getSourceId('https://open.spotify.com/intl-fr/track/4uLU6hMCjMI75M1A2tKUQC?si=x')).toBe(
+      'spotify:track:4uLU6hMCjMI75M1A2tKUQC'
+    );
+    expect(getSourceId('spotify:track:4uLU6hMCjMI75M1A2tKUQC')).toBe(
+      'spotify:track:4uLU6hMCjMI75M1A2tKUQC'
+    );
+    expect(getSourceId('https://tidal.com/browse/track/12345')).toBe('tidal:track:12345');
+  });
+
+  it('compare artiste, titre et durée', () => {
+    const track = { artist: 'Beyoncé', title: 'Halo', duration: 261 };
+
+    expect(matchesMetadata(track, { artist: 'BEYONCE', title: 'Halo (Official Video)' })).toBe(
+      true
+    );
+    expect(matchesMetadata(track, { artist: 'Beyonce', title: 'Halo', duration: '262.5' })).toBe(
+      true
+    );
+    expect(matchesMetadata(track, { artist: 'Beyonce', title: 'Halo', duration: 300 })).toBe(false);
+    expect(matchesMetadata({ title: 'Halo' }, { title: 'Halo' })).toBe(false);
+  });
+
+  describe('recherche des doublons', () => {
+    let libraryDir;
+    let bus;
+    let detector;
+
+    beforeEach(() => {
+      libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-library-'));
+      bus = createBus();
+      detector = new DuplicateDetector(bus);
+    });
+
+    afterEach(() => {
+      fs.rmSync(libraryDir, { recursive: true, force: true });
+    });
+
+    it('trouve une URL déjà téléchargée ou déjà en file', () => {
+      const filePath = path.join(libraryDir, 'a.mp3');
+      fs.writeFileSync(filePath, '');
+      const history = [
+        { id: 'h1', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', filePath },
+        { id: 'h2', url: 'https://youtu.be/aaaaaaaaaaa', filePath: '/supprimé.mp3' }
+      ];
+      const queue = [{ id: 'q1', url: 'https://youtu.be/aaaaaaaaaaa?si=x', status: 'ready' }];
+
+      const matches = (url) =>
+        detector.findDuplicates({ id: 'new', url }, { history, queue }).map((m) => m.type);
+
+      expect(matches('https://youtu.be/dQw4w9WgXcQ?t=3')).toEqual(['history']);
+      expect(matches('https://www.youtube.com/watch?v=aaaaaaaaaaa')).toEqual(['queue']);
+      expect(matches('https://youtu.be/bbbbbbbbbbb')).toEqual([]);
+    });
+
+    it("consulte l'archive des téléchargements", () => {
+      const filePath = path.join(libraryDir, 'archivé.mp3');
+      fs.writeFileSync(filePath, '');
+      const entries = {
+        'https://youtu.be/dQw4w9WgXcQ': { url: 'https://youtu.be/dQw4w9WgXcQ', filePath },
+        'https://youtu.be/aaaaaaaaaaa': { url: 'https://youtu.be/aaaaaaaaaaa', filePath: null },
+        'https://youtu.be/bbbbbbbbbbb': { url: 'https://youtu.be/bbbbbbbbbbb', filePath: '/x.mp3' }
+      };
+      const archive = { lookup: (url) => entries[url] || null };
+      const history = [{ id: 'h1', url: 'https://youtu.be/dQw4w9WgXcQ', filePath }];
+
+      const matches = (url, context) => detector.findDuplicates({ url }, { archive, ...context });
+
+      expect(matches('https://youtu.be/dQw4w9WgXcQ')).toEqual([
+        { type: 'archive', match: 'source', filePath, url: 'https://youtu.be/dQw4w9WgXcQ' }
+      ]);
+      // Même fichier que l'historique : une seule correspondance
+      expect(matches('https://youtu.be/dQw4w9WgXcQ', { history }).map((m) => m.type)).toEqual([
+        'history'
+      ]);
+      expect(matches('https://youtu.be/aaaaaaaaaaa')).toMatchObject([{ type: 'archive' }]);
+      expect(matches('https://youtu.be/bbbbbbbbbbb')).toEqual([]);
+    });
+
+    it('indexe la bibliothèque via tag-processor', async () => {
+      fs.mkdirSync(path.join(libraryDir, 'Artiste'));
+      const tagged = path.join(libraryDir, 'Artiste', 'titre.flac');
+      const other = path.join(libraryDir, 'autre.mp3');
+      fs.writeFileSync(tagged, '');
+      fs.writeFileSync(other, '');
+      fs.writeFileSync(path.join(libraryDir, 'notes.txt'), '');
+
+      // Simule tag-processor
+      bus.subscribe('METADATA:EXTRACT_REQUEST', ({ filePath, requestId }) => {
+        const metadata =
+          filePath === tagged
+            ? { artist: 'Artiste', title: 'Titre', comment: 'https://soundcloud.com/a/titre' }
+            : { artist: 'Autre', title: 'Morceau', duration: 200 };
+        bus.publish('METADATA:EXTRACTED', { requestId, filePath, metadata });
+      });
+
+      detector.configure({ libraryPaths: [libraryDir] });
+      await expect(detector.scanLibrary()).resolves.toBe(2);
+      // Les fichiers déjà indexés ne sont pas redemandés
+      await expect(detector.scanLibrary()).resolves.toBe(0);
+
+      expect([...detector.library.keys()].sort()).toEqual([other, tagged].sort());
+      expect(detector.findDuplicates({ url: 'https://soundcloud.com/a/titre?si=1' })).toMatchObject(
+        [{ type: 'library', match: 'source', filePath: tagged }]
+      );
+      expect(
+        detector.findDuplicates({
+          url: 'https://youtu.be/ccccccccccc',
+          metadata: { artist: 'autre', title: 'Morceau [HD]', duration: 201 }
+        })
+      ).toMatchObject([{ type: 'library', match: 'metadata', filePath: other }]);
+    });
+
+    it('ne signale rien lorsque la détection est désactivée', () => {
+      detector.addLibraryEntry('/bibliotheque/a.mp3', {}, ['https://youtu.be/dQw4w9WgXcQ']);
+      detector.configure({ enabled: false });
+
+      expect(detector.findDuplicates({ url: 'https://youtu.be/dQw4w9WgXcQ' })).toEqual([]);
+    });
+  });
+});
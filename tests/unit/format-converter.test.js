@@ -26,11 +26,84 @@ jest.mock('fs', () => ({
 }));
 
 const EventEmitter = require('events');
-const { initFormatConverter } = require('../../src/modules/formats/format-converter.core.js');
+const { spawn } = require('child_process');
+const {
+  initFormatConverter,
+  __test: { buildFFmpegCommand, canRemux, computeReplayGain, generateOutputFilePath }
+} = require('../../src/modules/formats/format-converter.core.js');
+
+/**
+ * Sortie d'erreur de la mesure loudnorm (première passe) pour un fichier
+ * @param {string} inputI - Intensité intégrée mesurée
+ * @param {string} inputTp - Crête vraie mesurée
+ */
+function loudnormOutput(inputI, inputTp) {
+  return [
+    '  Duration: 00:03:00.00, start: 0.000000, bitrate: 128 kb/s',
+    '  Stream #0:0: Audio: opus, 44100 Hz, stereo, fltp',
+    '[Parsed_loudnorm_0 @ 0x1] ',
+    '{',
+    `\t"input_i" : "${inputI}",`,
+    `\t"input_tp" : "${inputTp}",`,
+    '\t"input_lra" : "6.10",',
+    '\t"input_thresh" : "-18.20",',
+    '\t"target_offset" : "0.30"',
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Sortie JSON de ffprobe pour le premier flux audio d'une source
+ * @param {Object} stream - Champs du flux (codec_name, bit_rate, sample_rate…)
+ * @param {Object} [tags] - Tags du conteneur
+ */
+function probeOutput(stream, tags = {}) {
+  return JSON.stringify({ streams: [stream], format: { duration: '180.000000', tags } });
+}
+
+/**
+ * Processus FFmpeg ou ffprobe simulé : écrit ses sorties puis se termine avec le code 0
+ * @param {string} [stderr] - Sortie d'erreur
+ * @param {string} [stdout] - Sortie standard
+ */
+function ffmpegProcess(stderr = '', stdout = '') {
+  const proc = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  proc.stdout = new EventEmitter();
+  setTimeout(() => {
+    proc.stdout.emit('data', Buffer.from(stdout));
+    proc.stderr.emit('data', Buffer.from(stderr));
+    proc.emit('close', 0);
+  }, 0);
+  return proc;
+}
+
+/**
+ * Processus FFmpeg simulé qui ne s'arrête que lorsqu'on le tue
+ */
+function runningProcess() {
+  const proc = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  proc.stdout = new EventEmitter();
+  proc.kill = jest.fn(() => setTimeout(() => proc.emit('close', null), 0));
+  return proc;
+}
 
 describe('🎧 format-converter.js', () => {
   let eventBus;
 
+  const published = (event) =>
+    eventBus.publish.mock.calls.filter(([type]) => type === event).map(([, data]) => data);
+
+  // Les processus simulés se terminent de façon asynchrone
+  const waitFor = async (event, requestId) => {
+    const received = () => published(event).some((data) => data.requestId === requestId);
+    for (let attempt = 0; attempt < 100 && !received(); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
   beforeEach(() => {
     eventBus = new EventEmitter();
     eventBus.subscribe = (type, handler) => eventBus.on(type, handler);
@@ -48,5 +121,420 @@ describe('🎧 format-converter.js', () => {
 
     eventBus.emit('FORMAT_CONVERSION_REQUESTED', payload);
     expect(eventBus.publish).toHaveBeenCalledWith('FORMAT_CONVERSION_STARTED', expect.any(Object));
+    // La conversion suit l'analyse de la source : elle se termine avant le test suivant
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'test-request-id');
+  });
+
+  it('encode en Opus, AAC, Vorbis et ALAC avec leurs préréglages et leurs tags', () => {
+    const tags = { title: 'Titre', year: '2024', trackNumber: '3', albumArtist: 'A', genre: '' };
+    expect(
+      buildFFmpegCommand('in.flac', 'out.opus', 'opus', { sampleRate: '44.1k' }, tags)
+    ).toEqual([
+      '-i',
+      'in.flac',
+      '-codec:a',
+      'libopus',
+      '-b:a',
+      '160k',
+      '-vbr',
+      'on',
+      '-metadata',
+      'title=Titre',
+      '-metadata',
+      'date=2024',
+      '-metadata',
+      'track=3',
+      '-metadata',
+      'album_artist=A',
+      '-vn',
+      '-y',
+      'out.opus'
+    ]);
+
+    expect(buildFFmpegCommand('in.flac', 'out.m4a', 'm4a', { bitrate: '192k' })).toEqual(
+      expect.arrayContaining(['aac', '-b:a', '192k'])
+    );
+    expect(buildFFmpegCommand('in.flac', 'out.ogg', 'ogg', { quality: '8' })).toEqual(
+      expect.arrayContaining(['libvorbis', '-q:a', '8'])
+    );
+    expect(buildFFmpegCommand('in.flac', 'out.m4a', 'alac', { bitDepth: '24' })).toEqual(
+      expect.arrayContaining(['alac', '-sample_fmt', 's32p'])
+    );
+
+    expect(generateOutputFilePath('/tmp/audio.flac', 'alac')).toMatch(/audio_\w+\.m4a$/);
+    expect(generateOutputFilePath('/tmp/audio.flac', 'ogg')).toMatch(/audio_\w+\.ogg$/);
+  });
+
+  it('normalise en deux passes avec les valeurs mesurées', async () => {
+    spawn.mockClear();
+    spawn
+      .mockImplementationOnce(() => ffmpegProcess('', probeOutput({ codec_name: 'opus' })))
+      .mockImplementationOnce(() => ffmpegProcess(loudnormOutput('-9.50', '0.40')))
+      .mockImplementationOnce(() => ffmpegProcess());
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/audio.opus',
+      targetFormat: 'mp3',
+      requestId: 'norm-1',
+      loudness: { mode: 'normalize', targetLufs: -16, truePeak: -1.5, lra: 11 }
+    });
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'norm-1');
+
+    const [analysisArgs] = spawn.mock.calls[1].slice(1);
+    expect(analysisArgs).toEqual(
+      expect.arrayContaining(['-af', 'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json'])
+    );
+    const args = spawn.mock.calls[2][1];
+    expect(args[args.indexOf('-af') + 1]).toBe(
+      'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-9.5:measured_TP=0.4:measured_LRA=6.1:' +
+        'measured_thresh=-18.2:offset=0.3:linear=true'
+    );
+    // Fréquence d'origine rétablie après le suréchantillonnage de loudnorm
+    expect(args[args.indexOf('-ar') + 1]).toBe('44100');
+    expect(published('FORMAT_CONVERSION_COMPLETED')).toContainEqual(
+      expect.objectContaining({
+        requestId: 'norm-1',
+        loudness: {
+          mode: 'normalize',
+          targetLufs: -16,
+          truePeak: -1.5,
+          inputLufs: -9.5,
+          inputTruePeak: 0.4
+        }
+      })
+    );
+  });
+
+  it('ne traite pas l’intensité d’une conversion qui ne le demande pas', async () => {
+    // Le mode de la configuration est appliqué par loudness-processor, pas à chaque conversion
+    eventBus.emit('CONFIG:LOADED', { downloads: { formats: { loudness: { mode: 'normalize' } } } });
+    spawn.mockClear();
+    spawn
+      .mockImplementationOnce(() => ffmpegProcess('', probeOutput({ codec_name: 'flac' })))
+      .mockImplementationOnce(() => ffmpegProcess());
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/audio.flac',
+      targetFormat: 'mp3',
+      requestId: 'plain-1'
+    });
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'plain-1');
+    eventBus.emit('CONFIG:LOADED', { downloads: { formats: { loudness: { mode: 'off' } } } });
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(spawn.mock.calls[1][1]).not.toContain('-af');
+    const [completed] = published('FORMAT_CONVERSION_COMPLETED');
+    expect(completed).toMatchObject({ requestId: 'plain-1' });
+    expect(completed.loudness).toBeUndefined();
+  });
+
+  it('signale ou refuse une source avec perte convertie en format sans perte', async () => {
+    spawn.mockClear();
+    const opus = probeOutput({ codec_name: 'opus', sample_rate: '48000' });
+    spawn
+      .mockImplementationOnce(() =>
+        ffmpegProcess('', probeOutput({ codec_name: 'opus', bit_rate: '160000' }))
+      )
+      .mockImplementationOnce(() => ffmpegProcess())
+      .mockImplementationOnce(() => ffmpegProcess('', opus));
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/youtube.webm',
+      targetFormat: 'flac',
+      requestId: 'lossy-1'
+    });
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'lossy-1');
+
+    // Conversion menée, mais signalée et l'origine consignée en tags
+    expect(published('LOG:WARNING')).toContainEqual(
+      expect.objectContaining({ sourceFile: '/tmp/youtube.webm', message: expect.any(String) })
+    );
+    expect(published('UI:NOTIFICATION_SHOW')).toEqual([
+      expect.objectContaining({ type: 'warning' })
+    ]);
+    const args = spawn.mock.calls[1][1];
+    expect(args).toEqual(
+      expect.arrayContaining(['-metadata', 'ORIGINAL_CODEC=opus', 'ORIGINAL_BITRATE=160 kbps'])
+    );
+    expect(published('FORMAT_CONVERSION_COMPLETED')).toContainEqual(
+      expect.objectContaining({
+        requestId: 'lossy-1',
+        source: expect.objectContaining({ codec: 'opus', bitrate: 160000, lossless: false })
+      })
+    );
+
+    // Politique « block » : aucun encodage n'est lancé
+    eventBus.emit('CONFIG:UPDATED', { downloads: { formats: { lossyToLossless: 'block' } } });
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/youtube.opus',
+      targetFormat: 'alac',
+      requestId: 'lossy-2'
+    });
+    await waitFor('FORMAT_CONVERSION_FAILED', 'lossy-2');
+    expect(published('FORMAT_CONVERSION_FAILED')).toContainEqual(
+      expect.objectContaining({
+        requestId: 'lossy-2',
+        error: expect.objectContaining({ code: 'LOSSY_TO_LOSSLESS' })
+      })
+    );
+    expect(spawn).toHaveBeenCalledTimes(3);
+    eventBus.emit('CONFIG:UPDATED', { downloads: { formats: { lossyToLossless: 'warn' } } });
+  });
+
+  it('remuxe une source déjà dans le codec cible au lieu de la ré-encoder', async () => {
+    spawn.mockClear();
+    // MP3 converti auparavant depuis de l'AAC : l'origine est conservée
+    const mp3 = probeOutput(
+      { codec_name: 'mp3', bit_rate: '320000', sample_rate: '44100' },
+      { ORIGINAL_CODEC: 'aac', ORIGINAL_BITRATE: '256 kbps' }
+    );
+    spawn
+      .mockImplementationOnce(() => ffmpegProcess('', mp3))
+      .mockImplementationOnce(() => ffmpegProcess());
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/titre.mp3',
+      targetFormat: 'mp3',
+      requestId: 'remux-1',
+      quality: { bitrate: '320k', sampleRate: '44.1k' },
+      metadata: { title: 'Titre' }
+    });
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'remux-1');
+
+    const args = spawn.mock.calls[1][1];
+    const input = args.indexOf('-i');
+    expect(args.slice(input, input + 4)).toEqual(['-i', '/tmp/titre.mp3', '-codec:a', 'copy']);
+    expect(args).not.toContain('libmp3lame');
+    expect(args).toEqual(
+      expect.arrayContaining(['ORIGINAL_CODEC=aac', 'ORIGINAL_BITRATE=256 kbps', 'title=Titre'])
+    );
+    expect(published('FORMAT_CONVERSION_COMPLETED')).toContainEqual(
+      expect.objectContaining({ requestId: 'remux-1', remuxed: true })
+    );
+
+    // Débit inférieur, rééchantillonnage ou autre codec : ré-encodage
+    const source = { codec: 'mp3', bitrate: 320000, sampleRate: 44100 };
+    expect(canRemux(source, 'mp3', { bitrate: '128k' })).toBe(false);
+    expect(canRemux(source, 'mp3', { sampleRate: '48000' })).toBe(false);
+    expect(canRemux(source, 'opus', {})).toBe(false);
+    expect(canRemux({ codec: 'flac', bitDepth: 16 }, 'flac', { compressionLevel: '8' })).toBe(true);
+    expect(canRemux({ codec: 'alac', bitDepth: 16 }, 'alac', { bitDepth: '24' })).toBe(false);
+  });
+
+  it('écrit dans le dossier demandé avec la pochette et supprime la source', async () => {
+    const fs = require('fs');
+    spawn.mockClear();
+    fs.unlinkSync.mockClear();
+    spawn
+      .mockImplementationOnce(() =>
+        ffmpegProcess('', probeOutput({ codec_name: 'vorbis', sample_rate: '44100' }))
+      )
+      .mockImplementationOnce(() => ffmpegProcess());
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/Album/titre.ogg',
+      targetFormat: 'mp3',
+      requestId: 'batch-1:0',
+      quality: { bitrate: '320k' },
+      outputDir: '/tmp/Conversions/Album',
+      keepArtwork: true,
+      deleteSource: true
+    });
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'batch-1:0');
+
+    const args = spawn.mock.calls[1][1];
+    expect(args.slice(-12)).toEqual([
+      '-map_metadata',
+      '0:s:a:0',
+      '-map',
+      '0:a:0',
+      '-map',
+      '0:v?',
+      '-codec:v',
+      'copy',
+      '-disposition:v',
+      'attached_pic',
+      '-y',
+      '/tmp/Conversions/Album/titre.mp3'
+    ]);
+    expect(fs.mkdirSync).toHaveBeenCalledWith('/tmp/Conversions/Album', { recursive: true });
+    expect(fs.unlinkSync).toHaveBeenCalledWith('/tmp/Album/titre.ogg');
+    expect(published('FORMAT_CONVERSION_COMPLETED')).toContainEqual(
+      expect.objectContaining({
+        requestId: 'batch-1:0',
+        outputFile: '/tmp/Conversions/Album/titre.mp3',
+        sourceDeleted: true
+      })
+    );
+
+    // Sans pochette (ou vers Ogg), l'audio seul est conservé
+    expect(buildFFmpegCommand('in.flac', 'out.ogg', 'ogg', {}, {}, { keepArtwork: true })).toEqual(
+      expect.arrayContaining(['-vn'])
+    );
+    // Un dossier de sortie qui ramènerait sur la source retombe sur le nom horodaté
+    expect(generateOutputFilePath('/tmp/titre.mp3', 'mp3', '/tmp')).toMatch(/titre_\w+\.mp3$/);
+    // Nom imposé par le lot (sources de même nom), sans chemin possible
+    expect(generateOutputFilePath('/tmp/titre.wav', 'mp3', '/tmp/Sortie', '../titre (2).mp3')).toBe(
+      '/tmp/Sortie/titre (2).mp3'
+    );
+  });
+
+  it('signale l’échec quand le dossier de sortie ne peut pas être créé', () => {
+    const fs = require('fs');
+    spawn.mockClear();
+    fs.mkdirSync.mockImplementationOnce(() => {
+      throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    });
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/Album/titre.flac',
+      targetFormat: 'mp3',
+      requestId: 'batch-2:0',
+      outputDir: '/protege/Conversions'
+    });
+
+    expect(published('FORMAT_CONVERSION_FAILED')).toEqual([
+      {
+        requestId: 'batch-2:0',
+        error: { code: 'OUTPUT_DIR_UNAVAILABLE', message: 'EACCES: permission denied' },
+        sourceFile: '/tmp/Album/titre.flac'
+      }
+    ]);
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  it('limite les conversions simultanées, publie la progression et annule proprement', async () => {
+    const fs = require('fs');
+    spawn.mockClear();
+    fs.unlinkSync.mockClear();
+    const encoder = runningProcess();
+    spawn
+      .mockImplementationOnce(() => ffmpegProcess('', probeOutput({ codec_name: 'flac' })))
+      .mockImplementationOnce(() => encoder);
+    eventBus.emit('CONFIG:UPDATED', { downloads: { formats: { maxConcurrentConversions: 1 } } });
+
+    const request = (requestId) =>
+      eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+        sourceFile: `/tmp/${requestId}.flac`,
+        targetFormat: 'mp3',
+        requestId
+      });
+    request('pool-1');
+    request('pool-2');
+    await settle();
+    expect(published('FORMAT_CONVERSION_STARTED').map((data) => data.requestId)).toEqual([
+      'pool-1'
+    ]);
+
+    // Progression rapportée à la durée sondée (180 s) et à la vitesse d'encodage
+    expect(spawn.mock.calls[1][1].slice(0, 3)).toEqual(['-nostats', '-progress', 'pipe:1']);
+    encoder.stdout.emit('data', Buffer.from('out_time_us=90000000\nspeed=2.00x\nprog'));
+    encoder.stdout.emit('data', Buffer.from('ress=continue\n'));
+    expect(published('FORMAT:CONVERT_PROGRESS')).toEqual([
+      { requestId: 'pool-1', percent: 50, eta: 45, speed: 2 }
+    ]);
+
+    // En attente : retirée de la file sans lancer de processus
+    eventBus.emit('FORMAT_CONVERSION_CANCEL', { requestId: 'pool-2' });
+    // En cours : processus arrêté, fichier partiel supprimé
+    eventBus.emit('FORMAT_CONVERSION_CANCEL', { requestId: 'pool-1' });
+    expect(encoder.kill).toHaveBeenCalled();
+    expect(published('FORMAT_CONVERSION_FAILED')).toEqual([
+      expect.objectContaining({ requestId: 'pool-2', error: { code: 'CONVERSION_CANCELLED' } }),
+      expect.objectContaining({ requestId: 'pool-1', error: { code: 'CONVERSION_CANCELLED' } })
+    ]);
+    await settle();
+    expect(fs.unlinkSync).toHaveBeenCalledWith(expect.stringMatching(/pool-1_\w+\.mp3$/));
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(published('FORMAT_CONVERSION_COMPLETED')).toEqual([]);
+
+    // La place libérée sert à la conversion suivante
+    request('pool-3');
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'pool-3');
+    expect(published('FORMAT_CONVERSION_STARTED')).toContainEqual(
+      expect.objectContaining({ requestId: 'pool-3' })
+    );
+    eventBus.emit('CONFIG:UPDATED', { downloads: { formats: { maxConcurrentConversions: 0 } } });
+  });
+
+  it('ignore une annulation reçue après l’encodage, pendant le calcul ReplayGain', async () => {
+    const fs = require('fs');
+    spawn.mockClear();
+    fs.unlinkSync.mockClear();
+    const analysis = runningProcess();
+    spawn
+      .mockImplementationOnce(() => ffmpegProcess('', probeOutput({ codec_name: 'flac' })))
+      .mockImplementationOnce(() => ffmpegProcess())
+      .mockImplementationOnce(() => analysis);
+
+    eventBus.emit('FORMAT_CONVERSION_REQUESTED', {
+      sourceFile: '/tmp/Album/titre.flac',
+      targetFormat: 'mp3',
+      requestId: 'rg-cancel-1',
+      outputDir: '/tmp/Conversions',
+      deleteSource: true,
+      loudness: { mode: 'replaygain' }
+    });
+    for (let attempt = 0; attempt < 100 && spawn.mock.calls.length < 3; attempt++) {
+      await settle();
+    }
+    expect(fs.unlinkSync).toHaveBeenCalledWith('/tmp/Album/titre.flac');
+
+    eventBus.emit('FORMAT_CONVERSION_CANCEL', { requestId: 'rg-cancel-1' });
+    analysis.stderr.emit('data', Buffer.from(loudnormOutput('-12.00', '-0.50')));
+    analysis.emit('close', 0);
+    await waitFor('FORMAT_CONVERSION_COMPLETED', 'rg-cancel-1');
+
+    // La source est déjà supprimée : le fichier produit est conservé et la fin publiée une fois
+    expect(analysis.kill).not.toHaveBeenCalled();
+    expect(fs.unlinkSync).not.toHaveBeenCalledWith('/tmp/Conversions/titre.mp3');
+    expect(published('FORMAT_CONVERSION_FAILED')).toEqual([]);
+    expect(published('FORMAT_CONVERSION_COMPLETED')).toEqual([
+      expect.objectContaining({
+        requestId: 'rg-cancel-1',
+        outputFile: '/tmp/Conversions/titre.mp3',
+        sourceDeleted: true,
+        replayGain: expect.objectContaining({ albumGain: -6 })
+      })
+    ]);
+  });
+
+  it('calcule les gains ReplayGain d’un album et les fait écrire en tags', async () => {
+    spawn.mockClear();
+    spawn
+      .mockImplementationOnce(() => ffmpegProcess(loudnormOutput('-12.00', '-0.50')))
+      .mockImplementationOnce(() => ffmpegProcess(loudnormOutput('-20.00', '-3.00')));
+
+    eventBus.emit('FORMAT_REPLAYGAIN_REQUESTED', {
+      requestId: 'rg-1',
+      files: ['/album/01.flac', '/album/02.mp3']
+    });
+    await waitFor('FORMAT_REPLAYGAIN_COMPLETED', 'rg-1');
+
+    expect(published('FORMAT_REPLAYGAIN_COMPLETED')[0]).toEqual({
+      requestId: 'rg-1',
+      replayGain: {
+        albumGain: -3.63,
+        albumPeak: 0.944061,
+        tracks: [
+          { filePath: '/album/01.flac', trackGain: -6, trackPeak: 0.944061 },
+          { filePath: '/album/02.mp3', trackGain: 2, trackPeak: 0.707946 }
+        ]
+      }
+    });
+    expect(eventBus.publish).toHaveBeenCalledWith('METADATA:UPDATE_REQUEST', {
+      requestId: 'rg-1-replaygain-1',
+      filePath: '/album/02.mp3',
+      metadata: {
+        replaygainTrackGain: '2.00 dB',
+        replaygainTrackPeak: '0.707946',
+        replaygainAlbumGain: '-3.63 dB',
+        replaygainAlbumPeak: '0.944061'
+      }
+    });
+
+    // Un titre seul : le gain de l'album est celui du titre
+    const single = computeReplayGain([{ filePath: 'a', inputLufs: -14, inputTruePeak: 0 }]);
+    expect(single.albumGain).toBe(single.tracks[0].trackGain);
   });
 });
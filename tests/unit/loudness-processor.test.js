@@ -0,0 +1,101 @@
+/**
+ * @file loudness-processor.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LoudnessProcessor } = require('../../src/modules/download/loudness-processor');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+describe('🔊 loudness-processor.js', () => {
+  let bus;
+  let onResult;
+  let processor;
+  let tempDir;
+
+  beforeEach(() => {
+    bus = createBus();
+    onResult = jest.fn();
+    processor = new LoudnessProcessor(bus, { onResult });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-loudness-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('ne traite rien tant que le mode est désactivé', () => {
+    const filePath = path.join(tempDir, 'titre.mp3');
+    fs.writeFileSync(filePath, '');
+
+    bus.publish('DOWNLOAD:COMPLETED', { downloadId: 'd1', download: {}, filePath });
+    expect(published(bus, 'FORMAT_CONVERSION_REQUESTED')).toEqual([]);
+    expect(published(bus, 'FORMAT_REPLAYGAIN_REQUESTED')).toEqual([]);
+  });
+
+  it('analyse les titres d’un album et rapporte les gains ReplayGain', () => {
+    processor.configure({ loudness: { mode: 'replaygain' } });
+    const albumDir = path.join(tempDir, 'Album');
+    fs.mkdirSync(albumDir);
+    ['02 - B.flac', '01 - A.flac', 'cover.jpg'].forEach((name) =>
+      fs.writeFileSync(path.join(albumDir, name), '')
+    );
+
+    bus.publish('DOWNLOAD:COMPLETED', { downloadId: 'd1', download: {}, filePath: albumDir });
+    expect(published(bus, 'FORMAT_REPLAYGAIN_REQUESTED')).toEqual([
+      {
+        requestId: 'loudness-d1',
+        files: [path.join(albumDir, '01 - A.flac'), path.join(albumDir, '02 - B.flac')]
+      }
+    ]);
+
+    const replayGain = { albumGain: -3.2, albumPeak: 0.9, tracks: [] };
+    bus.publish('FORMAT_REPLAYGAIN_COMPLETED', { requestId: 'loudness-d1', replayGain });
+    expect(onResult).toHaveBeenCalledWith('d1', { replayGain });
+  });
+
+  it('normalise le fichier à sa place dans son format et rapporte la mesure', () => {
+    processor.configure({
+      loudness: { mode: 'normalize', targetLufs: -14, truePeak: -1, lra: 11 },
+      qualityPresets: { alac: { bitDepth: '24' } }
+    });
+    const filePath = path.join(tempDir, 'titre.m4a');
+    fs.writeFileSync(filePath, '');
+
+    bus.publish('DOWNLOAD:COMPLETED', { downloadId: 'd2', download: { format: 'alac' }, filePath });
+    const [request] = published(bus, 'FORMAT_CONVERSION_REQUESTED');
+    expect(request).toMatchObject({
+      requestId: 'loudness-d2:0',
+      sourceFile: filePath,
+      targetFormat: 'alac',
+      quality: { bitDepth: '24' },
+      replaceSource: true
+    });
+
+    bus.publish('FORMAT_CONVERSION_COMPLETED', {
+      requestId: 'loudness-d2:0',
+      outputFile: filePath,
+      loudness: { mode: 'normalize', targetLufs: -14, truePeak: -1, inputLufs: -8.2 }
+    });
+    expect(onResult).toHaveBeenCalledWith('d2', {
+      loudness: {
+        mode: 'normalize',
+        targetLufs: -14,
+        truePeak: -1,
+        tracks: [{ filePath, inputLufs: -8.2, inputTruePeak: undefined }]
+      }
+    });
+
+    // Un échec est journalisé sans toucher aux métadonnées
+    bus.publish('DOWNLOAD:COMPLETED', { downloadId: 'd3', download: {}, filePath });
+    bus.publish('FORMAT_CONVERSION_FAILED', {
+      requestId: 'loudness-d3:0',
+      error: { code: 'LOUDNESS_ANALYSIS_FAILED', message: 'Audio silencieux' }
+    });
+    expect(onResult).toHaveBeenCalledTimes(1);
+    expect(published(bus, 'LOG:WARNING')).toEqual([
+      expect.objectContaining({ downloadId: 'd3', error: 'Audio silencieux' })
+    ]);
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * @file soundcloud-adapter.test.js
+ */
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+jest.mock('electron', () => ({ app: { getPath: () => require('os').tmpdir() } }));
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EVENT_TYPES = require('../../src/constants/event-types');
+const playlistHandler = require('../../src/utils/playlist-handler');
+const {
+  initialize,
+  SoundCloudDownloadAdapter,
+  resolveSoundCloudTarget,
+  parseFlatPlaylist
+} = require('../../src/modules/download/adapters/soundcloud-adapter');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+const SET_URL = 'https://soundcloud.com/artiste/sets/premier-album';
+
+/**
+ * Entrées de `yt-dlp --flat-playlist --dump-json` pour un set de deux titres
+ */
+const SET_LISTING = [
+  { id: '1', url: 'https://soundcloud.com/artiste/ouverture', title: 'Ouverture' },
+  { id: '2', url: 'https://soundcloud.com/artiste/final', title: 'Final', playlist_index: 2 }
+]
+  .map((entry) => JSON.stringify({ ...entry, playlist_title: 'Premier album' }))
+  .join('\n');
+
+/**
+ * Faux processus qui exécute `run(proc)` au tick suivant puis se termine avec `code`
+ */
+function createProcess(run = () => {}, code = 0) {
+  const proc = new EventEmitter();
+  proc.stdout = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  proc.kill = jest.fn();
+  setImmediate(() => {
+    run(proc);
+    proc.emit('close', code);
+  });
+  return proc;
+}
+
+describe('🧩 soundcloud-adapter.js', () => {
+  afterEach(() => {
+    spawn.mockReset();
+  });
+
+  it('distingue titres, sets et sections de page d’artiste', () => {
+    expect(resolveSoundCloudTarget('https://soundcloud.com/artiste/titre?in=x')).toEqual({
+      kind: 'track',
+      url: 'https://soundcloud.com/artiste/titre?in=x',
+      section: null
+    });
+    expect(resolveSoundCloudTarget(SET_URL).kind).toBe('set');
+    expect(resolveSoundCloudTarget('https://soundcloud.com/artiste')).toEqual({
+      kind: 'user',
+      url: 'https://soundcloud.com/artiste/tracks',
+      section: 'tracks'
+    });
+    expect(resolveSoundCloudTarget('https://m.soundcloud.com/artiste/likes').section).toBe('likes');
+    expect(resolveSoundCloudTarget('https://soundcloud.com/artiste', 'reposts').url).toBe(
+      'https://soundcloud.com/artiste/reposts'
+    );
+    expect(resolveSoundCloudTarget('https://soundcloud.com/discover').kind).toBe('track');
+
+    expect(parseFlatPlaylist(`${SET_LISTING}\nWARNING: titre indisponible\n`, true)).toEqual({
+      title: 'Premier album',
+      items: [
+        expect.objectContaining({ title: 'Ouverture', album: 'Premier album', trackNumber: 1 }),
+        expect.objectContaining({ title: 'Final', trackNumber: 2, totalTracks: 2 })
+      ]
+    });
+    expect(parseFlatPlaylist(SET_LISTING, false).items[0]).toEqual(
+      expect.not.objectContaining({ trackNumber: expect.anything() })
+    );
+  });
+
+  describe('sets et pages d’artiste', () => {
+    let bus;
+
+    /**
+     * Répond à la consultation de l'archive ; `archived` liste les URL déjà téléchargées
+     */
+    const answerArchive = (archived = []) => {
+      bus.subscribe(EVENT_TYPES.ARCHIVE.LOOKUP_REQUEST, ({ requestId, urls }) => {
+        bus.publish(EVENT_TYPES.ARCHIVE.LOOKUP_RESULT, {
+          requestId,
+          results: urls.map((url) => ({
+            url,
+            archived: archived.includes(url),
+            entry: archived.includes(url) ? { filePath: '/musique/ouverture.mp3' } : null
+          }))
+        });
+      });
+    };
+
+    const listed = () =>
+      new Promise((resolve) =>
+        bus.subscribe(EVENT_TYPES.ADAPTER.SOUNDCLOUD.ANALYSIS_COMPLETE, resolve)
+      );
+
+    beforeEach(() => {
+      bus = createBus();
+      playlistHandler.initialize(bus, EVENT_TYPES, {});
+      initialize(bus);
+      bus.publish('CONFIG_UPDATED', { ytDlpPath: '/bin/yt-dlp' });
+    });
+
+    it('met en file les titres d’un set avec leur album et leur numéro', async () => {
+      spawn.mockImplementation(() =>
+        createProcess((proc) => proc.stdout.emit('data', Buffer.from(SET_LISTING)))
+      );
+      answerArchive(['https://soundcloud.com/artiste/ouverture']);
+
+      const done = listed();
+      bus.publish('DOWNLOAD_REQUEST_SOUNDCLOUD', { requestId: 'r1', url: SET_URL });
+      await done;
+
+      expect(published(bus, EVENT_TYPES.PLAYLIST.PROCESS_REQUEST)).toEqual([
+        expect.objectContaining({ id: 'r1', url: SET_URL, sourceType: 'soundcloud' })
+      ]);
+      expect(spawn.mock.calls[0][1]).toEqual(
+        expect.arrayContaining(['--flat-playlist', '--playlist-items', '1:200', SET_URL])
+      );
+
+      // Le titre archivé n'est pas retéléchargé
+      expect(published(bus, EVENT_TYPES.DOWNLOAD.URL_ADD_REQUEST)).toEqual([
+        {
+          downloadId: 'r1_item_1',
+          url: 'https://soundcloud.com/artiste/final',
+          sourceType: 'soundcloud',
+          metadata: expect.objectContaining({
+            playlistName: 'Premier album',
+            title: 'Final',
+            album: 'Premier album',
+            trackNumber: 2,
+            totalTracks: 2
+          })
+        }
+      ]);
+      expect(published(bus, EVENT_TYPES.PLAYLIST.PROCESSING_COMPLETE)).toEqual([
+        expect.objectContaining({ playlistId: 'r1', itemCount: 2, archivedItems: 1 })
+      ]);
+    });
+
+    it('télécharge la section choisie d’une page d’artiste, sans album', async () => {
+      spawn.mockImplementation(() =>
+        createProcess((proc) => proc.stdout.emit('data', Buffer.from(SET_LISTING)))
+      );
+      answerArchive();
+
+      const done = listed();
+      bus.publish('DOWNLOAD_REQUEST_SOUNDCLOUD', {
+        requestId: 'r2',
+        url: 'https://soundcloud.com/artiste',
+        section: 'reposts'
+      });
+      await expect(done).resolves.toMatchObject({ kind: 'user', section: 'reposts' });
+
+      expect(spawn.mock.calls[0][1]).toContain('https://soundcloud.com/artiste/reposts');
+      const queued = published(bus, EVENT_TYPES.DOWNLOAD.URL_ADD_REQUEST);
+      expect(queued).toHaveLength(2);
+      queued.forEach(({ metadata }) => {
+        expect(metadata.album).toBe('');
+        expect(metadata.trackNumber).toBeUndefined();
+      });
+    });
+
+    it('signale une page illisible au gestionnaire de playlists', async () => {
+      spawn.mockImplementation(() =>
+        createProcess((proc) => proc.stderr.emit('data', Buffer.from('ERROR: 404')), 1)
+      );
+
+      const done = listed();
+      bus.publish('DOWNLOAD_REQUEST_SOUNDCLOUD', {
+        requestId: 'r3',
+        url: 'https://soundcloud.com/artiste/likes'
+      });
+      await expect(done).resolves.toMatchObject({ section: 'likes', error: expect.any(String) });
+
+      expect(published(bus, EVENT_TYPES.PLAYLIST.PROCESSING_ERROR)).toEqual([
+        expect.objectContaining({ playlistId: 'r3' })
+      ]);
+      expect(published(bus, EVENT_TYPES.DOWNLOAD.URL_ADD_REQUEST)).toEqual([]);
+    });
+  });
+
+  describe('contrat des adaptateurs', () => {
+    let workDir;
+    let adapter;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-soundcloud-'));
+      adapter = new SoundCloudDownloadAdapter().configure({
+        ytDlpPath: '/bin/yt-dlp',
+        ffmpegPath: '/bin/ffmpeg'
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('décrit un set comme un album et signale le fichier original', async () => {
+      spawn.mockImplementation(() =>
+        createProcess((proc) =>
+          proc.stdout.emit(
+            'data',
+            Buffer.from(
+              JSON.stringify({
+                _type: 'playlist',
+                title: 'Premier album',
+                uploader: 'Artiste',
+                entries: [{}, {}, {}]
+              })
+            )
+          )
+        )
+      );
+      await expect(adapter.analyze({ id: 'a1', url: SET_URL })).resolves.toEqual({
+        metadata: expect.objectContaining({
+          album: 'Premier album',
+          trackCount: 3,
+          isPlaylist: true
+        })
+      });
+      expect(spawn.mock.calls[0][1]).toEqual(['--dump-single-json', '--flat-playlist', SET_URL]);
+
+      const info = { title: 'Final', uploader: 'Artiste', formats: [{ format_id: 'download' }] };
+      const item = { url: 'https://soundcloud.com/artiste/final', metadata: { trackNumber: 2 } };
+      expect(adapter._mapMetadata(info, item)).toMatchObject({
+        title: 'Final',
+        originalDownload: true,
+        trackNumber: 2
+      });
+      expect(adapter._mapMetadata({ ...info, formats: [] }, { url: item.url })).toEqual(
+        expect.objectContaining({ originalDownload: false })
+      );
+    });
+
+    it('télécharge un set dans un dossier d’album tagué', async () => {
+      spawn.mockImplementation(() =>
+        createProcess((proc) => {
+          fs.mkdirSync(path.join(workDir, 'Premier album'));
+          proc.stdout.emit(
+            'data',
+            Buffer.from(
+              [
+                '[download] Downloading item 2 of 4',
+                '[download]  50.0% of 2.00MiB at 1.00MiB/s ETA 00:01',
+                ''
+              ].join('\n')
+            )
+          );
+        })
+      );
+      const onProgress = jest.fn();
+
+      const result = await adapter.download(
+        { id: 's1', url: SET_URL, format: 'flac' },
+        { tempDir: workDir, onProgress }
+      );
+
+      expect(result).toEqual({ filePath: path.join(workDir, 'Premier album') });
+      const args = spawn.mock.calls[0][1];
+      expect(args).toEqual(
+        expect.arrayContaining([
+          '--yes-playlist',
+          'download/bestaudio',
+          'playlist_title:%(album)s',
+          'playlist_index:%(track_number)s',
+          path.join(workDir, '%(playlist_title)s', '%(playlist_index)02d - %(title)s.%(ext)s')
+        ])
+      );
+      expect(onProgress).toHaveBeenCalledWith(
+        expect.objectContaining({ percent: 37.5, track: 2, trackCount: 4 })
+      );
+    });
+
+    it('écrit l’album et le numéro de piste d’un titre de set', async () => {
+      spawn.mockImplementation((binary, args) =>
+        createProcess(() => {
+          const output = args[args.length - 1];
+          fs.writeFileSync(binary === '/bin/ffmpeg' ? output : path.join(workDir, 't1.mp3'), 'a');
+        })
+      );
+
+      const result = await adapter.download(
+        {
+          id: 't1',
+          url: 'https://soundcloud.com/artiste/final',
+          format: 'mp3',
+          metadata: { album: 'Premier album', trackNumber: 2, totalTracks: 4 }
+        },
+        { tempDir: workDir }
+      );
+
+      expect(result).toEqual({ filePath: path.join(workDir, 't1.mp3') });
+      expect(spawn.mock.calls[1][1]).toEqual(
+        expect.arrayContaining([
+          '-c',
+          'copy',
+          'album=Premier album',
+          'track=2/4',
+          path.join(workDir, 'tagged-t1.mp3')
+        ])
+      );
+      expect(fs.readdirSync(workDir)).toEqual(['t1.mp3']);
+    });
+  });
+});
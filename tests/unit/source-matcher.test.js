@@ -0,0 +1,119 @@
+/**
+ * @file source-matcher.test.js
+ */
+
+const { SourceMatcher, scoreCandidate } = require('../../src/modules/download/source-matcher');
+
+// Titre Spotify tel que décrit par SpotifyAdapter#parseMetadata
+const TRACK = {
+  type: 'track',
+  title: 'Lumière',
+  artist: 'Artiste',
+  artists: ['Artiste', 'Invitée'],
+  isrc: 'FRX202400001',
+  duration: 215
+};
+
+const TOPIC = {
+  platform: 'youtube',
+  url: 'https://www.youtube.com/watch?v=topic',
+  title: 'Lumière',
+  artist: 'Artiste - Topic',
+  channel: 'Artiste - Topic',
+  duration: 216,
+  verified: false
+};
+
+describe('🎯 source-matcher.js', () => {
+  it('favorise une publication officielle de même durée', () => {
+    const official = scoreCandidate(TRACK, TOPIC);
+    expect(official.scores).toMatchObject({ duration: 1, title: 1, official: 1 });
+    expect(official.scores.artist).toBe(0.5);
+    expect(official.confidence).toBe(93);
+
+    // Vidéo d'un tiers, plus longue, avec l'artiste dans le titre
+    const upload = scoreCandidate(TRACK, {
+      ...TOPIC,
+      title: 'Artiste - Lumière (Official Video)',
+      channel: 'Compilations',
+      artist: 'Compilations',
+      duration: 260
+    });
+    expect(upload.scores).toMatchObject({ title: 1, official: 0.6, duration: 0 });
+    expect(upload.confidence).toBeLessThan(official.confidence);
+
+    // Version live non mentionnée par Spotify
+    expect(scoreCandidate(TRACK, { ...TOPIC, title: 'Lumière (Live)' }).confidence).toBe(46);
+    // Durée inconnue (recherche Bandcamp)
+    expect(scoreCandidate(TRACK, { ...TOPIC, duration: null }).scores.duration).toBe(0.5);
+  });
+
+  describe('recherche sur les plateformes', () => {
+    let bus;
+    let adapters;
+    let matcher;
+
+    beforeEach(() => {
+      bus = { publish: jest.fn() };
+      adapters = {
+        youtube: {
+          search: jest.fn(async (query) =>
+            query === TRACK.isrc
+              ? [TOPIC]
+              : [
+                  TOPIC,
+                  { ...TOPIC, url: 'https://www.youtube.com/watch?v=live', title: 'Lumière Live' }
+                ]
+          )
+        },
+        soundcloud: {
+          search: jest.fn(async () => [
+            {
+              ...TOPIC,
+              platform: 'soundcloud',
+              url: 'https://soundcloud.com/artiste/lumiere',
+              channel: 'Artiste',
+              artist: 'Artiste'
+            }
+          ])
+        },
+        bandcamp: { search: jest.fn().mockRejectedValue(new Error('HTTP 503')) }
+      };
+      matcher = new SourceMatcher(bus, { getAdapter: (platform) => adapters[platform] });
+    });
+
+    it('classe les résultats de toutes les plateformes', async () => {
+      const matches = await matcher.findMatches(TRACK);
+
+      expect(adapters.youtube.search).toHaveBeenCalledWith('Artiste Invitée Lumière', {
+        limit: 5
+      });
+      expect(adapters.youtube.search).toHaveBeenCalledWith(TRACK.isrc, { limit: 1 });
+      expect(adapters.soundcloud.search).toHaveBeenCalledTimes(1);
+      expect(matches.map((match) => [match.url, match.confidence, match.isrc])).toEqual([
+        ['https://www.youtube.com/watch?v=topic', 100, true],
+        ['https://soundcloud.com/artiste/lumiere', 89, false],
+        ['https://www.youtube.com/watch?v=live', 40, false]
+      ]);
+
+      // Plateforme en échec : signalée, sans empêcher les autres résultats
+      expect(bus.publish).toHaveBeenCalledWith(
+        'LOG:WARNING',
+        expect.objectContaining({ module: 'source-matcher', error: 'HTTP 503' })
+      );
+    });
+
+    it('applique la configuration downloads.matching', async () => {
+      matcher.configure({ sources: ['soundcloud'], maxMatches: 1, autoAccept: 85 });
+
+      const matches = await matcher.findMatches({ ...TRACK, isrc: '' });
+
+      expect(adapters.youtube.search).not.toHaveBeenCalled();
+      expect(matches).toHaveLength(1);
+      expect(matcher.isAutoAccepted(matches[0])).toBe(true);
+      expect(matcher.isAutoAccepted({ confidence: 80 })).toBe(false);
+      matcher.configure({ autoAccept: 0 });
+      expect(matcher.isAutoAccepted(matches[0])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @file subscription-manager.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SubscriptionManager } = require('../../src/modules/download/subscription-manager');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+describe('🧩 subscription-manager.js', () => {
+  const PAGE = 'https://soundcloud.com/artiste';
+  const track = (n) => ({ id: `${n}`, url: `https://soundcloud.com/artiste/titre-${n}` });
+
+  let storeDir;
+  let bus;
+  let adapter;
+  let manager;
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-subscriptions-'));
+    bus = createBus();
+    adapter = { listEntries: jest.fn().mockResolvedValue({ entries: [track(1), track(2)] }) };
+    manager = new SubscriptionManager(bus, { getAdapter: () => adapter });
+    manager.configure({ storePath: path.join(storeDir, 'subscriptions.json') });
+  });
+
+  afterEach(() => {
+    manager.stop();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it('archive le contenu existant puis met en file les nouveautés', async () => {
+    const subscription = manager.add({ url: PAGE, name: 'Artiste' });
+    await manager.checking;
+
+    expect(adapter.listEntries).toHaveBeenCalledWith(expect.objectContaining({ url: PAGE }), {
+      newest: 50
+    });
+    expect(published(bus, 'DOWNLOAD:URL_ADD_REQUEST')).toEqual([]);
+    expect(published(bus, 'SUBSCRIPTION:CHECKED')).toMatchObject([{ newItems: 0 }]);
+
+    adapter.listEntries.mockResolvedValue({ entries: [track(3), track(1), track(2)] });
+    await expect(manager.check(subscription.id)).resolves.toBe(1);
+
+    const [request] = published(bus, 'DOWNLOAD:URL_ADD_REQUEST');
+    expect(request.url).toBe(track(3).url);
+    expect(published(bus, 'UI:NOTIFICATION_SHOW')).toMatchObject([
+      { message: 'Artiste : 1 nouveauté(s) ajoutée(s) à la file', type: 'info' }
+    ]);
+
+    // En cours de téléchargement : pas de nouvelle demande
+    await expect(manager.check(subscription.id)).resolves.toBe(0);
+
+    bus.publish('DOWNLOAD:COMPLETED', { downloadId: request.downloadId });
+    expect(manager.subscriptions.get(subscription.id).archive).toContain(
+      'soundcloud.com/artiste/titre-3'
+    );
+  });
+
+  it('propose de nouveau un élément dont le téléchargement a échoué', async () => {
+    const subscription = manager.add({ url: PAGE, downloadExisting: true });
+    await manager.checking;
+
+    const requests = published(bus, 'DOWNLOAD:URL_ADD_REQUEST');
+    expect(requests).toHaveLength(2);
+
+    bus.publish('DOWNLOAD:ITEM_ERROR', { downloadId: requests[0].downloadId });
+    bus.publish('DOWNLOAD:ITEM_CANCELLED', {
+      downloadId: requests[1].downloadId,
+      reason: 'duplicate'
+    });
+
+    await expect(manager.check(subscription.id)).resolves.toBe(1);
+    expect(published(bus, 'DOWNLOAD:URL_ADD_REQUEST')[2].url).toBe(track(1).url);
+  });
+
+  it('vérifie les abonnements échus et les conserve sur disque', async () => {
+    const subscription = manager.add({ url: PAGE, interval: 60 });
+    manager.add({ url: 'https://bandcamp.com/label', interval: 5 });
+    await manager.checking;
+    adapter.listEntries.mockClear();
+
+    // Aucun abonnement n'est échu juste après sa vérification
+    await manager.checkDue();
+    expect(adapter.listEntries).not.toHaveBeenCalled();
+
+    manager.subscriptions.get(subscription.id).lastCheckedAt = new Date(
+      Date.now() - 61 * 60 * 1000
+    ).toISOString();
+    await manager.checkDue();
+    expect(adapter.listEntries).toHaveBeenCalledTimes(1);
+
+    const reloaded = new SubscriptionManager(createBus(), { getAdapter: () => adapter });
+    reloaded.configure({ storePath: path.join(storeDir, 'subscriptions.json') });
+    const restored = [...reloaded.subscriptions.values()];
+    expect(restored.map((sub) => sub.interval)).toEqual([60, 15]);
+    expect(restored[0].archive).toHaveLength(2);
+  });
+
+  it('refuse une URL invalide et signale une page illisible', async () => {
+    expect(manager.add({ url: 'pas une url' })).toBeNull();
+
+    adapter.listEntries.mockRejectedValue(new Error('Unsupported URL'));
+    const subscription = manager.add({ url: PAGE });
+    await manager.checking;
+
+    expect(published(bus, 'SUBSCRIPTION:ERROR')).toMatchObject([
+      { subscriptionId: null },
+      { subscriptionId: subscription.id, error: 'Unsupported URL' }
+    ]);
+    expect(manager.subscriptions.get(subscription.id).lastError).toBe('Unsupported URL');
+  });
+});
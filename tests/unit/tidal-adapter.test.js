@@ -0,0 +1,202 @@
+/**
+ * @file tidal-adapter.test.js
+ */
+
+jest.mock('electron', () => ({ BrowserWindow: jest.fn(), shell: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TidalAdapter } = require('../../src/modules/download/adapters/tidal-adapter');
+const { createBus } = require('../mocks/event-bus-mock');
+
+const TRACK_URL = 'https://tidal.com/browse/track/12345678';
+
+/**
+ * Erreur de processus du downloader, telle que la produit BaseAdapter._runProcess
+ * @param {string} output - Sortie d'erreur
+ */
+function processError(output) {
+  return Object.assign(new Error('Processus terminé avec le code 1'), {
+    exitCode: 1,
+    output,
+    cancelled: false
+  });
+}
+
+describe('🌊 tidal-adapter.js', () => {
+  let adapter;
+  let tempDir;
+
+  const item = (extra = {}) => ({ id: 't1', url: TRACK_URL, format: 'flac', ...extra });
+  const requestedQualities = () =>
+    adapter._runProcess.mock.calls.map(([, , args]) => args[args.indexOf('--quality') + 1]);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-tidal-'));
+    adapter = new TidalAdapter().configure({
+      tidalDownloaderPath: '/bin/tidal-dl',
+      platformSettings: { preferredQuality: 'HIGH', qualityFallback: [] }
+    });
+    adapter._assertReady = jest.fn();
+    adapter.getDecryptedToken = () => 'token';
+    jest.spyOn(adapter, '_runProcess');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('construit la chaîne de qualités de l’élément ou de la configuration', () => {
+    expect(adapter.getQualityChain(item())).toEqual(['HIGH', 'NORMAL']);
+    expect(adapter.getQualityChain(item({ qualities: ['hi_res', 'HiFi', 'inconnue'] }))).toEqual([
+      'HI_RES',
+      'LOSSLESS'
+    ]);
+
+    adapter.configure({ platformSettings: { qualityFallback: ['HI_RES', 'LOSSLESS', 'HIGH'] } });
+    expect(adapter.getQualityChain(item())).toEqual(['HI_RES', 'LOSSLESS', 'HIGH']);
+
+    adapter.configure({ platformSettings: {} });
+    expect(adapter.getQualityChain(item())).toEqual(['LOSSLESS', 'HIGH', 'NORMAL']);
+  });
+
+  it('se replie sur la qualité suivante lorsque Tidal refuse la précédente', async () => {
+    adapter._runProcess
+      .mockRejectedValueOnce(processError('Error: quality HI_RES is not available for this track'))
+      .mockImplementationOnce(async (id, binary, args, { onLine }) => {
+        onLine('Quality: HiFi');
+        onLine('Downloading: 100%');
+        fs.writeFileSync(path.join(tempDir, 'Titre.flac'), 'audio');
+        return { stdout: '' };
+      });
+
+    const onProgress = jest.fn();
+    const result = await adapter.download(item({ qualities: ['HI_RES', 'LOSSLESS', 'HIGH'] }), {
+      tempDir,
+      onProgress
+    });
+
+    expect(requestedQualities()).toEqual(['Master', 'HiFi']);
+    expect(onProgress).toHaveBeenCalledWith({ phase: 'downloading', percent: 100 });
+    expect(result).toEqual({
+      filePath: path.join(tempDir, 'Titre.flac'),
+      metadata: { quality: 'LOSSLESS', requestedQuality: 'HI_RES', qualityDowngraded: true }
+    });
+  });
+
+  it('ne se replie pas sur les autres erreurs ni après la dernière qualité', async () => {
+    adapter._runProcess.mockRejectedValueOnce(processError('Network error'));
+    await expect(adapter.download(item(), { tempDir })).rejects.toThrow();
+    expect(requestedQualities()).toEqual(['High']);
+
+    adapter._runProcess.mockClear();
+    adapter._runProcess.mockRejectedValue(processError('Quality not allowed by subscription'));
+    await expect(adapter.download(item(), { tempDir })).rejects.toThrow();
+    expect(requestedQualities()).toEqual(['High', 'Normal']);
+  });
+
+  it('demande une autorisation d’appareil puis utilise le token du stockage sécurisé', async () => {
+    const bus = createBus();
+    let storedToken = null;
+    // Stockage sécurisé : répond avec le token Tidal s'il existe
+    bus.subscribe('AUTH:RETRIEVE_TOKEN', ({ requestId }) =>
+      bus.publish('AUTH:TOKEN_RETRIEVED', {
+        requestId,
+        success: Boolean(storedToken),
+        token: storedToken
+      })
+    );
+    const tidal = new TidalAdapter().configure({ tidalDownloaderPath: '/bin/tidal-dl' }, bus);
+    const starts = () =>
+      bus.publish.mock.calls.filter(([event]) => event === 'AUTH:DEVICE_FLOW_START');
+
+    await expect(tidal.download(item(), { tempDir })).rejects.toMatchObject({
+      code: 'AUTH_REQUIRED'
+    });
+    await expect(tidal.importTracklist(TRACK_URL)).rejects.toMatchObject({
+      code: 'AUTH_REQUIRED'
+    });
+    // Une seule autorisation à la fois
+    expect(starts()).toEqual([
+      ['AUTH:DEVICE_FLOW_START', { requestId: expect.any(String), service: 'tidal' }]
+    ]);
+
+    storedToken = { accessToken: 'access-xyz', expiresAt: Date.now() + 3600000 };
+    bus.publish('AUTH:TOKENS_UPDATED', { service: 'tidal' });
+    bus.publish('AUTH:SUCCESS', { service: 'tidal', requestId: starts()[0][1].requestId });
+    expect(tidal.authInProgress).toBe(false);
+
+    jest.spyOn(tidal, '_runProcess').mockImplementation(async () => {
+      fs.writeFileSync(path.join(tempDir, 'Titre.flac'), 'audio');
+      return { stdout: '' };
+    });
+    await tidal.download(item(), { tempDir });
+    const args = tidal._runProcess.mock.calls[0][2];
+    expect(args[args.indexOf('--token') + 1]).toBe('access-xyz');
+  });
+
+  it('renouvelle le token expiré par auth-manager puis le relit', async () => {
+    const bus = createBus();
+    let storedToken = { accessToken: 'ancien', refreshToken: 'refresh-1', expiresAt: 0 };
+    // Stockage sécurisé : un token expiré est refusé, avec son token de renouvellement
+    bus.subscribe('AUTH:RETRIEVE_TOKEN', ({ requestId }) => {
+      const expired = storedToken.expiresAt <= Date.now();
+      bus.publish('AUTH:TOKEN_RETRIEVED', {
+        requestId,
+        success: !expired,
+        ...(expired
+          ? { expired: true, refreshToken: storedToken.refreshToken }
+          : { token: storedToken })
+      });
+    });
+    // auth-manager : renouvelle auprès du serveur de tokens
+    bus.subscribe('AUTH:REFRESH_TOKEN', ({ requestId, refreshToken }) => {
+      storedToken = { accessToken: `neuf-${refreshToken}`, expiresAt: Date.now() + 1000 };
+      bus.publish('AUTH:TOKENS_UPDATED', { service: 'tidal' });
+      bus.publish('AUTH:SUCCESS', { service: 'tidal', requestId });
+    });
+    const tidal = new TidalAdapter().configure({ tidalDownloaderPath: '/bin/tidal-dl' }, bus);
+
+    expect(await tidal._getStoredToken()).toMatchObject({ accessToken: 'neuf-refresh-1' });
+    expect(bus.publish).toHaveBeenCalledWith('AUTH:REFRESH_TOKEN', {
+      service: 'tidal',
+      refreshToken: 'refresh-1',
+      requestId: expect.any(String)
+    });
+
+    // Le token conservé est relu une fois expiré
+    tidal.storedToken.expiresAt = Date.now() - 1;
+    storedToken = { accessToken: 'relu', expiresAt: Date.now() + 1000 };
+    expect(await tidal._getStoredToken()).toMatchObject({ accessToken: 'relu' });
+  });
+
+  it('ne retient pas l’absence de token et signale un identifiant client manquant', async () => {
+    const bus = createBus();
+    let storedToken = null;
+    bus.subscribe('AUTH:RETRIEVE_TOKEN', ({ requestId }) =>
+      bus.publish('AUTH:TOKEN_RETRIEVED', {
+        requestId,
+        success: Boolean(storedToken),
+        token: storedToken
+      })
+    );
+    const tidal = new TidalAdapter().configure(
+      {
+        tidalDownloaderPath: '/bin/tidal-dl',
+        platformSettings: { deviceAuth: { tokenUrl: 'https://auth.tidal.com', clientId: '' } }
+      },
+      bus
+    );
+
+    await expect(tidal.download(item(), { tempDir })).rejects.toMatchObject({
+      code: 'INVALID_CONFIG',
+      message: expect.stringContaining('adapters.tidal.deviceAuth.clientId')
+    });
+    expect(bus.publish).not.toHaveBeenCalledWith('AUTH:DEVICE_FLOW_START', expect.anything());
+
+    // Token enregistré par ailleurs : relu sans attendre de mise à jour
+    storedToken = { accessToken: 'access-xyz', expiresAt: Date.now() + 3600000 };
+    expect(await tidal._getStoredToken()).toMatchObject({ accessToken: 'access-xyz' });
+  });
+});
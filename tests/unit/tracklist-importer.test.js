@@ -0,0 +1,185 @@
+/**
+ * @file tracklist-importer.test.js
+ */
+
+jest.mock('node:child_process', () => ({ spawn: jest.fn() }));
+jest.mock('electron', () => ({ app: { getPath: () => require('os').tmpdir() } }));
+
+const { spawn } = require('node:child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EVENT_TYPES = require('../../src/constants/event-types');
+const playlistHandler = require('../../src/utils/playlist-handler');
+const { TracklistImporter } = require('../../src/modules/download/tracklist-importer');
+const { DuplicateDetector } = require('../../src/modules/download/duplicate-detector');
+const { SpotifyAdapter } = require('../../src/modules/download/adapters/spotify-adapter');
+const { TidalAdapter } = require('../../src/modules/download/adapters/tidal-adapter');
+const { createBus, published } = require('../mocks/event-bus-mock');
+
+const ALBUM_URL = 'https://open.spotify.com/album/4aawyAB9vmqN3uQ7FjRGTy';
+
+// Sortie de `yt-dlp --dump-json` pour un album Spotify de deux titres
+const ALBUM_JSON = JSON.stringify({
+  id: '4aawyAB9vmqN3uQ7FjRGTy',
+  title: 'Premier album',
+  artist: 'Artiste',
+  thumbnail: 'https://i.scdn.co/image/album.jpg',
+  entries: [
+    { id: 'a', title: 'Ouverture', artists: ['Artiste', 'Invitée'], isrc: 'FRX1', duration: 95 },
+    { id: 'b', title: 'Final', duration: 240 }
+  ]
+});
+
+// Sortie de `tidal-downloader --info-only` pour une playlist : la playlist, puis ses titres
+const TIDAL_OUTPUT = [
+  'Title: Sélection\nCover: https://resources.tidal.com/playlist.jpg',
+  'Title: Ouverture\nArtist: Artiste\nAlbum: Premier album\nDuration: 1:35\nISRC: FRX1',
+  'Title: Autre\nArtist: Autre artiste\nDuration: 3:00'
+].join('\n\n');
+
+describe('🧾 tracklist-importer.js', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = createBus();
+  });
+
+  it('importe les métadonnées Spotify et Tidal sans téléchargement', async () => {
+    spawn.mockImplementation(() => {
+      const proc = new EventEmitter();
+      proc.stdout = new EventEmitter();
+      proc.stderr = new EventEmitter();
+      setImmediate(() => {
+        proc.stdout.emit('data', Buffer.from(ALBUM_JSON));
+        proc.emit('close', 0);
+      });
+      return proc;
+    });
+    const spotify = new SpotifyAdapter().configure({ ytDlpPath: '/bin/yt-dlp' }, bus);
+    const importer = new TracklistImporter(bus, {
+      getAdapter: (url) => (url === ALBUM_URL ? spotify : new TidalAdapter()),
+      library: new DuplicateDetector(bus)
+    });
+
+    bus.publish(EVENT_TYPES.PLAYLIST.TRACKLIST_IMPORT_REQUEST, { requestId: 'i1', url: ALBUM_URL });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(spawn.mock.calls[0][1]).toEqual(['--dump-json', '--no-playlist', ALBUM_URL]);
+    expect(published(bus, EVENT_TYPES.PLAYLIST.TRACKLIST_IMPORTED)).toEqual([
+      {
+        requestId: 'i1',
+        url: ALBUM_URL,
+        platform: 'spotify',
+        title: 'Premier album',
+        tracks: [
+          {
+            title: 'Ouverture',
+            artists: ['Artiste', 'Invitée'],
+            album: 'Premier album',
+            isrc: 'FRX1',
+            duration: 95,
+            coverUrl: 'https://i.scdn.co/image/album.jpg'
+          },
+          expect.objectContaining({ title: 'Final', artists: ['Artiste'], isrc: '' })
+        ]
+      }
+    ]);
+    // Aucun événement de téléchargement
+    expect(published(bus, 'SPOTIFY_URL_PROCESSED')).toEqual([]);
+
+    // Tidal : une playlist est décrite avant ses titres
+    expect(new TidalAdapter().parseTracklistOutput(TIDAL_OUTPUT, 'playlist')).toEqual({
+      title: 'Sélection',
+      tracks: [
+        {
+          title: 'Ouverture',
+          artists: ['Artiste'],
+          album: 'Premier album',
+          isrc: 'FRX1',
+          duration: 95,
+          coverUrl: 'https://resources.tidal.com/playlist.jpg'
+        },
+        expect.objectContaining({ title: 'Autre', album: '', duration: 180 })
+      ]
+    });
+
+    // Sans connexion Tidal, l'import est refusé
+    await expect(
+      importer.importTracklist({ requestId: 'i2', url: 'https://tidal.com/browse/album/1' })
+    ).resolves.toBeNull();
+    expect(published(bus, EVENT_TYPES.PLAYLIST.TRACKLIST_IMPORT_ERROR)).toEqual([
+      expect.objectContaining({ requestId: 'i2', error: expect.any(String) })
+    ]);
+  });
+
+  it('cherche les titres dans la bibliothèque et les exporte', () => {
+    const library = new DuplicateDetector(bus);
+    library.addLibraryEntry('/musique/ouverture.flac', {
+      artist: 'Artiste',
+      title: 'Ouverture (Remaster)',
+      duration: '96.2'
+    });
+    library.addLibraryEntry('/musique/final.mp3', { artist: 'X', title: 'Y', isrc: 'FRX2' });
+    new TracklistImporter(bus, { getAdapter: () => null, library });
+    playlistHandler.initialize(bus, EVENT_TYPES, {});
+    const playlistFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-tracklist-'));
+    bus.publish(EVENT_TYPES.CONFIG.UPDATED, { playlist: { playlistFolder } });
+
+    const tracks = [
+      { title: 'Ouverture', artists: ['Invitée', 'Artiste'], album: 'A', duration: 95 },
+      { title: 'Final', artists: ['Artiste'], album: 'A', isrc: 'FRX2', duration: 240 },
+      { title: 'Inédit, "bonus"', artists: ['Artiste'], album: 'A', isrc: '', duration: 60 }
+    ];
+    bus.publish(EVENT_TYPES.PLAYLIST.TRACKLIST_MATCH_REQUEST, { requestId: 'i1', tracks });
+
+    const [matched] = published(bus, EVENT_TYPES.PLAYLIST.TRACKLIST_MATCHED);
+    expect(matched.matchedCount).toBe(2);
+    expect(matched.tracks.map((track) => track.filePath)).toEqual([
+      '/musique/ouverture.flac',
+      '/musique/final.mp3',
+      null
+    ]);
+
+    const exportAs = (format) => {
+      bus.publish(EVENT_TYPES.PLAYLIST.TRACKLIST_EXPORT_REQUEST, {
+        requestId: 'i1',
+        name: 'Premier album',
+        tracks: matched.tracks,
+        format
+      });
+      return published(bus, EVENT_TYPES.FILE.WRITE_REQUEST).pop();
+    };
+
+    const csv = exportAs('csv');
+    expect(csv.filePath).toBe(path.join(playlistFolder, 'Premier album.csv'));
+    expect(csv.data.split('\n')).toEqual([
+      'title,artists,album,isrc,duration,coverUrl,filePath',
+      'Ouverture,Invitée; Artiste,A,,95,,/musique/ouverture.flac',
+      'Final,Artiste,A,FRX2,240,,/musique/final.mp3',
+      '"Inédit, ""bonus""",Artiste,A,,60,,',
+      ''
+    ]);
+
+    expect(JSON.parse(exportAs('json').data).tracks).toHaveLength(3);
+    expect(exportAs('m3u').data).toBe(
+      [
+        '#EXTM3U',
+        '#EXTINF:95,Invitée, Artiste - Ouverture',
+        '/musique/ouverture.flac',
+        '#EXTINF:240,Artiste - Final',
+        '/musique/final.mp3',
+        '# Absent de la bibliothèque: Artiste - Inédit, "bonus"',
+        ''
+      ].join('\n')
+    );
+
+    // Format réservé aux playlists de fichiers téléchargés
+    const writes = published(bus, EVENT_TYPES.FILE.WRITE_REQUEST).length;
+    exportAs('pls');
+    expect(published(bus, EVENT_TYPES.FILE.WRITE_REQUEST)).toHaveLength(writes);
+
+    fs.rmSync(playlistFolder, { recursive: true, force: true });
+  });
+});
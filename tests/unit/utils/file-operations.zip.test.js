@@ -0,0 +1,117 @@
+/**
+ * @file file-operations.zip.test.js
+ * @description Tests de l'extraction des archives ZIP (vrais fichiers temporaires).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractZip } = require('../../../src/utils/file-operations');
+
+/**
+ * Archive ZIP minimale (entrées compressées en deflate)
+ * @param {Array<[string, Buffer]>} entries - Couples nom de l'entrée / contenu
+ */
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(([name, content]) => {
+    const data = zlib.deflateRawSync(content);
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    // Taille décompressée annoncée à zéro : seule la décompression fait foi
+    central.writeUInt32LE(0, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('file-operations - extractZip', () => {
+  let workDir;
+  let zipPath;
+  let destDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-zip-'));
+    zipPath = path.join(workDir, 'album.zip');
+    destDir = path.join(workDir, 'Album');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('renomme les entrées de même nom au lieu de les écraser', async () => {
+    fs.writeFileSync(
+      zipPath,
+      createZip([
+        ['CD1/01 - Titre.flac', Buffer.from('disque 1')],
+        ['CD2/01 - Titre.flac', Buffer.from('disque 2')],
+        ['../01 - titre.FLAC', Buffer.from('disque 3')]
+      ])
+    );
+
+    const files = await extractZip(zipPath, destDir);
+
+    expect(files.map((file) => path.relative(destDir, file))).toEqual([
+      '01 - Titre.flac',
+      '01 - Titre (2).flac',
+      '01 - titre (3).FLAC'
+    ]);
+    expect(files.map((file) => fs.readFileSync(file, 'utf8'))).toEqual([
+      'disque 1',
+      'disque 2',
+      'disque 3'
+    ]);
+  });
+
+  test('rejette une archive dont la décompression dépasse les limites', async () => {
+    fs.writeFileSync(
+      zipPath,
+      createZip([
+        ['petit.txt', Buffer.from('ok')],
+        ['bombe.bin', Buffer.alloc(64 * 1024)]
+      ])
+    );
+
+    await expect(extractZip(zipPath, destDir, { maxEntrySize: 1024 })).rejects.toThrow(
+      'Entrée ZIP trop volumineuse: bombe.bin'
+    );
+    // Aucune extraction partielle ne subsiste
+    expect(fs.readdirSync(destDir)).toEqual([]);
+
+    await expect(extractZip(zipPath, destDir, { maxTotalSize: 32 * 1024 })).rejects.toThrow(
+      'trop volumineuse'
+    );
+    await expect(extractZip(zipPath, destDir, { maxEntries: 1 })).rejects.toThrow(
+      '2 entrées (max 1)'
+    );
+    expect(fs.readdirSync(destDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * @file youtube-adapter.test.js
+ */
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  YouTubeAdapter,
+  mapChapters,
+  getPlaylistItems
+} = require('../../src/modules/download/adapters/youtube-adapter');
+
+const VIDEO_INFO = {
+  title: 'Live: Set complet',
+  uploader: 'DJ Test',
+  duration: 600,
+  chapters: [
+    { start_time: 0, end_time: 240, title: 'Intro' },
+    { start_time: 240, end_time: 600, title: 'Final / Outro' }
+  ]
+};
+
+/**
+ * Faux processus qui écrit `stdout` puis se termine avec `code` au tick suivant
+ */
+function createProcess(stdout = '', code = 0) {
+  const proc = new EventEmitter();
+  proc.stdout = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  proc.kill = jest.fn();
+  setImmediate(() => {
+    if (stdout) proc.stdout.emit('data', Buffer.from(stdout));
+    proc.emit('close', code);
+  });
+  return proc;
+}
+
+/**
+ * Attend qu'un événement soit publié sur le bus simulé
+ */
+function waitFor(bus, eventType) {
+  return new Promise((resolve) => {
+    bus.publish.mockImplementation((type, data) => {
+      if (type === eventType) resolve(data);
+    });
+  });
+}
+
+describe('🧩 youtube-adapter.js', () => {
+  it('normalise les chapitres de yt-dlp', () => {
+    const chapters = mapChapters(
+      [
+        { start_time: 0, title: 'A' },
+        { start_time: 90, end_time: 90, title: 'Vide' },
+        { start_time: 120 },
+        { title: 'Sans début' }
+      ],
+      300
+    );
+
+    expect(chapters).toEqual([
+      { index: 1, title: 'A', start: 0, end: 90 },
+      { index: 2, title: 'Chapitre 2', start: 120, end: 300 }
+    ]);
+    expect(mapChapters(undefined, 300)).toEqual([]);
+  });
+
+  it('traduit les plages de playlist pour --playlist-items', () => {
+    const playlist = 'https://www.youtube.com/playlist?list=PLabc';
+
+    expect(getPlaylistItems({ start: 201, end: 400 }, playlist)).toEqual({
+      spec: '201:400',
+      expected: 200
+    });
+    expect(getPlaylistItems({ newest: 50 }, playlist)).toEqual({ spec: '-50:', expected: 50 });
+    expect(getPlaylistItems({ newest: 50 }, 'https://www.youtube.com/@chaine/videos').spec).toBe(
+      '1:50'
+    );
+    expect(getPlaylistItems('1, 4:6', playlist)).toEqual({ spec: '1,4:6', expected: null });
+    expect(getPlaylistItems('1;rm', playlist)).toBeNull();
+    expect(getPlaylistItems({ start: 10, end: 5 }, playlist)).toBeNull();
+  });
+
+  describe('playlists', () => {
+    let bus;
+    let adapter;
+
+    /**
+     * Entrée JSON de `--flat-playlist`
+     */
+    const entry = (n) =>
+      JSON.stringify({
+        id: `video${n}`,
+        title: `Vidéo ${n}`,
+        playlist_index: n,
+        playlist_count: 1000,
+        playlist_title: 'Grande playlist'
+      }) + '\n';
+
+    beforeEach(() => {
+      spawn.mockReset();
+      bus = { subscribe: jest.fn(), publish: jest.fn() };
+      adapter = new YouTubeAdapter();
+      adapter.init(bus);
+      adapter.updateConfig({ ytDlpPath: '/bin/yt-dlp', playlistLimit: 3 });
+    });
+
+    it('lit la playlist au fil de l’eau et publie la progression', async () => {
+      // Processus piloté par le test : la sortie arrive en morceaux
+      const proc = new EventEmitter();
+      proc.stdout = new EventEmitter();
+      proc.stderr = new EventEmitter();
+      spawn.mockReturnValueOnce(proc);
+
+      const expansion = adapter.expandPlaylist({
+        url: 'https://www.youtube.com/playlist?list=PLabc',
+        requestId: 'p1',
+        playlistItems: { start: 201, end: 203 }
+      });
+      proc.stdout.emit('data', Buffer.from(entry(201) + entry(202).slice(0, 10)));
+      proc.stdout.emit('data', Buffer.from(entry(202).slice(10) + entry(203)));
+      proc.emit('close', 0);
+
+      await expect(expansion).resolves.toMatchObject({ total: 1000, title: 'Grande playlist' });
+      expect(spawn.mock.calls[0][1]).toEqual(
+        expect.arrayContaining(['--flat-playlist', '--playlist-items', '201:203'])
+      );
+
+      const progress = bus.publish.mock.calls
+        .filter(([type]) => type === 'PLAYLIST:PROCESSING_PROGRESS')
+        .map(([, data]) => data);
+      expect(progress.map((data) => data.processedItems)).toEqual([1, 3]);
+      expect(progress[1]).toMatchObject({ playlistId: 'p1', totalItems: 1000, progress: 100 });
+      expect(progress[1].items.map((item) => item.index)).toEqual([202, 203]);
+    });
+
+    it('rejette la lecture quand yt-dlp ne peut pas être lancé', async () => {
+      const proc = new EventEmitter();
+      proc.stdout = new EventEmitter();
+      proc.stderr = new EventEmitter();
+      spawn.mockReturnValueOnce(proc);
+
+      const expansion = adapter.expandPlaylist({
+        url: 'https://www.youtube.com/playlist?list=PLabc',
+        requestId: 'p3'
+      });
+      proc.emit('error', Object.assign(new Error('spawn /bin/yt-dlp ENOENT'), { code: 'ENOENT' }));
+
+      await expect(expansion).rejects.toMatchObject({ code: 'PLAYLIST_EXPANSION_FAILED' });
+    });
+
+    it('télécharge uniquement les titres choisis dans la boîte de dialogue', async () => {
+      jest.useFakeTimers();
+      spawn.mockReturnValueOnce(createProcess(entry(1) + entry(2) + entry(3)));
+      const download = jest.spyOn(adapter, 'downloadSingleVideo').mockImplementation(() => {});
+      const detected = waitFor(bus, 'PLAYLIST:DETECTED');
+
+      adapter.checkIfPlaylist({
+        url: 'https://www.youtube.com/playlist?list=PLabc',
+        requestId: 'p2'
+      });
+      jest.advanceTimersByTime(0);
+      const playlist = await detected;
+
+      expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['--playlist-items', '1:3']));
+      expect(playlist).toMatchObject({ id: 'p2', trackCount: 1000, itemCount: 3, limited: true });
+
+      adapter.handlePlaylistDecision({
+        id: 'p2',
+        decision: 'selection',
+        items: ['video3', 'video1']
+      });
+      jest.runAllTimers();
+
+      expect(download.mock.calls.map(([data]) => [data.url, data.playlistIndex])).toEqual([
+        ['https://www.youtube.com/watch?v=video1', 1],
+        ['https://www.youtube.com/watch?v=video3', 3]
+      ]);
+      expect(adapter.pendingPlaylists.size).toBe(0);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('découpage en chapitres', () => {
+    let outputDir;
+    let bus;
+    let adapter;
+
+    beforeEach(() => {
+      spawn.mockReset();
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'byts-youtube-'));
+      bus = { subscribe: jest.fn(), publish: jest.fn() };
+      adapter = new YouTubeAdapter();
+      adapter.init(bus);
+      adapter.updateConfig({ ytDlpPath: '/bin/yt-dlp', ffmpegPath: '/bin/ffmpeg', outputDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('produit une piste taguée par chapitre et une playlist d’album', async () => {
+      const sourcePath = path.join(outputDir, 'Live_ Set complet.mp3');
+      fs.writeFileSync(sourcePath, '');
+
+      spawn.mockImplementation((binary, args) => {
+        if (binary === '/bin/ffmpeg') return createProcess();
+        if (args.includes('--dump-json')) return createProcess(JSON.stringify(VIDEO_INFO));
+        return createProcess(
+          `[download] Destination: ${path.join(outputDir, 'Live_ Set complet.webm')}\n` +
+            `[ExtractAudio] Destination: ${sourcePath}\n`
+        );
+      });
+
+      const playlist = waitFor(bus, 'PLAYLIST:GENERATE_FILE_REQUEST');
+      adapter.downloadSingleVideo({
+        url: 'https://www.youtube.com/watch?v=abcdefghijk',
+        format: 'mp3',
+        splitChapters: true,
+        requestId: 'r1'
+      });
+      const request = await playlist;
+      await new Promise(setImmediate);
+
+      const albumDir = path.join(outputDir, 'Live_ Set complet');
+      const ffmpegCalls = spawn.mock.calls.filter(([binary]) => binary === '/bin/ffmpeg');
+      expect(ffmpegCalls).toHaveLength(2);
+      expect(ffmpegCalls[1][1]).toEqual([
+        '-y',
+        '-ss',
+        '240',
+        '-i',
+        sourcePath,
+        '-t',
+        '360',
+        '-map',
+        '0:a',
+        '-map',
+        '0:v?',
+        '-c',
+        'copy',
+        '-map_chapters',
+        '-1',
+        '-metadata',
+        'title=Final / Outro',
+        '-metadata',
+        'artist=DJ Test',
+        '-metadata',
+        'album_artist=DJ Test',
+        '-metadata',
+        'album=Live: Set complet',
+        '-metadata',
+        'track=2/2',
+        path.join(albumDir, '02 - Final _ Outro.mp3')
+      ]);
+
+      expect(request).toMatchObject({
+        playlistId: 'r1',
+        name: 'Live: Set complet',
+        outputDir: albumDir,
+        format: 'm3u'
+      });
+      expect(request.items.map((item) => item.metadata.trackNumber)).toEqual([1, 2]);
+      expect(fs.existsSync(sourcePath)).toBe(false);
+
+      expect(bus.publish).toHaveBeenCalledWith(
+        'DOWNLOAD_COMPLETED',
+        expect.objectContaining({
+          id: 'r1',
+          files: [
+            path.join(albumDir, '01 - Intro.mp3'),
+            path.join(albumDir, '02 - Final _ Outro.mp3')
+          ]
+        })
+      );
+    });
+
+    it('conserve le fichier entier lorsque la vidéo n’a pas de chapitres', async () => {
+      const sourcePath = path.join(outputDir, 'Titre.mp3');
+      fs.writeFileSync(sourcePath, '');
+
+      spawn.mockImplementation((binary, args) => {
+        if (args.includes('--dump-json')) {
+          return createProcess(JSON.stringify({ ...VIDEO_INFO, chapters: null }));
+        }
+        return createProcess(`[ExtractAudio] Destination: ${sourcePath}\n`);
+      });
+      adapter.updateConfig({ splitChapters: true });
+
+      const completed = waitFor(bus, 'DOWNLOAD_COMPLETED');
+      adapter.downloadSingleVideo({ url: 'https://youtu.be/abcdefghijk', format: 'mp3' });
+
+      await expect(completed).resolves.toMatchObject({ filePath: sourcePath, files: [sourcePath] });
+      expect(spawn).not.toHaveBeenCalledWith('/bin/ffmpeg', expect.anything());
+      expect(fs.existsSync(sourcePath)).toBe(true);
+    });
+  });
+});